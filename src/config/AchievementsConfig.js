@@ -0,0 +1,117 @@
+/**
+ * Logros de Spikepulse
+ * @module AchievementsConfig
+ *
+ * Condiciones:
+ * - { stat: 'stats.distanceMeters', gte: 1000 } → valor de GameState de la partida en curso
+ *   (las distancias van en metros, la unidad de World: 10 px = 1 m)
+ * - { counter: 'coins', scope: 'total', gte: 500 } → contador de eventos (run = partida, total = acumulado)
+ * - { all: [...] } / { any: [...] } → combinación de condiciones
+ * Comparadores: gte, lte, eq
+ */
+
+export const ACHIEVEMENTS_CONFIG = {
+    // Contadores alimentados por eventos del bus
+    counters: {
+        runs: { event: 'game:started' },
+        jumps: { event: 'player:jumped' },
+        gravityFlips: { event: 'player:gravity-toggled' },
+        coins: { event: 'game:coin-collected' },
+        checkpoints: { event: 'world:checkpoint-reached' },
+        powerups: { event: 'player:powerup-started' },
+        shieldSaves: { event: 'player:hit-absorbed' },
+        levelsCompleted: { event: 'game:level-completed' }
+    },
+
+    list: [
+        {
+            id: 'first-steps',
+            name: 'Primeros pasos',
+            description: 'Recorre 100 m en una partida',
+            icon: '👣',
+            condition: { stat: 'stats.distanceMeters', gte: 100 }
+        },
+        {
+            id: 'no-dash-1000',
+            name: 'Sin atajos',
+            description: 'Recorre 1000 m sin hacer dash',
+            icon: '🚶',
+            condition: {
+                all: [
+                    { stat: 'stats.distanceMeters', gte: 1000 },
+                    { stat: 'stats.dashes', lte: 0 }
+                ]
+            }
+        },
+        {
+            id: 'marathon',
+            name: 'Maratón noir',
+            description: 'Recorre 5000 m en una partida',
+            icon: '🏃',
+            condition: { stat: 'stats.distanceMeters', gte: 5000 }
+        },
+        {
+            id: 'gravity-50',
+            name: 'Vértigo',
+            description: 'Cambia la gravedad 50 veces en una partida',
+            icon: '🌀',
+            condition: { counter: 'gravityFlips', scope: 'run', gte: 50 }
+        },
+        {
+            id: 'coins-run-50',
+            name: 'Bolsillos llenos',
+            description: 'Recoge 50 monedas en una partida',
+            icon: '💰',
+            condition: { counter: 'coins', scope: 'run', gte: 50 }
+        },
+        {
+            id: 'coins-500',
+            name: 'Coleccionista',
+            description: 'Recoge 500 monedas en total',
+            icon: '🪙',
+            condition: { counter: 'coins', scope: 'total', gte: 500 }
+        },
+        {
+            id: 'jumps-1000',
+            name: 'Muelles',
+            description: 'Salta 1000 veces en total',
+            icon: '🦘',
+            condition: { counter: 'jumps', scope: 'total', gte: 1000 }
+        },
+        {
+            id: 'checkpoints-10',
+            name: 'Paso a paso',
+            description: 'Alcanza 10 checkpoints en una partida',
+            icon: '🚩',
+            condition: { counter: 'checkpoints', scope: 'run', gte: 10 }
+        },
+        {
+            id: 'shield-save',
+            name: 'Por los pelos',
+            description: 'Sobrevive a un golpe gracias al escudo',
+            icon: '🛡️',
+            condition: { counter: 'shieldSaves', scope: 'total', gte: 1 }
+        },
+        {
+            id: 'powerups-25',
+            name: 'Sobrealimentado',
+            description: 'Activa 25 power-ups en total',
+            icon: '⚡',
+            condition: { counter: 'powerups', scope: 'total', gte: 25 }
+        },
+        {
+            id: 'level-complete',
+            name: 'Meta a la vista',
+            description: 'Completa un nivel',
+            icon: '🏁',
+            condition: { counter: 'levelsCompleted', scope: 'total', gte: 1 }
+        },
+        {
+            id: 'runs-25',
+            name: 'Insistente',
+            description: 'Juega 25 partidas',
+            icon: '🔁',
+            condition: { counter: 'runs', scope: 'total', gte: 25 }
+        }
+    ]
+};
@@ -172,6 +172,127 @@ export class ConfigLoader {
         }
     }
 
+    /**
+     * Carga un pack de patrones de obstáculos en JSON
+     * @param {string|Object} source - Ruta del JSON (relativa a src/config) o pack ya parseado
+     * @returns {Promise<Object>} Pack validado { name, patterns, errors }
+     */
+    async loadPatternPack(source) {
+        const isPath = typeof source === 'string';
+        const cacheKey = isPath ? `patterns-${source}` : null;
+
+        if (cacheKey && this.configCache.has(cacheKey)) {
+            return this.configCache.get(cacheKey);
+        }
+
+        const pack = isPath ? await this.fetchJson(source) : source;
+
+        const validatedPack = ConfigValidator.validatePatternPack(pack);
+
+        if (cacheKey) {
+            this.configCache.set(cacheKey, validatedPack);
+        }
+
+        console.log(`✅ Pack de patrones ${validatedPack.name} cargado (${validatedPack.patterns.length} patrones)`);
+        return validatedPack;
+    }
+
+    /**
+     * Carga y combina varios packs de patrones de obstáculos
+     * Si dos packs definen un patrón con el mismo nombre, gana el último
+     * @param {Array<string|Object>} sources - Rutas o packs ya parseados
+     * @returns {Promise<Array>} Patrones válidos de todos los packs
+     */
+    async loadPatternPacks(sources = ['./patterns/default.json']) {
+        const patternsByName = new Map();
+
+        for (const source of sources) {
+            try {
+                const pack = await this.loadPatternPack(source);
+
+                for (const pattern of pack.patterns) {
+                    patternsByName.set(pattern.name, { ...pattern, pack: pack.name });
+                }
+            } catch (error) {
+                console.error('❌ Error cargando pack de patrones:', error);
+            }
+        }
+
+        if (patternsByName.size === 0) {
+            throw new Error('No hay patrones de obstáculos válidos');
+        }
+
+        const patterns = Array.from(patternsByName.values());
+        this.loadedConfigs.set('patterns', patterns);
+
+        return patterns;
+    }
+
+    /**
+     * Carga un nivel creado a mano en JSON
+     * @param {string|Object} source - Ruta del JSON (relativa a src/config) o nivel ya parseado
+     * @returns {Promise<Object>} Nivel validado
+     * @throws {Error} Si el nivel tiene errores
+     */
+    async loadLevel(source) {
+        const isPath = typeof source === 'string';
+        const cacheKey = isPath ? `levels-${source}` : null;
+
+        if (cacheKey && this.configCache.has(cacheKey)) {
+            return this.configCache.get(cacheKey);
+        }
+
+        const data = isPath ? await this.fetchJson(source) : source;
+        const { level, errors } = ConfigValidator.validateLevel(data);
+
+        if (errors.length > 0) {
+            throw new Error(`Nivel ${data?.id ?? source} inválido: ${errors.join('; ')}`);
+        }
+
+        if (cacheKey) {
+            this.configCache.set(cacheKey, level);
+        }
+
+        return level;
+    }
+
+    /**
+     * Carga la lista de niveles, descartando los que no son válidos
+     * @param {Array<string|Object>} sources - Rutas o niveles ya parseados
+     * @returns {Promise<Array>} Niveles válidos en el orden indicado
+     */
+    async loadLevels(sources = []) {
+        const levels = [];
+
+        for (const source of sources) {
+            try {
+                levels.push(await this.loadLevel(source));
+            } catch (error) {
+                console.error('❌ Error cargando nivel:', error);
+            }
+        }
+
+        this.loadedConfigs.set('levels', levels);
+        console.log(`✅ ${levels.length} niveles cargados`);
+
+        return levels;
+    }
+
+    /**
+     * Descarga un archivo JSON relativo a src/config
+     * @param {string} path - Ruta del archivo
+     * @returns {Promise<Object>} Contenido parseado
+     */
+    async fetchJson(path) {
+        const response = await fetch(new URL(path, import.meta.url));
+
+        if (!response.ok) {
+            throw new Error(`No se pudo cargar ${path}: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
     /**
      * Carga overrides específicos del entorno
      * @param {string} configType - Tipo de configuración
@@ -45,6 +45,46 @@ export class ConfigValidator {
             theme: { type: 'string', enum: ['noir', 'classic', 'neon'], default: 'noir' },
             language: { type: 'string', enum: ['es', 'en'], default: 'es' },
             showFPS: { type: 'boolean', default: false }
+        },
+        pattern: {
+            name: { type: 'string' },
+            difficulty: { type: 'number', min: 0, max: 10 },
+            length: { type: 'number', min: 1, max: 2000 }
+        },
+        patternObstacle: {
+            type: { type: 'string', enum: ['spike', 'wall', 'moving', 'rotating'] },
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, default: 0 },
+            anchor: { type: 'string', enum: ['ground', 'ceiling'], default: 'ground' },
+            width: { type: 'number', min: 1, max: 500 },
+            height: { type: 'number', min: 1, max: 500 }
+        },
+        level: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string', default: '' },
+            finish: {
+                x: { type: 'number', min: 100 }
+            }
+        },
+        levelPoint: {
+            x: { type: 'number', min: 0 },
+            y: { type: 'number', min: 0, default: 50 },
+            anchor: { type: 'string', enum: ['ground', 'ceiling'], default: 'ground' }
+        },
+        levelCollectible: {
+            type: { type: 'string', enum: ['powerup', 'speed_boost', 'shield', 'extra_life', 'magnet'] },
+            size: { type: 'number', min: 5, max: 100, default: 20 }
+        },
+        patternMotion: {
+            moving: {
+                range: { type: 'number', min: 0, max: 500, default: 80 },
+                speed: { type: 'number', min: 0, max: 1, default: 0.02 },
+                offset: { type: 'number', default: 0 }
+            },
+            rotating: {
+                speed: { type: 'number', min: -1, max: 1, default: 0.05 }
+            }
         }
     };
 
@@ -170,6 +210,180 @@ export class ConfigValidator {
         return this.validate(uiConfig, 'ui');
     }
 
+    /**
+     * Valida un pack de patrones de obstáculos en JSON
+     *
+     * Formato: { name, patterns: [{ name, difficulty, length, tags, obstacles: [...] }] }.
+     * Cada obstáculo tiene type, x relativa al inicio del patrón, y como separación
+     * respecto a la superficie indicada en anchor (ground o ceiling), width, height y,
+     * si es móvil o rotatorio, parámetros en motion. Los patrones con errores se descartan.
+     * @param {Object} pack - Pack de patrones
+     * @returns {Object} { name, patterns, errors } con los patrones válidos
+     */
+    static validatePatternPack(pack) {
+        const errors = [];
+        const packName = typeof pack?.name === 'string' ? pack.name : 'sin-nombre';
+        const patterns = [];
+
+        if (!Array.isArray(pack?.patterns)) {
+            errors.push(`El pack ${packName} no tiene lista de patrones`);
+            return { name: packName, patterns, errors };
+        }
+
+        const names = new Set();
+
+        pack.patterns.forEach((pattern, index) => {
+            const path = `patterns.${packName}[${pattern?.name ?? index}]`;
+            const patternErrors = [];
+            const validated = this._validatePattern(pattern, path, patternErrors);
+
+            if (validated && names.has(validated.name)) {
+                patternErrors.push(`Patrón duplicado en ${path}`);
+            }
+
+            if (patternErrors.length > 0) {
+                errors.push(...patternErrors);
+                return;
+            }
+
+            names.add(validated.name);
+            patterns.push(validated);
+        });
+
+        if (errors.length > 0) {
+            console.warn(`⚠️ Errores de validación en pack de patrones ${packName}:`, errors);
+        }
+
+        return { name: packName, patterns, errors };
+    }
+
+    /**
+     * Valida un patrón de obstáculos
+     * @private
+     */
+    static _validatePattern(pattern, path, errors) {
+        if (!pattern || typeof pattern !== 'object') {
+            errors.push(`Patrón no válido en ${path}`);
+            return null;
+        }
+
+        const validated = {};
+        this._validateObject(pattern, this.schemas.pattern, validated, errors, path);
+
+        // Etiquetas opcionales para filtrar patrones
+        const tags = pattern.tags ?? [];
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            errors.push(`Etiquetas no válidas en ${path}.tags: se espera una lista de textos`);
+        }
+        validated.tags = Array.isArray(tags) ? [...tags] : [];
+
+        if (!Array.isArray(pattern.obstacles) || pattern.obstacles.length === 0) {
+            errors.push(`El patrón ${path} no tiene obstáculos`);
+            validated.obstacles = [];
+            return validated;
+        }
+
+        validated.obstacles = this._validatePatternObstacles(pattern.obstacles, validated.length, path, errors);
+
+        return validated;
+    }
+
+    /**
+     * Valida los obstáculos de un patrón o nivel
+     * @param {Array} obstacles - Obstáculos en formato declarativo
+     * @param {number} length - Longitud disponible (los obstáculos deben caber en ella)
+     * @param {string} path - Ruta para los mensajes de error
+     * @param {Array} errors - Lista donde acumular errores
+     * @returns {Array} Obstáculos validados
+     * @private
+     */
+    static _validatePatternObstacles(obstacles, length, path, errors) {
+        return obstacles.map((obstacle, index) => {
+            const obstaclePath = `${path}.obstacles[${index}]`;
+            const validatedObstacle = {};
+            this._validateObject(obstacle, this.schemas.patternObstacle, validatedObstacle, errors, obstaclePath);
+
+            // Parámetros de movimiento según el tipo
+            const motionSchema = this.schemas.patternMotion[validatedObstacle.type];
+            if (motionSchema) {
+                validatedObstacle.motion = {};
+                this._validateObject(obstacle?.motion, motionSchema, validatedObstacle.motion, errors, `${obstaclePath}.motion`);
+            }
+
+            // El obstáculo debe caber en la longitud disponible
+            if (validatedObstacle.x + validatedObstacle.width > length) {
+                errors.push(`El obstáculo ${obstaclePath} se sale del límite (x máxima ${length})`);
+            }
+
+            return validatedObstacle;
+        });
+    }
+
+    /**
+     * Valida un nivel creado a mano
+     *
+     * Formato: { id, name, description, finish: { x }, obstacles, coins, collectibles, checkpoints }.
+     * Los obstáculos usan el mismo formato que los patrones pero con x absoluta; monedas y
+     * coleccionables indican en y la separación de su centro respecto a la superficie de anchor.
+     * @param {Object} level - Nivel
+     * @returns {Object} { level, errors } con el nivel validado
+     */
+    static validateLevel(level) {
+        const errors = [];
+        const path = `levels[${level?.id ?? 'sin-id'}]`;
+        const validated = {};
+
+        if (!level || typeof level !== 'object') {
+            return { level: null, errors: [`Nivel no válido en ${path}`] };
+        }
+
+        this._validateObject(level, this.schemas.level, validated, errors, path);
+        const finishX = validated.finish.x;
+
+        // Los obstáculos usan el formato de los patrones y deben quedar antes de la meta
+        validated.obstacles = [];
+        if (Array.isArray(level.obstacles)) {
+            validated.obstacles = this._validatePatternObstacles(level.obstacles, finishX, path, errors);
+        } else if (level.obstacles !== undefined) {
+            errors.push(`${path}.obstacles debe ser una lista`);
+        }
+
+        const validatePoints = (list, name, extraSchema) => {
+            if (list !== undefined && !Array.isArray(list)) {
+                errors.push(`${path}.${name} debe ser una lista`);
+                return [];
+            }
+
+            return (list ?? []).map((point, index) => {
+                const pointPath = `${path}.${name}[${index}]`;
+                const validatedPoint = {};
+                this._validateObject(point, this.schemas.levelPoint, validatedPoint, errors, pointPath);
+
+                if (extraSchema) {
+                    this._validateObject(point, extraSchema, validatedPoint, errors, pointPath);
+                }
+
+                if (validatedPoint.x >= finishX) {
+                    errors.push(`${pointPath} está después de la meta (x ${finishX})`);
+                }
+
+                return validatedPoint;
+            });
+        };
+
+        validated.coins = validatePoints(level.coins, 'coins', { value: { type: 'number', min: 1, default: 10 } });
+        validated.collectibles = validatePoints(level.collectibles, 'collectibles', this.schemas.levelCollectible);
+        validated.checkpoints = validatePoints(level.checkpoints, 'checkpoints')
+            .map(({ x }) => ({ x }))
+            .sort((a, b) => a.x - b.x);
+
+        if (errors.length > 0) {
+            console.warn(`⚠️ Errores de validación en ${path}:`, errors);
+        }
+
+        return { level: validated, errors };
+    }
+
     /**
      * Genera un reporte de validación detallado
      * @param {Object} config - Configuración a validar
@@ -4,6 +4,7 @@
  */
 
 import { getPersistenceConfig } from './PersistenceConfig.js';
+import { normalizeKeyBindings, normalizeTouchLayout } from './InputBindings.js';
 
 export const DEFAULT_GAME_CONFIG = {
     // Configuración del canvas
@@ -13,14 +14,23 @@ export const DEFAULT_GAME_CONFIG = {
         backgroundColor: '#0F0F0F'
     },
     
+    // Configuración del game loop (timestep fijo)
+    engine: {
+        tickRate: 60, // Ticks de simulación por segundo
+        maxStepsPerFrame: 5, // Máximo de ticks recuperados en un frame
+        maxFrameTime: 250 // ms; los frames más largos se recortan
+    },
+    
     // Configuración de estados del juego
     states: {
         initial: 'menu',
         transitions: {
-            'menu': ['playing', 'settings'],
-            'playing': ['paused', 'game-over', 'menu'],
+            'menu': ['playing', 'settings', 'editor'],
+            'playing': ['paused', 'game-over', 'level-complete', 'menu'],
             'paused': ['playing', 'menu'],
             'game-over': ['menu', 'playing'],
+            'level-complete': ['menu', 'playing'],
+            'editor': ['menu', 'playing'],
             'settings': ['menu'],
             'loading': ['menu']
         }
@@ -30,23 +40,37 @@ export const DEFAULT_GAME_CONFIG = {
     input: {
         keyboard: {
             enabled: true,
-            bindings: {
-                jump: ['Space', 'ArrowUp', 'KeyW'],
-                dash: ['ShiftLeft', 'ShiftRight', 'KeyX'],
-                gravity: ['ControlLeft', 'ControlRight', 'KeyZ'],
-                moveLeft: ['ArrowLeft', 'KeyA'],
-                moveRight: ['ArrowRight', 'KeyD'],
-                pause: ['Escape', 'KeyP']
-            }
+            // Teclas por defecto (esquema de InputBindings: acción -> códigos);
+            // las que elige el jugador se guardan en GameState.settings.controls.keyboard
+            bindings: normalizeKeyBindings()
         },
         touch: {
             enabled: true,
+            // Gesto -> acción sobre el canvas (null = sin acción). Con doubleTap sin
+            // acción, el segundo tap es otro tap (doble salto)
             gestures: {
                 tap: 'jump',
+                doubleTap: null,
+                longPress: null,
+                twoFingerTap: 'dash',
                 swipeUp: 'jump',
-                swipeDown: 'gravity',
+                swipeDown: 'gravityToggle',
                 swipeLeft: 'moveLeft',
                 swipeRight: 'moveRight'
+            },
+            // Umbrales de cada gesto (px, ms y px/ms); swipeUp, swipeDown... heredan los de swipe
+            gestureThresholds: {
+                tap: { maxDuration: 200, maxDistance: 20 },
+                doubleTap: { maxInterval: 300, maxDistance: 50 },
+                longPress: { minDuration: 500, maxDistance: 20 },
+                twoFingerTap: { maxDuration: 250, maxDistance: 20, maxStartDelay: 100 },
+                swipe: { minDistance: 50, minVelocity: 0.3, maxDuration: 300 }
+            },
+            // Botones en pantalla; la disposición que edita el jugador se guarda por
+            // orientación en GameState.settings.controls.touch.layouts
+            virtualControls: {
+                enabled: 'auto',    // true, false o 'auto' (solo con pantalla táctil)
+                layout: normalizeTouchLayout()
             }
         },
         mouse: {
@@ -54,8 +78,36 @@ export const DEFAULT_GAME_CONFIG = {
             bindings: {
                 leftClick: 'jump',
                 rightClick: 'dash',
-                middleClick: 'gravity'
+                middleClick: 'gravityToggle'
             }
+        },
+        gamepad: {
+            enabled: true,
+            deadzone: 0.25,         // Zona muerta de los sticks (0-1)
+            buttonThreshold: 0.5,   // Presión mínima de los gatillos analógicos
+            // Índices de botón del mapeo estándar (0 = A / Cruz, 9 = Start, 12-15 = cruceta)
+            buttons: {
+                jump: [0, 12],
+                dash: [2, 5, 7],
+                gravityToggle: [1, 3, 4, 6],
+                moveLeft: [14],
+                moveRight: [15],
+                pause: [9]
+            },
+            axes: {
+                moveLeft: [{ axis: 0, direction: -1 }],
+                moveRight: [{ axis: 0, direction: 1 }]
+            },
+            rumble: {
+                enabled: true,
+                death: { duration: 300, strongMagnitude: 1, weakMagnitude: 0.6 },
+                dash: { duration: 80, strongMagnitude: 0.2, weakMagnitude: 0.5 }
+            }
+        },
+        // Cola de pulsaciones con marca de tiempo que la simulación consume por tick
+        queue: {
+            maxPending: 256,        // Eventos sin consumir como máximo (p. ej. pestaña en segundo plano)
+            timelineSize: 120       // Eventos consumidos que se guardan para debug
         }
     },
     
@@ -87,7 +139,39 @@ export const DEFAULT_GAME_CONFIG = {
     
     // Configuración del mundo y cámara
     world: {
+        surface: {
+            groundY: 370,
+            ceilingY: 30,
+            thickness: 30,
+            color: '#333333'
+        },
+        bounds: {
+            left: 0,
+            right: Infinity,
+            top: -500,
+            bottom: 900
+        },
+        generation: {
+            lookAhead: 2000,
+            cleanupDistance: 500,
+            safeZone: 600, // Tramo inicial sin obstáculos
+            checkpointInterval: 1500, // Distancia mínima entre checkpoints del modo infinito
+            extraLifeEvery: 4, // Vida extra cada N checkpoints (0 = ninguna)
+            powerups: {
+                chance: 0.15, // Probabilidad de power-up en cada hueco entre patrones
+                chancePerDifficulty: 0.05, // Probabilidad añadida por cada punto de dificultad
+                maxChance: 0.4,
+                // Peso de cada coleccionable = base + perDifficulty × (dificultad - 1)
+                weights: {
+                    shield: { base: 1, perDifficulty: 0.6 },
+                    powerup: { base: 1, perDifficulty: 0.3 }, // Salto extra
+                    speed_boost: { base: 1.2, perDifficulty: -0.4 },
+                    magnet: { base: 1, perDifficulty: 0 }
+                }
+            }
+        },
         camera: {
+            offsetX: 300, // Adelanto de la cámara respecto al jugador
             smoothing: 0.1,
             zoom: {
                 min: 0.5,
@@ -100,6 +184,40 @@ export const DEFAULT_GAME_CONFIG = {
         }
     },
     
+    // Configuración de obstáculos
+    obstacles: {
+        // Packs JSON de patrones (rutas relativas a src/config), el último gana en nombres repetidos
+        patternPacks: ['./patterns/default.json']
+    },
+    
+    // Niveles creados a mano (rutas relativas a src/config), en orden de selección
+    levels: {
+        list: ['./levels/nivel-1.json', './levels/nivel-2.json']
+    },
+    
+    // Editor de niveles
+    editor: {
+        gridSize: 20,
+        gridSizes: [10, 20, 50],
+        scrollSpeed: 600,
+        finishX: 2400
+    },
+    
+    // Configuración del jugador
+    player: {
+        startPosition: { x: 100, y: 300 },
+        visual: {
+            size: { width: 30, height: 30 }
+        },
+        // Power-ups temporales (stacking: refresh, extend o stack)
+        powerups: {
+            shield: { duration: 8000, stacking: 'stack', maxStacks: 2 },
+            speed_boost: { duration: 5000, stacking: 'refresh', multiplier: 1.5 },
+            jump_boost: { duration: 8000, stacking: 'extend', maxDuration: 16000, extraJumps: 1 },
+            magnet: { duration: 7000, stacking: 'refresh', radius: 180, pullSpeed: 420 }
+        }
+    },
+    
     // Configuración de UI
     ui: {
         theme: 'spikepulse-dark',
@@ -193,6 +311,8 @@ export const DEFAULT_GAME_CONFIG = {
     game: {
         initialLives: 3,
         maxLives: 5,
+        respawnDelay: 800, // ms entre perder una vida y reaparecer
+        respawnInvulnerability: 2000, // ms de invulnerabilidad al reaparecer
         scoreMultiplier: 1,
         difficultyProgression: true,
         saveProgress: true,
@@ -200,13 +320,39 @@ export const DEFAULT_GAME_CONFIG = {
         autoSaveInterval: 30000 // 30 segundos
     },
     
-    // Configuración de audio (placeholder)
+    // Configuración de audio (efectos y música sintetizados con Web Audio)
     audio: {
         enabled: true,
         masterVolume: 1.0,
         musicVolume: 0.7,
         sfxVolume: 0.8,
-        enableSpatialAudio: false
+        enableSpatialAudio: false,
+        spatialRange: 600,      // Distancia horizontal (px) para panorama completo
+        musicTempo: 84,         // Pulsos por minuto de la banda sonora
+        pauseDuckVolume: 0.25   // Fracción de la música que suena en pausa
+    },
+    
+    // Configuración de la tabla de récords
+    records: {
+        maxEntries: 10,     // Entradas por tabla (modo y semilla)
+        maxNameLength: 16
+    },
+    
+    // Configuración del historial de estadísticas
+    statistics: {
+        historySize: 50     // Partidas que se guardan en el historial
+    },
+    
+    // Configuración de las partidas guardadas
+    saves: {
+        numberedSlots: 5,   // Ranuras 1..N
+        maxNamedSlots: 20,
+        maxNameLength: 24,
+        thumbnail: {
+            width: 160,
+            height: 90,
+            quality: 0.7    // Calidad JPEG de la miniatura
+        }
     },
     
     // Configuración de accesibilidad
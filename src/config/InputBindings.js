@@ -0,0 +1,266 @@
+/**
+ * Esquema de bindings de entrada de Spikepulse
+ * @module InputBindings
+ *
+ * Un único esquema para la configuración, el estado guardado y los handlers:
+ * acción -> lista de códigos (KeyboardEvent.code). Las acciones son las del
+ * InputManager; cada una emite su evento input:* (gravityToggle -> input:gravity-toggle).
+ * También define los gestos táctiles y la disposición de los controles en pantalla.
+ */
+
+/**
+ * Acciones que se pueden asignar, en el orden en que se muestran
+ */
+export const INPUT_ACTIONS = ['jump', 'dash', 'gravityToggle', 'moveLeft', 'moveRight', 'pause'];
+
+/**
+ * Teclas por defecto de cada acción
+ */
+export const DEFAULT_KEY_BINDINGS = {
+    jump: ['Space', 'ArrowUp', 'KeyW'],
+    dash: ['ShiftLeft', 'ShiftRight', 'KeyX'],
+    gravityToggle: ['ControlLeft', 'ControlRight', 'KeyZ'],
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    pause: ['Escape', 'KeyP']
+};
+
+/**
+ * Nombres de acción antiguos (configuración y guardados anteriores a 1.1.0)
+ */
+const LEGACY_ACTIONS = {
+    gravity: 'gravityToggle',
+    left: 'moveLeft',
+    right: 'moveRight'
+};
+
+/**
+ * Textos de las teclas que no se leen bien por su código
+ */
+const KEY_LABELS = {
+    Space: 'Espacio',
+    Escape: 'Esc',
+    Enter: 'Intro',
+    Backspace: 'Retroceso',
+    Tab: 'Tab',
+    ShiftLeft: 'Mayús izq.',
+    ShiftRight: 'Mayús der.',
+    ControlLeft: 'Ctrl izq.',
+    ControlRight: 'Ctrl der.',
+    AltLeft: 'Alt',
+    AltRight: 'Alt Gr',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+/**
+ * Convierte unos bindings al esquema canónico
+ * Acepta nombres de acción antiguos y una sola tecla por acción; las acciones
+ * que faltan toman las teclas por defecto y las desconocidas se descartan.
+ * @param {Object} bindings - Bindings {acción: códigos}
+ * @param {Object} defaults - Bindings para las acciones que faltan
+ * @returns {Object} Bindings con todas las acciones y listas sin repetir
+ */
+export function normalizeKeyBindings(bindings = {}, defaults = DEFAULT_KEY_BINDINGS) {
+    const normalized = {};
+
+    for (const action of INPUT_ACTIONS) {
+        normalized[action] = [...(defaults[action] || [])];
+    }
+
+    for (const [name, codes] of Object.entries(bindings || {})) {
+        const action = LEGACY_ACTIONS[name] || name;
+        if (!INPUT_ACTIONS.includes(action)) continue;
+
+        const list = (Array.isArray(codes) ? codes : [codes]).filter(code => typeof code === 'string' && code);
+        normalized[action] = [...new Set(list)];
+    }
+
+    return normalized;
+}
+
+/**
+ * Comprueba que unos bindings tienen el esquema canónico
+ * @param {Object} bindings - Bindings a comprobar
+ * @returns {Object} {valid, error}
+ */
+export function validateKeyBindings(bindings) {
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+        return { valid: false, error: 'Los controles deben ser un objeto acción -> teclas' };
+    }
+
+    for (const [action, codes] of Object.entries(bindings)) {
+        if (!INPUT_ACTIONS.includes(action)) {
+            return { valid: false, error: `Acción desconocida: ${action}` };
+        }
+        if (!Array.isArray(codes) || codes.some(code => typeof code !== 'string' || !code)) {
+            return { valid: false, error: `Las teclas de ${action} deben ser una lista de códigos` };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Busca teclas asignadas a más de una acción
+ * @param {Object} bindings - Bindings canónicos
+ * @returns {Array<Object>} Conflictos {code, actions}
+ */
+export function findBindingConflicts(bindings) {
+    const actionsByCode = new Map();
+
+    for (const [action, codes] of Object.entries(bindings)) {
+        for (const code of codes) {
+            actionsByCode.set(code, [...(actionsByCode.get(code) || []), action]);
+        }
+    }
+
+    return [...actionsByCode.entries()]
+        .filter(([, actions]) => actions.length > 1)
+        .map(([code, actions]) => ({ code, actions }));
+}
+
+/**
+ * Construye el mapa tecla -> acción de los handlers
+ * Si una tecla está repetida gana la primera acción (en el orden de INPUT_ACTIONS).
+ * @param {Object} bindings - Bindings canónicos
+ * @returns {Object} Mapa código -> acción
+ */
+export function createKeyMap(bindings) {
+    const keyMap = {};
+
+    for (const action of INPUT_ACTIONS) {
+        for (const code of bindings[action] || []) {
+            keyMap[code] = keyMap[code] || action;
+        }
+    }
+
+    return keyMap;
+}
+
+/**
+ * Texto de una tecla para la UI
+ * @param {string} code - Código de la tecla (KeyboardEvent.code)
+ * @returns {string} Texto de la tecla
+ */
+export function getKeyLabel(code) {
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+
+    return code;
+}
+
+/**
+ * Controles táctiles en pantalla que se pueden colocar (la cruceta agrupa izquierda y derecha)
+ */
+export const VIRTUAL_CONTROLS = ['dpad', 'jump', 'dash', 'gravityToggle', 'pause'];
+
+/**
+ * Disposición por defecto de los controles táctiles
+ * x e y son la esquina superior izquierda en fracción de la pantalla; size, el lado en píxeles.
+ */
+export const DEFAULT_TOUCH_LAYOUT = {
+    opacity: 0.6,
+    controls: {
+        dpad: { x: 0.03, y: 0.68, size: 160 },
+        jump: { x: 0.84, y: 0.64, size: 104 },
+        dash: { x: 0.72, y: 0.76, size: 80 },
+        gravityToggle: { x: 0.86, y: 0.42, size: 80 },
+        pause: { x: 0.93, y: 0.03, size: 48 }
+    }
+};
+
+/**
+ * Límites de tamaño (píxeles) y opacidad de los controles táctiles
+ */
+export const TOUCH_LAYOUT_LIMITS = {
+    minSize: 40,
+    maxSize: 240,
+    minOpacity: 0.15,
+    maxOpacity: 1
+};
+
+/**
+ * Convierte una disposición de controles táctiles a valores válidos
+ * Los controles o valores que faltan toman los de la disposición por defecto.
+ * @param {Object} layout - Disposición {opacity, controls: {id: {x, y, size}}}
+ * @param {Object} defaults - Disposición para lo que falta
+ * @returns {Object} Disposición con todos los controles dentro de los límites
+ */
+export function normalizeTouchLayout(layout = {}, defaults = DEFAULT_TOUCH_LAYOUT) {
+    const clamp = (value, min, max, fallback) =>
+        Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    const limits = TOUCH_LAYOUT_LIMITS;
+
+    const normalized = {
+        opacity: clamp(layout?.opacity, limits.minOpacity, limits.maxOpacity, defaults.opacity),
+        controls: {}
+    };
+
+    for (const id of VIRTUAL_CONTROLS) {
+        const base = defaults.controls[id];
+        const control = layout?.controls?.[id] || {};
+
+        normalized.controls[id] = {
+            x: clamp(control.x, 0, 1, base.x),
+            y: clamp(control.y, 0, 1, base.y),
+            size: Math.round(clamp(control.size, limits.minSize, limits.maxSize, base.size))
+        };
+    }
+
+    return normalized;
+}
+
+/**
+ * Comprueba las disposiciones táctiles guardadas por orientación
+ * @param {Object} layouts - {landscape, portrait}: disposición o null (por defecto)
+ * @returns {Object} {valid, error}
+ */
+export function validateTouchLayouts(layouts) {
+    if (!layouts || typeof layouts !== 'object' || Array.isArray(layouts)) {
+        return { valid: false, error: 'Las disposiciones táctiles deben ser un objeto por orientación' };
+    }
+
+    for (const [orientation, layout] of Object.entries(layouts)) {
+        if (orientation !== 'landscape' && orientation !== 'portrait') {
+            return { valid: false, error: `Orientación desconocida: ${orientation}` };
+        }
+        if (layout === null) continue;
+
+        if (typeof layout !== 'object' || typeof layout.opacity !== 'number' ||
+            !layout.controls || typeof layout.controls !== 'object') {
+            return { valid: false, error: `Disposición táctil inválida (${orientation})` };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Gestos táctiles que se pueden asignar a una acción
+ */
+export const TOUCH_GESTURES = [
+    'tap', 'doubleTap', 'longPress', 'twoFingerTap',
+    'swipeUp', 'swipeDown', 'swipeLeft', 'swipeRight'
+];
+
+/**
+ * Convierte el mapa gesto -> acción al esquema canónico
+ * Los gestos sin acción (o con una acción desconocida) quedan a null.
+ * @param {Object} gestures - Mapa {gesto: acción}
+ * @returns {Object} Mapa con todos los gestos
+ */
+export function normalizeGestureBindings(gestures = {}) {
+    const normalized = {};
+
+    for (const gesture of TOUCH_GESTURES) {
+        const action = LEGACY_ACTIONS[gestures?.[gesture]] || gestures?.[gesture];
+        normalized[gesture] = INPUT_ACTIONS.includes(action) ? action : null;
+    }
+
+    return normalized;
+}
@@ -10,17 +10,39 @@ export const PERSISTENCE_CONFIG = {
     saveInterval: 5000, // 5 segundos
     maxHistorySize: 100,
     
-    // Claves de localStorage
+    // Claves de almacenamiento
     keys: {
         gameState: 'spikepulse-game-state',
+        migrationBackup: 'spikepulse-game-state-pre-migration',
+        backupPrefix: 'spikepulse-game-state-backup',
+        saveSlots: 'spikepulse-game-state-slots',
+        saveSlotPrefix: 'spikepulse-game-state-slot',
         settings: 'spikepulse-settings',
         statistics: 'spikepulse-statistics',
-        achievements: 'spikepulse-achievements'
+        achievements: 'spikepulse-achievements',
+        highScores: 'spikepulse-high-scores',
+        replay: 'spikepulse-last-replay'
+    },
+    
+    // Backends de almacenamiento por orden de preferencia
+    // Se usa el primero disponible y con espacio; si una escritura supera la cuota
+    // los datos se mueven al siguiente. La memoria es el último recurso (no persiste)
+    storage: {
+        backends: ['localStorage', 'indexedDB', 'memory'],
+        keyPrefix: 'spikepulse-', // Claves propias (guardado, logros, récords...): se mueven al cambiar de backend
+        minFreeSpace: 512 * 1024, // Bytes libres mínimos en los backends que informan de su cuota
+        indexedDB: {
+            databaseName: 'spikepulse',
+            storeName: 'saves'
+        },
+        fileSystem: {
+            directory: '.spikepulse-data'
+        }
     },
     
     // Configuración de compresión
     compression: {
-        enabled: false, // Deshabilitado por simplicidad
+        enabled: false, // Producción la activa (ENVIRONMENT_CONFIGS.production)
         threshold: 10000 // Comprimir si el estado es mayor a 10KB
     },
     
@@ -32,20 +54,29 @@ export const PERSISTENCE_CONFIG = {
     },
     
     // Configuración de migración
+    // Cada migración se indexa por la versión que produce: un guardado de la versión V
+    // pasa en orden por todas las de versión mayor que V y hasta currentVersion
     migration: {
         enabled: true,
-        currentVersion: '1.0.0',
+        currentVersion: '1.1.0',
         migrations: {
             '0.9.0': (state) => {
-                // Migración de ejemplo de versión anterior
+                // Los guardados anteriores a 0.9.0 no tenían metadatos
                 if (!state.meta) {
                     state.meta = {
-                        version: '1.0.0',
                         created: Date.now(),
                         lastSaved: Date.now()
                     };
                 }
                 return state;
+            },
+            '1.1.0': (state) => {
+                // Antes de 1.1.0 se guardaba una tecla por acción que nunca se aplicaba:
+                // se descarta para que se usen las teclas por defecto con el esquema nuevo
+                if (state.settings?.controls) {
+                    delete state.settings.controls.keyboard;
+                }
+                return state;
             }
         }
     },
@@ -98,6 +129,11 @@ export const ENVIRONMENT_CONFIGS = {
             logValidation: false
         },
         saveInterval: 10000, // Guardar menos frecuentemente en producción
+        storage: {
+            ...PERSISTENCE_CONFIG.storage,
+            // IndexedDB primero: más cuota y no bloquea el hilo principal
+            backends: ['indexedDB', 'localStorage', 'memory']
+        },
         compression: {
             enabled: true,
             threshold: 5000
@@ -108,18 +144,32 @@ export const ENVIRONMENT_CONFIGS = {
         ...PERSISTENCE_CONFIG,
         enabled: false, // Deshabilitar persistencia en tests
         autoSave: false,
+        storage: {
+            ...PERSISTENCE_CONFIG.storage,
+            backends: ['memory']
+        },
         debug: {
             logSaves: false,
             logLoads: false,
             logErrors: false,
             logValidation: false
         }
+    },
+    
+    // Scripts y herramientas en Node (sin localStorage ni IndexedDB)
+    tooling: {
+        ...PERSISTENCE_CONFIG,
+        autoSave: false,
+        storage: {
+            ...PERSISTENCE_CONFIG.storage,
+            backends: ['fileSystem', 'memory']
+        }
     }
 };
 
 /**
  * Obtiene la configuración para el entorno actual
- * @param {string} environment - Entorno (development, production, testing)
+ * @param {string} environment - Entorno (development, production, testing, tooling)
  * @returns {Object} Configuración de persistencia
  */
 export function getPersistenceConfig(environment = 'development') {
@@ -137,6 +187,7 @@ export const PERSISTENT_FIELDS = {
         'stats.totalPlayTime',
         'stats.gamesPlayed',
         'stats.deaths',
+        'stats.deathCauses',
         'stats.coinsCollected',
         'settings',
         'meta'
@@ -43,7 +43,8 @@ export const PHYSICS_CONFIG = {
         airControl: 0.6,
         groundFriction: 0.85,
         airFriction: 0.98,
-        wallSlideSpeed: 2
+        wallSlideSpeed: 2,
+        runSpeed: 4 // Velocidad de carrera automática (px por frame)
     },
 
     // Configuración de colisiones
@@ -27,6 +27,12 @@ export const SPANISH_TEXT = {
     MOVE_RIGHT: 'Mover Derecha',
     TOGGLE_GRAVITY: 'Cambiar Gravedad',
     
+    // Power-ups
+    POWERUP_SHIELD: 'Escudo',
+    POWERUP_SPEED_BOOST: 'Velocidad',
+    POWERUP_JUMP_BOOST: 'Salto extra',
+    POWERUP_MAGNET: 'Imán',
+    
     // Game States
     LOADING: 'Cargando...',
     READY: 'Listo',
@@ -38,6 +44,78 @@ export const SPANISH_TEXT = {
     GAME_OVER_MESSAGE: '¡Inténtalo de nuevo!',
     NEW_RECORD: '¡Nuevo récord!',
     
+    // Records
+    RECORDS: 'Récords',
+    RECORDS_EMPTY: 'Aún no hay récords en esta tabla',
+    RECORDS_NAME: 'Nombre',
+    RECORDS_DATE: 'Fecha',
+    RECORDS_COINS: 'Monedas',
+    RECORDS_TIME: 'Tiempo',
+    RECORDS_CAUSE: 'Causa',
+    RECORDS_COMPLETED: 'Meta',
+    RECORDS_EXPORT: 'Exportar',
+    RECORDS_IMPORT: 'Importar',
+    RECORDS_SAVE_NAME: 'Guardar nombre',
+    RECORDS_MODE_RANDOM: 'Partidas aleatorias',
+    RECORDS_MODE_DAILY: 'Reto diario',
+    RECORDS_MODE_CUSTOM: 'Semilla',
+    RECORDS_MODE_URL: 'Semilla compartida',
+    RECORDS_MODE_LEVEL: 'Nivel',
+    
+    // Statistics
+    STATISTICS: 'Estadísticas',
+    STATS_DISTANCE_CHART: 'Distancia por partida',
+    STATS_DEATHS_CHART: 'Muertes por causa',
+    STATS_RUNS: 'Partidas',
+    STATS_TOTAL_DISTANCE: 'Distancia total',
+    STATS_PLAY_TIME: 'Tiempo jugado',
+    STATS_BEST_DISTANCE: 'Mejor distancia',
+    STATS_AVERAGE_DISTANCE: 'Distancia media',
+    STATS_AVERAGE_SCORE: 'Puntuación media',
+    STATS_AVERAGE_DURATION: 'Duración media',
+    STATS_DAY_STREAK: 'Días seguidos',
+    STATS_BEST_DAY_STREAK: 'Mejor racha de días',
+    STATS_ABOVE_AVERAGE_STREAK: 'Partidas seguidas sobre la media',
+    STATS_LEVELS_COMPLETED: 'Niveles completados',
+    STATS_ABILITIES: 'Saltos / Dashes / Gravedad',
+    
+    // Saves
+    SAVES: 'Partidas',
+    SAVES_SLOT: 'Ranura',
+    SAVES_EMPTY: 'Vacía',
+    SAVES_NAME: 'Nombre de la partida',
+    SAVES_SAVE: 'Guardar',
+    SAVES_SAVE_NAMED: 'Guardar con nombre',
+    SAVES_LOAD: 'Cargar',
+    SAVES_RENAME: 'Renombrar',
+    SAVES_DELETE: 'Borrar',
+    SAVES_PROGRESS_ONLY: 'Solo progreso',
+    SAVES_SAVED: 'Partida guardada',
+    SAVES_LOADED: 'Partida cargada',
+
+    // Controls
+    CONTROLS: 'Controles',
+    CONTROLS_ADD_KEY: 'Añadir tecla',
+    CONTROLS_PRESS_KEY: 'Pulsa una tecla (Esc para cancelar)',
+    CONTROLS_UNBOUND: 'Sin asignar',
+    CONTROLS_REMOVE_KEY: 'Quitar tecla',
+    CONTROLS_RESET: 'Restablecer',
+    CONTROLS_CONFLICT: 'Tecla asignada a varias acciones',
+    CONTROLS_MOVED: 'Tecla movida desde',
+    CONTROLS_TOUCH_EDIT: 'Controles táctiles',
+    CONTROLS_TOUCH_HINT: 'Arrastra para mover; la esquina cambia el tamaño',
+    CONTROLS_TOUCH_OPACITY: 'Opacidad',
+    CONTROLS_DONE: 'Listo',
+
+    // Death causes
+    DEATH_UNKNOWN: 'Desconocida',
+    DEATH_SPIKE: 'Pinchos',
+    DEATH_WALL: 'Muro',
+    DEATH_MOVING_OBSTACLE: 'Obstáculo móvil',
+    DEATH_ROTATING_BLADE: 'Sierra giratoria',
+    DEATH_OUT_OF_BOUNDS: 'Caída',
+    DEATH_OBSTACLE_COLLISION: 'Obstáculo',
+    
     // Instructions
     JUMP_INSTRUCTION: 'Presiona ESPACIO o toca para saltar',
     DASH_INSTRUCTION: 'Presiona SHIFT para hacer dash',
@@ -10,6 +10,19 @@ import { createInputSystem } from '../modules/input/index.js';
 import { createRenderingSystem } from '../modules/renderer/index.js';
 import { createUISystem } from '../modules/ui/index.js';
 import { createDebugSystem } from '../modules/debug/index.js';
+import { createWorldSystem } from '../modules/world/index.js';
+import { createPlayerSystem } from '../modules/player/index.js';
+import { createReplaySystem } from '../modules/replay/index.js';
+import { createEditorSystem } from '../modules/editor/index.js';
+import { createAudioSystem } from '../modules/audio/index.js';
+import { createAchievementSystem } from '../modules/achievements/index.js';
+import { createRecordsSystem } from '../modules/records/index.js';
+import { createStatisticsSystem } from '../modules/statistics/index.js';
+import { createSaveSystem } from '../modules/saves/index.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { SpanishFormatter } from '../utils/SpanishFormatter.js';
+import { configLoader } from '../config/ConfigLoader.js';
+import { SPANISH_TEXT } from '../config/SpanishText.js';
 
 export class GameEngine {
     /**
@@ -29,8 +42,17 @@ export class GameEngine {
         // Sistemas del juego
         this.systems = {
             input: null,
+            replay: null,
+            player: null,
+            world: null,
             rendering: null,
             ui: null,
+            audio: null,
+            achievements: null,
+            records: null,
+            statistics: null,
+            saves: null,
+            editor: null,
             debug: null
         };
         
@@ -41,40 +63,46 @@ export class GameEngine {
         this.frameCount = 0;
         this.animationFrameId = null;
         
+        // Timestep fijo con acumulador (tiempos en milisegundos)
+        const tickRate = config.engine?.tickRate || 60;
+        this.loop = {
+            tickRate,
+            fixedDelta: 1000 / tickRate,
+            maxStepsPerFrame: config.engine?.maxStepsPerFrame || 5,
+            maxFrameTime: config.engine?.maxFrameTime || 250,
+            accumulator: 0,
+            alpha: 0,
+            tick: 0,
+            tickTime: Infinity,
+            droppedTime: 0
+        };
+        
+        // Semilla de la partida actual (mode: random, daily, url o custom)
+        this.runSeed = {
+            value: null,
+            mode: 'random'
+        };
+        
+        // Niveles creados a mano (currentLevel = null en modo infinito)
+        this.levels = [];
+        this.currentLevel = null;
+        
+        // Partida de prueba lanzada desde el editor de niveles
+        this.isPlaytest = false;
+        
+        // Tiempo que falta para reaparecer tras perder una vida (0 = sin reaparición pendiente)
+        this.respawnTimer = 0;
+        
         // Datos del juego
         this.gameData = {
             distance: 0,
             score: 0,
-            lives: 3,
+            lives: config.game?.initialLives ?? 3,
             coins: 0,
             time: 0,
             level: 1
         };
         
-        // Estado del jugador
-        this.player = {
-            position: { x: 150, y: 300 },
-            velocity: { x: 0, y: 0 },
-            onGround: true,
-            jumpsLeft: 2,
-            maxJumps: 2,
-            dashAvailable: true,
-            dashCooldown: 0,
-            gravityInverted: false,
-            isAlive: true,
-            size: 30
-        };
-        
-        // Configuración de física
-        this.physics = {
-            gravity: 0.5,
-            jumpForce: -12,
-            dashForce: 8,
-            dashDuration: 200,
-            groundY: 450, // Posición del suelo
-            ceilingY: 150 // Posición del techo
-        };
-        
         console.log('🎮 GameEngine creado');
     }
     
@@ -98,6 +126,17 @@ export class GameEngine {
             // Configurar UI básica
             this.setupBasicUI();
             
+            // Avisar si el guardado se recuperó de una copia al cargar
+            if (this.gameState.lastRecovery) {
+                this.handleBackupRestored(this.gameState.lastRecovery);
+            }
+            
+            // Avisar si ningún backend persistente estaba disponible (p. ej. navegación privada)
+            const storage = this.gameState.storage;
+            if (storage?.getBackendName() === 'memory' && storage.backendNames[0] !== 'memory') {
+                this.handleStorageFallback({ to: 'memory' });
+            }
+            
             // Establecer estado inicial (sin iniciar game loop aún)
             this.stateManager.setState('menu');
             
@@ -122,18 +161,69 @@ export class GameEngine {
     async initializeSystems() {
         console.log('🔧 Inicializando sistemas del juego...');
         
-        // Sistema de input
+        // Sistema de input (teclas elegidas por el jugador guardadas en GameState)
         this.systems.input = createInputSystem(this.config, this.eventBus);
         await this.systems.input.init();
+        this.systems.input.setGameState(this.gameState);
+        
+        // Sistema de repeticiones (antes que el jugador para inyectar el input de cada tick)
+        this.systems.replay = createReplaySystem(this.config, this.eventBus);
+        await this.systems.replay.init();
+        await this.systems.replay.setStorage(this.gameState.storage);
+        
+        // Sistema del mundo
+        this.systems.world = createWorldSystem(this.config, this.eventBus);
+        await this.systems.world.init();
+        
+        // Sistema del jugador
+        this.systems.player = createPlayerSystem(this.config, this.eventBus);
+        await this.systems.player.init();
+        this.systems.world.setPlayer(this.systems.player.player);
         
         // Sistema de renderizado
         this.systems.rendering = createRenderingSystem(this.config, this.eventBus);
         await this.systems.rendering.init();
+        this.systems.rendering.setCamera(this.systems.world.getCamera());
+        this.systems.rendering.addRenderSource(this.systems.world);
+        this.systems.rendering.addRenderSource(this.systems.player);
         
         // Sistema de UI
         this.systems.ui = createUISystem(this.config, this.eventBus);
         await this.systems.ui.init();
         
+        // Sistema de audio (volúmenes del usuario guardados en GameState)
+        this.systems.audio = createAudioSystem(this.config, this.eventBus);
+        await this.systems.audio.init();
+        this.systems.audio.setVolumes(this.gameState.get('settings.volume'));
+        
+        // Sistema de logros (evalúa las estadísticas de GameState y guarda en su almacenamiento)
+        this.systems.achievements = createAchievementSystem(this.config, this.eventBus);
+        await this.systems.achievements.init();
+        this.systems.achievements.setGameState(this.gameState);
+        await this.systems.achievements.setStorage(this.gameState.storage);
+        
+        // Tabla de récords por modo y semilla
+        this.systems.records = createRecordsSystem(this.config, this.eventBus);
+        await this.systems.records.init();
+        this.systems.records.setGameState(this.gameState);
+        await this.systems.records.setStorage(this.gameState.storage);
+        
+        // Estadísticas acumuladas e historial de partidas
+        this.systems.statistics = createStatisticsSystem(this.config, this.eventBus);
+        await this.systems.statistics.init();
+        this.systems.statistics.setGameState(this.gameState);
+        await this.systems.statistics.setStorage(this.gameState.storage);
+        
+        // Partidas guardadas en ranuras (mismo almacenamiento que GameState)
+        this.systems.saves = createSaveSystem(this.config, this.eventBus);
+        await this.systems.saves.init();
+        this.systems.saves.setGameState(this.gameState);
+        
+        // Editor de niveles (dibuja los obstáculos sobre la misma superficie que el mundo)
+        this.systems.editor = createEditorSystem(this.config, this.eventBus);
+        await this.systems.editor.init();
+        this.systems.editor.setSurface(this.systems.world.getSurface());
+        
         // Sistema de debug
         this.systems.debug = createDebugSystem(this.config, this.eventBus);
         await this.systems.debug.init();
@@ -144,6 +234,7 @@ export class GameEngine {
             this.systems.rendering.canvasRenderer.canvas,
             this.systems.rendering.canvasRenderer.ctx
         );
+        this.systems.saves.setGameReferences(this, this.systems.rendering.canvasRenderer.canvas);
         
         console.log('✅ Todos los sistemas inicializados');
     }
@@ -169,13 +260,33 @@ export class GameEngine {
         this.eventBus.on('gamestate:changed', this.handleGameStateChange.bind(this));
         this.eventBus.on('gamestate:save-error', this.handleSaveError.bind(this));
         this.eventBus.on('gamestate:load-error', this.handleLoadError.bind(this));
-        
-        // Eventos de input del jugador
-        this.eventBus.on('input:jump', this.handlePlayerJump.bind(this));
-        this.eventBus.on('input:dash', this.handlePlayerDash.bind(this));
-        this.eventBus.on('input:gravity', this.handlePlayerGravity.bind(this));
+        this.eventBus.on('gamestate:backup-restored', this.handleBackupRestored.bind(this));
+        this.eventBus.on('gamestate:storage-fallback', this.handleStorageFallback.bind(this));
+        
+        // Eventos del jugador y del mundo (el input de juego lo gestiona el Player)
+        this.eventBus.on('player:died', this.handlePlayerDied.bind(this));
+        this.eventBus.on('world:coin-collected', this.handleCoinCollected.bind(this));
+        this.eventBus.on('player:extra-life', this.handleExtraLife.bind(this));
+        this.eventBus.on('world:level-completed', this.handleLevelCompleted.bind(this));
         this.eventBus.on('input:pause', this.handleGamePause.bind(this));
         
+        // Partidas guardadas
+        this.eventBus.on('saves:saved', this.handleSaveSlotSaved.bind(this));
+        this.eventBus.on('saves:loaded', this.handleSaveSlotLoaded.bind(this));
+        this.eventBus.on('saves:error', this.handleSaveSlotError.bind(this));
+        
+        // Pantallas de niveles y vuelta al menú desde las pantallas del menú
+        this.eventBus.on('ui:level-selected', (data) => this.playLevel(data.level));
+        this.eventBus.on('ui:level-select-requested', this.returnToLevelSelect.bind(this));
+        this.eventBus.on('ui:back-to-menu', this.returnToMenu.bind(this));
+        
+        // Repeticiones
+        this.eventBus.on('replay:watch', (data) => this.watchReplay(data?.replay));
+        
+        // Editor de niveles
+        this.eventBus.on('editor:playtest', (data) => this.playtestLevel(data.level));
+        this.eventBus.on('editor:close', this.closeEditor.bind(this));
+        
         console.log('👂 Event listeners del motor configurados');
     }
     
@@ -277,25 +388,206 @@ export class GameEngine {
             this.startGame();
         });
         
+        // Botón de selección de nivel
+        const levelsButton = document.createElement('button');
+        levelsButton.textContent = 'Niveles';
+        levelsButton.style.cssText = `
+            margin-top: 1rem;
+            padding: 0.75rem 1.5rem;
+            font-size: 1.2rem;
+            font-family: 'Orbitron', sans-serif;
+            font-weight: bold;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        levelsButton.addEventListener('click', () => this.showLevelSelect());
+        
+        // Botón del editor de niveles
+        const editorButton = document.createElement('button');
+        editorButton.textContent = 'Editor de Niveles';
+        editorButton.style.cssText = levelsButton.style.cssText;
+        editorButton.addEventListener('click', () => this.openEditor());
+        
+        // Botón de logros
+        const achievementsButton = document.createElement('button');
+        achievementsButton.textContent = 'Logros';
+        achievementsButton.style.cssText = levelsButton.style.cssText;
+        achievementsButton.addEventListener('click', () => this.showAchievements());
+        
+        // Botón de récords
+        const recordsButton = document.createElement('button');
+        recordsButton.textContent = SPANISH_TEXT.RECORDS;
+        recordsButton.style.cssText = levelsButton.style.cssText;
+        recordsButton.addEventListener('click', () => this.showRecords());
+        
+        // Botón de estadísticas
+        const statisticsButton = document.createElement('button');
+        statisticsButton.textContent = SPANISH_TEXT.STATISTICS;
+        statisticsButton.style.cssText = levelsButton.style.cssText;
+        statisticsButton.addEventListener('click', () => this.showStatistics());
+        
+        // Botón de partidas guardadas
+        const savesButton = document.createElement('button');
+        savesButton.textContent = SPANISH_TEXT.SAVES;
+        savesButton.style.cssText = levelsButton.style.cssText;
+        savesButton.addEventListener('click', () => this.showSaves());
+        
+        // Botón de controles
+        const controlsButton = document.createElement('button');
+        controlsButton.textContent = SPANISH_TEXT.CONTROLS;
+        controlsButton.style.cssText = levelsButton.style.cssText;
+        controlsButton.addEventListener('click', () => this.showControls());
+        
+        // Controles de semilla: desafío diario y semilla escrita
+        const seedControls = this.createSeedControls();
+        
+        // Cargar una repetición desde archivo
+        const replayControls = this.createReplayControls();
+        
         // Ensamblar menú
         menuScreen.appendChild(title);
         menuScreen.appendChild(subtitle);
         menuScreen.appendChild(startButton);
+        menuScreen.appendChild(levelsButton);
+        menuScreen.appendChild(editorButton);
+        menuScreen.appendChild(achievementsButton);
+        menuScreen.appendChild(recordsButton);
+        menuScreen.appendChild(statisticsButton);
+        menuScreen.appendChild(savesButton);
+        menuScreen.appendChild(controlsButton);
+        menuScreen.appendChild(seedControls);
+        menuScreen.appendChild(replayControls);
         uiContainer.appendChild(menuScreen);
         
         // Guardar referencia
         this.menuScreen = menuScreen;
         
+        // Pantalla de game over
+        this.gameOverScreen = this.createGameOverScreen();
+        uiContainer.appendChild(this.gameOverScreen);
+        
+        // Pantallas de niveles (las muestra y oculta el ScreenManager)
+        this.systems.ui.createLevelScreens(uiContainer);
+        
+        // Pantalla de logros
+        uiContainer.appendChild(this.systems.achievements.getElement());
+        this.systems.ui.registerScreen('achievements', this.systems.achievements.getElement());
+        
+        // Pantalla de récords
+        uiContainer.appendChild(this.systems.records.getElement());
+        this.systems.ui.registerScreen('records', this.systems.records.getElement());
+        
+        // Pantalla de estadísticas
+        uiContainer.appendChild(this.systems.statistics.getElement());
+        this.systems.ui.registerScreen('statistics', this.systems.statistics.getElement());
+        
+        // Pantalla de pausa (el ScreenManager la muestra en el estado 'paused')
+        this.pauseScreen = this.createPauseScreen();
+        uiContainer.appendChild(this.pauseScreen);
+        this.systems.ui.registerScreen('pause', this.pauseScreen);
+        
+        // Pantalla de partidas guardadas
+        uiContainer.appendChild(this.systems.saves.getElement());
+        this.systems.ui.registerScreen('saves', this.systems.saves.getElement());
+        
+        // Pantalla de controles
+        uiContainer.appendChild(this.systems.input.getControlsElement());
+        this.systems.ui.registerScreen('controls', this.systems.input.getControlsElement());
+        
+        // Pantalla del editor (se muestra en el estado 'editor')
+        uiContainer.appendChild(this.systems.editor.getElement());
+        this.systems.ui.registerScreen('level-editor', this.systems.editor.getElement());
+        
         // Mostrar menú inicialmente
         this.showMenu();
         
         console.log('🎮 Menú principal creado y mostrado');
     }
     
+    /**
+     * Crea los controles del menú para jugar con semilla
+     * @returns {HTMLElement} Contenedor de controles
+     */
+    createSeedControls() {
+        const container = document.createElement('div');
+        container.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 0.75rem;
+            margin-top: 1.5rem;
+        `;
+        
+        const secondaryButtonStyle = `
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        
+        // Desafío diario
+        const dailyButton = document.createElement('button');
+        dailyButton.textContent = 'Desafío Diario';
+        dailyButton.style.cssText = secondaryButtonStyle;
+        dailyButton.addEventListener('click', () => {
+            this.startGame({ daily: true });
+        });
+        
+        // Semilla escrita
+        const seedRow = document.createElement('div');
+        seedRow.style.cssText = 'display: flex; gap: 0.5rem;';
+        
+        const seedInput = document.createElement('input');
+        seedInput.type = 'text';
+        seedInput.placeholder = 'Semilla';
+        seedInput.setAttribute('aria-label', 'Semilla de la partida');
+        seedInput.value = this.getUrlSeed() || '';
+        seedInput.style.cssText = `
+            padding: 0.6rem;
+            font-size: 1rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid #666666;
+            border-radius: 8px;
+        `;
+        
+        const seedButton = document.createElement('button');
+        seedButton.textContent = 'Jugar Semilla';
+        seedButton.style.cssText = secondaryButtonStyle;
+        seedButton.addEventListener('click', () => {
+            const seed = seedInput.value.trim();
+            if (seed) {
+                this.startGame({ seed });
+            }
+        });
+        
+        seedRow.appendChild(seedInput);
+        seedRow.appendChild(seedButton);
+        container.appendChild(dailyButton);
+        container.appendChild(seedRow);
+        
+        return container;
+    }
+    
     /**
      * Inicia el juego
+     * @param {Object} options - Opciones de la partida
+     * @param {string} options.seed - Semilla a usar
+     * @param {string} options.mode - Modo de la semilla indicada (por defecto 'custom')
+     * @param {boolean} options.daily - Jugar el desafío diario
+     * @param {Object} options.replay - Repetición a reproducir con la semilla indicada
+     * @param {Object} options.level - Nivel creado a mano (sin nivel se juega el modo infinito)
+     * @param {boolean} options.keepState - Conservar el estado centralizado (partida guardada ya importada)
      */
-    startGame() {
+    startGame(options = {}) {
         console.log('🚀 Iniciando juego...');
         
         // Ocultar menú del HTML primero
@@ -308,8 +600,23 @@ export class GameEngine {
         // Cambiar estado a jugando
         this.stateManager.setState('playing');
         
+        // La repetición se programa antes de elegir la semilla, que es cuando empieza a reproducirse
+        if (options?.replay) {
+            this.systems.replay.queuePlayback(options.replay);
+        }
+        
+        // El nivel se elige antes del reset para que el mundo lo coloque
+        this.currentLevel = options?.level || null;
+        this.systems.world.setLevel(this.currentLevel);
+        
+        // Elegir semilla antes del reset para que el mundo se genere con ella
+        this.applyRunSeed(options || {});
+        
+        // Durante una repetición el input de juego lo pone la grabación
+        this.systems.input.setGameplayEnabled(!this.isReplaying());
+        
         // Resetear datos del juego
-        this.resetGameData();
+        this.resetGameData(options?.keepState);
         
         // Iniciar game loop si no está corriendo
         if (!this.isRunning) {
@@ -318,7 +625,9 @@ export class GameEngine {
         
         // Emitir evento
         this.eventBus.emit('game:started', {
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            isReplay: this.isReplaying(),
+            isPlaytest: this.isPlaytest
         });
         
         console.log('✅ Juego iniciado');
@@ -327,6 +636,519 @@ export class GameEngine {
         this.hideMenu();
     }
     
+    /**
+     * Resuelve y aplica la semilla de la partida
+     * @param {Object} options - Opciones de la partida
+     */
+    applyRunSeed(options) {
+        const urlSeed = this.getUrlSeed();
+        
+        if (options.seed !== undefined && String(options.seed).trim() !== '') {
+            this.runSeed = { value: String(options.seed).trim(), mode: options.mode || 'custom' };
+        } else if (options.daily) {
+            this.runSeed = { value: SeededRandom.getDailySeed(), mode: 'daily' };
+        } else if (urlSeed) {
+            this.runSeed = { value: urlSeed, mode: 'url' };
+        } else {
+            this.runSeed = { value: SeededRandom.createRandomSeed(), mode: 'random' };
+        }
+        
+        this.systems.world.setSeed(this.runSeed.value);
+        
+        this.eventBus.emit('game:seed-selected', {
+            seed: this.runSeed.value,
+            mode: this.runSeed.mode,
+            level: this.currentLevel?.id || null,
+            shareUrl: this.getSeedShareUrl()
+        });
+    }
+    
+    /**
+     * Obtiene la semilla indicada en la URL (?seed=)
+     * @returns {string|null} Semilla o null
+     */
+    getUrlSeed() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim() ? seed.trim() : null;
+    }
+    
+    /**
+     * Obtiene el enlace para compartir la semilla actual
+     * @returns {string|null} URL con ?seed= o null si no hay partida
+     */
+    getSeedShareUrl() {
+        if (!this.runSeed.value) return null;
+        
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.runSeed.value);
+        return url.toString();
+    }
+    
+    /**
+     * Obtiene la semilla de la partida actual
+     * @returns {Object} Semilla y modo
+     */
+    getRunSeed() {
+        return { ...this.runSeed };
+    }
+    
+    /**
+     * Reproduce una repetición con su semilla
+     * @param {Object} replay - Repetición (por defecto la de la última partida)
+     */
+    async watchReplay(replay = null) {
+        const target = replay || this.systems.replay.getLastReplay();
+        
+        if (!target) {
+            console.warn('⚠️ No hay ninguna repetición para ver');
+            this.eventBus.emit('ui:show-notification', {
+                type: 'warning',
+                message: 'No hay ninguna repetición disponible',
+                duration: 3000
+            });
+            return;
+        }
+        
+        // Con otra configuración la simulación no coincidirá
+        if (target.configHash !== this.systems.replay.getConfigHash()) {
+            console.warn('⚠️ La repetición se grabó con otra configuración, puede no coincidir');
+            this.eventBus.emit('ui:show-notification', {
+                type: 'warning',
+                message: 'Repetición grabada con otra versión: puede no coincidir',
+                duration: 3000
+            });
+        }
+        
+        // Las repeticiones de un nivel necesitan ese mismo nivel
+        let level = null;
+        if (target.level) {
+            // El nivel actual puede no estar en la lista (pruebas del editor)
+            level = target.level === this.currentLevel?.id
+                ? this.currentLevel
+                : await this.getLevelById(target.level);
+            
+            if (!level) {
+                console.warn(`⚠️ Nivel de la repetición no disponible: ${target.level}`);
+                this.eventBus.emit('ui:show-notification', {
+                    type: 'error',
+                    message: 'El nivel de esta repetición no está disponible',
+                    duration: 3000
+                });
+                return;
+            }
+        }
+        
+        console.log(`🎬 Viendo repetición (semilla ${target.seed})`);
+        
+        this.resetSystems();
+        this.startGame({
+            seed: target.seed,
+            mode: target.seedMode,
+            replay: target,
+            level
+        });
+    }
+    
+    /**
+     * Indica si la partida actual es una repetición
+     * @returns {boolean} True si se está reproduciendo una repetición
+     */
+    isReplaying() {
+        return this.systems.replay?.isPlaying() || false;
+    }
+    
+    /**
+     * Descarga la última repetición como archivo JSON
+     */
+    downloadReplay() {
+        const replay = this.systems.replay.getLastReplay();
+        if (!replay) return;
+        
+        const blob = new Blob([this.systems.replay.serialize(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spikepulse-replay-${replay.seed}-${replay.createdAt}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Carga una repetición desde un archivo JSON y la reproduce
+     * @param {File} file - Archivo de la repetición
+     */
+    async loadReplayFile(file) {
+        try {
+            const replay = this.systems.replay.deserialize(await file.text());
+            await this.watchReplay(replay);
+        } catch (error) {
+            console.error('❌ Error cargando repetición:', error);
+            this.eventBus.emit('ui:show-notification', {
+                type: 'error',
+                message: 'El archivo no es una repetición válida',
+                duration: 3000
+            });
+        }
+    }
+    
+    /**
+     * Crea el control del menú para cargar repeticiones
+     * @returns {HTMLElement} Contenedor del control
+     */
+    createReplayControls() {
+        const container = document.createElement('div');
+        container.style.cssText = 'margin-top: 0.75rem;';
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        
+        const loadButton = document.createElement('button');
+        loadButton.textContent = 'Cargar Repetición';
+        loadButton.style.cssText = `
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #CCCCCC;
+            border: 2px solid #666666;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        loadButton.addEventListener('click', () => fileInput.click());
+        
+        container.appendChild(fileInput);
+        container.appendChild(loadButton);
+        
+        return container;
+    }
+    
+    /**
+     * Crea la pantalla de game over
+     * @returns {HTMLElement} Pantalla de game over
+     */
+    createGameOverScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'game-over-screen';
+        screen.className = 'screen screen-game-over';
+        screen.style.cssText = `
+            position: fixed;
+            bottom: 10%;
+            left: 0;
+            width: 100%;
+            display: none;
+            justify-content: center;
+            gap: 1rem;
+            flex-wrap: wrap;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+        `;
+        
+        const buttonStyle = `
+            padding: 0.75rem 1.5rem;
+            font-size: 1.1rem;
+            font-family: 'Orbitron', sans-serif;
+            font-weight: bold;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        const primaryStyle = `${buttonStyle}
+            background: linear-gradient(135deg, #FFD700, #FFA500);
+            color: #000;
+            border: none;
+        `;
+        const secondaryStyle = `${buttonStyle}
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+        `;
+        
+        const buttons = [
+            { text: 'Reintentar', style: primaryStyle, onClick: () => this.restartGame() },
+            { text: 'Ver Repetición', style: secondaryStyle, onClick: () => this.watchReplay() },
+            { text: 'Guardar Repetición', style: secondaryStyle, onClick: () => this.downloadReplay() },
+            { text: 'Menú Principal', style: secondaryStyle, onClick: () => this.stopGame() }
+        ];
+        
+        // Nombre para la entrada de récords (visible solo si la partida entra en la tabla)
+        screen.appendChild(this.systems.records.getEntryForm());
+        
+        for (const { text, style, onClick } of buttons) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = style;
+            button.addEventListener('click', onClick);
+            screen.appendChild(button);
+        }
+        
+        return screen;
+    }
+    
+    /**
+     * Muestra u oculta la pantalla de game over
+     * @param {boolean} visible - Si se muestra
+     */
+    setGameOverScreenVisible(visible) {
+        if (this.gameOverScreen) {
+            this.gameOverScreen.style.display = visible ? 'flex' : 'none';
+        }
+        
+        // La entrada de nombre la vuelve a mostrar records:added si la partida entra en la tabla
+        this.systems.records.hideEntryForm();
+    }
+    
+    /**
+     * Carga la lista de niveles configurada (solo la primera vez)
+     * @returns {Promise<Array>} Niveles válidos
+     */
+    async loadLevels() {
+        if (this.levels.length === 0) {
+            this.levels = await configLoader.loadLevels(this.config.levels?.list || []);
+        }
+        
+        return this.levels;
+    }
+    
+    /**
+     * Busca un nivel por su id
+     * @param {string} levelId - Id del nivel
+     * @returns {Promise<Object|null>} Nivel o null si no existe
+     */
+    async getLevelById(levelId) {
+        const levels = await this.loadLevels();
+        return levels.find(level => level.id === levelId) || null;
+    }
+    
+    /**
+     * Muestra la selección de nivel con los mejores tiempos
+     */
+    async showLevelSelect() {
+        const levels = await this.loadLevels();
+        
+        this.hideMenu();
+        this.systems.ui.showLevelSelect(levels, levelId => this.gameState.getLevelBestTime(levelId));
+    }
+    
+    /**
+     * Juega el nivel elegido en la selección de nivel
+     * @param {Object} level - Nivel validado
+     */
+    playLevel(level) {
+        this.systems.ui.hideScreen('level-select');
+        this.resetSystems();
+        this.startGame({ level });
+    }
+    
+    /**
+     * Deja el nivel completado y vuelve a la selección de nivel
+     */
+    returnToLevelSelect() {
+        this.isPlaytest = false;
+        this.stopGame();
+        this.showLevelSelect();
+    }
+    
+    /**
+     * Cierra una pantalla del menú y vuelve al menú principal (o a la pausa si la partida está en pausa)
+     * @param {Object} data - Pantalla que se cierra {screen}
+     */
+    returnToMenu(data) {
+        this.systems.ui.hideScreen(data.screen);
+        
+        if (this.stateManager.getState() === 'paused') {
+            this.systems.ui.showScreen('pause');
+        } else {
+            this.showMenu();
+        }
+    }
+    
+    /**
+     * Muestra la pantalla de logros con los desbloqueados y el progreso
+     */
+    showAchievements() {
+        this.systems.achievements.refreshScreen();
+        this.hideMenu();
+        this.systems.ui.showScreen('achievements');
+    }
+    
+    /**
+     * Muestra la pantalla de récords
+     */
+    showRecords() {
+        this.systems.records.refreshScreen();
+        this.hideMenu();
+        this.systems.ui.showScreen('records');
+    }
+    
+    /**
+     * Muestra la pantalla de estadísticas con los datos actuales
+     */
+    showStatistics() {
+        this.systems.statistics.refreshScreen();
+        this.hideMenu();
+        this.systems.ui.showScreen('statistics');
+    }
+    
+    /**
+     * Crea la pantalla de pausa
+     * @returns {HTMLElement} Pantalla de pausa
+     */
+    createPauseScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'pause-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.75);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+        
+        const buttonStyle = `
+            min-width: 240px;
+            padding: 0.75rem 1.5rem;
+            font-size: 1.1rem;
+            font-family: 'Orbitron', sans-serif;
+            font-weight: bold;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = SPANISH_TEXT.PAUSED;
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 1rem;';
+        screen.appendChild(title);
+        
+        const buttons = [
+            { text: SPANISH_TEXT.RESUME_GAME, onClick: () => this.resumeGame() },
+            { text: SPANISH_TEXT.SAVES, onClick: () => this.showSaves() },
+            { text: SPANISH_TEXT.CONTROLS, onClick: () => this.showControls() },
+            { text: 'Menú Principal', onClick: () => this.stopGame() }
+        ];
+        
+        for (const { text, onClick } of buttons) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', onClick);
+            screen.appendChild(button);
+        }
+        
+        return screen;
+    }
+    
+    /**
+     * Muestra la pantalla de partidas guardadas
+     */
+    async showSaves() {
+        await this.systems.saves.refreshScreen();
+        this.hideMenu();
+        this.systems.ui.showScreen('saves');
+    }
+    
+    /**
+     * Muestra la pantalla de controles
+     */
+    showControls() {
+        this.systems.input.refreshControlsScreen();
+        this.hideMenu();
+        this.systems.ui.showScreen('controls');
+    }
+    
+    /**
+     * Oculta la pantalla de controles y cancela la captura de tecla pendiente
+     */
+    closeControls() {
+        this.systems.input.closeControlsScreen();
+        this.systems.ui.hideScreen('controls');
+    }
+    
+    /**
+     * Maneja la llegada a la meta de un nivel
+     * @param {Object} data - Nivel y tiempo en milisegundos
+     */
+    handleLevelCompleted(data) {
+        console.log(`🏁 Nivel ${data.levelId} completado`);
+        
+        // Las repeticiones y las pruebas del editor no cuentan para los récords
+        const result = this.gameData.isReplay || this.isPlaytest
+            ? { bestTime: this.gameState.getLevelBestTime(data.levelId), previousBest: null, isNewBest: false }
+            : this.gameState.recordLevelTime(data.levelId, data.time);
+        
+        this.gameData = { ...this.gameData, time: data.time };
+        
+        // Textos antes del cambio de estado, que es quien muestra la pantalla
+        this.systems.ui.setLevelCompleteResult({
+            name: data.name,
+            time: data.time,
+            bestTime: result.bestTime,
+            isNewBest: result.isNewBest
+        });
+        
+        this.stateManager.setState('level-complete', data);
+        
+        // Emitir evento
+        this.eventBus.emit('game:level-completed', {
+            ...this.gameData,
+            levelId: data.levelId,
+            name: data.name,
+            time: data.time,
+            bestTime: result.bestTime,
+            isNewBest: result.isNewBest,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Abre el editor de niveles
+     */
+    openEditor() {
+        console.log('🛠️ Abriendo editor de niveles...');
+        
+        this.hideMenu();
+        this.stateManager.setState('editor');
+    }
+    
+    /**
+     * Cierra el editor de niveles y vuelve al menú
+     */
+    closeEditor() {
+        this.stateManager.setState('menu');
+    }
+    
+    /**
+     * Prueba un nivel del editor
+     * @param {Object} level - Nivel validado
+     */
+    playtestLevel(level) {
+        console.log(`▶️ Probando nivel del editor: ${level.name}`);
+        
+        this.isPlaytest = true;
+        this.resetSystems();
+        this.startGame({ level });
+    }
+    
     /**
      * Muestra el menú principal
      */
@@ -395,8 +1217,12 @@ export class GameEngine {
         // Resetear sistemas
         this.resetSystems();
         
-        // Iniciar de nuevo
-        this.startGame();
+        // Iniciar de nuevo (las semillas elegidas se mantienen, las aleatorias no; el nivel también)
+        this.startGame(this.runSeed.mode === 'random' ? { level: this.currentLevel } : {
+            seed: this.runSeed.value,
+            mode: this.runSeed.mode,
+            level: this.currentLevel
+        });
         
         // Emitir evento
         this.eventBus.emit('game:restarted', {
@@ -426,6 +1252,12 @@ export class GameEngine {
         this.eventBus.emit('game:stopped', {
             timestamp: Date.now()
         });
+        
+        // Las pruebas del editor vuelven al editor
+        if (this.isPlaytest) {
+            this.isPlaytest = false;
+            this.openEditor();
+        }
     }
     
     /**
@@ -496,8 +1328,14 @@ export class GameEngine {
     handleStateChange(data) {
         console.log(`🎯 Estado cambiado a: ${data.state}`);
         
+        this.setGameOverScreenVisible(data.state === 'game-over');
+        
         switch (data.state) {
             case 'menu':
+                this.systems.ui.hideScreen('level-complete');
+                this.systems.ui.hideScreen('pause');
+                this.systems.ui.hideScreen('saves');
+                this.closeControls();
                 this.showMenu();
                 break;
             case 'playing':
@@ -507,41 +1345,47 @@ export class GameEngine {
                 // El menú permanece oculto durante la pausa
                 break;
             case 'game-over':
-                // Podrías mostrar una pantalla de game over aquí
+                // Botones de reintentar, repetición y menú
                 break;
         }
     }
     
     /**
      * Resetea los datos del juego
+     * @param {boolean} keepState - No resetear el estado centralizado
      */
-    resetGameData() {
+    resetGameData(keepState = false) {
         // Resetear estado centralizado
-        this.gameState.resetState(true); // Mantener configuraciones
+        if (!keepState) {
+            this.gameState.resetState(true); // Mantener configuraciones
+        }
         
         // Resetear gameData legacy para compatibilidad
         this.gameData = {
             distance: 0,
             score: 0,
-            lives: 3,
+            lives: this.config.game?.initialLives ?? 3,
             coins: 0,
             time: 0,
-            level: 1
+            level: 1,
+            deathCause: null,
+            seed: this.runSeed.value,
+            levelId: this.currentLevel?.id || null,
+            levelName: this.currentLevel?.name || null,
+            isReplay: this.isReplaying()
         };
         
-        // Resetear jugador
-        this.player = {
-            position: { x: 150, y: 300 },
-            velocity: { x: 0, y: 0 },
-            onGround: true,
-            jumpsLeft: 2,
-            maxJumps: 2,
-            dashAvailable: true,
-            dashCooldown: 0,
-            gravityInverted: false,
-            isAlive: true,
-            size: 30
-        };
+        this.respawnTimer = 0;
+        
+        // Resetear timestep fijo
+        this.loop.accumulator = 0;
+        this.loop.alpha = 0;
+        this.loop.tick = 0;
+        
+        // Resetear jugador (el mundo se resetea al recibir player:reset)
+        if (this.systems.player) {
+            this.systems.player.reset();
+        }
         
         console.log('🔄 Jugador reseteado');
         
@@ -549,6 +1393,82 @@ export class GameEngine {
         this.eventBus.emit('game:data-updated', this.gameData);
     }
     
+    /**
+     * Captura la partida en curso para guardarla y continuarla más tarde
+     * @returns {Object|null} Instantánea de la partida, o null si no hay partida que se pueda continuar
+     */
+    captureRunSnapshot() {
+        const state = this.stateManager.getState();
+        
+        // Las repeticiones y las pruebas del editor no se guardan a medias
+        if ((state !== 'playing' && state !== 'paused') || this.isReplaying() || this.isPlaytest) {
+            return null;
+        }
+        
+        return JSON.parse(JSON.stringify({
+            tick: this.loop.tick,
+            seed: this.runSeed,
+            level: this.currentLevel?.id || null,
+            gameData: this.gameData,
+            respawnTimer: this.respawnTimer,
+            world: this.systems.world.getSaveState(),
+            player: this.systems.player.getSaveState()
+        }));
+    }
+    
+    /**
+     * Continúa una partida guardada con captureRunSnapshot; queda en pausa
+     * El estado centralizado no se toca: se llama después de importar el guardado de la partida
+     * @param {Object|null} snapshot - Instantánea, o null para volver al menú si hay una partida
+     */
+    async restoreRunSnapshot(snapshot) {
+        if (!snapshot) {
+            if (this.stateManager.getState() !== 'menu') {
+                this.stopGame();
+            }
+            return;
+        }
+        
+        const level = snapshot.level ? await this.getLevelById(snapshot.level) : null;
+        if (snapshot.level && !level) {
+            throw new Error(`El nivel ${snapshot.level} de la partida guardada no existe`);
+        }
+        
+        // Terminar la partida en curso: a 'playing' solo se entra desde un estado detenido
+        this.isPlaytest = false;
+        if (this.stateManager.getState() !== 'menu') {
+            this.stateManager.setState('menu');
+        }
+        
+        // Empezar la misma partida y colocar encima el jugador y el mundo guardados
+        this.resetSystems();
+        this.startGame({
+            seed: snapshot.seed.value,
+            mode: snapshot.seed.mode,
+            level,
+            keepState: true
+        });
+        
+        this.systems.player.restoreSaveState(snapshot.player);
+        this.systems.world.restoreSaveState(snapshot.world);
+        
+        this.gameData = { ...this.gameData, ...snapshot.gameData };
+        this.respawnTimer = snapshot.respawnTimer;
+        this.loop.tick = snapshot.tick;
+        
+        console.log(`📥 Partida restaurada en el tick ${snapshot.tick}`);
+        
+        this.eventBus.emit('game:run-restored', {
+            tick: snapshot.tick,
+            seed: snapshot.seed.value,
+            level: snapshot.level
+        });
+        this.eventBus.emit('game:data-updated', this.gameData);
+        
+        // Se continúa en pausa para que el jugador decida cuándo seguir
+        this.pauseGame();
+    }
+    
     /**
      * Maneja cambios en el estado del juego
      * @param {Object} data - Datos del cambio
@@ -614,79 +1534,147 @@ export class GameEngine {
     }
     
     /**
-     * Maneja el salto del jugador
-     * @param {Object} data - Datos del input
+     * Avisa de que el estado se ha restaurado desde una copia de seguridad
+     * @param {Object} data - Datos de la copia (savedAt, reason)
      */
-    handlePlayerJump(data) {
-        if (this.stateManager.getState() !== 'playing') return;
+    handleBackupRestored(data) {
+        const date = data.savedAt ? new Date(data.savedAt).toLocaleString('es-ES') : 'fecha desconocida';
         
-        console.log('🦘 Jugador intenta saltar');
-        
-        if (this.player.jumpsLeft > 0) {
-            this.player.velocity.y = this.physics.jumpForce * (this.player.gravityInverted ? -1 : 1);
-            this.player.jumpsLeft--;
-            this.player.onGround = false;
-            
-            console.log(`🦘 Salto ejecutado, saltos restantes: ${this.player.jumpsLeft}`);
-            
-            // Actualizar estadísticas
-            this.gameState.set('stats.jumps', this.gameState.get('stats.jumps') + 1);
-            
-            // Emitir evento
-            this.eventBus.emit('player:jumped', {
-                position: { ...this.player.position },
-                jumpsLeft: this.player.jumpsLeft
-            });
-        } else {
-            console.log('🚫 No hay saltos disponibles');
-        }
+        this.eventBus.emit('ui:show-notification', {
+            type: data.reason === 'manual' ? 'info' : 'warning',
+            message: data.reason === 'manual'
+                ? `Copia de seguridad del ${date} restaurada`
+                : `El guardado estaba dañado: se recuperó la copia del ${date}`,
+            duration: 5000
+        });
     }
     
     /**
-     * Maneja el dash del jugador
-     * @param {Object} data - Datos del input
+     * Avisa de que el guardado ha cambiado de backend de almacenamiento
+     * @param {Object} data - Datos del cambio (from, to, reason)
      */
-    handlePlayerDash(data) {
-        if (this.stateManager.getState() !== 'playing') return;
-        
-        console.log('⚡ Jugador intenta dash');
-        
-        if (this.player.dashAvailable) {
-            this.player.velocity.x = this.physics.dashForce;
-            this.player.dashAvailable = false;
-            this.player.dashCooldown = this.physics.dashDuration;
-            
-            console.log('⚡ Dash ejecutado');
-            
-            // Actualizar estadísticas
-            this.gameState.set('stats.dashes', this.gameState.get('stats.dashes') + 1);
-            
-            // Emitir evento
-            this.eventBus.emit('player:dashed', {
-                position: { ...this.player.position }
-            });
-        } else {
-            console.log('🚫 Dash no disponible');
+    handleStorageFallback(data) {
+        this.eventBus.emit('ui:show-notification', {
+            type: 'warning',
+            message: data.to === 'memory'
+                ? 'No hay almacenamiento disponible: el progreso no se guardará al cerrar el juego'
+                : 'El almacenamiento estaba lleno: el guardado se ha movido a otro almacenamiento',
+            duration: 5000
+        });
+    }
+    
+    /**
+     * Avisa de que la partida se ha guardado
+     * @param {Object} data - Datos del guardado {slot}
+     */
+    handleSaveSlotSaved(data) {
+        this.eventBus.emit('ui:show-notification', {
+            type: 'success',
+            message: `${SPANISH_TEXT.SAVES_SAVED}: ${data.slot.name}`,
+            duration: 3000
+        });
+    }
+    
+    /**
+     * Avisa de que la partida se ha cargado
+     * @param {Object} data - Datos de la carga {slot}
+     */
+    handleSaveSlotLoaded(data) {
+        this.eventBus.emit('ui:show-notification', {
+            type: 'success',
+            message: `${SPANISH_TEXT.SAVES_LOADED}: ${data.slot.name}`,
+            duration: 3000
+        });
+    }
+    
+    /**
+     * Avisa de un error al guardar, cargar o gestionar las partidas
+     * @param {Object} data - Datos del error {action, error}
+     */
+    handleSaveSlotError(data) {
+        this.eventBus.emit('ui:show-notification', {
+            type: 'error',
+            message: data.error,
+            duration: 4000
+        });
+    }
+    
+    /**
+     * Maneja la muerte del jugador
+     * @param {Object} data - Datos de la muerte
+     */
+    handlePlayerDied(data) {
+        this.gameData.deathCause = data.cause;
+        this.setLives(this.gameData.lives - 1);
+        
+        if (this.gameData.lives > 0) {
+            // Reaparecer tras una breve pausa, contada en ticks para que las repeticiones cuadren
+            this.respawnTimer = this.config.game?.respawnDelay ?? 800;
+            console.log(`💔 Vida perdida, quedan ${this.gameData.lives}`);
         }
+        
+        // GameState cuenta la muerte y, sin vidas, marca al jugador como muerto y dispara el game over
+        this.eventBus.emit('game:player-died', {
+            ...data,
+            lives: this.gameData.lives
+        });
     }
     
     /**
-     * Maneja el cambio de gravedad
-     * @param {Object} data - Datos del input
+     * Revive al jugador en el último checkpoint con invulnerabilidad temporal
      */
-    handlePlayerGravity(data) {
-        if (this.stateManager.getState() !== 'playing') return;
+    respawnPlayer() {
+        const respawnPoint = this.systems.world.getRespawnPoint();
         
-        console.log('🔄 Jugador cambia gravedad');
+        this.systems.player.respawn(
+            respawnPoint,
+            this.config.game?.respawnInvulnerability ?? 2000
+        );
         
-        this.player.gravityInverted = !this.player.gravityInverted;
+        this.eventBus.emit('game:player-respawned', {
+            position: respawnPoint,
+            lives: this.gameData.lives
+        });
+    }
+    
+    /**
+     * Suma una vida al recoger una vida extra (hasta maxLives)
+     * @param {Object} data - Datos de la vida extra
+     */
+    handleExtraLife(data) {
+        const maxLives = this.config.game?.maxLives ?? 5;
         
-        console.log(`🔄 Gravedad ${this.player.gravityInverted ? 'invertida' : 'normal'}`);
+        if (this.gameData.lives >= maxLives) {
+            console.log('❤️ Vida extra recogida con el máximo de vidas');
+            return;
+        }
         
-        // Emitir evento
-        this.eventBus.emit('player:gravity-changed', {
-            inverted: this.player.gravityInverted
+        this.setLives(this.gameData.lives + 1);
+        console.log(`❤️ Vida extra: ${this.gameData.lives}/${maxLives}`);
+    }
+    
+    /**
+     * Cambia el número de vidas y notifica a la UI
+     * @param {number} lives - Nuevas vidas
+     */
+    setLives(lives) {
+        const previous = this.gameData.lives;
+        this.gameData.lives = Math.max(0, lives);
+        
+        this.eventBus.emit('game:lives-changed', {
+            lives: this.gameData.lives,
+            previous,
+            maxLives: this.config.game?.maxLives ?? 5
         });
+        this.eventBus.emit('game:data-updated', this.gameData);
+    }
+    
+    /**
+     * Maneja la recogida de una moneda en el mundo
+     * @param {Object} data - Datos de la moneda
+     */
+    handleCoinCollected(data) {
+        this.eventBus.emit('game:coin-collected', data);
     }
     
     /**
@@ -694,6 +1682,9 @@ export class GameEngine {
      * @param {Object} data - Datos del input
      */
     handleGamePause(data) {
+        // Solo reaccionar al pulsar, no al soltar
+        if (data?.pressed === false) return;
+        
         console.log('⏸️ Jugador presiona pausa');
         this.togglePause();
     }
@@ -725,8 +1716,8 @@ export class GameEngine {
             this.deltaTime = (currentTime - this.lastTime) / 1000;
             this.lastTime = currentTime;
             
-            // Limitar delta time para evitar saltos grandes
-            this.deltaTime = Math.min(this.deltaTime, 1/30); // Max 30fps
+            // Limitar frames muy largos (pestaña oculta, breakpoints...)
+            this.deltaTime = Math.min(this.deltaTime, this.loop.maxFrameTime / 1000);
             
             // Actualizar FPS
             this.frameCount++;
@@ -768,30 +1759,26 @@ export class GameEngine {
     update(deltaTime) {
         const currentState = this.stateManager.getState();
         
-        // Solo actualizar si está jugando
-        if (currentState !== 'playing') return;
-        
-        // Actualizar tiempo de juego
-        this.gameData.time += deltaTime;
-        
-        // Actualizar sistemas
+        // Procesar input antes de simular (también en pausa: el mando se consulta
+        // en cada frame y su botón de pausa tiene que poder reanudar)
         if (this.systems.input) {
             this.systems.input.update(deltaTime);
         }
         
-        if (this.systems.rendering) {
-            this.systems.rendering.update(deltaTime);
-        }
+        // Solo actualizar si está jugando
+        if (currentState !== 'playing') return;
         
-        if (this.systems.ui) {
-            this.systems.ui.update(deltaTime);
-        }
+        // Simulación a paso fijo
+        this.runFixedSteps(deltaTime);
         
-        if (this.systems.debug) {
-            this.systems.debug.update(deltaTime);
-        }
+        // Actualizar sistemas con el factor de interpolación entre ticks
+        Object.entries(this.systems).forEach(([name, system]) => {
+            if (name !== 'input' && system && system.update) {
+                system.update(deltaTime, this.loop.alpha);
+            }
+        });
         
-        // Actualizar datos del juego (simulado por ahora)
+        // Actualizar datos del juego
         this.updateGameLogic(deltaTime);
         
         // Emitir evento de actualización
@@ -801,19 +1788,79 @@ export class GameEngine {
         });
     }
     
+    /**
+     * Consume el tiempo acumulado en ticks de duración fija
+     * @param {number} deltaTime - Delta time del frame en segundos
+     */
+    runFixedSteps(deltaTime) {
+        const loop = this.loop;
+        loop.accumulator += deltaTime * 1000;
+        
+        // Cada tick consume el input ocurrido hasta su parte del frame; el último
+        // recoge todo lo pendiente para no añadir latencia
+        const frameTime = performance.now();
+        
+        let steps = 0;
+        while (loop.accumulator >= loop.fixedDelta && steps < loop.maxStepsPerFrame) {
+            const remaining = loop.accumulator - loop.fixedDelta;
+            const lastStep = remaining < loop.fixedDelta || steps + 1 >= loop.maxStepsPerFrame;
+            loop.tickTime = lastStep ? Infinity : frameTime - remaining;
+            
+            this.fixedUpdate(loop.fixedDelta);
+            loop.accumulator -= loop.fixedDelta;
+            steps++;
+            
+            // Un tick puede terminar la partida (muerte del jugador)
+            if (this.stateManager.getState() !== 'playing') {
+                loop.accumulator = 0;
+                break;
+            }
+        }
+        
+        loop.tickTime = Infinity;
+        
+        // Evitar la espiral de la muerte: descartar el tiempo que no se pudo simular
+        if (loop.accumulator >= loop.fixedDelta) {
+            const remainder = loop.accumulator % loop.fixedDelta;
+            loop.droppedTime += loop.accumulator - remainder;
+            loop.accumulator = remainder;
+        }
+        
+        loop.alpha = loop.accumulator / loop.fixedDelta;
+    }
+    
+    /**
+     * Ejecuta un tick de simulación en todos los sistemas que lo soportan
+     * Los sistemas reciben también la hora real que alcanza el tick (el input la usa
+     * para repartir los eventos de un frame entre sus ticks).
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
+     */
+    fixedUpdate(fixedDelta) {
+        Object.values(this.systems).forEach(system => {
+            if (system && system.fixedUpdate) {
+                system.fixedUpdate(fixedDelta, this.loop.tickTime);
+            }
+        });
+        
+        this.loop.tick++;
+        this.gameData.time += fixedDelta / 1000;
+        
+        if (this.respawnTimer > 0) {
+            this.respawnTimer -= fixedDelta;
+            if (this.respawnTimer <= 0) {
+                this.respawnTimer = 0;
+                this.respawnPlayer();
+            }
+        }
+    }
+    
     /**
      * Actualiza la lógica del juego
      * @param {number} deltaTime - Delta time
      */
     updateGameLogic(deltaTime) {
-        // Actualizar física del jugador
-        this.updatePlayerPhysics(deltaTime);
-        
-        // Obtener estado actual del juego
-        const currentStats = this.gameState.get('stats');
-        
-        // Actualizar distancia y puntuación
-        const newDistance = currentStats.distance + (100 * deltaTime); // 100 unidades por segundo
+        // La distancia la mide el mundo a partir de la posición del jugador
+        const newDistance = this.systems.world.getState().distanceTraveled;
         const newScore = Math.floor(newDistance);
         
         // Actualizar estado centralizado
@@ -823,7 +1870,6 @@ export class GameEngine {
         // Mantener compatibilidad con gameData legacy
         this.gameData.distance = newDistance;
         this.gameData.score = newScore;
-        this.gameData.time += deltaTime;
         
         // Emitir eventos específicos
         this.eventBus.emit('game:distance-changed', { distance: newDistance });
@@ -834,94 +1880,11 @@ export class GameEngine {
         
         // Emitir estado del jugador para el renderizado
         this.eventBus.emit('player:state-updated', {
-            player: { ...this.player },
+            player: this.systems.player.getSnapshot(),
             gameData: { ...this.gameData }
         });
     }
     
-    /**
-     * Actualiza la física del jugador
-     * @param {number} deltaTime - Delta time
-     */
-    updatePlayerPhysics(deltaTime) {
-        // Aplicar gravedad
-        const gravityDirection = this.player.gravityInverted ? -1 : 1;
-        this.player.velocity.y += this.physics.gravity * gravityDirection * deltaTime * 60; // 60fps base
-        
-        // Aplicar velocidad a la posición
-        this.player.position.x += this.player.velocity.x * deltaTime * 60;
-        this.player.position.y += this.player.velocity.y * deltaTime * 60;
-        
-        // Fricción en X
-        this.player.velocity.x *= 0.95;
-        
-        // Verificar colisiones con el suelo y techo
-        this.checkGroundCollision();
-        
-        // Actualizar cooldowns
-        this.updatePlayerCooldowns(deltaTime);
-        
-        // Mantener al jugador en pantalla (X)
-        if (this.player.position.x < this.player.size / 2) {
-            this.player.position.x = this.player.size / 2;
-            this.player.velocity.x = 0;
-        }
-        
-        if (this.player.position.x > 1200 - this.player.size / 2) {
-            this.player.position.x = 1200 - this.player.size / 2;
-            this.player.velocity.x = 0;
-        }
-    }
-    
-    /**
-     * Verifica colisiones con el suelo y techo
-     */
-    checkGroundCollision() {
-        const halfSize = this.player.size / 2;
-        
-        if (!this.player.gravityInverted) {
-            // Gravedad normal - verificar suelo
-            if (this.player.position.y + halfSize >= this.physics.groundY) {
-                this.player.position.y = this.physics.groundY - halfSize;
-                this.player.velocity.y = 0;
-                this.player.onGround = true;
-                this.player.jumpsLeft = this.player.maxJumps; // Resetear saltos
-                this.player.dashAvailable = true; // Resetear dash
-            } else {
-                this.player.onGround = false;
-            }
-        } else {
-            // Gravedad invertida - verificar techo
-            if (this.player.position.y - halfSize <= this.physics.ceilingY) {
-                this.player.position.y = this.physics.ceilingY + halfSize;
-                this.player.velocity.y = 0;
-                this.player.onGround = true;
-                this.player.jumpsLeft = this.player.maxJumps; // Resetear saltos
-                this.player.dashAvailable = true; // Resetear dash
-            } else {
-                this.player.onGround = false;
-            }
-        }
-    }
-    
-    /**
-     * Actualiza los cooldowns del jugador
-     * @param {number} deltaTime - Delta time
-     */
-    updatePlayerCooldowns(deltaTime) {
-        // Cooldown del dash
-        if (this.player.dashCooldown > 0) {
-            this.player.dashCooldown -= deltaTime * 1000; // Convertir a ms
-            
-            if (this.player.dashCooldown <= 0) {
-                this.player.dashCooldown = 0;
-                if (this.player.onGround) {
-                    this.player.dashAvailable = true;
-                }
-            }
-        }
-    }
-    
     /**
      * Renderiza el juego
      * @param {number} deltaTime - Delta time
@@ -984,7 +1947,9 @@ export class GameEngine {
             fps: this.fps,
             frameCount: this.frameCount,
             deltaTime: this.deltaTime,
+            loop: { ...this.loop },
             gameData: this.gameData,
+            runSeed: { ...this.runSeed },
             systems: Object.keys(this.systems).reduce((acc, key) => {
                 acc[key] = this.systems[key] !== null;
                 return acc;
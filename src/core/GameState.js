@@ -3,6 +3,22 @@
  * @module GameState
  */
 
+import { PERSISTENCE_CONFIG } from '../config/PersistenceConfig.js';
+import { SaveMigrator } from './SaveMigrator.js';
+import { LZCodec } from '../utils/LZCodec.js';
+import { FallbackStorage } from './storage/FallbackStorage.js';
+import { normalizeKeyBindings, validateKeyBindings, validateTouchLayouts } from '../config/InputBindings.js';
+
+/**
+ * Cabecera de los guardados comprimidos (los no comprimidos empiezan por '{')
+ */
+const COMPRESSION_HEADER = 'SPLZ1:';
+
+/**
+ * Código del error de readSave para guardados de una versión más nueva
+ */
+const NEWER_VERSION_ERROR = 'newer-version';
+
 export class GameState {
     /**
      * Crea una nueva instancia del estado del juego
@@ -14,9 +30,55 @@ export class GameState {
         this.config = config;
         this.isInitialized = false;
         
-        // Clave para localStorage
+        // Clave del guardado principal
         this.storageKey = 'spikepulse-game-state';
         
+        // Backend de almacenamiento según PersistenceConfig.storage (se elige en el primer uso)
+        this.storageConfig = {
+            ...PERSISTENCE_CONFIG.storage,
+            ...config.persistence?.storage
+        };
+        this.storage = new FallbackStorage(this.storageConfig, (data) => {
+            this.eventBus.emit('gamestate:storage-fallback', {
+                ...data,
+                timestamp: Date.now()
+            });
+        });
+        
+        // Último dato conocido del almacenamiento (para las consultas síncronas)
+        this.hasSavedData = false;
+        this.backupCount = 0;
+        
+        // Migraciones de guardados de versiones anteriores
+        this.migrator = new SaveMigrator(config.persistence?.migration ?? PERSISTENCE_CONFIG.migration);
+        this.migrationBackupKey = config.persistence?.keys?.migrationBackup ?? PERSISTENCE_CONFIG.keys.migrationBackup;
+        
+        // Si el guardado es de una versión más nueva no se sobrescribe
+        this.saveBlocked = false;
+        
+        // Compresión de los guardados que superan el umbral
+        this.compressionConfig = {
+            ...PERSISTENCE_CONFIG.compression,
+            ...config.persistence?.compression
+        };
+        this.compressionStats = {
+            compressedSaves: 0,
+            lastOriginalSize: 0,
+            lastStoredSize: 0,
+            lastRatio: 1
+        };
+        
+        // Copias de seguridad rotativas del guardado
+        this.backupConfig = {
+            ...PERSISTENCE_CONFIG.backup,
+            ...config.persistence?.backup
+        };
+        this.backupKeyPrefix = config.persistence?.keys?.backupPrefix ?? PERSISTENCE_CONFIG.keys.backupPrefix;
+        this.lastBackupAt = 0;
+        
+        // Última recuperación desde una copia (para avisar al jugador)
+        this.lastRecovery = null;
+        
         // Estado del juego
         this.state = this.createInitialState();
         
@@ -47,6 +109,9 @@ export class GameState {
         try {
             console.log('🔧 Inicializando GameState...');
             
+            // Elegir el backend de almacenamiento
+            await this.storage.init();
+            
             // Cargar estado persistido si existe
             await this.loadPersistedState();
             
@@ -67,7 +132,7 @@ export class GameState {
             // Emitir evento de inicialización
             this.eventBus.emit('gamestate:initialized', {
                 state: this.getState(),
-                hasPersistentData: this.hasPersistentData()
+                hasPersistentData: this.hasSavedData
             });
             
         } catch (error) {
@@ -119,6 +184,7 @@ export class GameState {
                 coins: 0,
                 coinsCollected: 0,
                 deaths: 0,
+                deathCauses: {}, // Muertes por causa (spike, wall, moving-obstacle...)
                 startTime: 0,
                 playTime: 0,
                 bestDistance: 0,
@@ -127,6 +193,11 @@ export class GameState {
                 gamesPlayed: 0
             },
             
+            // Progreso en los niveles creados a mano (mejores tiempos en ms por id)
+            levels: {
+                bestTimes: {}
+            },
+            
             // Estado de la UI
             ui: {
                 currentScreen: 'menu',
@@ -152,17 +223,16 @@ export class GameState {
                     bloom: true
                 },
                 controls: {
-                    keyboard: {
-                        jump: 'Space',
-                        dash: 'ShiftLeft',
-                        gravity: 'ControlLeft',
-                        left: 'ArrowLeft',
-                        right: 'ArrowRight',
-                        pause: 'Escape'
-                    },
+                    // Teclas por acción (esquema de InputBindings)
+                    keyboard: normalizeKeyBindings(this.config.input?.keyboard?.bindings),
                     touch: {
                         enabled: true,
-                        sensitivity: 1.0
+                        sensitivity: 1.0,
+                        // Disposición de los controles en pantalla por orientación (null = por defecto)
+                        layouts: {
+                            landscape: null,
+                            portrait: null
+                        }
                     }
                 },
                 accessibility: {
@@ -174,7 +244,7 @@ export class GameState {
             
             // Metadatos
             meta: {
-                version: '1.0.0',
+                version: this.migrator.currentVersion,
                 lastSaved: Date.now(),
                 created: Date.now(),
                 sessionId: this.generateSessionId()
@@ -232,6 +302,12 @@ export class GameState {
             return { valid: true };
         });
         
+        // Validador para las teclas asignadas
+        this.addValidator('settings.controls.keyboard', (newValue, oldValue) => validateKeyBindings(newValue));
+        
+        // Validador para la disposición de los controles táctiles
+        this.addValidator('settings.controls.touch.layouts', (newValue, oldValue) => validateTouchLayouts(newValue));
+        
         console.log('✅ Validadores por defecto configurados');
     }
     
@@ -260,7 +336,7 @@ export class GameState {
         
         this.eventBus.on('game:distance-changed', (data) => {
             this.updateState('stats.distance', data.distance);
-            this.updateState('stats.distanceMeters', Math.floor(data.distance / 50)); // 50 pixels = 1 metro
+            this.updateState('stats.distanceMeters', Math.floor(data.distance)); // El mundo ya la mide en metros
         });
         
         this.eventBus.on('game:score-changed', (data) => {
@@ -272,9 +348,20 @@ export class GameState {
             this.updateState('stats.coinsCollected', this.state.stats.coinsCollected + 1);
         });
         
-        this.eventBus.on('game:player-died', () => {
+        this.eventBus.on('game:player-died', (data) => {
+            const cause = data?.cause || 'unknown';
+            const deathCauses = this.state.stats.deathCauses || {};
+            
             this.updateState('stats.deaths', this.state.stats.deaths + 1);
-            this.updateState('player.isAlive', false);
+            this.updateState('stats.deathCauses', {
+                ...deathCauses,
+                [cause]: (deathCauses[cause] || 0) + 1
+            });
+            
+            // Con vidas restantes el jugador reaparece en el último checkpoint
+            if (!(data?.lives > 0)) {
+                this.updateState('player.isAlive', false);
+            }
         });
         
         this.eventBus.on('game:started', () => {
@@ -396,10 +483,30 @@ export class GameState {
      */
     validateStateChange(path, newValue, oldValue) {
         // Buscar validador específico para esta ruta
-        const validator = this.findValidator(path);
+        const match = this.findValidator(path);
         
-        if (validator) {
-            const result = validator(newValue, oldValue);
+        if (match) {
+            const { validator, validatorPath } = match;
+            let result;
+            
+            if (validatorPath === path) {
+                result = validator(newValue, oldValue);
+            } else {
+                // Validador de una ruta padre: se valida el padre con el cambio aplicado
+                const parentOld = this.getStateValue(validatorPath);
+                const parentNew = JSON.parse(JSON.stringify(parentOld ?? {}));
+                const keys = path.slice(validatorPath.length + 1).split('.');
+                let target = parentNew;
+                for (let i = 0; i < keys.length - 1; i++) {
+                    if (typeof target[keys[i]] !== 'object' || target[keys[i]] === null) {
+                        target[keys[i]] = {};
+                    }
+                    target = target[keys[i]];
+                }
+                target[keys[keys.length - 1]] = newValue;
+                
+                result = validator(parentNew, parentOld);
+            }
             
             if (!result.valid) {
                 console.warn(`⚠️ Validación fallida para ${path}: ${result.error}`);
@@ -413,12 +520,12 @@ export class GameState {
     /**
      * Busca un validador para una ruta específica
      * @param {string} path - Ruta del estado
-     * @returns {Function|null} Validador encontrado
+     * @returns {Object|null} Validador encontrado y la ruta en la que está registrado
      */
     findValidator(path) {
         // Buscar validador exacto
         if (this.validators.has(path)) {
-            return this.validators.get(path);
+            return { validator: this.validators.get(path), validatorPath: path };
         }
         
         // Buscar validador de ruta padre
@@ -426,7 +533,7 @@ export class GameState {
         for (let i = pathParts.length - 1; i > 0; i--) {
             const parentPath = pathParts.slice(0, i).join('.');
             if (this.validators.has(parentPath)) {
-                return this.validators.get(parentPath);
+                return { validator: this.validators.get(parentPath), validatorPath: parentPath };
             }
         }
         
@@ -493,6 +600,40 @@ export class GameState {
         return this.updateState(path, value, options);
     }
     
+    /**
+     * Registra el tiempo de un nivel completado y guarda si es el mejor
+     * @param {string} levelId - Id del nivel
+     * @param {number} time - Tiempo en milisegundos
+     * @returns {Object} Mejor tiempo y si es un nuevo récord
+     */
+    recordLevelTime(levelId, time) {
+        const previousBest = this.getLevelBestTime(levelId);
+        const isNewBest = previousBest === null || time < previousBest;
+        
+        if (isNewBest) {
+            this.updateState('levels.bestTimes', {
+                ...this.state.levels.bestTimes,
+                [levelId]: time
+            });
+            console.log(`🏆 Nuevo mejor tiempo en ${levelId}: ${time.toFixed(0)}ms`);
+        }
+        
+        return {
+            bestTime: isNewBest ? time : previousBest,
+            previousBest,
+            isNewBest
+        };
+    }
+    
+    /**
+     * Obtiene el mejor tiempo de un nivel
+     * @param {string} levelId - Id del nivel
+     * @returns {number|null} Tiempo en milisegundos o null si no se ha completado
+     */
+    getLevelBestTime(levelId) {
+        return this.state.levels?.bestTimes?.[levelId] ?? null;
+    }
+    
     /**
      * Resetea el estado del juego
      * @param {boolean} keepSettings - Mantener configuraciones
@@ -507,10 +648,14 @@ export class GameState {
             totalPlayTime: this.state.stats.totalPlayTime,
             gamesPlayed: this.state.stats.gamesPlayed
         };
+        const oldLevels = this.state.levels;
         
         // Crear nuevo estado inicial
         this.state = this.createInitialState();
         
+        // Mantener el progreso de los niveles
+        this.state.levels = oldLevels;
+        
         // Restaurar configuraciones si se solicita
         if (keepSettings && oldSettings) {
             this.state.settings = oldSettings;
@@ -532,11 +677,11 @@ export class GameState {
     }
     
     /**
-     * Guarda el estado en localStorage
+     * Guarda el estado en el almacenamiento
      * @returns {boolean} True si fue exitoso
      */
     async saveState() {
-        if (!this.persistenceConfig.enabled) {
+        if (!this.persistenceConfig.enabled || this.saveBlocked) {
             return false;
         }
         
@@ -549,14 +694,40 @@ export class GameState {
                 }
             };
             
-            const serializedState = JSON.stringify(stateToSave);
-            localStorage.setItem(this.storageKey, serializedState);
+            const serializedState = this.serializeSave(stateToSave);
+            const { stored, compressed, ratio } = this.encodeStored(serializedState);
+            await this.storage.setItem(this.storageKey, stored);
             
-            console.log('💾 Estado guardado en localStorage');
+            // Releer lo escrito para detectar escrituras corruptas o truncadas
+            if (await this.storage.getItem(this.storageKey) !== stored) {
+                throw new Error('El guardado escrito no coincide con el estado');
+            }
+            this.hasSavedData = true;
+            
+            // Las estadísticas de compresión son solo del guardado principal (no de copias ni exportaciones)
+            this.compressionStats.lastOriginalSize = serializedState.length;
+            this.compressionStats.lastStoredSize = stored.length;
+            this.compressionStats.lastRatio = ratio;
+            if (compressed) {
+                this.compressionStats.compressedSaves++;
+            }
+            
+            const backend = this.storage.getBackendName();
+            console.log(compressed
+                ? `💾 Estado guardado en ${backend} (comprimido al ${Math.round(ratio * 100)}%)`
+                : `💾 Estado guardado en ${backend}`);
+            
+            // Copia de seguridad rotativa cada backupInterval
+            if (this.backupConfig.enabled && Date.now() - this.lastBackupAt >= this.backupConfig.backupInterval) {
+                await this.writeBackup(stored);
+            }
             
             // Emitir evento
             this.eventBus.emit('gamestate:saved', {
-                size: serializedState.length,
+                size: stored.length,
+                originalSize: serializedState.length,
+                compressed,
+                compressionRatio: ratio,
                 timestamp: Date.now()
             });
             
@@ -576,7 +747,7 @@ export class GameState {
     }
     
     /**
-     * Carga el estado desde localStorage
+     * Carga el estado desde el almacenamiento
      * @returns {boolean} True si fue exitoso
      */
     async loadState() {
@@ -585,25 +756,28 @@ export class GameState {
         }
         
         try {
-            const serializedState = localStorage.getItem(this.storageKey);
+            const serializedState = await this.storage.getItem(this.storageKey);
+            this.hasSavedData = serializedState !== null;
             
             if (!serializedState) {
                 console.log('📂 No hay estado guardado');
                 return false;
             }
             
-            const loadedState = JSON.parse(serializedState);
-            
-            // Validar estructura del estado cargado
-            if (!this.validateLoadedState(loadedState)) {
-                console.warn('⚠️ Estado cargado inválido, usando estado por defecto');
-                return false;
+            let loadedState;
+            try {
+                loadedState = await this.readSave(serializedState);
+            } catch (error) {
+                // Un guardado más nuevo no está dañado: no se sustituye por una copia antigua
+                if (error.code === NEWER_VERSION_ERROR) throw error;
+                
+                loadedState = await this.recoverFromBackup(error);
             }
             
             // Mergear con estado por defecto para asegurar compatibilidad
             this.state = this.mergeWithDefaultState(loadedState);
             
-            console.log('📂 Estado cargado desde localStorage');
+            console.log(`📂 Estado cargado desde ${this.storage.getBackendName()}`);
             
             // Emitir evento
             this.eventBus.emit('gamestate:loaded', {
@@ -616,6 +790,11 @@ export class GameState {
         } catch (error) {
             console.error('❌ Error cargando estado:', error);
             
+            // El guardado principal (o su copia) es más nuevo: no se sobrescribe con el estado por defecto
+            if (error.code === NEWER_VERSION_ERROR) {
+                this.saveBlocked = true;
+            }
+            
             // Emitir evento de error
             this.eventBus.emit('gamestate:load-error', {
                 error: error.message,
@@ -626,10 +805,353 @@ export class GameState {
         }
     }
     
+    /**
+     * Serializa un estado con su checksum
+     * @param {Object} state - Estado a guardar
+     * @returns {string} Guardado {checksum, savedAt, data} en JSON
+     */
+    serializeSave(state) {
+        const data = JSON.stringify(state);
+        
+        return JSON.stringify({
+            checksum: this.computeChecksum(data),
+            savedAt: Date.now(),
+            data
+        });
+    }
+    
+    /**
+     * Comprime el guardado si supera el umbral y la compresión lo reduce
+     * @param {string} serializedState - Guardado en JSON
+     * @returns {Object} {stored, compressed, ratio} con ratio = tamaño guardado / original
+     */
+    encodeStored(serializedState) {
+        let stored = serializedState;
+        
+        if (this.compressionConfig.enabled && serializedState.length > this.compressionConfig.threshold) {
+            const compressedState = COMPRESSION_HEADER + LZCodec.compress(serializedState);
+            if (compressedState.length < serializedState.length) {
+                stored = compressedState;
+            }
+        }
+        
+        return {
+            stored,
+            compressed: stored !== serializedState,
+            ratio: stored.length / serializedState.length
+        };
+    }
+    
+    /**
+     * Descomprime un guardado si lleva la cabecera de compresión
+     * @param {string} stored - Guardado tal como está en el almacenamiento
+     * @returns {string} Guardado en JSON
+     */
+    decodeStored(stored) {
+        return stored.startsWith(COMPRESSION_HEADER)
+            ? LZCodec.decompress(stored.slice(COMPRESSION_HEADER.length))
+            : stored;
+    }
+    
+    /**
+     * Lee un guardado: comprueba el checksum, lo migra y valida su estructura
+     * @param {string} serializedState - Guardado en JSON
+     * @returns {Object} Estado cargado
+     * @throws {Error} Si el guardado está dañado, es inválido o de una versión más nueva
+     */
+    async readSave(serializedState) {
+        const parsed = JSON.parse(this.decodeStored(serializedState));
+        let loadedState = parsed;
+        
+        // Los guardados anteriores a los checksums son el estado directamente
+        if (parsed && typeof parsed.data === 'string' && typeof parsed.checksum === 'string') {
+            if (this.computeChecksum(parsed.data) !== parsed.checksum) {
+                throw new Error('El checksum del guardado no coincide');
+            }
+            loadedState = JSON.parse(parsed.data);
+        }
+        
+        // Un guardado más nuevo no se carga (loadState además bloquea el guardado)
+        if (this.migrator.isNewer(loadedState)) {
+            const error = new Error(`Guardado de una versión más nueva (${this.migrator.getVersion(loadedState)}) que la del juego (${this.migrator.currentVersion})`);
+            error.code = NEWER_VERSION_ERROR;
+            throw error;
+        }
+        
+        if (this.migrator.needsMigration(loadedState)) {
+            loadedState = await this.migrateLoadedState(loadedState, serializedState);
+        }
+        
+        // Validar estructura del estado cargado
+        if (!this.validateLoadedState(loadedState)) {
+            throw new Error('Estructura del guardado inválida');
+        }
+        
+        return loadedState;
+    }
+    
+    /**
+     * Calcula el checksum de un texto (FNV-1a de 32 bits y longitud)
+     * @param {string} text - Texto
+     * @returns {string} Checksum en hexadecimal
+     */
+    computeChecksum(text) {
+        let hash = 0x811C9DC5;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return `${text.length.toString(16)}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+    
+    // ===== COPIAS DE SEGURIDAD =====
+    
+    /**
+     * Escribe una copia de seguridad en la ranura más antigua (o en una libre)
+     * @param {string} serializedState - Guardado con checksum
+     * @returns {number} Ranura usada, o -1 si falló
+     */
+    async writeBackup(serializedState) {
+        try {
+            const backups = await this.listBackups();
+            const used = new Set(backups.map(backup => backup.slot));
+            
+            let slot = -1;
+            for (let i = 0; i < this.backupConfig.maxBackups; i++) {
+                if (!used.has(i)) {
+                    slot = i;
+                    break;
+                }
+            }
+            
+            // Sin ranuras libres se reemplaza la dañada o, si no hay, la más antigua
+            if (slot === -1) {
+                const target = backups.find(backup => !backup.valid) ||
+                    backups.reduce((oldest, backup) => (backup.savedAt < oldest.savedAt ? backup : oldest));
+                slot = target.slot;
+            }
+            
+            await this.storage.setItem(`${this.backupKeyPrefix}-${slot}`, serializedState);
+            this.lastBackupAt = Date.now();
+            if (!used.has(slot)) {
+                this.backupCount = backups.length + 1;
+            }
+            
+            console.log(`🗂️ Copia de seguridad guardada en la ranura ${slot}`);
+            return slot;
+            
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar la copia de seguridad:', error);
+            return -1;
+        }
+    }
+    
+    /**
+     * Crea ahora una copia de seguridad del estado actual
+     * @returns {number} Ranura usada, o -1 si falló
+     */
+    async createBackup() {
+        return this.writeBackup(this.encodeStored(this.serializeSave(this.getState())).stored);
+    }
+    
+    /**
+     * Lista las copias de seguridad, la más reciente primero
+     * @returns {Array} Copias {slot, savedAt, version, size, valid, error}
+     */
+    async listBackups() {
+        const backups = [];
+        
+        for (let slot = 0; slot < this.backupConfig.maxBackups; slot++) {
+            const serializedState = await this.storage.getItem(`${this.backupKeyPrefix}-${slot}`);
+            if (!serializedState) continue;
+            
+            const backup = { slot, savedAt: 0, version: null, size: serializedState.length, valid: false, error: null };
+            
+            try {
+                const parsed = JSON.parse(this.decodeStored(serializedState));
+                backup.savedAt = parsed.savedAt || 0;
+                
+                if (this.computeChecksum(parsed.data) !== parsed.checksum) {
+                    throw new Error('El checksum de la copia no coincide');
+                }
+                
+                backup.version = this.migrator.getVersion(JSON.parse(parsed.data));
+                backup.valid = true;
+            } catch (error) {
+                backup.error = error.message;
+            }
+            
+            backups.push(backup);
+        }
+        
+        this.backupCount = backups.length;
+        
+        return backups.sort((a, b) => b.savedAt - a.savedAt);
+    }
+    
+    /**
+     * Recupera el estado desde la copia válida más reciente
+     * @param {Error} loadError - Error del guardado principal
+     * @returns {Object} Estado recuperado
+     * @throws {Error} El error original si no hay ninguna copia válida
+     */
+    async recoverFromBackup(loadError) {
+        console.warn('⚠️ Guardado principal dañado, buscando copia de seguridad:', loadError.message);
+        
+        for (const backup of await this.listBackups()) {
+            if (!backup.valid) continue;
+            
+            try {
+                const state = await this.readSave(await this.storage.getItem(`${this.backupKeyPrefix}-${backup.slot}`));
+                
+                this.lastRecovery = {
+                    slot: backup.slot,
+                    savedAt: backup.savedAt,
+                    reason: loadError.message
+                };
+                
+                console.log(`♻️ Estado recuperado de la copia de la ranura ${backup.slot}`);
+                this.eventBus.emit('gamestate:backup-restored', {
+                    ...this.lastRecovery,
+                    timestamp: Date.now()
+                });
+                
+                return state;
+                
+            } catch (error) {
+                if (error.code === NEWER_VERSION_ERROR) throw error;
+                console.warn(`⚠️ Copia de la ranura ${backup.slot} inválida:`, error.message);
+            }
+        }
+        
+        throw loadError;
+    }
+    
+    /**
+     * Restaura una copia de seguridad concreta y la guarda como estado principal
+     * @param {number} slot - Ranura de la copia
+     * @returns {boolean} True si se restauró
+     */
+    async restoreBackup(slot) {
+        try {
+            const serializedState = await this.storage.getItem(`${this.backupKeyPrefix}-${slot}`);
+            if (!serializedState) {
+                throw new Error(`No hay copia de seguridad en la ranura ${slot}`);
+            }
+            
+            const backup = (await this.listBackups()).find(other => other.slot === slot);
+            this.state = this.mergeWithDefaultState(await this.readSave(serializedState));
+            this.lastRecovery = {
+                slot,
+                savedAt: backup?.savedAt ?? 0,
+                reason: 'manual'
+            };
+            
+            await this.saveState();
+            
+            console.log(`♻️ Copia de seguridad de la ranura ${slot} restaurada`);
+            this.eventBus.emit('gamestate:backup-restored', {
+                ...this.lastRecovery,
+                timestamp: Date.now()
+            });
+            this.eventBus.emit('gamestate:loaded', {
+                timestamp: Date.now(),
+                lastSaved: this.state.meta.lastSaved
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error restaurando copia de seguridad:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Exporta el estado actual en el formato del guardado (checksum y compresión)
+     * @returns {string} Guardado listo para almacenar en otra clave
+     */
+    exportSave() {
+        const serializedState = this.serializeSave({
+            ...this.state,
+            meta: {
+                ...this.state.meta,
+                lastSaved: Date.now()
+            }
+        });
+        
+        return this.encodeStored(serializedState).stored;
+    }
+    
+    /**
+     * Sustituye el estado por uno exportado con exportSave y lo guarda como principal
+     * @param {string} stored - Guardado exportado
+     * @throws {Error} Si el guardado está dañado, es inválido o de una versión más nueva
+     */
+    async importSave(stored) {
+        this.state = this.mergeWithDefaultState(await this.readSave(stored));
+        
+        await this.saveState();
+        
+        this.eventBus.emit('gamestate:loaded', {
+            timestamp: Date.now(),
+            lastSaved: this.state.meta.lastSaved
+        });
+    }
+    
+    /**
+     * Aplica las migraciones pendientes a un estado cargado
+     * @param {Object} loadedState - Estado cargado
+     * @param {string} serializedState - Guardado original, que se respalda antes de migrar
+     * @returns {Object} Estado migrado
+     */
+    async migrateLoadedState(loadedState, serializedState) {
+        const fromVersion = this.migrator.getVersion(loadedState);
+        
+        // Respaldo del guardado tal cual estaba antes de migrar
+        await this.storage.setItem(this.migrationBackupKey, JSON.stringify({
+            version: fromVersion,
+            backedUpAt: Date.now(),
+            data: serializedState
+        }));
+        
+        const { state, applied } = this.migrator.migrate(loadedState);
+        
+        for (const migration of applied) {
+            console.log(`🔀 Guardado migrado de ${migration.from} a ${migration.to}`);
+            
+            this.eventBus.emit('gamestate:migrated', {
+                ...migration,
+                timestamp: Date.now()
+            });
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Obtiene el respaldo del guardado anterior a la última migración
+     * @returns {Object|null} Respaldo {version, backedUpAt, data} o null
+     */
+    async getMigrationBackup() {
+        try {
+            const json = await this.storage.getItem(this.migrationBackupKey);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.warn('⚠️ Respaldo de migración inválido:', error);
+            return null;
+        }
+    }
+    
     /**
      * Carga el estado persistido durante la inicialización
      */
     async loadPersistedState() {
+        // El intervalo de copias cuenta desde la última copia, aunque sea de otra sesión
+        this.lastBackupAt = (await this.listBackups())[0]?.savedAt || 0;
+        
         const loaded = await this.loadState();
         
         if (!loaded) {
@@ -690,17 +1212,20 @@ export class GameState {
      * Verifica si hay datos persistentes
      * @returns {boolean} True si hay datos guardados
      */
-    hasPersistentData() {
-        return localStorage.getItem(this.storageKey) !== null;
+    async hasPersistentData() {
+        this.hasSavedData = await this.storage.getItem(this.storageKey) !== null;
+        return this.hasSavedData;
     }
     
     /**
      * Elimina los datos persistentes
      * @returns {boolean} True si fue exitoso
      */
-    clearPersistedData() {
+    async clearPersistedData() {
         try {
-            localStorage.removeItem(this.storageKey);
+            await this.storage.removeItem(this.storageKey);
+            this.hasSavedData = false;
+            this.saveBlocked = false;
             console.log('🗑️ Datos persistentes eliminados');
             
             // Emitir evento
@@ -774,8 +1299,14 @@ export class GameState {
             stateSize: JSON.stringify(this.state).length,
             changeHistorySize: this.changeHistory.length,
             validatorsCount: this.validators.size,
-            hasPersistentData: this.hasPersistentData(),
+            hasPersistentData: this.hasSavedData,
+            storageBackend: this.storage.getBackendName(),
             autoSaveEnabled: this.persistenceConfig.autoSave,
+            compression: {
+                enabled: this.compressionConfig.enabled,
+                threshold: this.compressionConfig.threshold,
+                ...this.compressionStats
+            },
             lastSaved: this.state.meta.lastSaved,
             sessionId: this.state.meta.sessionId
         };
@@ -791,6 +1322,11 @@ export class GameState {
             recentChanges: this.changeHistory.slice(-10),
             validators: Array.from(this.validators.keys()),
             persistenceConfig: this.persistenceConfig,
+            saveVersion: this.state.meta.version,
+            saveBlocked: this.saveBlocked,
+            storage: this.storage.getDebugInfo(),
+            backups: this.backupCount,
+            lastRecovery: this.lastRecovery,
             currentState: {
                 player: this.state.player,
                 stats: this.state.stats,
@@ -0,0 +1,126 @@
+/**
+ * Migraciones de versiones del guardado de Spikepulse
+ * @module SaveMigrator
+ */
+
+/**
+ * Versión que se asume para guardados sin meta.version (anteriores al versionado)
+ */
+const UNVERSIONED = '0.0.0';
+
+export class SaveMigrator {
+    /**
+     * Crea un nuevo migrador de guardados
+     * @param {Object} migrationConfig - Configuración {enabled, currentVersion, migrations}
+     */
+    constructor(migrationConfig = {}) {
+        this.enabled = migrationConfig.enabled ?? true;
+        this.currentVersion = migrationConfig.currentVersion || '1.0.0';
+
+        // Migraciones ordenadas por la versión que producen
+        this.migrations = Object.entries(migrationConfig.migrations || {})
+            .map(([version, transform]) => ({ version, transform }))
+            .sort((a, b) => SaveMigrator.compareVersions(a.version, b.version));
+    }
+
+    /**
+     * Compara dos versiones semánticas (x.y.z)
+     * @param {string} a - Primera versión
+     * @param {string} b - Segunda versión
+     * @returns {number} Negativo si a < b, 0 si son iguales, positivo si a > b
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        const length = Math.max(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return difference;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Obtiene la versión de un guardado
+     * @param {Object} state - Estado guardado
+     * @returns {string} Versión del guardado
+     */
+    getVersion(state) {
+        const version = state?.meta?.version;
+        return typeof version === 'string' && version.trim() !== '' ? version : UNVERSIONED;
+    }
+
+    /**
+     * Indica si un guardado es de una versión más nueva que la del juego
+     * @param {Object} state - Estado guardado
+     * @returns {boolean} True si no se puede cargar
+     */
+    isNewer(state) {
+        return SaveMigrator.compareVersions(this.getVersion(state), this.currentVersion) > 0;
+    }
+
+    /**
+     * Obtiene las migraciones que faltan por aplicar a un guardado
+     * @param {Object} state - Estado guardado
+     * @returns {Array} Migraciones {version, transform} en orden
+     */
+    getPendingMigrations(state) {
+        if (!this.enabled) return [];
+
+        const version = this.getVersion(state);
+
+        return this.migrations.filter(migration =>
+            SaveMigrator.compareVersions(migration.version, version) > 0 &&
+            SaveMigrator.compareVersions(migration.version, this.currentVersion) <= 0
+        );
+    }
+
+    /**
+     * Indica si un guardado necesita migrarse
+     * @param {Object} state - Estado guardado
+     * @returns {boolean} True si su versión es anterior a la actual
+     */
+    needsMigration(state) {
+        return SaveMigrator.compareVersions(this.getVersion(state), this.currentVersion) < 0;
+    }
+
+    /**
+     * Aplica en orden las migraciones pendientes a un guardado
+     * @param {Object} state - Estado guardado (no se modifica)
+     * @returns {Object} Resultado {state, applied: [{from, to}]}
+     * @throws {Error} Si el guardado es de una versión más nueva o una migración falla
+     */
+    migrate(state) {
+        const fromVersion = this.getVersion(state);
+
+        if (this.isNewer(state)) {
+            throw new Error(`El guardado es de una versión más nueva (${fromVersion}) que la del juego (${this.currentVersion})`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(state));
+        let version = fromVersion;
+        const applied = [];
+
+        for (const migration of this.getPendingMigrations(state)) {
+            try {
+                migrated = migration.transform(migrated) ?? migrated;
+            } catch (error) {
+                throw new Error(`Error migrando el guardado de ${version} a ${migration.version}: ${error.message}`);
+            }
+
+            migrated.meta = { ...migrated.meta, version: migration.version };
+            applied.push({ from: version, to: migration.version });
+            version = migration.version;
+        }
+
+        // Sin migraciones hasta la versión actual basta con actualizar la versión
+        if (SaveMigrator.compareVersions(version, this.currentVersion) < 0) {
+            migrated.meta = { ...migrated.meta, version: this.currentVersion };
+            applied.push({ from: version, to: this.currentVersion });
+        }
+
+        return { state: migrated, applied };
+    }
+}
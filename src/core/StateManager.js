@@ -81,6 +81,16 @@ export class StateManager {
                 onEnter: () => console.log('💀 Game Over'),
                 onExit: () => console.log('🔄 Saliendo de Game Over')
             },
+            {
+                name: 'level-complete',
+                onEnter: () => console.log('🏁 Nivel completado'),
+                onExit: () => console.log('🏁 Saliendo de nivel completado')
+            },
+            {
+                name: 'editor',
+                onEnter: () => console.log('🛠️ Editor de niveles'),
+                onExit: () => console.log('🛠️ Saliendo del editor')
+            },
             {
                 name: 'loading',
                 onEnter: () => console.log('⏳ Cargando...'),
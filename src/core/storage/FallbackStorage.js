@@ -0,0 +1,244 @@
+/**
+ * Almacenamiento con backends en cascada para la persistencia de Spikepulse
+ * @module FallbackStorage
+ *
+ * Usa el primer backend de la lista que esté disponible y tenga espacio. Si una
+ * escritura supera la cuota, mueve los datos al siguiente backend persistente
+ * disponible y sigue desde allí; si no hay ninguno, la escritura falla y los
+ * datos se quedan donde estaban. Si al empezar no hay ningún backend se usa la
+ * memoria (sin persistencia).
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+import { FileSystemStorageAdapter } from './FileSystemStorageAdapter.js';
+
+/**
+ * Backends disponibles por nombre
+ */
+const BACKENDS = {
+    localStorage: (config) => new LocalStorageAdapter(config.localStorage),
+    indexedDB: (config) => new IndexedDBAdapter(config.indexedDB),
+    memory: (config) => new MemoryStorageAdapter(config.memory),
+    fileSystem: (config) => new FileSystemStorageAdapter(config.fileSystem)
+};
+
+export class FallbackStorage {
+    /**
+     * Crea un nuevo almacenamiento en cascada
+     * @param {Object} storageConfig - Configuración {backends, keyPrefix, minFreeSpace, ...opciones por backend}
+     * @param {Function} onFallback - Se llama con {from, to, reason} al cambiar de backend
+     */
+    constructor(storageConfig = {}, onFallback = null) {
+        this.config = storageConfig;
+        this.onFallback = onFallback;
+
+        // Prefijo de las claves propias (las que se mueven al cambiar de backend)
+        this.keyPrefix = storageConfig.keyPrefix ?? '';
+
+        // Espacio libre mínimo para elegir un backend que informa de su cuota
+        this.minFreeSpace = storageConfig.minFreeSpace ?? 0;
+
+        // Backends por orden de preferencia, sin repetir
+        this.backendNames = [...new Set(storageConfig.backends || ['localStorage', 'memory'])];
+
+        this.adapter = null;
+        this.rejected = [];
+        this.ready = null;
+    }
+
+    /**
+     * Elige el backend activo (una sola vez aunque se llame varias)
+     */
+    async init() {
+        this.ready = this.ready || this.selectBackend();
+        await this.ready;
+    }
+
+    /**
+     * Elige el primer backend disponible, o el que ya tenga los datos
+     */
+    async selectBackend() {
+        const available = [];
+
+        for (const name of this.backendNames) {
+            const adapter = await this.createUsableAdapter(name);
+            if (adapter) {
+                available.push(adapter);
+            }
+        }
+
+        // Tras un cambio por cuota los datos están en un backend posterior:
+        // se prefiere el primero que ya tenga datos propios
+        for (const adapter of available) {
+            if ((await this.getOwnKeys(adapter)).length > 0) {
+                this.adapter = adapter;
+                break;
+            }
+        }
+
+        this.adapter = this.adapter || available[0] || null;
+
+        if (!this.adapter) {
+            console.warn('⚠️ Ningún backend de almacenamiento disponible, los datos no persistirán');
+            this.adapter = new MemoryStorageAdapter();
+        }
+
+        console.log(`🗄️ Almacenamiento: ${this.adapter.name}`);
+    }
+
+    /**
+     * Crea un backend y comprueba que se puede usar
+     * @param {string} name - Nombre del backend
+     * @returns {StorageAdapter|null} Backend, o null si no está disponible o le falta espacio
+     */
+    async createUsableAdapter(name) {
+        const create = BACKENDS[name];
+        if (!create) {
+            console.warn(`⚠️ Backend de almacenamiento desconocido: ${name}`);
+            this.rejected.push({ name, reason: 'desconocido' });
+            return null;
+        }
+
+        const adapter = create(this.config);
+
+        if (!(await adapter.isAvailable())) {
+            this.rejected.push({ name, reason: 'no disponible' });
+            return null;
+        }
+
+        const freeSpace = await adapter.getFreeSpace().catch(() => null);
+        if (freeSpace !== null && freeSpace < this.minFreeSpace) {
+            this.rejected.push({ name, reason: 'sin espacio' });
+            return null;
+        }
+
+        return adapter;
+    }
+
+    /**
+     * Obtiene las claves propias de un backend
+     * @param {StorageAdapter} adapter - Backend
+     * @returns {Array<string>} Claves con el prefijo configurado
+     */
+    async getOwnKeys(adapter) {
+        try {
+            const keys = await adapter.keys();
+            return keys.filter(key => key.startsWith(this.keyPrefix));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Nombre del backend activo
+     * @returns {string|null} Nombre del backend
+     */
+    getBackendName() {
+        return this.adapter?.name ?? null;
+    }
+
+    /**
+     * Obtiene el backend activo, eligiéndolo si aún no se ha hecho
+     * @returns {StorageAdapter} Backend activo
+     */
+    async getAdapter() {
+        await this.init();
+        return this.adapter;
+    }
+
+    async getItem(key) {
+        return (await this.getAdapter()).getItem(key);
+    }
+
+    /**
+     * Escribe un valor; si se supera la cuota cambia de backend y reintenta
+     * @param {string} key - Clave
+     * @param {string} value - Valor
+     */
+    async setItem(key, value) {
+        const adapter = await this.getAdapter();
+
+        try {
+            await adapter.setItem(key, value);
+        } catch (error) {
+            if (!StorageAdapter.isQuotaError(error) || !(await this.switchToNextBackend(error.message))) {
+                throw error;
+            }
+
+            await this.adapter.setItem(key, value);
+        }
+    }
+
+    async removeItem(key) {
+        return (await this.getAdapter()).removeItem(key);
+    }
+
+    async keys() {
+        return (await this.getAdapter()).keys();
+    }
+
+    /**
+     * Mueve los datos propios al siguiente backend persistente disponible de la lista
+     * @param {string} reason - Motivo del cambio
+     * @returns {boolean} True si se cambió de backend
+     */
+    async switchToNextBackend(reason) {
+        const from = this.adapter;
+        const index = this.backendNames.indexOf(from.name);
+
+        for (const name of this.backendNames.slice(index + 1)) {
+            const to = await this.createUsableAdapter(name);
+            if (!to) continue;
+
+            // Un backend que no persiste perdería los datos al recargar: mejor que la escritura falle
+            if (!to.persistent) {
+                console.warn(`⚠️ ${name} no persiste, los datos se quedan en ${from.name}`);
+                continue;
+            }
+
+            try {
+                const keys = await this.getOwnKeys(from);
+
+                for (const key of keys) {
+                    const value = await from.getItem(key);
+                    await to.setItem(key, value);
+
+                    if (await to.getItem(key) !== value) {
+                        throw new Error(`La copia de ${key} no coincide`);
+                    }
+                }
+
+                // Con todo confirmado en el nuevo, liberar el lleno para que la próxima sesión use el nuevo
+                for (const key of keys) {
+                    await from.removeItem(key).catch(() => {});
+                }
+            } catch (error) {
+                console.warn(`⚠️ No se pudieron mover los datos a ${name}:`, error);
+                continue;
+            }
+
+            this.adapter = to;
+            console.warn(`⚠️ Almacenamiento cambiado de ${from.name} a ${to.name}: ${reason}`);
+            this.onFallback?.({ from: from.name, to: to.name, reason });
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            backend: this.getBackendName(),
+            backends: this.backendNames,
+            rejected: this.rejected
+        };
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Backend de almacenamiento en archivos para Node (pruebas y herramientas)
+ * @module FileSystemStorageAdapter
+ *
+ * Cada clave es un archivo del directorio configurado. Los módulos de Node se
+ * importan al inicializar, así que en el navegador el backend simplemente no
+ * está disponible.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class FileSystemStorageAdapter extends StorageAdapter {
+    /**
+     * Crea un nuevo adaptador de archivos
+     * @param {Object} options - Opciones {directory}
+     */
+    constructor(options = {}) {
+        super('fileSystem', options);
+
+        this.directory = options.directory || '.spikepulse-data';
+        this.fs = null;
+        this.path = null;
+    }
+
+    /**
+     * Carga los módulos de Node y crea el directorio
+     */
+    async init() {
+        if (this.fs) return;
+
+        const [fs, path] = await Promise.all([
+            import('node:fs/promises'),
+            import('node:path')
+        ]);
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        this.fs = fs;
+        this.path = path;
+    }
+
+    /**
+     * Ruta del archivo de una clave
+     * @param {string} key - Clave
+     * @returns {string} Ruta
+     */
+    getFilePath(key) {
+        return this.path.join(this.directory, `${encodeURIComponent(key)}.dat`);
+    }
+
+    async getItem(key) {
+        await this.init();
+
+        try {
+            return await this.fs.readFile(this.getFilePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async setItem(key, value) {
+        await this.init();
+
+        // Escribir en un temporal y renombrar para no dejar archivos a medias
+        const filePath = this.getFilePath(key);
+        const tempPath = `${filePath}.tmp`;
+
+        await this.fs.writeFile(tempPath, String(value), 'utf8');
+        await this.fs.rename(tempPath, filePath);
+    }
+
+    async removeItem(key) {
+        await this.init();
+        await this.fs.rm(this.getFilePath(key), { force: true });
+    }
+
+    async keys() {
+        await this.init();
+
+        const files = await this.fs.readdir(this.directory);
+        return files
+            .filter(file => file.endsWith('.dat'))
+            .map(file => decodeURIComponent(file.slice(0, -'.dat'.length)));
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Backend de almacenamiento sobre IndexedDB (más cuota que localStorage)
+ * @module IndexedDBAdapter
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class IndexedDBAdapter extends StorageAdapter {
+    /**
+     * Crea un nuevo adaptador de IndexedDB
+     * @param {Object} options - Opciones {databaseName, storeName}
+     */
+    constructor(options = {}) {
+        super('indexedDB', options);
+
+        this.databaseName = options.databaseName || 'spikepulse';
+        this.storeName = options.storeName || 'saves';
+        this.db = null;
+    }
+
+    /**
+     * Abre la base de datos y crea el almacén si no existe
+     */
+    async init() {
+        if (this.db) return;
+
+        if (typeof indexedDB === 'undefined' || indexedDB === null) {
+            throw new Error('IndexedDB no está disponible');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Apertura de IndexedDB bloqueada'));
+        });
+    }
+
+    /**
+     * Estima el espacio libre del origen
+     * @returns {number|null} Bytes libres, o null si el navegador no lo informa
+     */
+    async getFreeSpace() {
+        if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+            return null;
+        }
+
+        const { quota, usage } = await navigator.storage.estimate();
+        return typeof quota === 'number' ? quota - (usage || 0) : null;
+    }
+
+    /**
+     * Ejecuta una petición sobre el almacén
+     * @param {string} mode - 'readonly' o 'readwrite'
+     * @param {Function} createRequest - Recibe el almacén y devuelve la petición
+     * @returns {*} Resultado de la petición
+     */
+    async request(mode, createRequest) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+
+            // Las escrituras se dan por buenas cuando la transacción se confirma
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transacción de IndexedDB abortada'));
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.request('readwrite', store => store.put(String(value), key));
+    }
+
+    async removeItem(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    /**
+     * Cierra la base de datos
+     */
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
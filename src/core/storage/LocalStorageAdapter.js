@@ -0,0 +1,45 @@
+/**
+ * Backend de almacenamiento sobre localStorage
+ * @module LocalStorageAdapter
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * Crea un nuevo adaptador de localStorage
+     * @param {Object} options - Opciones del backend
+     */
+    constructor(options = {}) {
+        super('localStorage', options);
+    }
+
+    /**
+     * Comprueba que localStorage existe (en modo privado puede lanzar al acceder o escribir)
+     */
+    async init() {
+        if (typeof localStorage === 'undefined' || localStorage === null) {
+            throw new Error('localStorage no está disponible');
+        }
+    }
+
+    async getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+}
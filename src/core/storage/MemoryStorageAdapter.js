@@ -0,0 +1,36 @@
+/**
+ * Backend de almacenamiento en memoria (no persiste entre sesiones)
+ * @module MemoryStorageAdapter
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * Crea un nuevo adaptador en memoria
+     * @param {Object} options - Opciones del backend
+     */
+    constructor(options = {}) {
+        super('memory', options);
+
+        this.persistent = false;
+
+        this.items = new Map();
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.items.keys());
+    }
+}
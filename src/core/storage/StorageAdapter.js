@@ -0,0 +1,107 @@
+/**
+ * Interfaz común de los backends de almacenamiento de Spikepulse
+ * @module StorageAdapter
+ *
+ * Todos los métodos son asíncronos para que IndexedDB y el sistema de archivos
+ * compartan la interfaz con localStorage y la memoria. Los valores son cadenas.
+ */
+
+/**
+ * Clave de prueba que se escribe para comprobar la disponibilidad
+ */
+export const PROBE_KEY = '__spikepulse-storage-probe__';
+
+export class StorageAdapter {
+    /**
+     * Crea un nuevo adaptador
+     * @param {string} name - Nombre del backend (el usado en PersistenceConfig.storage.backends)
+     * @param {Object} options - Opciones del backend
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+
+        // Si los datos sobreviven al cierre del juego
+        this.persistent = true;
+    }
+
+    /**
+     * Prepara el backend (abrir la base de datos, crear el directorio...)
+     */
+    async init() {
+        // Sin preparación por defecto
+    }
+
+    /**
+     * Comprueba que el backend existe y admite escrituras
+     * @returns {boolean} True si se puede usar
+     */
+    async isAvailable() {
+        try {
+            await this.init();
+            await this.setItem(PROBE_KEY, PROBE_KEY);
+            const value = await this.getItem(PROBE_KEY);
+            await this.removeItem(PROBE_KEY);
+            return value === PROBE_KEY;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Estima el espacio libre del backend
+     * @returns {number|null} Bytes libres, o null si el backend no lo sabe
+     */
+    async getFreeSpace() {
+        return null;
+    }
+
+    /**
+     * Lee un valor
+     * @param {string} key - Clave
+     * @returns {string|null} Valor, o null si no existe
+     */
+    async getItem(key) {
+        throw new Error(`${this.name}: getItem no implementado`);
+    }
+
+    /**
+     * Escribe un valor
+     * @param {string} key - Clave
+     * @param {string} value - Valor
+     */
+    async setItem(key, value) {
+        throw new Error(`${this.name}: setItem no implementado`);
+    }
+
+    /**
+     * Elimina un valor
+     * @param {string} key - Clave
+     */
+    async removeItem(key) {
+        throw new Error(`${this.name}: removeItem no implementado`);
+    }
+
+    /**
+     * Lista las claves guardadas
+     * @returns {Array<string>} Claves
+     */
+    async keys() {
+        throw new Error(`${this.name}: keys no implementado`);
+    }
+
+    /**
+     * Indica si un error es por falta de espacio
+     * @param {Error} error - Error de una escritura
+     * @returns {boolean} True si se superó la cuota
+     */
+    static isQuotaError(error) {
+        if (!error) return false;
+
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014 ||
+            error.code === 'ENOSPC';
+    }
+}
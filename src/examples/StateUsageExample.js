@@ -196,7 +196,7 @@ export class StateUsageExample {
         console.log('Distancia restaurada:', this.gameState.get('stats.bestDistance'));
         
         // Verificar si hay datos persistentes
-        console.log('Tiene datos persistentes:', this.gameState.hasPersistentData());
+        console.log('Tiene datos persistentes:', await this.gameState.hasPersistentData());
     }
     
     /**
@@ -0,0 +1,399 @@
+/**
+ * Motor de logros de Spikepulse
+ * @module AchievementManager
+ */
+
+import { ACHIEVEMENTS_CONFIG } from '../../config/AchievementsConfig.js';
+import { PERSISTENCE_CONFIG } from '../../config/PersistenceConfig.js';
+
+/**
+ * Versión del formato guardado
+ */
+const ACHIEVEMENTS_VERSION = 1;
+
+export class AchievementManager {
+    /**
+     * Crea una nueva instancia del gestor de logros
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+
+        // Definiciones de logros y contadores
+        this.achievements = ACHIEVEMENTS_CONFIG.list;
+        this.counterDefinitions = ACHIEVEMENTS_CONFIG.counters;
+
+        // Logros desbloqueados: id -> timestamp
+        this.unlocked = {};
+
+        // Contadores de eventos por partida y acumulados
+        this.counters = {
+            run: {},
+            total: {}
+        };
+
+        // Dependencia (ruta de GameState o "counter:nombre") -> logros bloqueados que la usan
+        this.dependents = new Map();
+
+        // Solo cuentan las partidas jugadas (no repeticiones ni pruebas del editor)
+        this.tracking = false;
+
+        // GameState del que se leen las estadísticas
+        this.gameState = null;
+
+        // Almacenamiento compartido con GameState (ver setStorage)
+        this.storage = null;
+        this.storageKey = PERSISTENCE_CONFIG.keys.achievements;
+
+        this.stats = {
+            evaluations: 0
+        };
+
+        console.log('🏆 AchievementManager creado');
+    }
+
+    /**
+     * Inicializa el gestor de logros
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando AchievementManager...');
+
+            this.buildDependencies();
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ AchievementManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando AchievementManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establece el GameState del que se leen las estadísticas
+     * @param {GameState} gameState - Estado centralizado
+     */
+    setGameState(gameState) {
+        this.gameState = gameState;
+    }
+
+    /**
+     * Establece el almacenamiento y carga los logros guardados en él
+     * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+     */
+    async setStorage(storage) {
+        this.storage = storage;
+        await this.load();
+        this.buildDependencies();
+
+        console.log(`🏆 Logros cargados (${Object.keys(this.unlocked).length}/${this.achievements.length})`);
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        // Antes que los contadores para que la partida nueva ya cuente su propio inicio
+        this.eventBus.on('game:started', this.handleRunStarted.bind(this), this);
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
+        this.eventBus.on('gamestate:changed', this.handleGameStateChange.bind(this), this);
+
+        for (const [name, definition] of Object.entries(this.counterDefinitions)) {
+            this.eventBus.on(definition.event, () => this.incrementCounter(name), this);
+        }
+    }
+
+    /**
+     * Indexa los logros bloqueados por las rutas y contadores de los que dependen
+     */
+    buildDependencies() {
+        this.dependents.clear();
+
+        for (const achievement of this.achievements) {
+            if (this.unlocked[achievement.id]) continue;
+
+            for (const key of this.getConditionKeys(achievement.condition)) {
+                if (!this.dependents.has(key)) {
+                    this.dependents.set(key, new Set());
+                }
+                this.dependents.get(key).add(achievement);
+            }
+        }
+    }
+
+    /**
+     * Obtiene las dependencias de una condición
+     * @param {Object} condition - Condición del logro
+     * @returns {Array<string>} Rutas de GameState y claves "counter:nombre"
+     */
+    getConditionKeys(condition) {
+        if (condition.all || condition.any) {
+            return (condition.all || condition.any).flatMap(child => this.getConditionKeys(child));
+        }
+
+        return condition.counter ? [`counter:${condition.counter}`] : [condition.stat];
+    }
+
+    // ===== CICLO DE LA PARTIDA =====
+
+    /**
+     * Empieza a contar una partida nueva
+     * @param {Object} data - Datos del inicio de la partida
+     */
+    handleRunStarted(data) {
+        this.tracking = !data?.isReplay && !data?.isPlaytest;
+        this.counters.run = {};
+    }
+
+    /**
+     * Deja de contar al salir de la partida y guarda los contadores acumulados
+     * @param {Object} data - Datos del cambio de estado
+     */
+    handleStateChange(data) {
+        if (data.state === 'game-over' || data.state === 'level-complete') {
+            this.save();
+        } else if (data.state === 'menu' || data.state === 'editor') {
+            if (this.tracking) {
+                this.save();
+            }
+            this.tracking = false;
+        }
+    }
+
+    // ===== EVALUACIÓN =====
+
+    /**
+     * Reevalúa los logros que dependen de la ruta cambiada
+     * @param {Object} data - Datos del cambio (path)
+     */
+    handleGameStateChange(data) {
+        if (!this.tracking || !data?.path) return;
+
+        const path = data.path;
+
+        for (const key of [...this.dependents.keys()]) {
+            if (key.startsWith('counter:')) continue;
+
+            // La ruta exacta, un padre (se reemplazó el objeto) o un hijo
+            if (key === path || key.startsWith(`${path}.`) || path.startsWith(`${key}.`)) {
+                this.evaluateDependents(key);
+            }
+        }
+    }
+
+    /**
+     * Suma uno a un contador y reevalúa sus logros
+     * @param {string} name - Nombre del contador
+     */
+    incrementCounter(name) {
+        if (!this.tracking) return;
+
+        this.counters.run[name] = (this.counters.run[name] || 0) + 1;
+        this.counters.total[name] = (this.counters.total[name] || 0) + 1;
+
+        this.evaluateDependents(`counter:${name}`);
+    }
+
+    /**
+     * Evalúa los logros bloqueados que dependen de una clave
+     * @param {string} key - Ruta de GameState o "counter:nombre"
+     */
+    evaluateDependents(key) {
+        const achievements = this.dependents.get(key);
+        if (!achievements) return;
+
+        for (const achievement of [...achievements]) {
+            this.stats.evaluations++;
+
+            if (this.evaluateCondition(achievement.condition)) {
+                this.unlock(achievement);
+            }
+        }
+    }
+
+    /**
+     * Evalúa una condición
+     * @param {Object} condition - Condición del logro
+     * @returns {boolean} True si se cumple
+     */
+    evaluateCondition(condition) {
+        if (condition.all) {
+            return condition.all.every(child => this.evaluateCondition(child));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.evaluateCondition(child));
+        }
+
+        const value = this.getConditionValue(condition);
+
+        if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+        if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+        if (condition.eq !== undefined && value !== condition.eq) return false;
+
+        return true;
+    }
+
+    /**
+     * Obtiene el valor actual de una condición simple
+     * @param {Object} condition - Condición con stat o counter
+     * @returns {number} Valor actual
+     */
+    getConditionValue(condition) {
+        if (condition.counter) {
+            const scope = condition.scope === 'total' ? 'total' : 'run';
+            return this.counters[scope][condition.counter] || 0;
+        }
+
+        return this.gameState ? (this.gameState.get(condition.stat) ?? 0) : 0;
+    }
+
+    /**
+     * Desbloquea un logro, lo guarda y lo anuncia
+     * @param {Object} achievement - Logro
+     */
+    unlock(achievement) {
+        if (this.unlocked[achievement.id]) return;
+
+        const unlockedAt = Date.now();
+        this.unlocked[achievement.id] = unlockedAt;
+
+        for (const achievements of this.dependents.values()) {
+            achievements.delete(achievement);
+        }
+
+        this.save();
+
+        console.log(`🏆 Logro desbloqueado: ${achievement.name}`);
+
+        this.eventBus.emit('achievements:unlocked', {
+            id: achievement.id,
+            name: achievement.name,
+            unlockedAt
+        });
+
+        this.eventBus.emit('ui:show-notification', {
+            type: 'success',
+            icon: achievement.icon,
+            title: '¡Logro desbloqueado!',
+            message: `${achievement.name}: ${achievement.description}`,
+            duration: 4000
+        });
+    }
+
+    // ===== CONSULTA =====
+
+    /**
+     * Obtiene todos los logros con su estado para la pantalla de logros
+     * @returns {Array} Logros {id, name, description, icon, unlocked, unlockedAt, progress}
+     */
+    getAchievements() {
+        return this.achievements.map(achievement => ({
+            id: achievement.id,
+            name: achievement.name,
+            description: achievement.description,
+            icon: achievement.icon,
+            unlocked: this.unlocked[achievement.id] !== undefined,
+            unlockedAt: this.unlocked[achievement.id] ?? null,
+            progress: this.getProgress(achievement)
+        }));
+    }
+
+    /**
+     * Progreso de los logros acumulados (contadores totales con gte)
+     * @param {Object} achievement - Logro
+     * @returns {Object|null} Progreso {current, target} o null si no aplica
+     */
+    getProgress(achievement) {
+        const condition = achievement.condition;
+        if (condition.scope !== 'total' || condition.gte === undefined) return null;
+
+        return {
+            current: Math.min(this.getConditionValue(condition), condition.gte),
+            target: condition.gte
+        };
+    }
+
+    // ===== PERSISTENCIA =====
+
+    /**
+     * Guarda logros y contadores acumulados
+     */
+    async save() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setItem(this.storageKey, JSON.stringify({
+                v: ACHIEVEMENTS_VERSION,
+                unlocked: this.unlocked,
+                counters: this.counters.total
+            }));
+        } catch (error) {
+            console.warn('⚠️ No se pudieron guardar los logros:', error);
+        }
+    }
+
+    /**
+     * Carga logros y contadores acumulados
+     */
+    async load() {
+        try {
+            const json = await this.storage.getItem(this.storageKey);
+            if (!json) return;
+
+            const data = JSON.parse(json);
+            if (data?.v !== ACHIEVEMENTS_VERSION) {
+                throw new Error(`Versión de logros no soportada: ${data?.v}`);
+            }
+
+            this.unlocked = { ...data.unlocked };
+            this.counters.total = { ...data.counters };
+        } catch (error) {
+            console.warn('⚠️ Logros guardados inválidos, se descartan:', error);
+            this.unlocked = {};
+            this.counters.total = {};
+        }
+    }
+
+    /**
+     * Resetea el gestor de logros (los desbloqueos se conservan)
+     */
+    reset() {
+        this.counters.run = {};
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            tracking: this.tracking,
+            unlocked: Object.keys(this.unlocked).length,
+            total: this.achievements.length,
+            pendingDependencies: this.dependents.size,
+            counters: { ...this.counters.run },
+            ...this.stats
+        };
+    }
+
+    /**
+     * Limpia recursos del gestor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo AchievementManager...');
+
+        this.eventBus.off('*', this);
+        this.dependents.clear();
+        this.gameState = null;
+        this.storage = null;
+        this.isInitialized = false;
+
+        console.log('✅ AchievementManager destruido');
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Pantalla de logros: desbloqueados y progreso de los pendientes
+ * @module AchievementsScreen
+ */
+
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+
+export class AchievementsScreen {
+    /**
+     * Crea la pantalla de logros
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+
+        // DOM (se crea la primera vez que se pide el elemento)
+        this.element = null;
+        this.list = null;
+        this.summary = null;
+    }
+
+    /**
+     * Obtiene el elemento de la pantalla, creándolo si hace falta
+     * @returns {HTMLElement} Pantalla de logros
+     */
+    getElement() {
+        if (!this.element) {
+            this.element = this.createScreen();
+        }
+
+        return this.element;
+    }
+
+    /**
+     * Crea la pantalla de logros
+     * @returns {HTMLElement} Pantalla de logros
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'achievements-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Logros';
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 0.25rem;';
+
+        const summary = document.createElement('p');
+        summary.style.cssText = 'font-size: 1.1rem; color: #CCCCCC;';
+
+        // Se rellena al mostrar la pantalla con el estado actual
+        const list = document.createElement('div');
+        list.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            min-width: 420px;
+            max-height: 60vh;
+            overflow-y: auto;
+            padding-right: 0.5rem;
+        `;
+
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = `
+            margin-top: 1rem;
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #CCCCCC;
+            border: 2px solid #666666;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        backButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:back-to-menu', { screen: 'achievements' });
+        });
+
+        screen.appendChild(title);
+        screen.appendChild(summary);
+        screen.appendChild(list);
+        screen.appendChild(backButton);
+
+        this.list = list;
+        this.summary = summary;
+
+        return screen;
+    }
+
+    /**
+     * Rellena la pantalla con los desbloqueados y el progreso
+     * @param {Array} achievements - Logros con su estado
+     */
+    render(achievements) {
+        this.getElement();
+
+        const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+
+        this.summary.textContent = `${unlockedCount} de ${achievements.length} desbloqueados`;
+        this.list.replaceChildren();
+
+        for (const achievement of achievements) {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 1rem;
+                padding: 0.6rem 1rem;
+                border: 2px solid ${achievement.unlocked ? '#FFD700' : '#444444'};
+                border-radius: 8px;
+                background: ${achievement.unlocked ? 'rgba(255, 215, 0, 0.1)' : 'rgba(255, 255, 255, 0.03)'};
+                opacity: ${achievement.unlocked ? '1' : '0.6'};
+            `;
+
+            const icon = document.createElement('span');
+            icon.textContent = achievement.unlocked ? achievement.icon : '🔒';
+            icon.style.cssText = 'font-size: 1.6rem;';
+
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1; display: flex; flex-direction: column;';
+
+            const name = document.createElement('span');
+            name.textContent = achievement.name;
+            name.style.cssText = `font-weight: bold; color: ${achievement.unlocked ? '#FFD700' : 'white'};`;
+
+            const description = document.createElement('span');
+            description.textContent = achievement.description;
+            description.style.cssText = "font-family: 'Rajdhani', sans-serif; color: #CCCCCC;";
+
+            text.appendChild(name);
+            text.appendChild(description);
+
+            const status = document.createElement('span');
+            status.style.cssText = "font-family: 'Rajdhani', sans-serif; color: #CCCCCC; white-space: nowrap;";
+            if (achievement.unlocked) {
+                status.textContent = SpanishFormatter.formatDate(achievement.unlockedAt);
+            } else if (achievement.progress) {
+                status.textContent = `${SpanishFormatter.formatNumber(achievement.progress.current)} / ${SpanishFormatter.formatNumber(achievement.progress.target)}`;
+            }
+
+            row.appendChild(icon);
+            row.appendChild(text);
+            row.appendChild(status);
+            this.list.appendChild(row);
+        }
+    }
+
+    /**
+     * Destruye la pantalla
+     */
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+        this.list = null;
+        this.summary = null;
+    }
+}
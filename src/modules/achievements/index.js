@@ -0,0 +1,106 @@
+/**
+ * Módulo de logros de Spikepulse
+ * @module Achievements
+ */
+
+import { AchievementManager } from './AchievementManager.js';
+import { AchievementsScreen } from './AchievementsScreen.js';
+
+/**
+ * Crea una instancia del sistema de logros
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de logros
+ */
+export function createAchievementSystem(config, eventBus) {
+    console.log('🏆 Creando sistema de logros...');
+
+    const achievementManager = new AchievementManager(config, eventBus);
+    const achievementsScreen = new AchievementsScreen(config, eventBus);
+
+    const achievementSystem = {
+        achievementManager,
+
+        /**
+         * Inicializa el sistema de logros
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de logros...');
+
+            try {
+                await achievementManager.init();
+                console.log('✅ Sistema de logros inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de logros:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Establece el GameState del que se leen las estadísticas
+         * @param {GameState} gameState - Estado centralizado
+         */
+        setGameState(gameState) {
+            achievementManager.setGameState(gameState);
+        },
+
+        /**
+         * Establece el almacenamiento de los logros y los carga
+         * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+         */
+        async setStorage(storage) {
+            await achievementManager.setStorage(storage);
+        },
+
+        /**
+         * Obtiene todos los logros con su estado
+         * @returns {Array} Logros
+         */
+        getAchievements() {
+            return achievementManager.getAchievements();
+        },
+
+        /**
+         * Obtiene la pantalla de logros para registrarla en el ScreenManager
+         * @returns {HTMLElement} Elemento de la pantalla
+         */
+        getElement() {
+            return achievementsScreen.getElement();
+        },
+
+        /**
+         * Rellena la pantalla de logros con el estado actual
+         */
+        refreshScreen() {
+            achievementsScreen.render(achievementManager.getAchievements());
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return achievementManager.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema de logros
+         */
+        reset() {
+            achievementManager.reset();
+        },
+
+        /**
+         * Destruye el sistema de logros
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de logros...');
+            achievementManager.destroy();
+            achievementsScreen.destroy();
+        }
+    };
+
+    console.log('✅ Sistema de logros creado');
+    return achievementSystem;
+}
@@ -0,0 +1,739 @@
+/**
+ * Audio procedural de Spikepulse: efectos y música sintetizados con Web Audio
+ * @module AudioManager
+ */
+
+/**
+ * Frecuencia en Hz de una nota MIDI
+ * @param {number} note - Nota MIDI
+ * @returns {number} Frecuencia
+ */
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Progresión noir en La menor (raíz MIDI y acorde en semitonos sobre la raíz)
+ */
+const NOIR_PROGRESSION = [
+    { root: 45, chord: [0, 3, 7, 10] },   // Am7
+    { root: 41, chord: [0, 4, 7, 11] },   // Fmaj7
+    { root: 50, chord: [0, 3, 7, 10] },   // Dm7
+    { root: 40, chord: [0, 4, 7, 10, 13] } // E7(b9)
+];
+
+/**
+ * Línea de bajo por compás (semitonos sobre la raíz, null = silencio) en corcheas
+ */
+const BASS_LINE = [0, null, 7, null, 10, null, 7, 3];
+
+/**
+ * Escobillas de la caja por corchea (volumen relativo)
+ */
+const BRUSH_PATTERN = [0.2, 0.6, 0.3, 0.9, 0.2, 0.6, 0.3, 1.0];
+
+export class AudioManager {
+    /**
+     * Crea una nueva instancia del gestor de audio
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.audioConfig = config.audio || {};
+        this.isInitialized = false;
+
+        // El audio se desactiva por configuración o si el navegador no tiene Web Audio
+        this.enabled = this.audioConfig.enabled !== false;
+
+        // Contexto y buses de mezcla (se crean con el primer gesto del usuario)
+        this.context = null;
+        this.buses = {
+            master: null,
+            music: null,
+            duck: null,
+            sfx: null
+        };
+        this.noiseBuffer = null;
+
+        // Volúmenes del usuario (GameState.settings.volume); se multiplican por los de la configuración
+        this.settingsVolume = {
+            master: 1.0,
+            sfx: 1.0,
+            music: 0.7
+        };
+
+        // Secuenciador de la banda sonora
+        this.music = {
+            playing: false,
+            tempo: this.audioConfig.musicTempo || 84,
+            step: 0,
+            nextTime: 0,
+            timer: null,
+            lookahead: 0.12,
+            interval: 30
+        };
+
+        // Estado del juego según StateManager
+        this.gameState = 'menu';
+
+        // Posición del oyente para el audio posicional
+        this.listenerPosition = null;
+
+        // Handler que desbloquea el audio con el primer gesto
+        this.unlockHandler = null;
+
+        this.stats = {
+            sfxPlayed: 0,
+            notesScheduled: 0
+        };
+
+        console.log('🔊 AudioManager creado');
+    }
+
+    /**
+     * Inicializa el gestor de audio
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando AudioManager...');
+
+            if (this.enabled && !this.getAudioContextClass()) {
+                console.warn('⚠️ Web Audio no disponible, el juego seguirá sin sonido');
+                this.enabled = false;
+            }
+
+            this.setupEventListeners();
+
+            if (this.enabled) {
+                this.setupUnlock();
+            }
+
+            this.isInitialized = true;
+            console.log('✅ AudioManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando AudioManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('player:jumped', this.handleJump.bind(this), this);
+        this.eventBus.on('player:dashed', this.handleDash.bind(this), this);
+        this.eventBus.on('player:gravity-toggled', this.handleGravityToggle.bind(this), this);
+        this.eventBus.on('world:coin-collected', this.handleCoinCollected.bind(this), this);
+        this.eventBus.on('player:died', this.handleDeath.bind(this), this);
+        this.eventBus.on('player:respawned', () => this.playSfx('respawn'), this);
+        this.eventBus.on('player:hit-absorbed', () => this.playSfx('hit'), this);
+        this.eventBus.on('player:extra-life', () => this.playSfx('extraLife'), this);
+        this.eventBus.on('player:powerup-started', () => this.playSfx('powerUp'), this);
+        this.eventBus.on('player:powerup-refreshed', () => this.playSfx('powerUp'), this);
+        this.eventBus.on('world:checkpoint-reached', () => this.playSfx('checkpoint'), this);
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
+        this.eventBus.on('gamestate:changed', this.handleGameStateChange.bind(this), this);
+
+        if (this.audioConfig.enableSpatialAudio) {
+            this.eventBus.on('player:updated', (data) => {
+                this.listenerPosition = data.position;
+            }, this);
+        }
+    }
+
+    /**
+     * Obtiene el constructor de AudioContext del navegador
+     * @returns {Function|null} Constructor o null
+     */
+    getAudioContextClass() {
+        if (typeof window === 'undefined') return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+
+    /**
+     * Crea el contexto de audio con el primer gesto del usuario (política de autoplay)
+     */
+    setupUnlock() {
+        this.unlockHandler = () => {
+            this.ensureContext();
+
+            if (this.context) {
+                window.removeEventListener('pointerdown', this.unlockHandler, true);
+                window.removeEventListener('keydown', this.unlockHandler, true);
+                window.removeEventListener('touchstart', this.unlockHandler, true);
+                this.unlockHandler = null;
+            }
+        };
+
+        window.addEventListener('pointerdown', this.unlockHandler, true);
+        window.addEventListener('keydown', this.unlockHandler, true);
+        window.addEventListener('touchstart', this.unlockHandler, true);
+    }
+
+    /**
+     * Crea (o reanuda) el contexto de audio y la mezcla
+     * @returns {boolean} True si hay contexto utilizable
+     */
+    ensureContext() {
+        if (!this.enabled) return false;
+
+        if (!this.context) {
+            try {
+                const AudioContextClass = this.getAudioContextClass();
+                this.context = new AudioContextClass();
+                this.createBuses();
+                this.noiseBuffer = this.createNoiseBuffer();
+                this.applyVolumes(0);
+
+                console.log('🔊 Contexto de audio creado');
+
+                // La música pudo pedirse antes de desbloquear el audio
+                if (this.gameState === 'playing' || this.gameState === 'paused') {
+                    this.startMusic();
+                    this.applyDuck();
+                }
+            } catch (error) {
+                console.warn('⚠️ No se pudo crear el contexto de audio:', error);
+                this.context = null;
+                this.enabled = false;
+                return false;
+            }
+        }
+
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+
+        return true;
+    }
+
+    /**
+     * Crea los buses: música -> atenuación -> master, efectos -> master
+     */
+    createBuses() {
+        const ctx = this.context;
+
+        this.buses.master = ctx.createGain();
+        this.buses.music = ctx.createGain();
+        this.buses.duck = ctx.createGain();
+        this.buses.sfx = ctx.createGain();
+
+        this.buses.music.connect(this.buses.duck);
+        this.buses.duck.connect(this.buses.master);
+        this.buses.sfx.connect(this.buses.master);
+        this.buses.master.connect(ctx.destination);
+    }
+
+    /**
+     * Crea un segundo de ruido blanco reutilizable
+     * @returns {AudioBuffer} Buffer de ruido
+     */
+    createNoiseBuffer() {
+        const length = this.context.sampleRate;
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        return buffer;
+    }
+
+    // ===== VOLUMEN =====
+
+    /**
+     * Establece los volúmenes del usuario y los aplica al momento
+     * @param {Object} volume - Volúmenes {master, sfx, music} entre 0 y 1
+     */
+    setVolumes(volume) {
+        if (!volume) return;
+
+        for (const field of ['master', 'sfx', 'music']) {
+            if (typeof volume[field] === 'number') {
+                this.settingsVolume[field] = Math.max(0, Math.min(1, volume[field]));
+            }
+        }
+
+        this.applyVolumes();
+    }
+
+    /**
+     * Obtiene el volumen efectivo de un bus (configuración × ajustes del usuario)
+     * @param {string} bus - master, music o sfx
+     * @returns {number} Volumen entre 0 y 1
+     */
+    getEffectiveVolume(bus) {
+        const configVolume = {
+            master: this.audioConfig.masterVolume,
+            music: this.audioConfig.musicVolume,
+            sfx: this.audioConfig.sfxVolume
+        }[bus] ?? 1;
+
+        return configVolume * this.settingsVolume[bus];
+    }
+
+    /**
+     * Aplica los volúmenes a los buses con una rampa corta para evitar chasquidos
+     * @param {number} smoothing - Constante de tiempo de la rampa en segundos
+     */
+    applyVolumes(smoothing = 0.05) {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+
+        for (const bus of ['master', 'music', 'sfx']) {
+            const gain = this.buses[bus].gain;
+            const volume = this.getEffectiveVolume(bus);
+
+            if (smoothing > 0) {
+                gain.setTargetAtTime(volume, now, smoothing);
+            } else {
+                gain.setValueAtTime(volume, now);
+            }
+        }
+    }
+
+    /**
+     * Atenúa la música en pausa y la devuelve a su nivel al jugar
+     */
+    applyDuck() {
+        if (!this.context) return;
+
+        const target = this.gameState === 'paused' ? (this.audioConfig.pauseDuckVolume ?? 0.25) : 1;
+        this.buses.duck.gain.setTargetAtTime(target, this.context.currentTime, 0.15);
+    }
+
+    /**
+     * Aplica los cambios de volumen guardados en GameState
+     * @param {Object} data - Datos del cambio (path, newValue)
+     */
+    handleGameStateChange(data) {
+        const path = data?.path || '';
+
+        if (path === 'settings.volume') {
+            this.setVolumes(data.newValue);
+        } else if (path.startsWith('settings.volume.')) {
+            this.setVolumes({ [path.slice('settings.volume.'.length)]: data.newValue });
+        } else if (path === 'settings') {
+            this.setVolumes(data.newValue?.volume);
+        }
+    }
+
+    // ===== ESTADOS DEL JUEGO =====
+
+    /**
+     * Arranca, atenúa o detiene la música según el estado del juego
+     * @param {Object} data - Datos del cambio de estado
+     */
+    handleStateChange(data) {
+        this.gameState = data.state;
+
+        switch (data.state) {
+            case 'playing':
+                this.startMusic();
+                break;
+            case 'paused':
+                break;
+            case 'game-over':
+                this.stopMusic();
+                this.playSfx('gameOver');
+                break;
+            case 'level-complete':
+                this.stopMusic();
+                this.playSfx('levelComplete');
+                break;
+            default:
+                this.stopMusic();
+                break;
+        }
+
+        this.applyDuck();
+    }
+
+    // ===== EFECTOS =====
+
+    /**
+     * @param {Object} data - Datos del salto
+     */
+    handleJump(data) {
+        this.playSfx(data?.isDoubleJump ? 'doubleJump' : 'jump', data?.position);
+    }
+
+    /**
+     * @param {Object} data - Datos del dash
+     */
+    handleDash(data) {
+        this.playSfx('dash', data?.position);
+    }
+
+    /**
+     * @param {Object} data - Datos del cambio de gravedad
+     */
+    handleGravityToggle(data) {
+        this.playSfx(data?.inverted ? 'gravityUp' : 'gravityDown', data?.position);
+    }
+
+    /**
+     * @param {Object} data - Datos de la moneda
+     */
+    handleCoinCollected(data) {
+        this.playSfx('coin', data?.position);
+    }
+
+    /**
+     * @param {Object} data - Datos de la muerte
+     */
+    handleDeath(data) {
+        this.playSfx('death', data?.position);
+    }
+
+    /**
+     * Sintetiza un efecto de sonido
+     * @param {string} name - Nombre del efecto
+     * @param {Object|null} position - Posición en el mundo para el audio posicional
+     */
+    playSfx(name, position = null) {
+        if (!this.context || this.context.state !== 'running') return;
+
+        const output = this.createSfxOutput(position);
+        const t = this.context.currentTime;
+
+        switch (name) {
+            case 'jump':
+                this.playTone(output, t, { type: 'triangle', from: 220, to: 440, duration: 0.12, volume: 0.35 });
+                break;
+            case 'doubleJump':
+                this.playTone(output, t, { type: 'triangle', from: 330, to: 660, duration: 0.1, volume: 0.3 });
+                this.playTone(output, t + 0.05, { type: 'sine', from: 660, to: 880, duration: 0.08, volume: 0.15 });
+                break;
+            case 'dash':
+                this.playNoise(output, t, { duration: 0.22, volume: 0.5, filterFrom: 3000, filterTo: 400 });
+                this.playTone(output, t, { type: 'sawtooth', from: 160, to: 60, duration: 0.18, volume: 0.12 });
+                break;
+            case 'gravityUp':
+                this.playTone(output, t, { type: 'sine', from: 140, to: 520, duration: 0.28, volume: 0.35, vibrato: 9 });
+                break;
+            case 'gravityDown':
+                this.playTone(output, t, { type: 'sine', from: 520, to: 140, duration: 0.28, volume: 0.35, vibrato: 9 });
+                break;
+            case 'coin':
+                this.playTone(output, t, { type: 'square', from: 988, to: 988, duration: 0.06, volume: 0.12 });
+                this.playTone(output, t + 0.06, { type: 'square', from: 1319, to: 1319, duration: 0.14, volume: 0.12 });
+                break;
+            case 'death':
+                this.playTone(output, t, { type: 'sawtooth', from: 180, to: 35, duration: 0.7, volume: 0.4 });
+                this.playNoise(output, t, { duration: 0.5, volume: 0.35, filterFrom: 1200, filterTo: 80 });
+                break;
+            case 'hit':
+                this.playNoise(output, t, { duration: 0.15, volume: 0.4, filterFrom: 2500, filterTo: 600 });
+                this.playTone(output, t, { type: 'square', from: 300, to: 200, duration: 0.12, volume: 0.15 });
+                break;
+            case 'respawn':
+                [57, 60, 64, 69].forEach((note, i) => {
+                    const frequency = midiToFrequency(note);
+                    this.playTone(output, t + i * 0.07, { type: 'triangle', from: frequency, to: frequency, duration: 0.16, volume: 0.2 });
+                });
+                break;
+            case 'extraLife':
+                [69, 72, 76, 81].forEach((note, i) => {
+                    const frequency = midiToFrequency(note);
+                    this.playTone(output, t + i * 0.09, { type: 'square', from: frequency, to: frequency, duration: 0.12, volume: 0.12 });
+                });
+                break;
+            case 'powerUp':
+                this.playTone(output, t, { type: 'square', from: 440, to: 1760, duration: 0.25, volume: 0.12, vibrato: 14 });
+                break;
+            case 'checkpoint':
+                this.playTone(output, t, { type: 'sine', from: 784, to: 784, duration: 0.25, volume: 0.2 });
+                this.playTone(output, t + 0.1, { type: 'sine', from: 1175, to: 1175, duration: 0.35, volume: 0.15 });
+                break;
+            case 'gameOver':
+                [64, 63, 62, 57].forEach((note, i) => {
+                    const frequency = midiToFrequency(note);
+                    this.playTone(output, t + i * 0.28, { type: 'triangle', from: frequency, to: frequency * (i === 3 ? 0.97 : 1), duration: i === 3 ? 1.2 : 0.26, volume: 0.3 });
+                });
+                break;
+            case 'levelComplete':
+                [57, 60, 64, 67, 71].forEach((note, i) => {
+                    const frequency = midiToFrequency(note);
+                    this.playTone(output, t + i * 0.12, { type: 'triangle', from: frequency, to: frequency, duration: 0.9 - i * 0.1, volume: 0.22 });
+                });
+                break;
+            default:
+                console.warn(`⚠️ Efecto de sonido desconocido: ${name}`);
+                return;
+        }
+
+        this.stats.sfxPlayed++;
+    }
+
+    /**
+     * Crea la salida de un efecto, con panorama si el audio posicional está activo
+     * @param {Object|null} position - Posición en el mundo
+     * @returns {AudioNode} Nodo de salida
+     */
+    createSfxOutput(position) {
+        if (!this.audioConfig.enableSpatialAudio || !position || !this.listenerPosition ||
+            !this.context.createStereoPanner) {
+            return this.buses.sfx;
+        }
+
+        const range = this.audioConfig.spatialRange || 600;
+        const panner = this.context.createStereoPanner();
+        panner.pan.value = Math.max(-1, Math.min(1, (position.x - this.listenerPosition.x) / range));
+        panner.connect(this.buses.sfx);
+
+        return panner;
+    }
+
+    /**
+     * Programa un tono con barrido de frecuencia y envolvente percusiva
+     * @param {AudioNode} output - Nodo destino
+     * @param {number} time - Instante de inicio
+     * @param {Object} options - type, from, to, duration, volume, vibrato
+     */
+    playTone(output, time, options) {
+        const ctx = this.context;
+        const oscillator = ctx.createOscillator();
+        const envelope = ctx.createGain();
+        const end = time + options.duration;
+
+        oscillator.type = options.type;
+        oscillator.frequency.setValueAtTime(options.from, time);
+        if (options.to !== options.from) {
+            oscillator.frequency.exponentialRampToValueAtTime(Math.max(1, options.to), end);
+        }
+
+        if (options.vibrato) {
+            const lfo = ctx.createOscillator();
+            const depth = ctx.createGain();
+            lfo.frequency.value = options.vibrato;
+            depth.gain.value = options.from * 0.03;
+            lfo.connect(depth);
+            depth.connect(oscillator.frequency);
+            lfo.start(time);
+            lfo.stop(end);
+        }
+
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(options.volume, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(time);
+        oscillator.stop(end + 0.02);
+    }
+
+    /**
+     * Programa una ráfaga de ruido filtrado
+     * @param {AudioNode} output - Nodo destino
+     * @param {number} time - Instante de inicio
+     * @param {Object} options - duration, volume, filterFrom, filterTo, type
+     */
+    playNoise(output, time, options) {
+        const ctx = this.context;
+        const source = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const envelope = ctx.createGain();
+        const end = time + options.duration;
+
+        source.buffer = this.noiseBuffer;
+        filter.type = options.type || 'bandpass';
+        filter.frequency.setValueAtTime(options.filterFrom, time);
+        filter.frequency.exponentialRampToValueAtTime(options.filterTo, end);
+
+        envelope.gain.setValueAtTime(options.volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(output);
+        source.start(time, Math.random() * 0.5);
+        source.stop(end + 0.02);
+    }
+
+    // ===== MÚSICA =====
+
+    /**
+     * Arranca la banda sonora en bucle (si ya suena no hace nada)
+     */
+    startMusic() {
+        if (!this.context || this.music.playing) return;
+
+        this.music.playing = true;
+        this.music.step = 0;
+        this.music.nextTime = this.context.currentTime + 0.1;
+
+        this.buses.music.gain.cancelScheduledValues(this.context.currentTime);
+        this.applyVolumes();
+
+        this.scheduleMusic();
+        this.music.timer = setInterval(() => this.scheduleMusic(), this.music.interval);
+
+        console.log('🎷 Música iniciada');
+    }
+
+    /**
+     * Detiene la banda sonora con un fundido corto
+     */
+    stopMusic() {
+        if (!this.music.playing) return;
+
+        this.music.playing = false;
+        clearInterval(this.music.timer);
+        this.music.timer = null;
+
+        if (this.context) {
+            const now = this.context.currentTime;
+            const gain = this.buses.music.gain;
+            gain.cancelScheduledValues(now);
+            gain.setTargetAtTime(0, now, 0.2);
+        }
+
+        console.log('🎷 Música detenida');
+    }
+
+    /**
+     * Programa las notas que caen dentro de la ventana de anticipación
+     */
+    scheduleMusic() {
+        if (!this.music.playing) return;
+
+        const stepDuration = 60 / this.music.tempo / 2; // corcheas
+        const horizon = this.context.currentTime + this.music.lookahead;
+
+        while (this.music.nextTime < horizon) {
+            this.scheduleStep(this.music.step, this.music.nextTime, stepDuration);
+            this.music.nextTime += stepDuration;
+            this.music.step++;
+        }
+    }
+
+    /**
+     * Programa una corchea de la banda sonora: pad, contrabajo, escobillas y algún lamento de trompeta
+     * @param {number} step - Índice de corchea desde el inicio
+     * @param {number} time - Instante de la corchea
+     * @param {number} stepDuration - Duración de una corchea en segundos
+     */
+    scheduleStep(step, time, stepDuration) {
+        const output = this.buses.music;
+        const beat = step % 8;
+        const bar = Math.floor(step / 8);
+        const chord = NOIR_PROGRESSION[bar % NOIR_PROGRESSION.length];
+
+        // Pad de acorde al inicio de cada compás
+        if (beat === 0) {
+            const barDuration = stepDuration * 8;
+            for (const interval of chord.chord) {
+                this.playPadNote(output, time, midiToFrequency(chord.root + 12 + interval), barDuration);
+            }
+            this.stats.notesScheduled += chord.chord.length;
+        }
+
+        // Contrabajo caminando
+        const bassInterval = BASS_LINE[beat];
+        if (bassInterval !== null) {
+            const frequency = midiToFrequency(chord.root - 12 + bassInterval);
+            this.playTone(output, time, { type: 'triangle', from: frequency, to: frequency, duration: stepDuration * 1.8, volume: 0.3 });
+            this.stats.notesScheduled++;
+        }
+
+        // Escobillas
+        this.playNoise(output, time, { duration: stepDuration * 0.9, volume: 0.05 * BRUSH_PATTERN[beat], filterFrom: 7000, filterTo: 4000, type: 'highpass' });
+
+        // Frase de trompeta con sordina cada cuatro compases
+        if (bar % 4 === 3 && (beat === 2 || beat === 5)) {
+            const frequency = midiToFrequency(chord.root + 24 + chord.chord[beat === 2 ? 3 : 2]);
+            this.playTone(output, time, { type: 'sawtooth', from: frequency * 1.02, to: frequency, duration: stepDuration * 2.5, volume: 0.05, vibrato: 5 });
+            this.stats.notesScheduled++;
+        }
+    }
+
+    /**
+     * Programa una nota sostenida de pad filtrada
+     * @param {AudioNode} output - Nodo destino
+     * @param {number} time - Instante de inicio
+     * @param {number} frequency - Frecuencia en Hz
+     * @param {number} duration - Duración en segundos
+     */
+    playPadNote(output, time, frequency, duration) {
+        const ctx = this.context;
+        const oscillator = ctx.createOscillator();
+        const filter = ctx.createBiquadFilter();
+        const envelope = ctx.createGain();
+        const end = time + duration;
+
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(frequency, time);
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(700, time);
+
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(0.03, time + duration * 0.3);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(time);
+        oscillator.stop(end + 0.02);
+    }
+
+    /**
+     * Resetea el gestor de audio (la música la gobiernan los cambios de estado)
+     */
+    reset() {
+        this.listenerPosition = null;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            enabled: this.enabled,
+            contextState: this.context?.state || 'none',
+            musicPlaying: this.music.playing,
+            musicStep: this.music.step,
+            volume: {
+                master: this.getEffectiveVolume('master'),
+                music: this.getEffectiveVolume('music'),
+                sfx: this.getEffectiveVolume('sfx')
+            },
+            ...this.stats
+        };
+    }
+
+    /**
+     * Limpia recursos del gestor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo AudioManager...');
+
+        this.eventBus.off('*', this);
+        this.stopMusic();
+
+        if (this.unlockHandler) {
+            window.removeEventListener('pointerdown', this.unlockHandler, true);
+            window.removeEventListener('keydown', this.unlockHandler, true);
+            window.removeEventListener('touchstart', this.unlockHandler, true);
+            this.unlockHandler = null;
+        }
+
+        if (this.context) {
+            this.context.close().catch(() => {});
+            this.context = null;
+        }
+
+        this.isInitialized = false;
+
+        console.log('✅ AudioManager destruido');
+    }
+}
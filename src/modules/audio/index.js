@@ -0,0 +1,81 @@
+/**
+ * Módulo de audio de Spikepulse
+ * @module Audio
+ */
+
+import { AudioManager } from './AudioManager.js';
+
+/**
+ * Crea una instancia del sistema de audio
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de audio
+ */
+export function createAudioSystem(config, eventBus) {
+    console.log('🔊 Creando sistema de audio...');
+
+    const audioManager = new AudioManager(config, eventBus);
+
+    const audioSystem = {
+        audioManager,
+
+        /**
+         * Inicializa el sistema de audio
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de audio...');
+
+            try {
+                await audioManager.init();
+                console.log('✅ Sistema de audio inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de audio:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Establece los volúmenes del usuario
+         * @param {Object} volume - Volúmenes {master, sfx, music} entre 0 y 1
+         */
+        setVolumes(volume) {
+            audioManager.setVolumes(volume);
+        },
+
+        /**
+         * Reproduce un efecto de sonido
+         * @param {string} name - Nombre del efecto
+         * @param {Object|null} position - Posición en el mundo
+         */
+        playSfx(name, position) {
+            audioManager.playSfx(name, position);
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return audioManager.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema de audio
+         */
+        reset() {
+            audioManager.reset();
+        },
+
+        /**
+         * Destruye el sistema de audio
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de audio...');
+            audioManager.destroy();
+        }
+    };
+
+    console.log('✅ Sistema de audio creado');
+    return audioSystem;
+}
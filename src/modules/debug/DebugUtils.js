@@ -499,27 +499,44 @@ export class DebugUtils {
      * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
      */
     renderGrid(ctx) {
-        const gridSize = 50;
-        const width = ctx.canvas.width;
-        const height = ctx.canvas.height;
+        DebugUtils.drawGrid(ctx, {
+            x: 0,
+            y: 0,
+            width: ctx.canvas.width,
+            height: ctx.canvas.height
+        }, 50, this.debugColors.grid);
+    }
+    
+    /**
+     * Dibuja una grid alineada a múltiplos del tamaño de celda
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} area - Zona a cubrir (x, y, width, height) en las coordenadas actuales del contexto
+     * @param {number} gridSize - Tamaño de celda
+     * @param {string} color - Color de las líneas
+     */
+    static drawGrid(ctx, area, gridSize, color) {
+        const startX = Math.floor(area.x / gridSize) * gridSize;
+        const startY = Math.floor(area.y / gridSize) * gridSize;
+        const endX = area.x + area.width;
+        const endY = area.y + area.height;
         
-        ctx.strokeStyle = this.debugColors.grid;
+        ctx.strokeStyle = color;
         ctx.lineWidth = 1;
         ctx.setLineDash([2, 2]);
         
         // Líneas verticales
-        for (let x = 0; x <= width; x += gridSize) {
+        for (let x = startX; x <= endX; x += gridSize) {
             ctx.beginPath();
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x, height);
+            ctx.moveTo(x, area.y);
+            ctx.lineTo(x, endY);
             ctx.stroke();
         }
         
         // Líneas horizontales
-        for (let y = 0; y <= height; y += gridSize) {
+        for (let y = startY; y <= endY; y += gridSize) {
             ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(width, y);
+            ctx.moveTo(area.x, y);
+            ctx.lineTo(endX, y);
             ctx.stroke();
         }
         
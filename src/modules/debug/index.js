@@ -17,6 +17,9 @@
 export function createDebugSystem(config, eventBus) {
     console.log('🐛 Creando sistema de debugging simplificado...');
     
+    // Motor del juego (para los comandos que consultan el estado)
+    let engine = null;
+    
     // Sistema simplificado
     const debugSystem = {
         
@@ -53,10 +56,16 @@ export function createDebugSystem(config, eventBus) {
             if (config.console?.enabled !== false) {
                 window.sp = (command) => {
                     console.log(`🐛 Comando: ${command}`);
-                    if (command === 'help') {
-                        console.log('🐛 Comandos disponibles: help, info, debug');
-                    } else if (command === 'info') {
+                    const [name, ...args] = String(command).trim().split(/\s+/);
+                    
+                    if (name === 'help') {
+                        console.log('🐛 Comandos disponibles: help, info, debug, backups, backup, restore <ranura>, saves, save [ranura|nombre], load <ranura|nombre>, delsave <ranura|nombre>, rename <ranura|nombre> <nombre>');
+                    } else if (name === 'info') {
                         console.log('🐛 Spikepulse Debug System - Simplified');
+                    } else if (name === 'backups' || name === 'backup' || name === 'restore') {
+                        return this.backupCommand(name, args);
+                    } else if (['saves', 'save', 'load', 'delsave', 'rename'].includes(name)) {
+                        return this.saveSlotCommand(name, args);
                     }
                     return `Comando ejecutado: ${command}`;
                 };
@@ -75,9 +84,103 @@ export function createDebugSystem(config, eventBus) {
          * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
          */
         setGameReferences(gameEngine, canvas, ctx) {
+            engine = gameEngine;
             console.log('🔗 Referencias del juego establecidas en debug system');
         },
         
+        /**
+         * Comandos de copias de seguridad del guardado
+         * @param {string} name - backups (listar), backup (copiar ahora) o restore
+         * @param {Array<string>} args - Argumentos (ranura para restore)
+         * @returns {string|Promise<string>} Resultado
+         */
+        backupCommand(name, args) {
+            const gameState = engine?.gameState;
+            if (!gameState) {
+                return '❌ El estado del juego no está disponible';
+            }
+            
+            if (name === 'backups') {
+                return gameState.listBackups().then(backups => {
+                    console.table(backups.map(backup => ({
+                        ranura: backup.slot,
+                        fecha: backup.savedAt ? new Date(backup.savedAt).toLocaleString('es-ES') : '-',
+                        version: backup.version ?? '-',
+                        bytes: backup.size,
+                        valida: backup.valid ? 'sí' : `no (${backup.error})`
+                    })));
+                    return `🗂️ ${backups.length} copias de seguridad en ${gameState.storage.getBackendName()}`;
+                });
+            }
+            
+            if (name === 'backup') {
+                return gameState.createBackup().then(slot => (slot === -1
+                    ? '❌ No se pudo crear la copia'
+                    : `🗂️ Copia creada en la ranura ${slot}`));
+            }
+            
+            const slot = parseInt(args[0], 10);
+            if (Number.isNaN(slot)) {
+                return '❌ Uso: restore <ranura>';
+            }
+            
+            return gameState.restoreBackup(slot).then(restored => (restored
+                ? `♻️ Copia de la ranura ${slot} restaurada`
+                : `❌ No se pudo restaurar la ranura ${slot}`));
+        },
+        
+        /**
+         * Comandos de partidas guardadas en ranuras
+         * @param {string} name - saves (listar), save, load, delsave o rename
+         * @param {Array<string>} args - Ranura o nombre (y nombre nuevo para rename)
+         * @returns {string|Promise<string>} Resultado
+         */
+        saveSlotCommand(name, args) {
+            const saves = engine?.systems.saves;
+            if (!saves) {
+                return '❌ Las partidas guardadas no están disponibles';
+            }
+            
+            const fail = error => `❌ ${error.message}`;
+            
+            if (name === 'saves') {
+                return saves.list().then(slots => {
+                    console.table(slots.map(slot => ({
+                        ranura: slot.number ?? '-',
+                        nombre: slot.name,
+                        fecha: new Date(slot.savedAt).toLocaleString('es-ES'),
+                        distancia: slot.midRun ? Math.floor(slot.distance ?? 0) : '-',
+                        semilla: slot.seed ?? '-',
+                        bytes: slot.size
+                    })));
+                    return `💾 ${slots.length} partidas guardadas`;
+                }, fail);
+            }
+            
+            if (name === 'save') {
+                // Sin nombre se usa la primera ranura numerada
+                return saves.save(args.join(' ') || 1)
+                    .then(slot => `💾 Partida guardada en "${slot.name}"`, fail);
+            }
+            
+            if (args.length === 0 || (name === 'rename' && args.length < 2)) {
+                return name === 'rename' ? '❌ Uso: rename <ranura|nombre> <nombre>' : `❌ Uso: ${name} <ranura|nombre>`;
+            }
+            
+            if (name === 'load') {
+                return saves.load(args.join(' '))
+                    .then(slot => `📂 Partida "${slot.name}" cargada`, fail);
+            }
+            
+            if (name === 'delsave') {
+                return saves.delete(args.join(' '))
+                    .then(() => `🗑️ Partida "${args.join(' ')}" borrada`, fail);
+            }
+            
+            return saves.rename(args[0], args.slice(1).join(' '))
+                .then(slot => `✏️ Partida renombrada a "${slot.name}"`, fail);
+        },
+        
         /**
          * Actualiza el sistema de debugging
          * @param {number} deltaTime - Delta time
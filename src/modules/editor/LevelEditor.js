@@ -0,0 +1,1206 @@
+/**
+ * Editor de niveles en el navegador para Spikepulse
+ * @module LevelEditor
+ */
+
+import { CameraSystem } from '../renderer/CameraSystem.js';
+import { ObstacleManager } from '../world/ObstacleManager.js';
+import { WorldRenderer } from '../world/WorldRenderer.js';
+import { MouseHandler } from '../input/MouseHandler.js';
+import { KeyboardHandler } from '../input/KeyboardHandler.js';
+import { DebugUtils } from '../debug/DebugUtils.js';
+import { ConfigValidator } from '../../config/ConfigValidator.js';
+
+/**
+ * Obstáculos que se pueden colocar y su tamaño inicial
+ */
+const OBSTACLE_TOOLS = {
+    spike: { label: 'Pincho', width: 30, height: 30 },
+    wall: { label: 'Muro', width: 20, height: 80 },
+    moving: { label: 'Móvil', width: 40, height: 40, motion: { range: 80, speed: 0.02, offset: 0 } },
+    rotating: { label: 'Giratorio', width: 40, height: 40, motion: { speed: 0.05 } }
+};
+
+/**
+ * Teclas del editor (código de tecla -> acción)
+ */
+const EDITOR_KEYS = {
+    Delete: 'delete',
+    Backspace: 'delete',
+    ArrowLeft: 'scrollLeft',
+    KeyA: 'scrollLeft',
+    ArrowRight: 'scrollRight',
+    KeyD: 'scrollRight',
+    KeyG: 'toggleSnap',
+    KeyF: 'flipAnchor',
+    Escape: 'deselect',
+    Digit1: 'tool:select',
+    Digit2: 'tool:spike',
+    Digit3: 'tool:wall',
+    Digit4: 'tool:moving',
+    Digit5: 'tool:rotating'
+};
+
+/**
+ * Botones del mouse
+ */
+const MOUSE_LEFT = 0;
+const MOUSE_RIGHT = 2;
+
+export class LevelEditor {
+    /**
+     * Crea una nueva instancia del editor de niveles
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+        this.isOpen = false;
+
+        // Configuración del editor
+        this.editorConfig = {
+            gridSizes: config.editor?.gridSizes || [10, 20, 50],
+            scrollSpeed: config.editor?.scrollSpeed || 600,
+            handleSize: config.editor?.handleSize || 8,
+            finishX: config.editor?.finishX || 2400
+        };
+
+        // Rejilla de ajuste
+        this.grid = {
+            size: config.editor?.gridSize || 20,
+            snap: true
+        };
+
+        // Superficie del mundo (se actualiza con setSurface, mismos valores por defecto que World)
+        const surface = config.world?.surface || {};
+        this.surface = {
+            groundY: surface.groundY || 370,
+            ceilingY: surface.ceilingY || 30,
+            thickness: surface.thickness || 30,
+            color: surface.color || '#333333'
+        };
+
+        // Nivel en edición (mismo formato que los JSON de src/config/levels)
+        this.level = this.createEmptyLevel();
+
+        // Herramienta activa: select o un tipo de obstáculo
+        this.tool = 'spike';
+
+        // Índice del obstáculo seleccionado
+        this.selectedIndex = -1;
+
+        // Arrastre en curso (move, resize, finish o pan)
+        this.drag = null;
+
+        // Subsistemas reutilizados del juego
+        this.camera = null;
+        this.obstacleManager = null;
+        this.worldRenderer = null;
+        this.mouseHandler = null;
+        this.keyboardHandler = null;
+
+        // DOM
+        this.element = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.controls = {};
+
+        // Bucle de dibujo mientras el editor está abierto
+        this.animationFrameId = null;
+        this.lastFrameTime = 0;
+        this.boundLoop = this.loop.bind(this);
+
+        console.log('🛠️ LevelEditor creado');
+    }
+
+    /**
+     * Inicializa el editor de niveles
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando LevelEditor...');
+
+            this.createScreen();
+
+            // Cámara propia para desplazarse por el nivel
+            this.camera = new CameraSystem({}, this.eventBus);
+            await this.camera.init();
+            this.camera.updateViewport({ width: this.canvas.width, height: this.canvas.height });
+            this.lockCameraToCorridor();
+            this.camera.setPosition(this.camera.viewport.centerX - 100, this.getCorridorCenterY());
+            this.camera.updateTransform();
+
+            // Mismo dibujo de obstáculos y superficies que en el juego
+            this.obstacleManager = new ObstacleManager(this.config.obstacles || {}, this.eventBus, {}, this.surface, null);
+            this.worldRenderer = new WorldRenderer(this.config, this.eventBus, this.surface, this.camera);
+            await this.worldRenderer.init();
+
+            // Input del editor: handlers propios desactivados hasta abrir el editor
+            this.mouseHandler = new MouseHandler({ jumpButton: null, dashButton: null }, this.eventBus);
+            await this.mouseHandler.init();
+            this.mouseHandler.setCanvas(this.canvas);
+            this.mouseHandler.disable();
+
+            this.keyboardHandler = new KeyboardHandler({}, this.eventBus);
+            await this.keyboardHandler.init();
+            this.keyboardHandler.updateKeyMap(EDITOR_KEYS);
+            this.keyboardHandler.disable();
+
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ LevelEditor inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando LevelEditor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
+        this.eventBus.on('input:raw-mouse-button', this.handleMouseButton.bind(this), this);
+        this.eventBus.on('input:mouse-move', this.handleMouseMove.bind(this), this);
+        this.eventBus.on('input:mouse-wheel', this.handleMouseWheel.bind(this), this);
+        this.eventBus.on('input:raw-keyboard', this.handleKeyboard.bind(this), this);
+    }
+
+    // ===== PANTALLA =====
+
+    /**
+     * Crea la pantalla del editor: barra de herramientas, propiedades y canvas
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'level-editor-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: #0F0F0F;
+            flex-direction: column;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 0.75rem;
+            box-sizing: border-box;
+            z-index: 10000;
+            font-family: 'Rajdhani', sans-serif;
+            color: white;
+        `;
+
+        const rowStyle = 'display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center; justify-content: center;';
+        const buttonStyle = `
+            padding: 0.4rem 0.9rem;
+            font-size: 0.95rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+            border-radius: 6px;
+            cursor: pointer;
+        `;
+        const fieldStyle = `
+            padding: 0.35rem;
+            font-size: 0.95rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid #666666;
+            border-radius: 6px;
+        `;
+
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = buttonStyle;
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        // Herramientas
+        const toolRow = document.createElement('div');
+        toolRow.style.cssText = rowStyle;
+
+        this.controls.tools = {};
+        const tools = [['select', 'Seleccionar'], ...Object.entries(OBSTACLE_TOOLS).map(([type, tool]) => [type, tool.label])];
+        tools.forEach(([tool, label], index) => {
+            const button = createButton(`${index + 1}. ${label}`, () => this.setTool(tool));
+            this.controls.tools[tool] = button;
+            toolRow.appendChild(button);
+        });
+
+        // Rejilla
+        const gridSelect = document.createElement('select');
+        gridSelect.setAttribute('aria-label', 'Tamaño de la rejilla');
+        gridSelect.style.cssText = fieldStyle;
+        for (const size of this.editorConfig.gridSizes) {
+            const option = document.createElement('option');
+            option.value = String(size);
+            option.textContent = `Rejilla ${size}px`;
+            gridSelect.appendChild(option);
+        }
+        gridSelect.value = String(this.grid.size);
+        gridSelect.addEventListener('change', () => {
+            this.grid.size = Number(gridSelect.value);
+        });
+
+        const snapLabel = document.createElement('label');
+        snapLabel.style.cssText = 'display: flex; gap: 0.3rem; align-items: center;';
+        const snapCheckbox = document.createElement('input');
+        snapCheckbox.type = 'checkbox';
+        snapCheckbox.checked = this.grid.snap;
+        snapCheckbox.addEventListener('change', () => {
+            this.grid.snap = snapCheckbox.checked;
+        });
+        snapLabel.appendChild(snapCheckbox);
+        snapLabel.appendChild(document.createTextNode('Ajustar (G)'));
+
+        toolRow.appendChild(gridSelect);
+        toolRow.appendChild(snapLabel);
+
+        // Nivel y acciones
+        const levelRow = document.createElement('div');
+        levelRow.style.cssText = rowStyle;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'Nombre del nivel';
+        nameInput.setAttribute('aria-label', 'Nombre del nivel');
+        nameInput.style.cssText = fieldStyle;
+        nameInput.addEventListener('input', () => this.setLevelName(nameInput.value));
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.importLevelFile(file);
+            }
+        });
+
+        levelRow.appendChild(nameInput);
+        levelRow.appendChild(createButton('▶ Probar', () => this.playtest()));
+        levelRow.appendChild(createButton('Exportar', () => this.exportLevel()));
+        levelRow.appendChild(createButton('Importar', () => fileInput.click()));
+        levelRow.appendChild(createButton('Nuevo', () => this.newLevel()));
+        levelRow.appendChild(createButton('Volver', () => this.eventBus.emit('editor:close')));
+        levelRow.appendChild(fileInput);
+
+        // Propiedades del obstáculo seleccionado
+        const propertiesRow = document.createElement('div');
+        propertiesRow.style.cssText = `${rowStyle} min-height: 2rem; color: #CCCCCC;`;
+
+        // Canvas del editor
+        const canvas = document.createElement('canvas');
+        canvas.width = this.config.canvas?.width || 1200;
+        canvas.height = this.config.canvas?.height || 600;
+        canvas.style.cssText = `
+            flex: 1;
+            min-height: 0;
+            max-width: 100%;
+            aspect-ratio: ${canvas.width} / ${canvas.height};
+            border: 1px solid #333333;
+            cursor: crosshair;
+        `;
+
+        const status = document.createElement('p');
+        status.style.cssText = 'margin: 0; font-size: 0.95rem; color: #CCCCCC; text-align: center;';
+
+        screen.appendChild(toolRow);
+        screen.appendChild(levelRow);
+        screen.appendChild(propertiesRow);
+        screen.appendChild(canvas);
+        screen.appendChild(status);
+
+        this.element = screen;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.controls.name = nameInput;
+        this.controls.grid = gridSelect;
+        this.controls.snap = snapCheckbox;
+        this.controls.properties = propertiesRow;
+        this.controls.status = status;
+
+        this.setTool(this.tool);
+        this.refreshControls();
+    }
+
+    /**
+     * Actualiza los controles DOM con el estado del editor
+     */
+    refreshControls() {
+        this.controls.name.value = this.level.name;
+        this.controls.snap.checked = this.grid.snap;
+
+        for (const [tool, button] of Object.entries(this.controls.tools)) {
+            const active = tool === this.tool;
+            button.style.background = active ? '#FFD700' : 'transparent';
+            button.style.color = active ? '#000' : '#FFD700';
+        }
+
+        this.refreshProperties();
+        this.setStatus('Clic: colocar o seleccionar · Arrastrar: mover · Esquina: redimensionar · Clic derecho/Supr: borrar · F: suelo/techo · ←/→: desplazar');
+    }
+
+    /**
+     * Muestra los campos editables del obstáculo seleccionado
+     */
+    refreshProperties() {
+        const container = this.controls.properties;
+        container.replaceChildren();
+
+        const obstacle = this.getSelected();
+        if (!obstacle) {
+            container.textContent = `${this.level.obstacles.length} obstáculos · Meta en x ${this.level.finish.x}`;
+            return;
+        }
+
+        const info = document.createElement('span');
+        info.textContent = `${OBSTACLE_TOOLS[obstacle.type].label} · x ${obstacle.x} · ${obstacle.width}×${obstacle.height} · ${obstacle.anchor === 'ceiling' ? 'techo' : 'suelo'}`;
+        container.appendChild(info);
+
+        // Parámetros de movimiento con los límites del esquema de validación
+        const motionSchema = ConfigValidator.schemas.patternMotion[obstacle.type];
+        if (!motionSchema) return;
+
+        const labels = { range: 'Recorrido', speed: 'Velocidad', offset: 'Desfase' };
+        for (const [key, rule] of Object.entries(motionSchema)) {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: flex; gap: 0.3rem; align-items: center;';
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = key === 'range' ? '10' : '0.01';
+            if (rule.min !== undefined) input.min = String(rule.min);
+            if (rule.max !== undefined) input.max = String(rule.max);
+            input.value = String(obstacle.motion[key]);
+            input.style.cssText = 'width: 5rem; background: rgba(255, 255, 255, 0.1); color: white; border: 1px solid #666666;';
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (Number.isFinite(value)) {
+                    obstacle.motion[key] = value;
+                }
+            });
+
+            label.appendChild(document.createTextNode(labels[key] || key));
+            label.appendChild(input);
+            container.appendChild(label);
+        }
+    }
+
+    /**
+     * Muestra un mensaje en la barra de estado
+     * @param {string} message - Mensaje
+     * @param {boolean} isError - Si es un error
+     */
+    setStatus(message, isError = false) {
+        this.controls.status.textContent = message;
+        this.controls.status.style.color = isError ? '#FF6B6B' : '#CCCCCC';
+    }
+
+    // ===== APERTURA Y CIERRE =====
+
+    /**
+     * Abre o cierra el editor según el estado del juego
+     * @param {Object} data - Datos del cambio de estado
+     */
+    handleStateChange(data) {
+        if (data.state === 'editor') {
+            this.open();
+        } else if (this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Activa el input del editor y empieza a dibujar
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.mouseHandler.enable();
+        this.keyboardHandler.enable();
+        this.refreshControls();
+
+        this.lastFrameTime = performance.now();
+        this.animationFrameId = requestAnimationFrame(this.boundLoop);
+
+        console.log('🛠️ Editor de niveles abierto');
+    }
+
+    /**
+     * Desactiva el input del editor y deja de dibujar
+     */
+    close() {
+        this.isOpen = false;
+        this.drag = null;
+        this.mouseHandler.disable();
+        this.keyboardHandler.disable();
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        console.log('🛠️ Editor de niveles cerrado');
+    }
+
+    /**
+     * Bucle del editor: desplazamiento con teclas mantenidas y dibujo
+     * @param {number} currentTime - Tiempo actual
+     */
+    loop(currentTime) {
+        if (!this.isOpen) return;
+
+        const deltaTime = Math.min((currentTime - this.lastFrameTime) / 1000, 0.1);
+        this.lastFrameTime = currentTime;
+
+        const direction = (this.keyboardHandler.isActionPressed('scrollRight') ? 1 : 0) -
+            (this.keyboardHandler.isActionPressed('scrollLeft') ? 1 : 0);
+        if (direction !== 0) {
+            this.scrollBy(direction * this.editorConfig.scrollSpeed * deltaTime);
+        }
+
+        this.keyboardHandler.update(deltaTime);
+        this.mouseHandler.update(deltaTime);
+        this.render();
+
+        this.animationFrameId = requestAnimationFrame(this.boundLoop);
+    }
+
+    // ===== NIVEL =====
+
+    /**
+     * Crea un nivel vacío
+     * @returns {Object} Nivel sin obstáculos
+     */
+    createEmptyLevel() {
+        return {
+            id: 'mi-nivel',
+            name: 'Mi Nivel',
+            description: '',
+            finish: { x: this.editorConfig.finishX },
+            obstacles: [],
+            coins: [],
+            collectibles: [],
+            checkpoints: []
+        };
+    }
+
+    /**
+     * Empieza un nivel nuevo
+     */
+    newLevel() {
+        this.level = this.createEmptyLevel();
+        this.selectedIndex = -1;
+        this.camera.setPosition(this.camera.viewport.centerX - 100, this.getCorridorCenterY());
+        this.camera.updateTransform();
+        this.refreshControls();
+    }
+
+    /**
+     * Carga un nivel en el editor
+     * @param {Object} level - Nivel validado
+     */
+    setLevel(level) {
+        this.level = JSON.parse(JSON.stringify(level));
+        this.selectedIndex = -1;
+        this.refreshControls();
+
+        console.log(`🛠️ Nivel ${level.id} cargado en el editor`);
+    }
+
+    /**
+     * Obtiene una copia del nivel en edición
+     * @returns {Object} Nivel
+     */
+    getLevel() {
+        return JSON.parse(JSON.stringify(this.level));
+    }
+
+    /**
+     * Cambia el nombre del nivel (el id se deriva del nombre)
+     * @param {string} name - Nombre
+     */
+    setLevelName(name) {
+        this.level.name = name;
+        this.level.id = name
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'mi-nivel';
+    }
+
+    /**
+     * Valida el nivel en edición
+     * @returns {Object|null} Nivel validado o null si tiene errores
+     */
+    validate() {
+        const { level, errors } = ConfigValidator.validateLevel(this.level);
+
+        if (errors.length > 0) {
+            this.setStatus(`❌ ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1})` : ''}`, true);
+            return null;
+        }
+
+        return level;
+    }
+
+    /**
+     * Prueba el nivel al instante
+     */
+    playtest() {
+        const level = this.validate();
+        if (!level) return;
+
+        console.log(`▶️ Probando nivel ${level.id}`);
+        this.eventBus.emit('editor:playtest', { level });
+    }
+
+    /**
+     * Descarga el nivel como JSON
+     */
+    exportLevel() {
+        const level = this.validate();
+        if (!level) return;
+
+        const blob = new Blob([JSON.stringify(level, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${level.id}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+        this.setStatus(`💾 Nivel exportado como ${level.id}.json`);
+    }
+
+    /**
+     * Carga un nivel desde un archivo JSON
+     * @param {File} file - Archivo del nivel
+     */
+    async importLevelFile(file) {
+        try {
+            const { level, errors } = ConfigValidator.validateLevel(JSON.parse(await file.text()));
+
+            if (errors.length > 0) {
+                this.setStatus(`❌ Nivel no válido: ${errors[0]}`, true);
+                return;
+            }
+
+            this.setLevel(level);
+            this.setStatus(`📂 Nivel ${level.name} importado`);
+
+        } catch (error) {
+            console.error('❌ Error importando nivel:', error);
+            this.setStatus('❌ El archivo no es un nivel JSON válido', true);
+        }
+    }
+
+    // ===== EDICIÓN =====
+
+    /**
+     * Cambia la herramienta activa
+     * @param {string} tool - select o tipo de obstáculo
+     */
+    setTool(tool) {
+        this.tool = tool;
+
+        for (const [name, button] of Object.entries(this.controls.tools || {})) {
+            const active = name === tool;
+            button.style.background = active ? '#FFD700' : 'transparent';
+            button.style.color = active ? '#000' : '#FFD700';
+        }
+    }
+
+    /**
+     * Obtiene el obstáculo seleccionado
+     * @returns {Object|null} Obstáculo o null
+     */
+    getSelected() {
+        return this.level.obstacles[this.selectedIndex] || null;
+    }
+
+    /**
+     * Selecciona un obstáculo
+     * @param {number} index - Índice o -1 para ninguno
+     */
+    select(index) {
+        this.selectedIndex = index;
+        this.refreshProperties();
+    }
+
+    /**
+     * Coloca un obstáculo nuevo con la herramienta activa
+     * @param {Object} point - Punto del mundo
+     * @returns {Object} Obstáculo colocado
+     */
+    placeObstacle(point) {
+        const tool = OBSTACLE_TOOLS[this.tool];
+        const anchor = point.y < this.getCorridorCenterY() ? 'ceiling' : 'ground';
+
+        const obstacle = {
+            type: this.tool,
+            x: 0,
+            y: 0,
+            anchor,
+            width: tool.width,
+            height: tool.height
+        };
+
+        if (tool.motion) {
+            obstacle.motion = { ...tool.motion };
+        }
+
+        this.level.obstacles.push(obstacle);
+        this.moveObstacle(obstacle, point.x - tool.width / 2, point.y - tool.height / 2);
+        this.select(this.level.obstacles.length - 1);
+
+        return obstacle;
+    }
+
+    /**
+     * Mueve un obstáculo a una esquina superior izquierda del mundo, ajustando a la rejilla
+     * @param {Object} obstacle - Obstáculo
+     * @param {number} left - X del mundo
+     * @param {number} top - Y del mundo
+     */
+    moveObstacle(obstacle, left, top) {
+        obstacle.x = this.clamp(this.snap(left), 0, this.level.finish.x - obstacle.width);
+
+        // y es la separación con la superficie de anclaje
+        const gap = obstacle.anchor === 'ceiling'
+            ? top - this.getCeilingBottom()
+            : this.surface.groundY - top - obstacle.height;
+        obstacle.y = this.clamp(this.snap(gap), 0, Math.max(0, this.getCorridorHeight() - obstacle.height));
+    }
+
+    /**
+     * Redimensiona un obstáculo arrastrando su esquina libre
+     * @param {Object} obstacle - Obstáculo
+     * @param {Object} point - Punto del mundo
+     */
+    resizeObstacle(obstacle, point) {
+        const minSize = this.grid.snap ? this.grid.size : 5;
+        const maxWidth = Math.min(500, this.level.finish.x - obstacle.x);
+        const rect = this.getObstacleRect(obstacle);
+
+        obstacle.width = this.clamp(this.snap(point.x - obstacle.x), minSize, maxWidth);
+
+        // La esquina libre es la opuesta a la superficie de anclaje
+        const height = obstacle.anchor === 'ceiling'
+            ? point.y - rect.y
+            : rect.y + rect.height - point.y;
+        obstacle.height = this.clamp(this.snap(height), minSize, 500);
+    }
+
+    /**
+     * Borra un obstáculo
+     * @param {number} index - Índice del obstáculo
+     */
+    deleteObstacle(index) {
+        if (index < 0) return;
+
+        this.level.obstacles.splice(index, 1);
+        this.select(-1);
+    }
+
+    /**
+     * Cambia el anclaje del obstáculo seleccionado entre suelo y techo
+     */
+    flipSelectedAnchor() {
+        const obstacle = this.getSelected();
+        if (!obstacle) return;
+
+        obstacle.anchor = obstacle.anchor === 'ceiling' ? 'ground' : 'ceiling';
+        this.refreshProperties();
+    }
+
+    /**
+     * Mueve la meta sin dejar fuera ningún elemento del nivel
+     * @param {number} x - X del mundo
+     */
+    moveFinish(x) {
+        const contentEnd = Math.max(
+            100,
+            ...this.level.obstacles.map(obstacle => obstacle.x + obstacle.width),
+            ...[...this.level.coins, ...this.level.collectibles, ...this.level.checkpoints].map(point => point.x + 1)
+        );
+
+        this.level.finish.x = Math.max(contentEnd, this.snap(x));
+    }
+
+    // ===== INPUT =====
+
+    /**
+     * Maneja los botones del mouse sobre el canvas
+     * @param {Object} data - Datos del botón
+     */
+    handleMouseButton(data) {
+        if (!this.isOpen) return;
+
+        if (!data.pressed) {
+            if (this.drag && this.drag.type !== 'pan') {
+                this.refreshProperties();
+            }
+            this.drag = null;
+            return;
+        }
+
+        if (!this.mouseHandler.mouseState.isOverCanvas) return;
+
+        const point = this.getPointerWorldPosition();
+        const index = this.hitTest(point);
+
+        if (data.button === MOUSE_RIGHT) {
+            this.deleteObstacle(index);
+            return;
+        }
+
+        if (data.button !== MOUSE_LEFT) return;
+
+        // Esquina de redimensionado del obstáculo seleccionado
+        const selected = this.getSelected();
+        if (selected && this.isOnResizeHandle(selected, point)) {
+            this.drag = { type: 'resize', obstacle: selected };
+            return;
+        }
+
+        if (index >= 0) {
+            const rect = this.getObstacleRect(this.level.obstacles[index]);
+            this.select(index);
+            this.drag = {
+                type: 'move',
+                obstacle: this.level.obstacles[index],
+                offsetX: point.x - rect.x,
+                offsetY: point.y - rect.y
+            };
+            return;
+        }
+
+        if (this.isOnFinish(point)) {
+            this.drag = { type: 'finish' };
+            return;
+        }
+
+        if (this.tool !== 'select') {
+            // El obstáculo recién colocado se puede arrastrar sin soltar el botón
+            const placed = this.placeObstacle(point);
+            this.drag = { type: 'move', obstacle: placed, offsetX: placed.width / 2, offsetY: placed.height / 2 };
+            return;
+        }
+
+        // Con Seleccionar, arrastrar en vacío desplaza la vista
+        this.select(-1);
+        this.drag = { type: 'pan' };
+    }
+
+    /**
+     * Maneja el movimiento del mouse durante un arrastre
+     * @param {Object} data - Datos del movimiento
+     */
+    handleMouseMove(data) {
+        if (!this.isOpen || !this.drag) return;
+
+        const point = this.getPointerWorldPosition();
+
+        switch (this.drag.type) {
+            case 'move':
+                this.moveObstacle(this.drag.obstacle, point.x - this.drag.offsetX, point.y - this.drag.offsetY);
+                break;
+
+            case 'resize':
+                this.resizeObstacle(this.drag.obstacle, point);
+                break;
+
+            case 'finish':
+                this.moveFinish(point.x);
+                break;
+
+            case 'pan':
+                this.scrollBy(-data.delta.x * this.getCanvasScale() / this.camera.getZoom());
+                break;
+        }
+    }
+
+    /**
+     * Desplaza la vista con la rueda del mouse
+     * @param {Object} data - Datos de la rueda
+     */
+    handleMouseWheel(data) {
+        if (!this.isOpen || !this.mouseHandler.mouseState.isOverCanvas) return;
+
+        this.scrollBy(data.delta);
+    }
+
+    /**
+     * Maneja las acciones de teclado del editor
+     * @param {Object} data - Datos de la acción
+     */
+    handleKeyboard(data) {
+        if (!this.isOpen || !data.pressed) return;
+
+        if (data.action.startsWith('tool:')) {
+            this.setTool(data.action.slice(5));
+            return;
+        }
+
+        switch (data.action) {
+            case 'delete':
+                this.deleteObstacle(this.selectedIndex);
+                break;
+
+            case 'toggleSnap':
+                this.grid.snap = !this.grid.snap;
+                this.controls.snap.checked = this.grid.snap;
+                break;
+
+            case 'flipAnchor':
+                this.flipSelectedAnchor();
+                break;
+
+            case 'deselect':
+                this.select(-1);
+                break;
+        }
+    }
+
+    // ===== GEOMETRÍA =====
+
+    /**
+     * Obtiene la posición del puntero en coordenadas del mundo
+     * @returns {Object} Punto del mundo
+     */
+    getPointerWorldPosition() {
+        const relative = this.mouseHandler.getCanvasRelativePosition();
+        const scale = this.getCanvasScale();
+
+        return this.camera.screenToWorld(relative.x * scale, relative.y * scale);
+    }
+
+    /**
+     * Relación entre píxeles del canvas y píxeles CSS en pantalla
+     * @returns {number} Escala
+     */
+    getCanvasScale() {
+        const rect = this.canvas.getBoundingClientRect();
+        return rect.width > 0 ? this.canvas.width / rect.width : 1;
+    }
+
+    /**
+     * Convierte un obstáculo del nivel en el obstáculo que dibuja ObstacleManager
+     * @param {Object} definition - Obstáculo del nivel
+     * @returns {Object} Obstáculo colocado en el mundo
+     */
+    toWorldObstacle(definition) {
+        const [obstacle] = this.obstacleManager.buildPatternObstacles({ obstacles: [definition] }, 0);
+
+        obstacle.currentY = obstacle.y;
+        obstacle.color = this.obstacleManager.obstacleConfig.colors[obstacle.type];
+        return obstacle;
+    }
+
+    /**
+     * Obtiene el rectángulo de un obstáculo en el mundo
+     * @param {Object} definition - Obstáculo del nivel
+     * @returns {Object} Rectángulo (x, y, width, height)
+     */
+    getObstacleRect(definition) {
+        const { x, y, width, height } = this.toWorldObstacle(definition);
+        return { x, y, width, height };
+    }
+
+    /**
+     * Busca el obstáculo bajo un punto (el de encima primero)
+     * @param {Object} point - Punto del mundo
+     * @returns {number} Índice o -1
+     */
+    hitTest(point) {
+        for (let i = this.level.obstacles.length - 1; i >= 0; i--) {
+            const rect = this.getObstacleRect(this.level.obstacles[i]);
+
+            if (point.x >= rect.x && point.x <= rect.x + rect.width &&
+                point.y >= rect.y && point.y <= rect.y + rect.height) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Posición de la esquina de redimensionado (lado derecho, opuesto al anclaje)
+     * @param {Object} definition - Obstáculo del nivel
+     * @returns {Object} Punto del mundo
+     */
+    getResizeHandle(definition) {
+        const rect = this.getObstacleRect(definition);
+
+        return {
+            x: rect.x + rect.width,
+            y: definition.anchor === 'ceiling' ? rect.y + rect.height : rect.y
+        };
+    }
+
+    /**
+     * Indica si un punto está sobre la esquina de redimensionado
+     * @param {Object} definition - Obstáculo del nivel
+     * @param {Object} point - Punto del mundo
+     * @returns {boolean} True si está encima
+     */
+    isOnResizeHandle(definition, point) {
+        const handle = this.getResizeHandle(definition);
+        const radius = this.editorConfig.handleSize / this.camera.getZoom();
+
+        return Math.abs(point.x - handle.x) <= radius && Math.abs(point.y - handle.y) <= radius;
+    }
+
+    /**
+     * Indica si un punto está sobre la línea de meta
+     * @param {Object} point - Punto del mundo
+     * @returns {boolean} True si está encima
+     */
+    isOnFinish(point) {
+        return Math.abs(point.x - this.level.finish.x) <= this.editorConfig.handleSize / this.camera.getZoom();
+    }
+
+    /**
+     * Ajusta un valor a la rejilla si el ajuste está activo
+     * @param {number} value - Valor
+     * @returns {number} Valor ajustado
+     */
+    snap(value) {
+        return this.grid.snap
+            ? Math.round(value / this.grid.size) * this.grid.size
+            : Math.round(value);
+    }
+
+    /**
+     * Limita un valor a un rango
+     * @param {number} value - Valor
+     * @param {number} min - Mínimo
+     * @param {number} max - Máximo
+     * @returns {number} Valor limitado
+     */
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Obtiene la Y del borde inferior del techo
+     * @returns {number} Y del mundo
+     */
+    getCeilingBottom() {
+        return this.surface.ceilingY + this.surface.thickness;
+    }
+
+    /**
+     * Obtiene la altura del corredor entre techo y suelo
+     * @returns {number} Altura
+     */
+    getCorridorHeight() {
+        return this.surface.groundY - this.getCeilingBottom();
+    }
+
+    /**
+     * Obtiene la Y del centro del corredor
+     * @returns {number} Y del mundo
+     */
+    getCorridorCenterY() {
+        return (this.getCeilingBottom() + this.surface.groundY) / 2;
+    }
+
+    /**
+     * Bloquea el eje vertical de la cámara en el centro del corredor
+     */
+    lockCameraToCorridor() {
+        const minX = this.camera.viewport.centerX - 200;
+        const centerY = this.getCorridorCenterY();
+
+        this.camera.setBounds(minX, Infinity, centerY, centerY);
+    }
+
+    /**
+     * Desplaza la vista horizontalmente
+     * @param {number} deltaX - Desplazamiento en el mundo
+     */
+    scrollBy(deltaX) {
+        this.camera.move(deltaX, 0);
+        this.camera.applyBounds();
+        this.camera.updateTransform();
+    }
+
+    /**
+     * Actualiza la superficie del mundo (la comparten el dibujo de obstáculos y superficies)
+     * @param {Object} surface - Superficie del mundo
+     */
+    setSurface(surface) {
+        Object.assign(this.surface, surface);
+
+        if (this.camera) {
+            this.lockCameraToCorridor();
+            this.scrollBy(0);
+        }
+    }
+
+    // ===== DIBUJO =====
+
+    /**
+     * Dibuja el nivel en edición
+     */
+    render() {
+        const ctx = this.ctx;
+        const transform = this.camera.getTransform();
+        const visible = this.camera.getVisibleWorldBounds();
+
+        ctx.fillStyle = this.config.canvas?.backgroundColor || '#0F0F0F';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.save();
+        ctx.translate(transform.x, transform.y);
+        ctx.scale(transform.scale, transform.scale);
+
+        this.worldRenderer.render(ctx);
+        DebugUtils.drawGrid(ctx, visible, this.grid.size, this.grid.snap ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)');
+        this.renderFinish(ctx, visible);
+
+        this.level.obstacles.forEach((definition, index) => {
+            const obstacle = this.toWorldObstacle(definition);
+
+            if (obstacle.x + obstacle.width < visible.x || obstacle.x > visible.x + visible.width) return;
+
+            this.obstacleManager.renderObstacle(ctx, obstacle);
+
+            // Recorrido de los obstáculos móviles
+            if (obstacle.type === 'moving') {
+                ctx.strokeStyle = 'rgba(159, 122, 234, 0.6)';
+                ctx.setLineDash([4, 4]);
+                ctx.strokeRect(obstacle.x, obstacle.y - obstacle.moveRange, obstacle.width, obstacle.height + obstacle.moveRange * 2);
+                ctx.setLineDash([]);
+            }
+
+            if (index === this.selectedIndex) {
+                this.renderSelection(ctx, definition, obstacle);
+            }
+        });
+
+        ctx.restore();
+
+        // Posición del puntero
+        if (this.mouseHandler.mouseState.isOverCanvas) {
+            const point = this.getPointerWorldPosition();
+            ctx.fillStyle = '#CCCCCC';
+            ctx.font = '14px Rajdhani';
+            ctx.textAlign = 'right';
+            ctx.fillText(`x ${this.snap(point.x)}`, this.canvas.width - 10, 20);
+        }
+    }
+
+    /**
+     * Dibuja la línea de meta arrastrable
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} visible - Zona visible del mundo
+     */
+    renderFinish(ctx, visible) {
+        const x = this.level.finish.x;
+
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 6]);
+        ctx.beginPath();
+        ctx.moveTo(x, visible.y);
+        ctx.lineTo(x, visible.y + visible.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#FFD700';
+        ctx.font = 'bold 16px Orbitron';
+        ctx.textAlign = 'left';
+        ctx.fillText('META', x + 6, this.getCeilingBottom() + 20);
+    }
+
+    /**
+     * Dibuja el marco y la esquina de redimensionado del obstáculo seleccionado
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} definition - Obstáculo del nivel
+     * @param {Object} obstacle - Obstáculo colocado en el mundo
+     */
+    renderSelection(ctx, definition, obstacle) {
+        const handle = this.getResizeHandle(definition);
+        const size = this.editorConfig.handleSize / this.camera.getZoom();
+
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 2]);
+        ctx.strokeRect(obstacle.x - 2, obstacle.y - 2, obstacle.width + 4, obstacle.height + 4);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+    }
+
+    /**
+     * Obtiene la pantalla del editor
+     * @returns {HTMLElement} Elemento de la pantalla
+     */
+    getElement() {
+        return this.element;
+    }
+
+    /**
+     * Resetea el estado de interacción (el nivel en edición se conserva)
+     */
+    reset() {
+        this.drag = null;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            isOpen: this.isOpen,
+            tool: this.tool,
+            grid: { ...this.grid },
+            levelId: this.level.id,
+            obstacles: this.level.obstacles.length,
+            finishX: this.level.finish.x,
+            selectedIndex: this.selectedIndex,
+            drag: this.drag ? this.drag.type : null
+        };
+    }
+
+    /**
+     * Limpia recursos del editor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo LevelEditor...');
+
+        this.close();
+        this.eventBus.off('*', this);
+
+        this.mouseHandler.destroy();
+        this.keyboardHandler.destroy();
+        this.worldRenderer.destroy();
+        this.camera.destroy();
+
+        this.isInitialized = false;
+
+        console.log('✅ LevelEditor destruido');
+    }
+}
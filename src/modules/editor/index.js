@@ -0,0 +1,96 @@
+/**
+ * Módulo del editor de niveles de Spikepulse
+ * @module Editor
+ */
+
+import { LevelEditor } from './LevelEditor.js';
+
+/**
+ * Crea una instancia del sistema de edición de niveles
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema del editor
+ */
+export function createEditorSystem(config, eventBus) {
+    console.log('🛠️ Creando sistema del editor de niveles...');
+
+    const levelEditor = new LevelEditor(config, eventBus);
+
+    const editorSystem = {
+        levelEditor,
+
+        /**
+         * Inicializa el sistema del editor
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema del editor...');
+
+            try {
+                await levelEditor.init();
+                console.log('✅ Sistema del editor inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema del editor:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Usa la superficie del mundo para colocar los obstáculos
+         * @param {Object} surface - Superficie del mundo
+         */
+        setSurface(surface) {
+            levelEditor.setSurface(surface);
+        },
+
+        /**
+         * Obtiene la pantalla del editor para registrarla en el ScreenManager
+         * @returns {HTMLElement} Elemento de la pantalla
+         */
+        getElement() {
+            return levelEditor.getElement();
+        },
+
+        /**
+         * Carga un nivel en el editor
+         * @param {Object} level - Nivel validado
+         */
+        setLevel(level) {
+            levelEditor.setLevel(level);
+        },
+
+        /**
+         * Obtiene una copia del nivel en edición
+         * @returns {Object} Nivel
+         */
+        getLevel() {
+            return levelEditor.getLevel();
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return levelEditor.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema del editor (el nivel en edición se conserva)
+         */
+        reset() {
+            levelEditor.reset();
+        },
+
+        /**
+         * Destruye el sistema del editor
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema del editor...');
+            levelEditor.destroy();
+        }
+    };
+
+    console.log('✅ Sistema del editor creado');
+    return editorSystem;
+}
@@ -0,0 +1,332 @@
+/**
+ * Pantalla de controles: teclas de cada acción, captura de teclas nuevas y conflictos
+ * @module ControlsScreen
+ */
+
+import { INPUT_ACTIONS, findBindingConflicts, getKeyLabel } from '../../config/InputBindings.js';
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+const BUTTON_STYLE = `
+    padding: 0.6rem 1.2rem;
+    font-size: 1rem;
+    font-family: 'Orbitron', sans-serif;
+    background: transparent;
+    color: #CCCCCC;
+    border: 2px solid #666666;
+    border-radius: 8px;
+    cursor: pointer;
+`;
+
+export class ControlsScreen {
+    /**
+     * Crea la pantalla de controles
+     * @param {Object} config - Configuración de input
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {Object} inputSystem - Sistema de input (teclas asignadas y controles táctiles)
+     */
+    constructor(config, eventBus, inputSystem) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.inputSystem = inputSystem;
+        
+        // Acción que espera tecla {action, handler}
+        this.capture = null;
+        
+        // DOM (se crea la primera vez que se pide el elemento)
+        this.element = null;
+        this.list = null;
+        this.status = null;
+    }
+    
+    /**
+     * Obtiene el elemento de la pantalla, creándolo si hace falta
+     * @returns {HTMLElement} Pantalla de controles
+     */
+    getElement() {
+        if (!this.element) {
+            this.element = this.createScreen();
+        }
+        
+        return this.element;
+    }
+    
+    /**
+     * Crea la pantalla de controles
+     * @returns {HTMLElement} Pantalla de controles
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'controls-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = SPANISH_TEXT.CONTROLS;
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 0.25rem;';
+        
+        const list = document.createElement('div');
+        list.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            min-width: 640px;
+        `;
+        
+        // Mensajes de captura y de conflictos
+        const status = document.createElement('div');
+        status.setAttribute('aria-live', 'polite');
+        status.style.cssText = "min-height: 1.5rem; font-family: 'Rajdhani', sans-serif; color: #FFD700;";
+        
+        const footer = document.createElement('div');
+        footer.style.cssText = 'display: flex; gap: 0.5rem;';
+        
+        const resetButton = document.createElement('button');
+        resetButton.textContent = SPANISH_TEXT.CONTROLS_RESET;
+        resetButton.style.cssText = BUTTON_STYLE;
+        resetButton.addEventListener('click', () => {
+            this.setBindings(this.inputSystem.getDefaultKeyBindings());
+        });
+        
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = BUTTON_STYLE;
+        backButton.addEventListener('click', () => {
+            this.close();
+            this.eventBus.emit('ui:back-to-menu', { screen: 'controls' });
+        });
+        
+        footer.appendChild(resetButton);
+        
+        // Solo con controles táctiles en pantalla
+        if (this.inputSystem.hasVirtualControls()) {
+            const touchButton = document.createElement('button');
+            touchButton.textContent = SPANISH_TEXT.CONTROLS_TOUCH_EDIT;
+            touchButton.style.cssText = BUTTON_STYLE;
+            touchButton.addEventListener('click', () => {
+                this.cancelCapture();
+                this.inputSystem.editVirtualControls();
+            });
+            footer.appendChild(touchButton);
+        }
+        
+        footer.appendChild(backButton);
+        
+        screen.appendChild(title);
+        screen.appendChild(list);
+        screen.appendChild(status);
+        screen.appendChild(footer);
+        
+        this.list = list;
+        this.status = status;
+        
+        return screen;
+    }
+    
+    /**
+     * Cancela la captura pendiente y borra los mensajes (al cerrar la pantalla)
+     */
+    close() {
+        this.cancelCapture();
+        
+        if (this.status) {
+            this.status.textContent = '';
+        }
+    }
+    
+    /**
+     * Guarda las teclas y actualiza la lista
+     * @param {Object} bindings - Bindings (acción -> códigos)
+     */
+    setBindings(bindings) {
+        this.inputSystem.saveKeyBindings(bindings);
+        this.render();
+    }
+    
+    /**
+     * Rellena la lista de acciones con sus teclas
+     */
+    render() {
+        this.getElement();
+        
+        const bindings = this.inputSystem.getKeyBindings();
+        const conflicts = new Set(findBindingConflicts(bindings).map(conflict => conflict.code));
+        
+        this.list.replaceChildren();
+        
+        for (const action of INPUT_ACTIONS) {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 1rem;
+                padding: 0.5rem;
+                border: 1px solid ${this.capture?.action === action ? '#FFD700' : '#333333'};
+                border-radius: 8px;
+                font-family: 'Rajdhani', sans-serif;
+            `;
+            
+            const name = document.createElement('div');
+            name.textContent = this.getActionLabel(action);
+            name.style.cssText = "min-width: 180px; font-family: 'Orbitron', sans-serif; color: #FFD700;";
+            
+            const keys = document.createElement('div');
+            keys.style.cssText = 'flex: 1; display: flex; flex-wrap: wrap; gap: 0.4rem;';
+            
+            for (const code of bindings[action]) {
+                const conflicted = conflicts.has(code);
+                
+                const chip = document.createElement('span');
+                chip.textContent = getKeyLabel(code);
+                chip.title = conflicted ? SPANISH_TEXT.CONTROLS_CONFLICT : code;
+                chip.style.cssText = `
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 0.3rem;
+                    padding: 0.2rem 0.5rem;
+                    border: 1px solid ${conflicted ? '#FF4444' : '#666666'};
+                    border-radius: 4px;
+                    color: ${conflicted ? '#FF4444' : 'white'};
+                `;
+                
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `${SPANISH_TEXT.CONTROLS_REMOVE_KEY}: ${getKeyLabel(code)}`);
+                remove.style.cssText = 'background: transparent; color: inherit; border: none; cursor: pointer; padding: 0;';
+                remove.addEventListener('click', () => {
+                    this.setBindings({ ...bindings, [action]: bindings[action].filter(key => key !== code) });
+                });
+                
+                chip.appendChild(remove);
+                keys.appendChild(chip);
+            }
+            
+            if (bindings[action].length === 0) {
+                const unbound = document.createElement('span');
+                unbound.textContent = SPANISH_TEXT.CONTROLS_UNBOUND;
+                unbound.style.cssText = 'color: #888888;';
+                keys.appendChild(unbound);
+            }
+            
+            const addButton = document.createElement('button');
+            addButton.textContent = SPANISH_TEXT.CONTROLS_ADD_KEY;
+            addButton.style.cssText = BUTTON_STYLE;
+            addButton.addEventListener('click', () => this.startCapture(action));
+            
+            row.appendChild(name);
+            row.appendChild(keys);
+            row.appendChild(addButton);
+            this.list.appendChild(row);
+        }
+        
+        // Avisar de las teclas repetidas (p. ej. en controles de una versión anterior)
+        if (!this.capture && conflicts.size > 0) {
+            this.status.textContent = SPANISH_TEXT.CONTROLS_CONFLICT;
+        } else if (this.status.textContent === SPANISH_TEXT.CONTROLS_CONFLICT) {
+            this.status.textContent = '';
+        }
+    }
+    
+    /**
+     * Texto de una acción para la pantalla de controles
+     * @param {string} action - Acción de input
+     * @returns {string} Nombre de la acción
+     */
+    getActionLabel(action) {
+        const labels = {
+            jump: SPANISH_TEXT.JUMP,
+            dash: SPANISH_TEXT.DASH,
+            gravityToggle: SPANISH_TEXT.TOGGLE_GRAVITY,
+            moveLeft: SPANISH_TEXT.MOVE_LEFT,
+            moveRight: SPANISH_TEXT.MOVE_RIGHT,
+            pause: SPANISH_TEXT.PAUSE_GAME
+        };
+        
+        return labels[action] || action;
+    }
+    
+    /**
+     * Espera la siguiente tecla para asignarla a una acción
+     * La tecla se captura antes que el sistema de input, así no salta ni pausa.
+     * @param {string} action - Acción a la que se añade la tecla
+     */
+    startCapture(action) {
+        this.cancelCapture();
+        
+        const handler = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.repeat) return;
+            
+            this.cancelCapture();
+            
+            if (event.code === 'Escape') {
+                this.status.textContent = '';
+                this.render();
+            } else {
+                this.bindKey(action, event.code);
+            }
+        };
+        
+        window.addEventListener('keydown', handler, true);
+        this.capture = { action, handler };
+        this.status.textContent = `${this.getActionLabel(action)}: ${SPANISH_TEXT.CONTROLS_PRESS_KEY}`;
+        this.render();
+    }
+    
+    /**
+     * Cancela la captura de tecla pendiente
+     */
+    cancelCapture() {
+        if (!this.capture) return;
+        
+        window.removeEventListener('keydown', this.capture.handler, true);
+        this.capture = null;
+    }
+    
+    /**
+     * Asigna una tecla a una acción, quitándosela a las acciones que ya la usaban
+     * @param {string} action - Acción
+     * @param {string} code - Código de la tecla
+     */
+    bindKey(action, code) {
+        const bindings = this.inputSystem.getKeyBindings();
+        const previous = INPUT_ACTIONS.filter(other => other !== action && bindings[other].includes(code));
+        
+        for (const other of previous) {
+            bindings[other] = bindings[other].filter(key => key !== code);
+        }
+        if (!bindings[action].includes(code)) {
+            bindings[action] = [...bindings[action], code];
+        }
+        
+        this.status.textContent = previous.length > 0
+            ? `${getKeyLabel(code)} · ${SPANISH_TEXT.CONTROLS_MOVED} ${previous.map(other => this.getActionLabel(other)).join(', ')}`
+            : '';
+            
+        this.setBindings(bindings);
+    }
+    
+    /**
+     * Destruye la pantalla
+     */
+    destroy() {
+        this.cancelCapture();
+        this.element?.remove();
+        this.element = null;
+        this.list = null;
+        this.status = null;
+    }
+}
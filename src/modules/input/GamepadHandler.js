@@ -0,0 +1,482 @@
+/**
+ * Manejador de entrada de mandos (Gamepad API) para Spikepulse
+ * @module GamepadHandler
+ *
+ * La Gamepad API no tiene eventos de botones: el estado de los mandos se
+ * consulta en cada update y se emiten las acciones que cambian. Los botones
+ * usan el mapeo estándar (0 = A / Cruz, 9 = Start, 12-15 = cruceta).
+ */
+
+/**
+ * Bindings por defecto (acción -> índices de botón del mapeo estándar)
+ */
+const DEFAULT_BUTTON_BINDINGS = {
+    jump: [0, 12],
+    dash: [2, 5, 7],
+    gravityToggle: [1, 3, 4, 6],
+    moveLeft: [14],
+    moveRight: [15],
+    pause: [9]
+};
+
+/**
+ * Bindings de ejes por defecto (acción -> eje y sentido del stick)
+ */
+const DEFAULT_AXIS_BINDINGS = {
+    moveLeft: [{ axis: 0, direction: -1 }],
+    moveRight: [{ axis: 0, direction: 1 }]
+};
+
+/**
+ * Vibraciones por defecto (duración en ms y fuerza de los motores 0-1)
+ */
+const DEFAULT_RUMBLE = {
+    enabled: true,
+    death: { duration: 300, strongMagnitude: 1, weakMagnitude: 0.6 },
+    dash: { duration: 80, strongMagnitude: 0.2, weakMagnitude: 0.5 }
+};
+
+export class GamepadHandler {
+    /**
+     * Crea una nueva instancia del manejador de mandos
+     * @param {Object} config - Configuración de mandos
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {Object} deviceConfig - Configuración del dispositivo
+     */
+    constructor(config, eventBus, deviceConfig = {}) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.deviceConfig = deviceConfig;
+        this.isEnabled = true;
+        this.isInitialized = false;
+        
+        // Bindings de botones y ejes (se sustituyen por acción)
+        this.buttonBindings = { ...DEFAULT_BUTTON_BINDINGS, ...config.buttons };
+        this.axisBindings = { ...DEFAULT_AXIS_BINDINGS, ...config.axes };
+        
+        // Zona muerta de los sticks y umbral de los botones analógicos (gatillos)
+        this.deadzone = config.deadzone ?? 0.25;
+        this.buttonThreshold = config.buttonThreshold ?? 0.5;
+        
+        this.rumbleConfig = {
+            ...DEFAULT_RUMBLE,
+            ...config.rumble
+        };
+        
+        // Mandos conectados: índice -> {id, type, actions}
+        this.gamepads = new Map();
+        
+        // Estado combinado de todos los mandos
+        this.actionState = {};
+        for (const action of this.getActions()) {
+            this.actionState[action] = false;
+        }
+        
+        // Último mando usado (el que vibra y el que decide los iconos)
+        this.lastUsedIndex = null;
+        
+        // Handlers de eventos (bound para poder removerlos)
+        this.boundHandlers = {
+            connected: (event) => this.handleConnected(event.gamepad),
+            disconnected: (event) => this.handleDisconnected(event.gamepad.index),
+            died: () => this.rumble('death'),
+            dashed: () => this.rumble('dash')
+        };
+        
+        console.log('🎮 GamepadHandler creado');
+    }
+    
+    /**
+     * Inicializa el manejador de mandos
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando GamepadHandler...');
+            
+            this.setupEventListeners();
+            
+            // Mandos conectados antes de cargar el juego
+            this.pollConnections(this.getGamepads());
+            
+            this.isInitialized = true;
+            console.log('✅ GamepadHandler inicializado');
+            
+        } catch (error) {
+            console.error('❌ Error inicializando GamepadHandler:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        window.addEventListener('gamepadconnected', this.boundHandlers.connected);
+        window.addEventListener('gamepaddisconnected', this.boundHandlers.disconnected);
+        
+        // Vibración al morir y al hacer dash
+        this.eventBus.on('player:died', this.boundHandlers.died, this);
+        this.eventBus.on('player:dashed', this.boundHandlers.dashed, this);
+        
+        console.log('👂 Event listeners de mandos configurados');
+    }
+    
+    /**
+     * Indica si el navegador soporta la Gamepad API
+     * @returns {boolean} True si hay navigator.getGamepads
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+    
+    /**
+     * Obtiene los mandos conectados
+     * @returns {Array<Gamepad>} Mandos (sin huecos)
+     */
+    getGamepads() {
+        if (!GamepadHandler.isSupported()) return [];
+        
+        return Array.from(navigator.getGamepads() || []).filter(gamepad => gamepad && gamepad.connected !== false);
+    }
+    
+    /**
+     * Acciones con algún binding
+     * @returns {Array<string>} Acciones
+     */
+    getActions() {
+        return [...new Set([...Object.keys(this.buttonBindings), ...Object.keys(this.axisBindings)])];
+    }
+    
+    /**
+     * Detecta el tipo de mando por su id (para mostrar sus iconos)
+     * @param {string} id - Id del mando
+     * @returns {string} xbox, playstation, nintendo o generic
+     */
+    static getControllerType(id = '') {
+        if (/playstation|dualshock|dualsense|054c/i.test(id)) return 'playstation';
+        if (/xbox|xinput|045e/i.test(id)) return 'xbox';
+        if (/nintendo|switch|joy-con|057e/i.test(id)) return 'nintendo';
+        return 'generic';
+    }
+    
+    // ===== CONEXIÓN =====
+    
+    /**
+     * Registra un mando conectado
+     * @param {Gamepad} gamepad - Mando
+     */
+    handleConnected(gamepad) {
+        if (!gamepad || this.gamepads.has(gamepad.index)) return;
+        
+        const type = GamepadHandler.getControllerType(gamepad.id);
+        const actions = {};
+        for (const action of this.getActions()) {
+            actions[action] = false;
+        }
+        
+        this.gamepads.set(gamepad.index, { id: gamepad.id, type, actions });
+        
+        console.log(`🎮 Mando conectado: ${gamepad.id} (${type})`);
+        this.eventBus.emit('input:gamepad-connected', {
+            index: gamepad.index,
+            id: gamepad.id,
+            type
+        });
+    }
+    
+    /**
+     * Quita un mando desconectado y suelta sus acciones
+     * @param {number} index - Índice del mando
+     */
+    handleDisconnected(index) {
+        const pad = this.gamepads.get(index);
+        if (!pad) return;
+        
+        this.gamepads.delete(index);
+        if (this.lastUsedIndex === index) {
+            this.lastUsedIndex = null;
+        }
+        this.updateActionState();
+        
+        console.log(`🎮 Mando desconectado: ${pad.id}`);
+        this.eventBus.emit('input:gamepad-disconnected', {
+            index,
+            id: pad.id,
+            type: pad.type
+        });
+    }
+    
+    /**
+     * Sincroniza los mandos registrados con los que da la API
+     * (algunos navegadores no emiten los eventos de conexión)
+     * @param {Array<Gamepad>} gamepads - Mandos conectados
+     */
+    pollConnections(gamepads) {
+        const connected = new Set(gamepads.map(gamepad => gamepad.index));
+        
+        for (const index of [...this.gamepads.keys()]) {
+            if (!connected.has(index)) {
+                this.handleDisconnected(index);
+            }
+        }
+        
+        for (const gamepad of gamepads) {
+            this.handleConnected(gamepad);
+        }
+    }
+    
+    // ===== LECTURA =====
+    
+    /**
+     * Actualiza el manejador de mandos
+     * @param {number} deltaTime - Delta time
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) return;
+        
+        const gamepads = this.getGamepads();
+        this.pollConnections(gamepads);
+        
+        if (!this.isEnabled) return;
+        
+        for (const gamepad of gamepads) {
+            const pad = this.gamepads.get(gamepad.index);
+            let used = false;
+            
+            for (const action of Object.keys(pad.actions)) {
+                const pressed = this.readAction(gamepad, action);
+                if (pressed !== pad.actions[action]) {
+                    pad.actions[action] = pressed;
+                    used = used || pressed;
+                }
+            }
+            
+            if (used) {
+                this.lastUsedIndex = gamepad.index;
+                this.eventBus.emit('input:gamepad-used', {
+                    index: gamepad.index,
+                    type: pad.type
+                });
+            }
+        }
+        
+        this.updateActionState();
+    }
+    
+    /**
+     * Lee si una acción está activa en un mando
+     * @param {Gamepad} gamepad - Mando
+     * @param {string} action - Acción
+     * @returns {boolean} True si algún botón o eje de la acción está activo
+     */
+    readAction(gamepad, action) {
+        for (const index of this.buttonBindings[action] || []) {
+            const button = gamepad.buttons[index];
+            if (button && (button.pressed || button.value >= this.buttonThreshold)) {
+                return true;
+            }
+        }
+        
+        for (const binding of this.axisBindings[action] || []) {
+            const value = gamepad.axes[binding.axis] ?? 0;
+            const deadzone = binding.deadzone ?? this.deadzone;
+            if (value * binding.direction > deadzone) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Combina el estado de todos los mandos y emite las acciones que cambian
+     */
+    updateActionState() {
+        for (const action of Object.keys(this.actionState)) {
+            const pressed = [...this.gamepads.values()].some(pad => pad.actions[action]);
+            
+            if (pressed !== this.actionState[action]) {
+                this.actionState[action] = pressed;
+                this.emitInputEvent(action, pressed);
+            }
+        }
+    }
+    
+    /**
+     * Emite un evento de input
+     * @param {string} action - Acción del input
+     * @param {boolean} pressed - Si está presionado
+     */
+    emitInputEvent(action, pressed) {
+        this.eventBus.emit('input:raw-gamepad', {
+            action,
+            pressed,
+            device: 'gamepad',
+            key: this.lastUsedIndex !== null ? `gamepad-${this.lastUsedIndex}` : 'gamepad',
+            controllerType: this.getActiveControllerType(),
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Suelta todas las acciones de todos los mandos
+     */
+    releaseAll() {
+        for (const pad of this.gamepads.values()) {
+            for (const action of Object.keys(pad.actions)) {
+                pad.actions[action] = false;
+            }
+        }
+        this.updateActionState();
+    }
+    
+    // ===== VIBRACIÓN =====
+    
+    /**
+     * Hace vibrar el último mando usado, si lo soporta
+     * @param {string} effect - Efecto configurado (death, dash)
+     * @returns {boolean} True si se pidió la vibración
+     */
+    rumble(effect) {
+        const settings = this.rumbleConfig[effect];
+        if (!this.rumbleConfig.enabled || !settings || this.lastUsedIndex === null) return false;
+        
+        const gamepad = this.getGamepads().find(other => other.index === this.lastUsedIndex);
+        if (!gamepad) return false;
+        
+        try {
+            if (gamepad.vibrationActuator?.playEffect) {
+                gamepad.vibrationActuator.playEffect('dual-rumble', {
+                    startDelay: 0,
+                    duration: settings.duration,
+                    strongMagnitude: settings.strongMagnitude,
+                    weakMagnitude: settings.weakMagnitude
+                }).catch(() => {});
+                return true;
+            }
+            
+            // Firefox: actuadores hápticos
+            if (gamepad.hapticActuators?.[0]?.pulse) {
+                gamepad.hapticActuators[0].pulse(settings.strongMagnitude, settings.duration);
+                return true;
+            }
+            
+        } catch (error) {
+            console.warn('⚠️ No se pudo hacer vibrar el mando:', error);
+        }
+        
+        return false;
+    }
+    
+    // ===== CONSULTAS =====
+    
+    /**
+     * Tipo del mando usado por última vez
+     * @returns {string|null} Tipo de mando o null si no hay ninguno
+     */
+    getActiveControllerType() {
+        const index = this.lastUsedIndex ?? this.gamepads.keys().next().value;
+        return this.gamepads.get(index)?.type ?? null;
+    }
+    
+    /**
+     * Verifica si una acción está presionada en algún mando
+     * @param {string} action - Acción a verificar
+     * @returns {boolean} True si está presionada
+     */
+    isActionPressed(action) {
+        return this.actionState[action] || false;
+    }
+    
+    /**
+     * Número de mandos conectados
+     * @returns {number} Mandos conectados
+     */
+    getConnectedCount() {
+        return this.gamepads.size;
+    }
+    
+    /**
+     * Actualiza los bindings de botones y ejes
+     * @param {Object} bindings - {buttons, axes} por acción
+     */
+    updateBindings(bindings) {
+        this.releaseAll();
+        
+        this.buttonBindings = { ...this.buttonBindings, ...bindings.buttons };
+        this.axisBindings = { ...this.axisBindings, ...bindings.axes };
+        console.log('🎮 Bindings de mando actualizados');
+        
+        this.eventBus.emit('input:keymap-changed', {
+            device: 'gamepad',
+            buttons: this.buttonBindings,
+            axes: this.axisBindings
+        });
+    }
+    
+    /**
+     * Habilita el manejador de mandos
+     */
+    enable() {
+        this.isEnabled = true;
+        console.log('✅ GamepadHandler habilitado');
+    }
+    
+    /**
+     * Deshabilita el manejador de mandos
+     */
+    disable() {
+        this.isEnabled = false;
+        this.releaseAll();
+        console.log('🚫 GamepadHandler deshabilitado');
+    }
+    
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isEnabled: this.isEnabled,
+            isInitialized: this.isInitialized,
+            supported: GamepadHandler.isSupported(),
+            gamepads: [...this.gamepads.entries()].map(([index, pad]) => ({ index, id: pad.id, type: pad.type })),
+            lastUsedIndex: this.lastUsedIndex,
+            actionState: { ...this.actionState },
+            deadzone: this.deadzone,
+            buttonBindings: { ...this.buttonBindings },
+            axisBindings: { ...this.axisBindings }
+        };
+    }
+    
+    /**
+     * Obtiene el estado actual de los mandos
+     * @returns {Object} Estado de los mandos
+     */
+    getState() {
+        return {
+            isEnabled: this.isEnabled,
+            connected: this.gamepads.size,
+            controllerType: this.getActiveControllerType(),
+            pressedActions: Object.keys(this.actionState).filter(action => this.actionState[action])
+        };
+    }
+    
+    /**
+     * Limpia recursos del manejador de mandos
+     */
+    destroy() {
+        console.log('🧹 Destruyendo GamepadHandler...');
+        
+        window.removeEventListener('gamepadconnected', this.boundHandlers.connected);
+        window.removeEventListener('gamepaddisconnected', this.boundHandlers.disconnected);
+        this.eventBus.off('*', this);
+        
+        this.releaseAll();
+        this.gamepads.clear();
+        
+        this.isInitialized = false;
+        
+        console.log('✅ GamepadHandler destruido');
+    }
+}
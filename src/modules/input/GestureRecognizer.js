@@ -0,0 +1,404 @@
+/**
+ * Reconocedor de gestos multitáctiles para Spikepulse
+ * @module GestureRecognizer
+ */
+
+import { normalizeGestureBindings } from '../../config/InputBindings.js';
+
+/**
+ * Umbrales por defecto de cada gesto (distancias en píxeles, tiempos en ms,
+ * velocidades en píxeles por ms). Cada swipe puede sobrescribir los de 'swipe'.
+ */
+export const DEFAULT_GESTURE_THRESHOLDS = {
+    tap: { maxDuration: 200, maxDistance: 20 },
+    doubleTap: { maxInterval: 300, maxDistance: 50 },
+    longPress: { minDuration: 500, maxDistance: 20 },
+    twoFingerTap: { maxDuration: 250, maxDistance: 20, maxStartDelay: 100 },
+    swipe: { minDistance: 50, minVelocity: 0.3, maxDuration: 300 }
+};
+
+/**
+ * Dirección de un desplazamiento y su gesto de swipe
+ */
+const SWIPE_GESTURES = {
+    up: 'swipeUp',
+    down: 'swipeDown',
+    left: 'swipeLeft',
+    right: 'swipeRight'
+};
+
+export class GestureRecognizer {
+    /**
+     * Crea un nuevo reconocedor de gestos
+     * No toca el DOM ni usa timers: recibe los toques con su hora (start, move,
+     * end, cancel y update), así que se puede probar con secuencias sintéticas.
+     * Los gestos instantáneos (tap, doubleTap, twoFingerTap) pulsan y sueltan su
+     * acción a la vez; longPress y los swipes la mantienen hasta levantar el dedo.
+     * @param {Object} config - {gestures: gesto -> acción, thresholds: gesto -> umbrales}
+     * @param {Object} handlers - onGesture(gesto) y onAction(acción, pulsado, gesto)
+     */
+    constructor(config = {}, handlers = {}) {
+        this.config = config;
+        this.onGesture = handlers.onGesture || (() => {});
+        this.onAction = handlers.onAction || (() => {});
+        
+        // Gesto -> acción (null = sin acción)
+        this.gestures = normalizeGestureBindings(config.gestures);
+        
+        // Umbrales configurados (se combinan con los por defecto en getThresholds)
+        this.thresholds = config.thresholds || {};
+        
+        // Dedos en pantalla: id -> toque
+        this.touches = new Map();
+        
+        // Último tap (para el doble tap)
+        this.lastTap = null;
+        
+        // Último gesto reconocido (debug)
+        this.lastGesture = null;
+    }
+    
+    /**
+     * Sustituye el mapa gesto -> acción
+     * @param {Object} gestures - Mapa {gesto: acción}
+     */
+    setGestures(gestures) {
+        this.gestures = normalizeGestureBindings(gestures);
+    }
+    
+    /**
+     * Acción asignada a un gesto
+     * @param {string} gesture - Gesto (TOUCH_GESTURES)
+     * @returns {string|null} Acción o null
+     */
+    getAction(gesture) {
+        return this.gestures[gesture] || null;
+    }
+    
+    /**
+     * Umbrales de un gesto (los swipes heredan los de 'swipe')
+     * @param {string} gesture - Gesto
+     * @returns {Object} Umbrales
+     */
+    getThresholds(gesture) {
+        const base = gesture.startsWith('swipe') ? 'swipe' : gesture;
+        
+        return {
+            ...DEFAULT_GESTURE_THRESHOLDS[base],
+            ...this.thresholds[base],
+            ...(gesture !== base ? this.thresholds[gesture] : null)
+        };
+    }
+    
+    // ===== SECUENCIA DE TOQUES =====
+    
+    /**
+     * Un dedo toca la pantalla
+     * @param {number} id - Identificador del toque
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {number} time - Hora en milisegundos
+     */
+    start(id, x, y, time) {
+        const touch = {
+            id,
+            startX: x,
+            startY: y,
+            x,
+            y,
+            startTime: time,
+            time,
+            maxDistance: 0,
+            group: null,
+            gesture: null,
+            action: null
+        };
+        
+        this.groupTouch(touch);
+        this.touches.set(id, touch);
+    }
+    
+    /**
+     * Un dedo se mueve
+     * @param {number} id - Identificador del toque
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {number} time - Hora en milisegundos
+     */
+    move(id, x, y, time) {
+        const touch = this.touches.get(id);
+        if (!touch) return;
+        
+        this.checkLongPress(touch, time);
+        
+        touch.x = x;
+        touch.y = y;
+        touch.time = time;
+        touch.maxDistance = Math.max(touch.maxDistance, this.getDistance(touch));
+        
+        if (touch.group) {
+            if (touch.maxDistance > this.getThresholds('twoFingerTap').maxDistance) {
+                touch.group.valid = false;
+            }
+            return;
+        }
+        
+        if (!touch.gesture) {
+            this.checkSwipe(touch);
+        }
+    }
+    
+    /**
+     * Un dedo se levanta
+     * @param {number} id - Identificador del toque
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {number} time - Hora en milisegundos
+     */
+    end(id, x, y, time) {
+        const touch = this.touches.get(id);
+        if (!touch) return;
+        
+        // La última posición puede completar un swipe rápido
+        this.move(id, x, y, time);
+        this.touches.delete(id);
+        
+        if (touch.gesture) {
+            this.releaseTouch(touch, time);
+            return;
+        }
+        
+        if (touch.group) {
+            this.endGroupTouch(touch, time);
+            return;
+        }
+        
+        const tap = this.getThresholds('tap');
+        if (time - touch.startTime > tap.maxDuration || touch.maxDistance > tap.maxDistance) return;
+        
+        // Un segundo tap cercano es doble tap si tiene acción; si no, otro tap
+        const doubleTap = this.getThresholds('doubleTap');
+        const isDoubleTap = this.lastTap !== null && this.getAction('doubleTap') !== null &&
+            touch.startTime - this.lastTap.time <= doubleTap.maxInterval &&
+            Math.hypot(touch.startX - this.lastTap.x, touch.startY - this.lastTap.y) <= doubleTap.maxDistance;
+        
+        if (isDoubleTap) {
+            this.lastTap = null;
+            this.recognize('doubleTap', touch, time);
+        } else {
+            this.lastTap = { x: touch.startX, y: touch.startY, time };
+            this.recognize('tap', touch, time);
+        }
+    }
+    
+    /**
+     * El sistema cancela un toque (sin gestos; se suelta lo que estuviera pulsado)
+     * @param {number} id - Identificador del toque
+     * @param {number} time - Hora en milisegundos
+     */
+    cancel(id, time) {
+        const touch = this.touches.get(id);
+        if (!touch) return;
+        
+        this.touches.delete(id);
+        if (touch.group) {
+            touch.group.valid = false;
+            touch.group.ended++;
+        }
+        this.releaseTouch(touch, time);
+    }
+    
+    /**
+     * Reconoce las pulsaciones largas de los dedos que siguen quietos
+     * @param {number} time - Hora en milisegundos
+     */
+    update(time) {
+        for (const touch of this.touches.values()) {
+            this.checkLongPress(touch, time);
+        }
+    }
+    
+    // ===== RECONOCIMIENTO =====
+    
+    /**
+     * Agrupa un dedo con otro que tocó casi a la vez (posible tap con dos dedos)
+     * Un dedo que llega más tarde es independiente: se puede mantener un swipe y tocar con otro.
+     * @param {Object} touch - Toque nuevo
+     */
+    groupTouch(touch) {
+        const maxStartDelay = this.getThresholds('twoFingerTap').maxStartDelay;
+        const recent = [...this.touches.values()].filter(other =>
+            !other.gesture && touch.startTime - other.startTime <= maxStartDelay);
+        
+        if (recent.length === 0) return;
+        
+        if (recent.length === 1 && !recent[0].group) {
+            recent[0].group = touch.group = { size: 2, ended: 0, valid: true, startTime: recent[0].startTime };
+            return;
+        }
+        
+        // Tres dedos o más no forman un tap con dos dedos
+        for (const other of recent) {
+            if (other.group) {
+                other.group.valid = false;
+            }
+        }
+        touch.group = { size: 1, ended: 0, valid: false, startTime: touch.startTime };
+    }
+    
+    /**
+     * Cierra el grupo de un dedo; al levantar el último decide si hubo tap con dos dedos
+     * @param {Object} touch - Toque que termina
+     * @param {number} time - Hora en milisegundos
+     */
+    endGroupTouch(touch, time) {
+        const group = touch.group;
+        group.ended++;
+        if (group.ended < group.size || !group.valid) return;
+        
+        if (time - group.startTime <= this.getThresholds('twoFingerTap').maxDuration) {
+            this.lastTap = null;
+            this.recognize('twoFingerTap', touch, time);
+        }
+    }
+    
+    /**
+     * Reconoce un swipe si el dedo recorrió bastante, bastante rápido
+     * @param {Object} touch - Toque
+     */
+    checkSwipe(touch) {
+        const dx = touch.x - touch.startX;
+        const dy = touch.y - touch.startY;
+        const direction = Math.abs(dx) > Math.abs(dy)
+            ? (dx > 0 ? 'right' : 'left')
+            : (dy > 0 ? 'down' : 'up');
+        const gesture = SWIPE_GESTURES[direction];
+        const thresholds = this.getThresholds(gesture);
+        
+        const distance = this.getDistance(touch);
+        const duration = Math.max(1, touch.time - touch.startTime);
+        
+        if (distance >= thresholds.minDistance &&
+            duration <= thresholds.maxDuration &&
+            distance / duration >= thresholds.minVelocity) {
+            this.recognize(gesture, touch, touch.time, true);
+        }
+    }
+    
+    /**
+     * Reconoce una pulsación larga si el dedo sigue quieto el tiempo suficiente
+     * @param {Object} touch - Toque
+     * @param {number} time - Hora en milisegundos
+     */
+    checkLongPress(touch, time) {
+        if (touch.gesture || touch.group) return;
+        
+        const thresholds = this.getThresholds('longPress');
+        if (time - touch.startTime >= thresholds.minDuration && touch.maxDistance <= thresholds.maxDistance) {
+            this.recognize('longPress', touch, touch.startTime + thresholds.minDuration, true);
+        }
+    }
+    
+    /**
+     * Emite un gesto reconocido y su acción
+     * @param {string} type - Gesto
+     * @param {Object} touch - Toque que lo completa
+     * @param {number} time - Hora en que se completa
+     * @param {boolean} hold - Si la acción se mantiene hasta levantar el dedo
+     */
+    recognize(type, touch, time, hold = false) {
+        const duration = time - touch.startTime;
+        const distance = this.getDistance(touch);
+        
+        const gesture = {
+            type,
+            action: this.getAction(type),
+            touchId: touch.id,
+            position: { x: touch.x, y: touch.y },
+            startPosition: { x: touch.startX, y: touch.startY },
+            distance,
+            duration,
+            velocity: duration > 0 ? distance / duration : 0,
+            time
+        };
+        
+        this.lastGesture = gesture;
+        this.onGesture(gesture);
+        
+        if (hold) {
+            // El dedo queda ocupado por el gesto aunque no tenga acción
+            touch.gesture = type;
+            touch.action = gesture.action;
+        }
+        
+        if (gesture.action) {
+            this.onAction(gesture.action, true, gesture);
+            if (!hold) {
+                this.onAction(gesture.action, false, gesture);
+            }
+        }
+    }
+    
+    /**
+     * Suelta la acción que mantiene un dedo
+     * @param {Object} touch - Toque
+     * @param {number} time - Hora en milisegundos
+     */
+    releaseTouch(touch, time) {
+        if (!touch.action) return;
+        
+        const action = touch.action;
+        touch.action = null;
+        this.onAction(action, false, {
+            type: touch.gesture,
+            action,
+            touchId: touch.id,
+            position: { x: touch.x, y: touch.y },
+            startPosition: { x: touch.startX, y: touch.startY },
+            time
+        });
+    }
+    
+    /**
+     * Distancia recorrida por un dedo desde que tocó
+     * @param {Object} touch - Toque
+     * @returns {number} Distancia en píxeles
+     */
+    getDistance(touch) {
+        return Math.hypot(touch.x - touch.startX, touch.y - touch.startY);
+    }
+    
+    /**
+     * Acciones mantenidas por los dedos en pantalla
+     * @returns {Array<string>} Acciones
+     */
+    getHeldActions() {
+        return [...this.touches.values()].map(touch => touch.action).filter(Boolean);
+    }
+    
+    /**
+     * Suelta todo y olvida los toques (al deshabilitar o salir de la partida)
+     * @param {number} time - Hora en milisegundos
+     */
+    reset(time) {
+        for (const touch of this.touches.values()) {
+            this.releaseTouch(touch, time);
+        }
+        
+        this.touches.clear();
+        this.lastTap = null;
+    }
+    
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            activeTouches: this.touches.size,
+            heldActions: this.getHeldActions(),
+            gestures: { ...this.gestures },
+            lastGesture: this.lastGesture ? `${this.lastGesture.type} -> ${this.lastGesture.action || '-'}` : null
+        };
+    }
+}
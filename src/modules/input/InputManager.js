@@ -358,6 +358,18 @@ export class InputManager {
         }
     }
     
+    /**
+     * Sustituye las teclas asignadas sin reinicializar los handlers
+     * @param {Object} bindings - Bindings (acción -> códigos)
+     */
+    setKeyBindings(bindings) {
+        this.inputConfig.keyboard = { ...this.inputConfig.keyboard, bindings };
+        
+        if (this.keyboardHandler) {
+            this.keyboardHandler.setBindings(bindings);
+        }
+    }
+    
     /**
      * Maneja cambios de configuración
      * @param {Object} data - Nueva configuración
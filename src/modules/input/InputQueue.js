@@ -0,0 +1,208 @@
+/**
+ * Cola de input con marcas de tiempo para Spikepulse
+ * @module InputQueue
+ */
+
+import { INPUT_ACTIONS } from '../../config/InputBindings.js';
+
+export class InputQueue {
+    /**
+     * Crea una nueva cola de input
+     * Los dispositivos encolan cada pulsación y cada liberación con su hora
+     * (performance.now) y la simulación las consume tick a tick: una pulsación y
+     * su liberación dentro del mismo frame llegan las dos, en orden.
+     * @param {Object} config - Configuración de la cola
+     */
+    constructor(config = {}) {
+        this.config = config;
+        
+        // Eventos sin consumir, en orden de llegada
+        this.pending = [];
+        this.maxPending = config.maxPending || 256;
+        
+        // Resumen del último tick consumido (acción -> true)
+        this.frame = this.createFrame();
+        
+        // Estado de cada acción tal y como lo ha visto la simulación
+        this.held = {};
+        
+        // Línea temporal de los últimos eventos consumidos (debug)
+        this.timeline = [];
+        this.timelineSize = config.timelineSize || 120;
+        
+        // Ticks consumidos
+        this.tick = 0;
+        
+        console.log('⏱️ InputQueue creada');
+    }
+    
+    /**
+     * Hora actual con la misma base que las marcas de los eventos
+     * @returns {number} Milisegundos
+     */
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    /**
+     * Crea el resumen vacío de un tick
+     * @returns {Object} Acciones pulsadas y liberadas en el tick
+     */
+    createFrame() {
+        return {
+            pressed: {},
+            released: {},
+            pressTime: {}
+        };
+    }
+    
+    /**
+     * Encola una pulsación o una liberación
+     * @param {string} action - Acción (esquema de InputBindings)
+     * @param {boolean} pressed - Si se pulsó o se soltó
+     * @param {Object} data - Dispositivo (source), tecla o botón (key), posición y hora (time)
+     */
+    push(action, pressed, data = {}) {
+        if (!INPUT_ACTIONS.includes(action)) return;
+        
+        // Sin ticks (pestaña en segundo plano) la cola no puede crecer sin límite
+        if (this.pending.length >= this.maxPending) {
+            console.warn('⚠️ Cola de input llena, se descarta el evento más antiguo');
+            this.pending.shift();
+        }
+        
+        this.pending.push({
+            action,
+            pressed,
+            time: data.time ?? InputQueue.now(),
+            source: data.source || 'keyboard',
+            key: data.key,
+            position: data.position
+        });
+    }
+    
+    /**
+     * Consume los eventos de un tick
+     * Cada evento guarda su edad: los milisegundos entre que ocurrió y el final del tick.
+     * @param {number} until - Hora hasta la que llega el tick (Infinity = todo lo encolado)
+     * @returns {Array<Object>} Eventos del tick en orden
+     */
+    consume(until = Infinity) {
+        const end = Math.min(until, InputQueue.now());
+        
+        let count = 0;
+        while (count < this.pending.length && this.pending[count].time <= until) {
+            count++;
+        }
+        
+        const events = this.pending.splice(0, count);
+        this.frame = this.createFrame();
+        
+        for (const event of events) {
+            // Edad en milisegundos enteros: la grabación la repite tal cual
+            event.age = Math.max(0, Math.round(end - event.time));
+            event.tick = this.tick;
+            
+            if (event.pressed) {
+                this.frame.pressed[event.action] = true;
+                this.frame.pressTime[event.action] = event.time;
+            } else {
+                this.frame.released[event.action] = true;
+            }
+            this.held[event.action] = event.pressed;
+            
+            this.timeline.push(event);
+        }
+        
+        if (this.timeline.length > this.timelineSize) {
+            this.timeline.splice(0, this.timeline.length - this.timelineSize);
+        }
+        
+        this.tick++;
+        return events;
+    }
+    
+    /**
+     * Indica si la acción se pulsó en el último tick (aunque también se soltara)
+     * @param {string} action - Acción
+     * @returns {boolean} True si hubo pulsación
+     */
+    wasPressed(action) {
+        return this.frame.pressed[action] === true;
+    }
+    
+    /**
+     * Indica si la acción se soltó en el último tick (aunque también se pulsara)
+     * @param {string} action - Acción
+     * @returns {boolean} True si hubo liberación
+     */
+    wasReleased(action) {
+        return this.frame.released[action] === true;
+    }
+    
+    /**
+     * Indica si la acción sigue pulsada al final del último tick
+     * @param {string} action - Acción
+     * @returns {boolean} True si está pulsada
+     */
+    isHeld(action) {
+        return this.held[action] === true;
+    }
+    
+    /**
+     * Hora de la última pulsación de la acción en el último tick
+     * @param {string} action - Acción
+     * @returns {number|null} Marca de tiempo o null
+     */
+    getPressTime(action) {
+        return this.frame.pressTime[action] ?? null;
+    }
+    
+    /**
+     * Obtiene los últimos eventos consumidos
+     * @returns {Array<Object>} Eventos {action, pressed, time, age, tick, source, key}
+     */
+    getTimeline() {
+        return this.timeline.map(event => ({ ...event }));
+    }
+    
+    /**
+     * Indica si hay eventos sin consumir
+     * @returns {boolean} True si hay eventos pendientes
+     */
+    hasPending() {
+        return this.pending.length > 0;
+    }
+    
+    /**
+     * Descarta los eventos pendientes y el estado de las acciones
+     */
+    clear() {
+        this.pending = [];
+        this.frame = this.createFrame();
+        this.held = {};
+    }
+    
+    /**
+     * Resetea la cola (nueva partida)
+     */
+    reset() {
+        this.clear();
+        this.timeline = [];
+        this.tick = 0;
+    }
+    
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            pending: this.pending.length,
+            tick: this.tick,
+            held: Object.keys(this.held).filter(action => this.held[action]),
+            lastEvents: this.timeline.slice(-10).map(event =>
+                `${event.tick}:${event.action}${event.pressed ? '+' : '-'}@${event.age}ms`)
+        };
+    }
+}
@@ -3,6 +3,8 @@
  * @module KeyboardHandler
  */
 
+import { normalizeKeyBindings, createKeyMap } from '../../config/InputBindings.js';
+
 export class KeyboardHandler {
     /**
      * Crea una nueva instancia del manejador de teclado
@@ -17,51 +19,8 @@ export class KeyboardHandler {
         this.isEnabled = true;
         this.isInitialized = false;
         
-        // Mapeo de teclas a acciones
-        this.keyMap = {
-            // Salto
-            Space: 'jump',
-            ArrowUp: 'jump',
-            KeyW: 'jump',
-            
-            // Dash
-            ShiftLeft: 'dash',
-            ShiftRight: 'dash',
-            
-            // Cambio de gravedad
-            ControlLeft: 'gravityToggle',
-            ControlRight: 'gravityToggle',
-            
-            // Movimiento
-            ArrowLeft: 'moveLeft',
-            KeyA: 'moveLeft',
-            ArrowRight: 'moveRight',
-            KeyD: 'moveRight',
-            
-            // Pausa
-            Escape: 'pause',
-            KeyP: 'pause'
-        };
-        
-        // Aplicar configuración personalizada
-        if (config.jump) {
-            config.jump.forEach(key => this.keyMap[key] = 'jump');
-        }
-        if (config.dash) {
-            config.dash.forEach(key => this.keyMap[key] = 'dash');
-        }
-        if (config.gravityToggle) {
-            config.gravityToggle.forEach(key => this.keyMap[key] = 'gravityToggle');
-        }
-        if (config.moveLeft) {
-            config.moveLeft.forEach(key => this.keyMap[key] = 'moveLeft');
-        }
-        if (config.moveRight) {
-            config.moveRight.forEach(key => this.keyMap[key] = 'moveRight');
-        }
-        if (config.pause) {
-            config.pause.forEach(key => this.keyMap[key] = 'pause');
-        }
+        // Mapeo de teclas a acciones (esquema canónico de InputBindings)
+        this.keyMap = createKeyMap(normalizeKeyBindings(config.bindings));
         
         // Estado de las teclas
         this.keyState = {};
@@ -139,6 +98,7 @@ export class KeyboardHandler {
      */
     handleKeyDown(event) {
         if (!this.isEnabled || !this.isInitialized) return;
+        if (this.isTextInput(event.target)) return;
         
         const key = event.code;
         const action = this.keyMap[key];
@@ -184,6 +144,7 @@ export class KeyboardHandler {
      */
     handleKeyUp(event) {
         if (!this.isEnabled || !this.isInitialized) return;
+        if (this.isTextInput(event.target)) return;
         
         const key = event.code;
         const action = this.keyMap[key];
@@ -217,6 +178,20 @@ export class KeyboardHandler {
         });
     }
     
+    /**
+     * Indica si el evento viene de un campo de texto (las teclas se dejan escribir)
+     * @param {EventTarget} target - Elemento que recibió la tecla
+     * @returns {boolean} True si es un campo editable
+     */
+    isTextInput(target) {
+        if (!target || !target.tagName) return false;
+        
+        return target.tagName === 'INPUT' ||
+               target.tagName === 'TEXTAREA' ||
+               target.tagName === 'SELECT' ||
+               target.isContentEditable === true;
+    }
+    
     /**
      * Maneja pérdida de focus
      */
@@ -350,12 +325,21 @@ export class KeyboardHandler {
         return Array.from(actions);
     }
     
+    /**
+     * Sustituye las teclas asignadas
+     * @param {Object} bindings - Bindings (acción -> códigos)
+     */
+    setBindings(bindings) {
+        this.updateKeyMap(createKeyMap(normalizeKeyBindings(bindings)), true);
+    }
+    
     /**
      * Actualiza el mapeo de teclas
      * @param {Object} newKeyMap - Nuevo mapeo de teclas
+     * @param {boolean} replace - Sustituir el mapeo en lugar de combinarlo
      */
-    updateKeyMap(newKeyMap) {
-        this.keyMap = { ...this.keyMap, ...newKeyMap };
+    updateKeyMap(newKeyMap, replace = false) {
+        this.keyMap = replace ? { ...newKeyMap } : { ...this.keyMap, ...newKeyMap };
         console.log('⌨️ Mapeo de teclas actualizado');
         
         // Emitir evento de cambio
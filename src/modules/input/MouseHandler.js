@@ -18,7 +18,11 @@ export class MouseHandler {
         this.isInitialized = false;
         
         // Mapeo de botones de mouse a acciones
-        this.buttonMap = {
+        this.buttonMap = config.bindings ? {
+            0: config.bindings.leftClick || null,   // Left click
+            1: config.bindings.middleClick || null, // Middle click
+            2: config.bindings.rightClick || null   // Right click
+        } : {
             0: config.jumpButton !== undefined ? 
                (config.jumpButton === 0 ? 'jump' : null) : 'jump', // Left click
             2: config.dashButton !== undefined ? 
@@ -111,6 +115,25 @@ export class MouseHandler {
         console.log('👂 Event listeners de mouse configurados');
     }
     
+    /**
+     * Cambia el canvas de referencia (posiciones relativas y entrada/salida del mouse)
+     * @param {HTMLCanvasElement} canvas - Nuevo canvas
+     */
+    setCanvas(canvas) {
+        if (this.canvas) {
+            this.canvas.removeEventListener('mouseenter', this.boundHandlers.mouseEnter);
+            this.canvas.removeEventListener('mouseleave', this.boundHandlers.mouseLeave);
+        }
+        
+        this.canvas = canvas;
+        this.mouseState.isOverCanvas = false;
+        
+        if (this.canvas && this.isInitialized) {
+            this.canvas.addEventListener('mouseenter', this.boundHandlers.mouseEnter);
+            this.canvas.addEventListener('mouseleave', this.boundHandlers.mouseLeave);
+        }
+    }
+    
     /**
      * Maneja eventos de mousedown
      * @param {MouseEvent} event - Evento de mouse
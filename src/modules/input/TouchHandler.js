@@ -3,10 +3,15 @@
  * @module TouchHandler
  */
 
+import { GestureRecognizer } from './GestureRecognizer.js';
+import { InputQueue } from './InputQueue.js';
+
 export class TouchHandler {
     /**
      * Crea una nueva instancia del manejador táctil
-     * @param {Object} config - Configuración táctil
+     * Los toques sobre el canvas pasan por el GestureRecognizer y cada gesto
+     * dispara la acción que le asigna config.gestures.
+     * @param {Object} config - Configuración táctil (gestures, gestureThresholds)
      * @param {EventBus} eventBus - Bus de eventos
      * @param {Object} deviceConfig - Configuración del dispositivo
      */
@@ -17,32 +22,20 @@ export class TouchHandler {
         this.isEnabled = true;
         this.isInitialized = false;
         
-        // Configuración de zonas táctiles
-        this.touchZones = {
-            jump: config.jumpZone || { x: 0, y: 0, width: 0.6, height: 1 },
-            dash: config.dashZone || { x: 0.6, y: 0, width: 0.2, height: 1 },
-            gravity: config.gravityZone || { x: 0.8, y: 0, width: 0.2, height: 1 }
-        };
-        
-        // Estado de toques activos
-        this.activeTouches = new Map();
+        // Acciones mantenidas por un gesto (longPress, swipes): acción -> dedos
         this.touchActions = new Map();
         
-        // Configuración de gestos
-        this.gestureConfig = {
-            swipeThreshold: 50,
-            swipeTimeThreshold: 300,
-            tapTimeThreshold: 200,
-            doubleTapTimeThreshold: 300,
-            longPressTimeThreshold: 500
-        };
+        // Reconocedor de gestos (sin DOM: recibe los toques con su hora)
+        this.recognizer = new GestureRecognizer({
+            gestures: config.gestures,
+            thresholds: config.gestureThresholds
+        }, {
+            onGesture: (gesture) => this.emitGestureEvent(gesture),
+            onAction: (action, pressed, gesture) => this.emitInputEvent(action, pressed, gesture)
+        });
         
-        // Estado de gestos
-        this.gestureState = {
-            lastTap: null,
-            swipeStart: null,
-            longPressTimer: null
-        };
+        // Elemento que recibe los toques (el canvas; los botones y pantallas quedan fuera)
+        this.target = null;
         
         // Handlers de eventos (bound para poder removerlos)
         this.boundHandlers = {
@@ -58,6 +51,15 @@ export class TouchHandler {
         console.log('📱 TouchHandler creado');
     }
     
+    /**
+     * Indica si el dispositivo tiene pantalla táctil
+     * @returns {boolean} True si hay entrada táctil
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            ('ontouchstart' in window || (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0));
+    }
+    
     /**
      * Inicializa el manejador táctil
      */
@@ -71,14 +73,12 @@ export class TouchHandler {
                 return;
             }
             
+            // Los gestos se hacen sobre el canvas del juego
+            this.target = document.getElementById('game-canvas') || document;
+            
             // Configurar event listeners
             this.setupEventListeners();
             
-            // Crear overlay de zonas táctiles si está en modo debug
-            if (this.config.showTouchZones) {
-                this.createTouchZoneOverlay();
-            }
-            
             this.isInitialized = true;
             console.log('✅ TouchHandler inicializado');
             
@@ -93,9 +93,7 @@ export class TouchHandler {
      * @returns {boolean} True si soporta touch
      */
     isTouchSupported() {
-        return 'ontouchstart' in window || 
-               navigator.maxTouchPoints > 0 || 
-               window.TouchEvent !== undefined;
+        return TouchHandler.isSupported();
     }
     
     /**
@@ -104,14 +102,23 @@ export class TouchHandler {
     setupEventListeners() {
         const options = { passive: !this.preventDefaults };
         
-        document.addEventListener('touchstart', this.boundHandlers.touchStart, options);
-        document.addEventListener('touchmove', this.boundHandlers.touchMove, options);
-        document.addEventListener('touchend', this.boundHandlers.touchEnd, options);
-        document.addEventListener('touchcancel', this.boundHandlers.touchCancel, options);
+        this.target.addEventListener('touchstart', this.boundHandlers.touchStart, options);
+        this.target.addEventListener('touchmove', this.boundHandlers.touchMove, options);
+        this.target.addEventListener('touchend', this.boundHandlers.touchEnd, options);
+        this.target.addEventListener('touchcancel', this.boundHandlers.touchCancel, options);
         
         console.log('👂 Event listeners táctiles configurados');
     }
     
+    /**
+     * Hora de un evento con la misma base que la cola de input
+     * @param {TouchEvent} event - Evento táctil
+     * @returns {number} Milisegundos
+     */
+    getEventTime(event) {
+        return event.timeStamp > 0 ? event.timeStamp : InputQueue.now();
+    }
+    
     /**
      * Maneja eventos de touchstart
      * @param {TouchEvent} event - Evento táctil
@@ -123,40 +130,14 @@ export class TouchHandler {
             event.preventDefault();
         }
         
-        const currentTime = Date.now();
+        const time = this.getEventTime(event);
         
         for (const touch of event.changedTouches) {
-            const touchInfo = {
-                id: touch.identifier,
-                startX: touch.clientX,
-                startY: touch.clientY,
-                currentX: touch.clientX,
-                currentY: touch.clientY,
-                startTime: currentTime,
-                lastMoveTime: currentTime,
-                zone: this.getTouchZone(touch.clientX, touch.clientY),
-                action: null,
-                isActive: true
-            };
-            
-            this.activeTouches.set(touch.identifier, touchInfo);
-            
-            // Determinar acción basada en la zona
-            const action = this.getActionFromZone(touchInfo.zone);
-            if (action) {
-                touchInfo.action = action;
-                this.touchActions.set(action, touch.identifier);
-                this.emitInputEvent(action, true, touch);
-            }
-            
-            // Detectar gestos
-            this.detectGestures(touchInfo, 'start');
+            this.recognizer.start(touch.identifier, touch.clientX, touch.clientY, time);
             
             // Notificar que se usó touch
             this.eventBus.emit('input:touch-used', {
-                touchId: touch.identifier,
-                zone: touchInfo.zone,
-                action
+                touchId: touch.identifier
             });
         }
     }
@@ -172,38 +153,10 @@ export class TouchHandler {
             event.preventDefault();
         }
         
-        const currentTime = Date.now();
+        const time = this.getEventTime(event);
         
         for (const touch of event.changedTouches) {
-            const touchInfo = this.activeTouches.get(touch.identifier);
-            if (!touchInfo) continue;
-            
-            // Actualizar posición
-            touchInfo.currentX = touch.clientX;
-            touchInfo.currentY = touch.clientY;
-            touchInfo.lastMoveTime = currentTime;
-            
-            // Verificar si cambió de zona
-            const newZone = this.getTouchZone(touch.clientX, touch.clientY);
-            if (newZone !== touchInfo.zone) {
-                // Liberar acción anterior
-                if (touchInfo.action) {
-                    this.touchActions.delete(touchInfo.action);
-                    this.emitInputEvent(touchInfo.action, false, touch);
-                }
-                
-                // Asignar nueva acción
-                touchInfo.zone = newZone;
-                const newAction = this.getActionFromZone(newZone);
-                if (newAction) {
-                    touchInfo.action = newAction;
-                    this.touchActions.set(newAction, touch.identifier);
-                    this.emitInputEvent(newAction, true, touch);
-                }
-            }
-            
-            // Detectar gestos
-            this.detectGestures(touchInfo, 'move');
+            this.recognizer.move(touch.identifier, touch.clientX, touch.clientY, time);
         }
     }
     
@@ -218,21 +171,10 @@ export class TouchHandler {
             event.preventDefault();
         }
         
+        const time = this.getEventTime(event);
+        
         for (const touch of event.changedTouches) {
-            const touchInfo = this.activeTouches.get(touch.identifier);
-            if (!touchInfo) continue;
-            
-            // Liberar acción si existe
-            if (touchInfo.action) {
-                this.touchActions.delete(touchInfo.action);
-                this.emitInputEvent(touchInfo.action, false, touch);
-            }
-            
-            // Detectar gestos finales
-            this.detectGestures(touchInfo, 'end');
-            
-            // Remover touch
-            this.activeTouches.delete(touch.identifier);
+            this.recognizer.end(touch.identifier, touch.clientX, touch.clientY, time);
         }
     }
     
@@ -243,160 +185,11 @@ export class TouchHandler {
     handleTouchCancel(event) {
         if (!this.isEnabled || !this.isInitialized) return;
         
-        // Tratar como touchend
-        this.handleTouchEnd(event);
-    }
-    
-    /**
-     * Determina la zona táctil basada en coordenadas
-     * @param {number} x - Coordenada X
-     * @param {number} y - Coordenada Y
-     * @returns {string|null} Nombre de la zona o null
-     */
-    getTouchZone(x, y) {
-        const screenWidth = window.innerWidth;
-        const screenHeight = window.innerHeight;
-        
-        // Convertir a coordenadas relativas
-        const relativeX = x / screenWidth;
-        const relativeY = y / screenHeight;
+        const time = this.getEventTime(event);
         
-        // Verificar cada zona
-        for (const [zoneName, zone] of Object.entries(this.touchZones)) {
-            if (relativeX >= zone.x && 
-                relativeX <= zone.x + zone.width &&
-                relativeY >= zone.y && 
-                relativeY <= zone.y + zone.height) {
-                return zoneName;
-            }
-        }
-        
-        return null;
-    }
-    
-    /**
-     * Obtiene la acción asociada a una zona
-     * @param {string} zone - Nombre de la zona
-     * @returns {string|null} Acción o null
-     */
-    getActionFromZone(zone) {
-        const zoneActionMap = {
-            jump: 'jump',
-            dash: 'dash',
-            gravity: 'gravityToggle'
-        };
-        
-        return zoneActionMap[zone] || null;
-    }
-    
-    /**
-     * Detecta gestos táctiles
-     * @param {Object} touchInfo - Información del touch
-     * @param {string} phase - Fase del gesto (start, move, end)
-     */
-    detectGestures(touchInfo, phase) {
-        const currentTime = Date.now();
-        
-        switch (phase) {
-            case 'start':
-                // Detectar doble tap
-                if (this.gestureState.lastTap && 
-                    currentTime - this.gestureState.lastTap.time < this.gestureConfig.doubleTapTimeThreshold) {
-                    const distance = this.getDistance(
-                        touchInfo.startX, touchInfo.startY,
-                        this.gestureState.lastTap.x, this.gestureState.lastTap.y
-                    );
-                    
-                    if (distance < 50) {
-                        this.emitGestureEvent('doubleTap', touchInfo);
-                        this.gestureState.lastTap = null;
-                        return;
-                    }
-                }
-                
-                // Iniciar detección de long press
-                this.gestureState.longPressTimer = setTimeout(() => {
-                    if (this.activeTouches.has(touchInfo.id)) {
-                        this.emitGestureEvent('longPress', touchInfo);
-                    }
-                }, this.gestureConfig.longPressTimeThreshold);
-                
-                break;
-                
-            case 'move':
-                // Cancelar long press si se mueve mucho
-                const moveDistance = this.getDistance(
-                    touchInfo.startX, touchInfo.startY,
-                    touchInfo.currentX, touchInfo.currentY
-                );
-                
-                if (moveDistance > 20 && this.gestureState.longPressTimer) {
-                    clearTimeout(this.gestureState.longPressTimer);
-                    this.gestureState.longPressTimer = null;
-                }
-                
-                break;
-                
-            case 'end':
-                // Cancelar long press
-                if (this.gestureState.longPressTimer) {
-                    clearTimeout(this.gestureState.longPressTimer);
-                    this.gestureState.longPressTimer = null;
-                }
-                
-                const touchDuration = currentTime - touchInfo.startTime;
-                const swipeDistance = this.getDistance(
-                    touchInfo.startX, touchInfo.startY,
-                    touchInfo.currentX, touchInfo.currentY
-                );
-                
-                // Detectar tap
-                if (touchDuration < this.gestureConfig.tapTimeThreshold && swipeDistance < 20) {
-                    this.gestureState.lastTap = {
-                        x: touchInfo.startX,
-                        y: touchInfo.startY,
-                        time: currentTime
-                    };
-                    this.emitGestureEvent('tap', touchInfo);
-                }
-                // Detectar swipe
-                else if (swipeDistance > this.gestureConfig.swipeThreshold && 
-                         touchDuration < this.gestureConfig.swipeTimeThreshold) {
-                    const swipeDirection = this.getSwipeDirection(touchInfo);
-                    this.emitGestureEvent('swipe', touchInfo, { direction: swipeDirection });
-                }
-                
-                break;
-        }
-    }
-    
-    /**
-     * Calcula la distancia entre dos puntos
-     * @param {number} x1 - X del primer punto
-     * @param {number} y1 - Y del primer punto
-     * @param {number} x2 - X del segundo punto
-     * @param {number} y2 - Y del segundo punto
-     * @returns {number} Distancia
-     */
-    getDistance(x1, y1, x2, y2) {
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-    
-    /**
-     * Determina la dirección del swipe
-     * @param {Object} touchInfo - Información del touch
-     * @returns {string} Dirección del swipe
-     */
-    getSwipeDirection(touchInfo) {
-        const dx = touchInfo.currentX - touchInfo.startX;
-        const dy = touchInfo.currentY - touchInfo.startY;
-        
-        if (Math.abs(dx) > Math.abs(dy)) {
-            return dx > 0 ? 'right' : 'left';
-        } else {
-            return dy > 0 ? 'down' : 'up';
+        // Sin gestos: solo se suelta lo que estuviera pulsado
+        for (const touch of event.changedTouches) {
+            this.recognizer.cancel(touch.identifier, time);
         }
     }
     
@@ -404,110 +197,47 @@ export class TouchHandler {
      * Emite un evento de input
      * @param {string} action - Acción del input
      * @param {boolean} pressed - Si está presionado
-     * @param {Touch} touch - Objeto touch
+     * @param {Object} gesture - Gesto que la dispara
      */
-    emitInputEvent(action, pressed, touch) {
+    emitInputEvent(action, pressed, gesture) {
+        // Varios dedos pueden mantener la misma acción
+        const count = (this.touchActions.get(action) || 0) + (pressed ? 1 : -1);
+        if (count > 0) {
+            this.touchActions.set(action, count);
+        } else {
+            this.touchActions.delete(action);
+        }
+        
         this.eventBus.emit('input:raw-touch', {
             action,
             pressed,
             device: 'touch',
-            touchId: touch.identifier,
-            position: {
-                x: touch.clientX,
-                y: touch.clientY
-            },
+            key: `gesture-${gesture.type}`,
+            gesture: gesture.type,
+            touchId: gesture.touchId,
+            position: { ...gesture.position },
+            time: gesture.time,
             timestamp: Date.now()
         });
     }
     
     /**
      * Emite un evento de gesto
-     * @param {string} gestureType - Tipo de gesto
-     * @param {Object} touchInfo - Información del touch
-     * @param {Object} data - Datos adicionales
+     * @param {Object} gesture - Gesto reconocido
      */
-    emitGestureEvent(gestureType, touchInfo, data = {}) {
+    emitGestureEvent(gesture) {
         this.eventBus.emit('input:gesture', {
-            type: gestureType,
-            touchId: touchInfo.id,
-            position: {
-                x: touchInfo.currentX,
-                y: touchInfo.currentY
-            },
-            startPosition: {
-                x: touchInfo.startX,
-                y: touchInfo.startY
-            },
-            zone: touchInfo.zone,
-            duration: Date.now() - touchInfo.startTime,
-            ...data
+            type: gesture.type,
+            action: gesture.action,
+            touchId: gesture.touchId,
+            position: { ...gesture.position },
+            startPosition: { ...gesture.startPosition },
+            distance: gesture.distance,
+            duration: gesture.duration,
+            velocity: gesture.velocity
         });
     }
     
-    /**
-     * Crea overlay visual de zonas táctiles para debug
-     */
-    createTouchZoneOverlay() {
-        const overlay = document.createElement('div');
-        overlay.id = 'touch-zone-overlay';
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            pointer-events: none;
-            z-index: 9999;
-            opacity: 0.3;
-        `;
-        
-        // Crear zonas visuales
-        for (const [zoneName, zone] of Object.entries(this.touchZones)) {
-            const zoneElement = document.createElement('div');
-            zoneElement.style.cssText = `
-                position: absolute;
-                left: ${zone.x * 100}%;
-                top: ${zone.y * 100}%;
-                width: ${zone.width * 100}%;
-                height: ${zone.height * 100}%;
-                background: ${this.getZoneColor(zoneName)};
-                border: 2px solid white;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                color: white;
-                font-weight: bold;
-                font-size: 14px;
-                text-shadow: 1px 1px 2px black;
-            `;
-            zoneElement.textContent = zoneName.toUpperCase();
-            overlay.appendChild(zoneElement);
-        }
-        
-        document.body.appendChild(overlay);
-        
-        // Remover después de 5 segundos
-        setTimeout(() => {
-            if (document.body.contains(overlay)) {
-                document.body.removeChild(overlay);
-            }
-        }, 5000);
-    }
-    
-    /**
-     * Obtiene el color para una zona
-     * @param {string} zoneName - Nombre de la zona
-     * @returns {string} Color CSS
-     */
-    getZoneColor(zoneName) {
-        const colors = {
-            jump: 'rgba(255, 215, 0, 0.5)',
-            dash: 'rgba(159, 122, 234, 0.5)',
-            gravity: 'rgba(255, 107, 107, 0.5)'
-        };
-        return colors[zoneName] || 'rgba(128, 128, 128, 0.5)';
-    }
-    
     /**
      * Actualiza el manejador táctil
      * @param {number} deltaTime - Delta time
@@ -515,29 +245,8 @@ export class TouchHandler {
     update(deltaTime) {
         if (!this.isInitialized || !this.isEnabled) return;
         
-        // Limpiar touches inactivos
-        this.cleanupInactiveTouches();
-    }
-    
-    /**
-     * Limpia touches inactivos
-     */
-    cleanupInactiveTouches() {
-        const currentTime = Date.now();
-        const timeout = 5000; // 5 segundos
-        
-        for (const [touchId, touchInfo] of this.activeTouches.entries()) {
-            if (currentTime - touchInfo.lastMoveTime > timeout) {
-                console.warn(`🧹 Limpiando touch inactivo: ${touchId}`);
-                
-                if (touchInfo.action) {
-                    this.touchActions.delete(touchInfo.action);
-                    this.emitInputEvent(touchInfo.action, false, { identifier: touchId });
-                }
-                
-                this.activeTouches.delete(touchId);
-            }
-        }
+        // Las pulsaciones largas se reconocen aunque el dedo no se mueva
+        this.recognizer.update(InputQueue.now());
     }
     
     /**
@@ -555,7 +264,7 @@ export class TouchHandler {
      * @returns {Object|null} Información del touch o null
      */
     getTouchInfo(touchId) {
-        return this.activeTouches.get(touchId) || null;
+        return this.recognizer.touches.get(touchId) || null;
     }
     
     /**
@@ -563,20 +272,19 @@ export class TouchHandler {
      * @returns {Array} Array de información de touches
      */
     getActiveTouches() {
-        return Array.from(this.activeTouches.values());
+        return Array.from(this.recognizer.touches.values());
     }
     
     /**
-     * Actualiza las zonas táctiles
-     * @param {Object} newZones - Nuevas zonas táctiles
+     * Sustituye el mapa gesto -> acción
+     * @param {Object} gestures - Mapa {gesto: acción}
      */
-    updateTouchZones(newZones) {
-        this.touchZones = { ...this.touchZones, ...newZones };
-        console.log('📱 Zonas táctiles actualizadas');
+    setGestures(gestures) {
+        this.recognizer.setGestures(gestures);
+        console.log('📱 Gestos táctiles actualizados');
         
-        // Emitir evento de cambio
-        this.eventBus.emit('input:touch-zones-changed', {
-            zones: this.touchZones
+        this.eventBus.emit('input:touch-gestures-changed', {
+            gestures: { ...this.recognizer.gestures }
         });
     }
     
@@ -595,14 +303,7 @@ export class TouchHandler {
         this.isEnabled = false;
         
         // Liberar todos los touches
-        for (const [touchId, touchInfo] of this.activeTouches.entries()) {
-            if (touchInfo.action) {
-                this.touchActions.delete(touchInfo.action);
-                this.emitInputEvent(touchInfo.action, false, { identifier: touchId });
-            }
-        }
-        
-        this.activeTouches.clear();
+        this.recognizer.reset(InputQueue.now());
         this.touchActions.clear();
         
         console.log('🚫 TouchHandler deshabilitado');
@@ -617,10 +318,8 @@ export class TouchHandler {
             isEnabled: this.isEnabled,
             isInitialized: this.isInitialized,
             isTouchSupported: this.isTouchSupported(),
-            activeTouches: this.getActiveTouches().length,
             touchActions: Object.fromEntries(this.touchActions),
-            touchZones: { ...this.touchZones },
-            gestureConfig: { ...this.gestureConfig }
+            ...this.recognizer.getDebugInfo()
         };
     }
     
@@ -643,27 +342,19 @@ export class TouchHandler {
         console.log('🧹 Destruyendo TouchHandler...');
         
         // Remover event listeners
-        document.removeEventListener('touchstart', this.boundHandlers.touchStart);
-        document.removeEventListener('touchmove', this.boundHandlers.touchMove);
-        document.removeEventListener('touchend', this.boundHandlers.touchEnd);
-        document.removeEventListener('touchcancel', this.boundHandlers.touchCancel);
-        
-        // Limpiar timers
-        if (this.gestureState.longPressTimer) {
-            clearTimeout(this.gestureState.longPressTimer);
+        if (this.target) {
+            this.target.removeEventListener('touchstart', this.boundHandlers.touchStart);
+            this.target.removeEventListener('touchmove', this.boundHandlers.touchMove);
+            this.target.removeEventListener('touchend', this.boundHandlers.touchEnd);
+            this.target.removeEventListener('touchcancel', this.boundHandlers.touchCancel);
+            this.target = null;
         }
         
         // Liberar todos los touches
         this.disable();
         
-        // Remover overlay si existe
-        const overlay = document.getElementById('touch-zone-overlay');
-        if (overlay) {
-            document.body.removeChild(overlay);
-        }
-        
         this.isInitialized = false;
         
         console.log('✅ TouchHandler destruido');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,734 @@
+/**
+ * Controles táctiles en pantalla para Spikepulse
+ * @module VirtualControls
+ */
+
+import { VIRTUAL_CONTROLS, TOUCH_LAYOUT_LIMITS, normalizeTouchLayout } from '../../config/InputBindings.js';
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+/**
+ * Acción de cada botón (la cruceta elige izquierda o derecha según dónde está el dedo)
+ */
+const CONTROL_ACTIONS = {
+    jump: 'jump',
+    dash: 'dash',
+    gravityToggle: 'gravityToggle',
+    pause: 'pause'
+};
+
+/**
+ * Icono de cada botón
+ */
+const CONTROL_ICONS = {
+    jump: '⬆',
+    dash: '⚡',
+    gravityToggle: '🔄',
+    pause: '⏸'
+};
+
+export class VirtualControls {
+    /**
+     * Crea los controles táctiles en pantalla
+     * @param {Object} config - Configuración (input.touch.virtualControls)
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {Function} onAction - Recibe (acción, pulsado, botón) como el resto de dispositivos
+     */
+    constructor(config, eventBus, onAction) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.onAction = onAction;
+        this.isInitialized = false;
+        this.isEnabled = true;
+        this.isEditing = false;
+        
+        // Solo se muestran jugando (o mientras se editan)
+        this.gameVisible = false;
+        
+        // Disposición por defecto y las guardadas por orientación (null = por defecto)
+        this.defaultLayout = normalizeTouchLayout(config.layout);
+        this.layouts = { landscape: null, portrait: null };
+        this.orientation = this.getOrientation();
+        this.layout = this.getLayout(this.orientation);
+        
+        // Se llama al terminar de editar con las disposiciones por orientación
+        this.onLayoutChange = null;
+        
+        // Elementos del DOM (id -> {root, halves, cooldown, badge, handle})
+        this.container = null;
+        this.toolbar = null;
+        this.opacityInput = null;
+        this.elements = {};
+        
+        // Dedos sobre los controles: pointerId -> {id, action}
+        this.pointers = new Map();
+        
+        // Arrastre en modo edición: {pointerId, id, mode (move o resize), startX, startY, start}
+        this.drag = null;
+        
+        // Último estado del jugador pintado (evita tocar el DOM en cada frame)
+        this.hud = { jumpsLeft: null, dashCooldown: null };
+        
+        this.boundHandlers = {
+            resize: this.handleResize.bind(this)
+        };
+        
+        console.log('🕹️ VirtualControls creados');
+    }
+    
+    /**
+     * Indica si el dispositivo tiene pantalla táctil
+     * @returns {boolean} True si hay entrada táctil
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            ('ontouchstart' in window || (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0));
+    }
+    
+    /**
+     * Inicializa los controles
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando VirtualControls...');
+            
+            this.createElements();
+            this.applyLayout();
+            
+            window.addEventListener('resize', this.boundHandlers.resize);
+            window.addEventListener('orientationchange', this.boundHandlers.resize);
+            
+            this.eventBus.on('game:state-changed', (data) => {
+                this.gameVisible = data.state === 'playing';
+                if (!this.gameVisible) {
+                    this.releaseAll();
+                }
+                this.updateVisibility();
+            }, this);
+            this.eventBus.on('player:state-updated', (data) => this.updateHud(data.player), this);
+            
+            this.isInitialized = true;
+            console.log('✅ VirtualControls inicializados');
+            
+        } catch (error) {
+            console.error('❌ Error inicializando VirtualControls:', error);
+            throw error;
+        }
+    }
+    
+    // ===== ELEMENTOS =====
+    
+    /**
+     * Crea la capa de controles y la barra de edición
+     */
+    createElements() {
+        this.container = document.createElement('div');
+        this.container.id = 'virtual-controls';
+        this.container.setAttribute('aria-label', SPANISH_TEXT.CONTROLS_AREA_LABEL);
+        this.container.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            pointer-events: none;
+            touch-action: none;
+            user-select: none;
+            -webkit-user-select: none;
+            z-index: 9000;
+        `;
+        
+        for (const id of VIRTUAL_CONTROLS) {
+            this.elements[id] = this.createControl(id);
+            this.container.appendChild(this.elements[id].root);
+        }
+        
+        this.toolbar = this.createToolbar();
+        this.container.appendChild(this.toolbar);
+        
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * Crea un control (botón o cruceta)
+     * @param {string} id - Control de VIRTUAL_CONTROLS
+     * @returns {Object} Elementos del control
+     */
+    createControl(id) {
+        const root = document.createElement('div');
+        root.dataset.control = id;
+        root.setAttribute('role', 'button');
+        root.style.cssText = `
+            position: absolute;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            box-sizing: border-box;
+            pointer-events: auto;
+            touch-action: none;
+            border: 2px solid rgba(255, 215, 0, 0.8);
+            border-radius: ${id === 'dpad' ? '16px' : '50%'};
+            background: rgba(0, 0, 0, 0.45);
+            color: #FFD700;
+            font-family: 'Orbitron', sans-serif;
+            overflow: hidden;
+        `;
+        
+        const control = { root, halves: null, cooldown: null, badge: null, handle: null };
+        
+        if (id === 'dpad') {
+            // Cruceta horizontal: mitad izquierda y mitad derecha
+            root.setAttribute('aria-label', `${SPANISH_TEXT.MOVE_LEFT} / ${SPANISH_TEXT.MOVE_RIGHT}`);
+            control.halves = {};
+            
+            for (const [action, icon] of [['moveLeft', '◀'], ['moveRight', '▶']]) {
+                const half = document.createElement('div');
+                half.textContent = icon;
+                half.style.cssText = 'flex: 1; height: 100%; display: flex; align-items: center; justify-content: center; pointer-events: none;';
+                control.halves[action] = half;
+                root.appendChild(half);
+            }
+        } else {
+            root.setAttribute('aria-label', this.getControlLabel(id));
+            
+            const icon = document.createElement('span');
+            icon.textContent = CONTROL_ICONS[id];
+            icon.style.cssText = 'pointer-events: none;';
+            root.appendChild(icon);
+        }
+        
+        if (id === 'dash') {
+            // Recarga del dash: sector oscuro que se va cerrando
+            control.cooldown = document.createElement('div');
+            control.cooldown.style.cssText = 'position: absolute; inset: 0; border-radius: inherit; pointer-events: none;';
+            root.appendChild(control.cooldown);
+        }
+        
+        if (id === 'jump') {
+            // Saltos que quedan
+            control.badge = document.createElement('span');
+            control.badge.style.cssText = `
+                position: absolute;
+                top: 8%;
+                right: 8%;
+                min-width: 1.4em;
+                padding: 0 0.2em;
+                border-radius: 0.7em;
+                background: #FFD700;
+                color: #000000;
+                font-size: 0.4em;
+                font-weight: bold;
+                text-align: center;
+                pointer-events: none;
+            `;
+            root.appendChild(control.badge);
+        }
+        
+        // Asa para cambiar el tamaño (solo en modo edición)
+        control.handle = document.createElement('div');
+        control.handle.style.cssText = `
+            position: absolute;
+            right: 0;
+            bottom: 0;
+            width: 24px;
+            height: 24px;
+            display: none;
+            background: #FFD700;
+            border-radius: 4px 0 0 0;
+            touch-action: none;
+        `;
+        root.appendChild(control.handle);
+        
+        root.addEventListener('pointerdown', (event) => this.handlePointerDown(event, id));
+        root.addEventListener('pointermove', (event) => this.handlePointerMove(event, id));
+        root.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        root.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+        root.addEventListener('contextmenu', (event) => event.preventDefault());
+        
+        return control;
+    }
+    
+    /**
+     * Crea la barra del modo edición: opacidad, restablecer y terminar
+     * @returns {HTMLElement} Barra de edición
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.style.cssText = `
+            position: absolute;
+            top: 1rem;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: center;
+            gap: 0.75rem;
+            padding: 0.75rem 1rem;
+            background: rgba(0, 0, 0, 0.85);
+            border: 1px solid #666666;
+            border-radius: 8px;
+            pointer-events: auto;
+            font-family: 'Rajdhani', sans-serif;
+            color: white;
+        `;
+        
+        const hint = document.createElement('span');
+        hint.textContent = SPANISH_TEXT.CONTROLS_TOUCH_HINT;
+        hint.style.cssText = 'width: 100%; text-align: center; color: #CCCCCC;';
+        
+        const opacityLabel = document.createElement('label');
+        opacityLabel.textContent = SPANISH_TEXT.CONTROLS_TOUCH_OPACITY;
+        opacityLabel.style.cssText = 'display: flex; align-items: center; gap: 0.5rem;';
+        
+        this.opacityInput = document.createElement('input');
+        this.opacityInput.type = 'range';
+        this.opacityInput.min = String(TOUCH_LAYOUT_LIMITS.minOpacity);
+        this.opacityInput.max = String(TOUCH_LAYOUT_LIMITS.maxOpacity);
+        this.opacityInput.step = '0.05';
+        this.opacityInput.addEventListener('input', () => {
+            this.layout.opacity = Number(this.opacityInput.value);
+            this.applyLayout();
+        });
+        opacityLabel.appendChild(this.opacityInput);
+        
+        const buttonStyle = `
+            padding: 0.5rem 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = SPANISH_TEXT.CONTROLS_RESET;
+        resetButton.style.cssText = buttonStyle;
+        resetButton.addEventListener('click', () => this.resetLayout());
+        
+        const doneButton = document.createElement('button');
+        doneButton.type = 'button';
+        doneButton.textContent = SPANISH_TEXT.CONTROLS_DONE;
+        doneButton.style.cssText = buttonStyle;
+        doneButton.addEventListener('click', () => this.finishEditing());
+        
+        toolbar.appendChild(hint);
+        toolbar.appendChild(opacityLabel);
+        toolbar.appendChild(resetButton);
+        toolbar.appendChild(doneButton);
+        
+        return toolbar;
+    }
+    
+    /**
+     * Texto accesible de un control
+     * @param {string} id - Control
+     * @returns {string} Nombre del control
+     */
+    getControlLabel(id) {
+        const labels = {
+            jump: SPANISH_TEXT.JUMP,
+            dash: SPANISH_TEXT.DASH,
+            gravityToggle: SPANISH_TEXT.TOGGLE_GRAVITY,
+            pause: SPANISH_TEXT.PAUSE_GAME
+        };
+        
+        return labels[id] || id;
+    }
+    
+    // ===== DISPOSICIÓN =====
+    
+    /**
+     * Orientación actual de la pantalla
+     * @returns {string} landscape o portrait
+     */
+    getOrientation() {
+        return window.innerWidth >= window.innerHeight ? 'landscape' : 'portrait';
+    }
+    
+    /**
+     * Disposición de una orientación (la guardada o la por defecto)
+     * @param {string} orientation - landscape o portrait
+     * @returns {Object} Disposición normalizada
+     */
+    getLayout(orientation) {
+        return normalizeTouchLayout(this.layouts[orientation] || this.defaultLayout, this.defaultLayout);
+    }
+    
+    /**
+     * Sustituye las disposiciones guardadas por orientación
+     * @param {Object} layouts - {landscape, portrait}: disposición o null
+     */
+    setLayouts(layouts) {
+        this.layouts = {
+            landscape: layouts?.landscape || null,
+            portrait: layouts?.portrait || null
+        };
+        
+        // Mientras se edita manda lo que está editando el jugador
+        if (!this.isEditing) {
+            this.layout = this.getLayout(this.orientation);
+            this.applyLayout();
+        }
+    }
+    
+    /**
+     * Obtiene las disposiciones guardadas por orientación
+     * @returns {Object} {landscape, portrait}
+     */
+    getLayouts() {
+        return {
+            landscape: this.layouts.landscape ? normalizeTouchLayout(this.layouts.landscape) : null,
+            portrait: this.layouts.portrait ? normalizeTouchLayout(this.layouts.portrait) : null
+        };
+    }
+    
+    /**
+     * Coloca los controles según la disposición y el tamaño de la pantalla
+     */
+    applyLayout() {
+        if (!this.container) return;
+        
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        
+        for (const id of VIRTUAL_CONTROLS) {
+            const { x, y, size } = this.layout.controls[id];
+            const { root } = this.elements[id];
+            const controlHeight = id === 'dpad' ? size / 2 : size;
+            
+            // Siempre dentro de la pantalla aunque la disposición venga de otra resolución
+            root.style.left = `${Math.max(0, Math.min(x * width, width - size))}px`;
+            root.style.top = `${Math.max(0, Math.min(y * height, height - controlHeight))}px`;
+            root.style.width = `${size}px`;
+            root.style.height = `${controlHeight}px`;
+            root.style.fontSize = `${Math.round(controlHeight * 0.4)}px`;
+            root.style.opacity = String(this.layout.opacity);
+        }
+        
+        if (this.opacityInput) {
+            this.opacityInput.value = String(this.layout.opacity);
+        }
+    }
+    
+    /**
+     * Recoloca al girar o redimensionar; cada orientación tiene su disposición
+     */
+    handleResize() {
+        const orientation = this.getOrientation();
+        
+        if (orientation !== this.orientation) {
+            // Lo editado hasta ahora pertenece a la orientación anterior
+            if (this.isEditing) {
+                this.layouts[this.orientation] = normalizeTouchLayout(this.layout);
+            }
+            
+            this.orientation = orientation;
+            this.layout = this.getLayout(orientation);
+        }
+        
+        this.applyLayout();
+    }
+    
+    // ===== ENTRADA =====
+    
+    /**
+     * Acción del control bajo el dedo
+     * @param {string} id - Control
+     * @param {PointerEvent} event - Evento del puntero
+     * @returns {string} Acción
+     */
+    getActionAt(id, event) {
+        if (id !== 'dpad') return CONTROL_ACTIONS[id];
+        
+        const rect = this.elements.dpad.root.getBoundingClientRect();
+        return event.clientX < rect.left + rect.width / 2 ? 'moveLeft' : 'moveRight';
+    }
+    
+    /**
+     * Maneja el inicio de un toque sobre un control
+     * @param {PointerEvent} event - Evento del puntero
+     * @param {string} id - Control
+     */
+    handlePointerDown(event, id) {
+        event.preventDefault();
+        
+        // Seguir al dedo aunque salga del control
+        event.currentTarget?.setPointerCapture?.(event.pointerId);
+        
+        if (this.isEditing) {
+            this.startDrag(event, id);
+            return;
+        }
+        
+        if (!this.isEnabled || this.pointers.has(event.pointerId)) return;
+        
+        const action = this.getActionAt(id, event);
+        this.pointers.set(event.pointerId, { id, action });
+        this.setAction(action, true);
+    }
+    
+    /**
+     * Maneja el movimiento de un dedo (la cruceta cambia de dirección al deslizar)
+     * @param {PointerEvent} event - Evento del puntero
+     * @param {string} id - Control
+     */
+    handlePointerMove(event, id) {
+        if (this.isEditing) {
+            this.updateDrag(event);
+            return;
+        }
+        
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer || id !== 'dpad') return;
+        
+        const action = this.getActionAt(id, event);
+        if (action !== pointer.action) {
+            this.setAction(pointer.action, false);
+            pointer.action = action;
+            this.setAction(action, true);
+        }
+    }
+    
+    /**
+     * Maneja el final de un toque
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    handlePointerUp(event) {
+        if (this.isEditing) {
+            this.drag = null;
+            return;
+        }
+        
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        this.pointers.delete(event.pointerId);
+        this.setAction(pointer.action, false);
+    }
+    
+    /**
+     * Pulsa o suelta una acción y lo refleja en el control
+     * @param {string} action - Acción
+     * @param {boolean} pressed - Si se pulsa o se suelta
+     */
+    setAction(action, pressed) {
+        const held = [...this.pointers.values()].some(pointer => pointer.action === action);
+        const target = this.elements.dpad.halves[action] || this.elements[action]?.root;
+        if (target) {
+            target.style.background = held ? 'rgba(255, 215, 0, 0.35)' : '';
+        }
+        
+        this.onAction(action, pressed, `virtual-${action}`);
+    }
+    
+    /**
+     * Suelta todas las acciones pulsadas (al salir de la partida o al editar)
+     */
+    releaseAll() {
+        const pointers = [...this.pointers.values()];
+        this.pointers.clear();
+        
+        for (const pointer of pointers) {
+            this.setAction(pointer.action, false);
+        }
+    }
+    
+    // ===== ESTADO DEL JUGADOR =====
+    
+    /**
+     * Pinta los saltos que quedan y la recarga del dash
+     * @param {Object} player - Resumen del jugador (getSnapshot)
+     */
+    updateHud(player) {
+        if (!player || !this.container) return;
+        
+        if (player.jumpsLeft !== this.hud.jumpsLeft) {
+            this.hud.jumpsLeft = player.jumpsLeft;
+            this.elements.jump.badge.textContent = String(player.jumpsLeft);
+            this.elements.jump.root.style.borderColor = player.jumpsLeft > 0 ? 'rgba(255, 215, 0, 0.8)' : 'rgba(102, 102, 102, 0.8)';
+        }
+        
+        const cooldown = Math.round((player.dashCooldown || 0) * 100) / 100;
+        if (cooldown !== this.hud.dashCooldown) {
+            this.hud.dashCooldown = cooldown;
+            const degrees = Math.round(cooldown * 360);
+            this.elements.dash.cooldown.style.background = cooldown > 0
+                ? `conic-gradient(rgba(0, 0, 0, 0.7) ${degrees}deg, transparent ${degrees}deg)`
+                : 'none';
+        }
+    }
+    
+    // ===== EDICIÓN =====
+    
+    /**
+     * Entra en el modo edición: arrastrar mueve, el asa cambia el tamaño
+     */
+    startEditing() {
+        if (!this.isInitialized || this.isEditing) return;
+        
+        this.releaseAll();
+        this.isEditing = true;
+        this.layout = this.getLayout(this.orientation);
+        
+        // Por encima de las pantallas y sin dejar tocar lo que hay debajo
+        this.container.style.zIndex = '10001';
+        this.container.style.pointerEvents = 'auto';
+        this.container.style.background = 'rgba(0, 0, 0, 0.6)';
+        this.toolbar.style.display = 'flex';
+        
+        for (const id of VIRTUAL_CONTROLS) {
+            this.elements[id].root.style.borderStyle = 'dashed';
+            this.elements[id].handle.style.display = 'block';
+        }
+        
+        this.applyLayout();
+        this.updateVisibility();
+        console.log('✏️ Editando controles táctiles');
+    }
+    
+    /**
+     * Empieza a mover o a redimensionar un control
+     * @param {PointerEvent} event - Evento del puntero
+     * @param {string} id - Control
+     */
+    startDrag(event, id) {
+        this.drag = {
+            pointerId: event.pointerId,
+            id,
+            mode: event.target === this.elements[id].handle ? 'resize' : 'move',
+            startX: event.clientX,
+            startY: event.clientY,
+            start: { ...this.layout.controls[id] }
+        };
+    }
+    
+    /**
+     * Aplica el arrastre en curso
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    updateDrag(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const dx = event.clientX - drag.startX;
+        const dy = event.clientY - drag.startY;
+        const control = this.layout.controls[drag.id];
+        
+        if (drag.mode === 'resize') {
+            const size = drag.start.size + Math.max(dx, dy);
+            control.size = Math.round(Math.min(TOUCH_LAYOUT_LIMITS.maxSize, Math.max(TOUCH_LAYOUT_LIMITS.minSize, size)));
+        } else {
+            const controlHeight = drag.id === 'dpad' ? control.size / 2 : control.size;
+            control.x = Math.min(Math.max(0, drag.start.x + dx / width), Math.max(0, 1 - control.size / width));
+            control.y = Math.min(Math.max(0, drag.start.y + dy / height), Math.max(0, 1 - controlHeight / height));
+        }
+        
+        this.applyLayout();
+    }
+    
+    /**
+     * Vuelve a la disposición por defecto (se guarda al terminar)
+     */
+    resetLayout() {
+        this.layout = normalizeTouchLayout(this.defaultLayout);
+        this.applyLayout();
+    }
+    
+    /**
+     * Sale del modo edición y guarda la disposición de la orientación actual
+     */
+    finishEditing() {
+        if (!this.isEditing) return;
+        
+        this.isEditing = false;
+        this.drag = null;
+        this.layouts[this.orientation] = normalizeTouchLayout(this.layout);
+        
+        this.container.style.zIndex = '9000';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.background = 'none';
+        this.toolbar.style.display = 'none';
+        
+        for (const id of VIRTUAL_CONTROLS) {
+            this.elements[id].root.style.borderStyle = 'solid';
+            this.elements[id].handle.style.display = 'none';
+        }
+        
+        this.updateVisibility();
+        console.log(`💾 Controles táctiles guardados (${this.orientation})`);
+        
+        if (this.onLayoutChange) {
+            this.onLayoutChange(this.getLayouts());
+        }
+        this.eventBus.emit('input:virtual-controls-edited', {
+            orientation: this.orientation,
+            layout: normalizeTouchLayout(this.layout)
+        });
+    }
+    
+    // ===== VISIBILIDAD =====
+    
+    /**
+     * Muestra los controles jugando (si están habilitados) o mientras se editan
+     */
+    updateVisibility() {
+        if (!this.container) return;
+        
+        const visible = this.isEditing || (this.gameVisible && this.isEnabled);
+        this.container.style.display = visible ? 'block' : 'none';
+    }
+    
+    /**
+     * Habilita los controles
+     */
+    enable() {
+        this.isEnabled = true;
+        this.updateVisibility();
+    }
+    
+    /**
+     * Deshabilita los controles
+     */
+    disable() {
+        this.isEnabled = false;
+        this.releaseAll();
+        this.updateVisibility();
+    }
+    
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            isEnabled: this.isEnabled,
+            isEditing: this.isEditing,
+            visible: this.container?.style.display === 'block',
+            orientation: this.orientation,
+            activePointers: this.pointers.size,
+            layout: normalizeTouchLayout(this.layout)
+        };
+    }
+    
+    /**
+     * Limpia recursos
+     */
+    destroy() {
+        console.log('🧹 Destruyendo VirtualControls...');
+        
+        this.releaseAll();
+        window.removeEventListener('resize', this.boundHandlers.resize);
+        window.removeEventListener('orientationchange', this.boundHandlers.resize);
+        this.eventBus.off('*', this);
+        
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+        
+        this.isInitialized = false;
+    }
+}
@@ -3,69 +3,440 @@
  * @module Input
  */
 
+import { GamepadHandler } from './GamepadHandler.js';
+import { TouchHandler } from './TouchHandler.js';
+import { InputQueue } from './InputQueue.js';
+import { VirtualControls } from './VirtualControls.js';
+import { ControlsScreen } from './ControlsScreen.js';
+import { normalizeKeyBindings, createKeyMap } from '../../config/InputBindings.js';
+
+/**
+ * Eventos emitidos para cada acción
+ */
+const ACTION_EVENTS = {
+    jump: 'input:jump',
+    dash: 'input:dash',
+    gravityToggle: 'input:gravity-toggle',
+    moveLeft: 'input:move-left',
+    moveRight: 'input:move-right',
+    pause: 'input:pause'
+};
+
 export function createInputSystem(config, eventBus) {
     console.log('🎮 Creando sistema de input simplificado...');
     
+    // Teclas de la configuración hasta que GameState da las del jugador
+    const defaultBindings = normalizeKeyBindings(config.input?.keyboard?.bindings);
+    let bindings = defaultBindings;
+    let keyMap = createKeyMap(bindings);
+    
+    // Teclas pulsadas y su acción (se sueltan aunque se reasignen mientras tanto)
+    const heldKeys = new Map();
+    
+    // Acciones de juego con su hora: la simulación las consume en cada tick
+    const inputQueue = new InputQueue(config.input?.queue);
+    
+    // Solo se encola jugando (fuera de partida el jugador ignora el input)
+    let queueActive = false;
+    
+    // Estado centralizado donde se guardan los controles del jugador (ver setGameState)
+    let gameState = null;
+    
+    /**
+     * Emite el evento de una acción
+     * La pausa se emite al momento; las acciones de juego se encolan y se
+     * emiten en el tick que las consume (ver fixedUpdate).
+     * @param {string} action - Acción
+     * @param {boolean} pressed - Si la tecla se pulsó o se soltó
+     * @param {string} key - Código de la tecla o del mando
+     * @param {string} source - Dispositivo (keyboard, gamepad o touch)
+     * @param {number} time - Hora del evento (por defecto, ahora)
+     */
+    const emitAction = (action, pressed, key, source = 'keyboard', time = undefined) => {
+        if (action === 'pause') {
+            // La pausa solo reacciona al pulsar
+            if (pressed) {
+                eventBus.emit(ACTION_EVENTS.pause, { source, key, pressed });
+            }
+            return;
+        }
+        
+        // Durante una repetición solo se permite pausar; fuera de partida no se encola
+        if (!inputSystem.gameplayEnabled || !queueActive) return;
+        
+        inputQueue.push(action, pressed, { source, key, time });
+    };
+    
+    // Mandos (Gamepad API): se consultan en cada update
+    const gamepadHandler = config.input?.gamepad?.enabled !== false && GamepadHandler.isSupported()
+        ? new GamepadHandler(config.input?.gamepad || {}, eventBus)
+        : null;
+    
+    // Gestos sobre el canvas (tap, swipes...): acciones según input.touch.gestures
+    const touchHandler = config.input?.touch?.enabled !== false && TouchHandler.isSupported()
+        ? new TouchHandler(config.input?.touch || {}, eventBus)
+        : null;
+    
+    // Controles táctiles en pantalla: 'auto' los crea solo en dispositivos táctiles
+    const virtualConfig = config.input?.touch?.virtualControls || {};
+    const virtualControls = virtualConfig.enabled === true ||
+        (virtualConfig.enabled === 'auto' && VirtualControls.isSupported())
+        ? new VirtualControls(virtualConfig, eventBus, (action, pressed, key) => {
+            if (pressed) {
+                inputSystem.setActiveDevice('touch');
+            }
+            emitAction(action, pressed, key, 'touch');
+        })
+        : null;
+    
+    /**
+     * Indica si la tecla se escribe en un campo de texto (semilla, nombre de nivel...)
+     * @param {KeyboardEvent} event - Evento de teclado
+     * @returns {boolean} True si el foco está en un campo editable
+     */
+    const isTyping = (event) => {
+        const tag = event.target?.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || event.target?.isContentEditable === true;
+    };
+    
+    const handleKeyDown = (event) => {
+        const action = keyMap[event.code];
+        if (!action || isTyping(event)) return;
+        
+        event.preventDefault();
+        if (event.repeat) return;
+        
+        heldKeys.set(event.code, action);
+        inputSystem.setActiveDevice('keyboard');
+        emitAction(action, true, event.code);
+    };
+    
+    const handleKeyUp = (event) => {
+        const action = heldKeys.get(event.code) || keyMap[event.code];
+        heldKeys.delete(event.code);
+        if (!action || isTyping(event)) return;
+        
+        event.preventDefault();
+        emitAction(action, false, event.code);
+    };
+    
     const inputSystem = {
         isInitialized: false,
+        gameplayEnabled: true,
+        
+        // Último dispositivo usado (la UI muestra sus iconos)
+        activeDevice: 'keyboard',
+        controllerType: null,
         
         async init() {
             console.log('🔧 Inicializando sistema de input...');
             
             // Configurar listeners básicos de teclado
-            document.addEventListener('keydown', (event) => {
-                switch (event.code) {
-                    case 'Space':
-                    case 'ArrowUp':
-                    case 'KeyW':
-                        event.preventDefault();
-                        eventBus.emit('input:jump', { source: 'keyboard', key: event.code });
-                        break;
-                    case 'ShiftLeft':
-                    case 'ShiftRight':
-                    case 'KeyX':
-                        event.preventDefault();
-                        eventBus.emit('input:dash', { source: 'keyboard', key: event.code });
-                        break;
-                    case 'ControlLeft':
-                    case 'ControlRight':
-                    case 'KeyZ':
-                        event.preventDefault();
-                        eventBus.emit('input:gravity', { source: 'keyboard', key: event.code });
-                        break;
-                    case 'Escape':
-                    case 'KeyP':
-                        event.preventDefault();
-                        eventBus.emit('input:pause', { source: 'keyboard', key: event.code });
-                        break;
+            document.addEventListener('keydown', handleKeyDown);
+            document.addEventListener('keyup', handleKeyUp);
+            
+            // La cola empieza vacía en cada partida y se vacía al salir de 'playing'
+            // (el jugador suelta todo al pausar)
+            eventBus.on('game:state-changed', (data) => {
+                const wasActive = queueActive;
+                queueActive = data.state === 'playing';
+                
+                if (queueActive && data.previousState !== 'paused') {
+                    inputQueue.reset();
+                } else if (wasActive && !queueActive) {
+                    inputQueue.clear();
                 }
-            });
+            }, this);
+            
+            // Mandos: mismas acciones que el teclado
+            if (gamepadHandler) {
+                await gamepadHandler.init();
+                eventBus.on('input:raw-gamepad', (data) => {
+                    emitAction(data.action, data.pressed, data.key, 'gamepad');
+                }, this);
+                eventBus.on('input:gamepad-used', (data) => this.setActiveDevice('gamepad', data.type), this);
+                eventBus.on('input:gamepad-disconnected', () => {
+                    if (this.activeDevice === 'gamepad' && gamepadHandler.getConnectedCount() === 0) {
+                        this.setActiveDevice('keyboard');
+                    }
+                }, this);
+            }
+            
+            // Gestos: la acción llega con la hora del gesto
+            if (touchHandler) {
+                await touchHandler.init();
+                eventBus.on('input:raw-touch', (data) => {
+                    if (data.pressed) {
+                        this.setActiveDevice('touch');
+                    }
+                    emitAction(data.action, data.pressed, data.key, 'touch', data.time);
+                }, this);
+            }
+            
+            if (virtualControls) {
+                await virtualControls.init();
+            }
             
             this.isInitialized = true;
             console.log('✅ Sistema de input inicializado');
         },
         
         update(deltaTime) {
-            // Input system es principalmente event-driven
+            // El teclado es event-driven; los mandos hay que consultarlos
+            if (gamepadHandler) {
+                gamepadHandler.update(deltaTime);
+            }
+            
+            // Las pulsaciones largas se reconocen sin que el dedo se mueva
+            if (touchHandler) {
+                touchHandler.update(deltaTime);
+            }
+        },
+        
+        /**
+         * Emite las acciones encoladas hasta el final del tick, antes de que el jugador simule
+         * @param {number} fixedDelta - Delta time fijo en milisegundos
+         * @param {number} tickTime - Hora (performance.now) que alcanza el tick; Infinity = todo
+         */
+        fixedUpdate(fixedDelta, tickTime = Infinity) {
+            for (const event of inputQueue.consume(tickTime)) {
+                eventBus.emit(ACTION_EVENTS[event.action], {
+                    source: event.source,
+                    key: event.key,
+                    pressed: event.pressed,
+                    time: event.time,
+                    age: event.age
+                });
+            }
+        },
+        
+        /**
+         * Indica si la acción se pulsó en el último tick (un toque dentro del tick cuenta)
+         * @param {string} action - Acción
+         * @returns {boolean} True si hubo pulsación
+         */
+        wasPressed(action) {
+            return inputQueue.wasPressed(action);
+        },
+        
+        /**
+         * Indica si la acción se soltó en el último tick
+         * @param {string} action - Acción
+         * @returns {boolean} True si hubo liberación
+         */
+        wasReleased(action) {
+            return inputQueue.wasReleased(action);
+        },
+        
+        /**
+         * Indica si la acción sigue pulsada al final del último tick
+         * @param {string} action - Acción
+         * @returns {boolean} True si está pulsada
+         */
+        isHeld(action) {
+            return inputQueue.isHeld(action);
+        },
+        
+        /**
+         * Obtiene los últimos eventos consumidos por la simulación
+         * @returns {Array<Object>} Eventos con hora, edad y tick
+         */
+        getTimeline() {
+            return inputQueue.getTimeline();
+        },
+        
+        /**
+         * Aplica los controles del jugador guardados en GameState y los sigue al cambiar
+         * @param {GameState} gameState - Estado centralizado
+         */
+        setGameState(state) {
+            gameState = state;
+            
+            const apply = () => {
+                this.setKeyBindings(gameState.get('settings.controls.keyboard'));
+                if (virtualControls) {
+                    virtualControls.setLayouts(gameState.get('settings.controls.touch.layouts'));
+                }
+            };
+            apply();
+            
+            // Lo editado en pantalla se guarda por orientación
+            if (virtualControls) {
+                virtualControls.onLayoutChange = (layouts) => {
+                    gameState.set('settings.controls.touch.layouts', layouts);
+                };
+            }
+            
+            eventBus.on('gamestate:changed', (data) => {
+                if (data.path === 'settings' || data.path.startsWith('settings.controls')) {
+                    apply();
+                }
+            }, this);
+            
+            // Cargar una partida o una copia de seguridad sustituye el estado entero
+            eventBus.on('gamestate:loaded', apply, this);
+        },
+        
+        /**
+         * Sustituye las teclas asignadas
+         * @param {Object} newBindings - Bindings (esquema de InputBindings)
+         */
+        setKeyBindings(newBindings) {
+            bindings = normalizeKeyBindings(newBindings, defaultBindings);
+            keyMap = createKeyMap(bindings);
+            console.log('⌨️ Teclas asignadas actualizadas');
+        },
+        
+        /**
+         * Obtiene las teclas asignadas
+         * @returns {Object} Bindings (acción -> códigos)
+         */
+        getKeyBindings() {
+            return normalizeKeyBindings(bindings, defaultBindings);
+        },
+        
+        /**
+         * Obtiene las teclas por defecto de la configuración
+         * @returns {Object} Bindings (acción -> códigos)
+         */
+        getDefaultKeyBindings() {
+            return normalizeKeyBindings(defaultBindings);
+        },
+        
+        /**
+         * Guarda las teclas del jugador en GameState (se aplican al cambiar el estado)
+         * @param {Object} newBindings - Bindings (acción -> códigos)
+         */
+        saveKeyBindings(newBindings) {
+            const normalized = normalizeKeyBindings(newBindings);
+            
+            if (!gameState) {
+                this.setKeyBindings(normalized);
+            } else if (!gameState.set('settings.controls.keyboard', normalized)) {
+                console.warn('⚠️ No se pudieron guardar los controles');
+            }
+        },
+        
+        /**
+         * Obtiene la pantalla de controles para registrarla en el ScreenManager
+         * @returns {HTMLElement} Pantalla de controles
+         */
+        getControlsElement() {
+            return controlsScreen.getElement();
+        },
+        
+        /**
+         * Actualiza la pantalla de controles con las teclas actuales
+         */
+        refreshControlsScreen() {
+            controlsScreen.render();
+        },
+        
+        /**
+         * Cierra la pantalla de controles cancelando la captura de tecla pendiente
+         */
+        closeControlsScreen() {
+            controlsScreen.close();
+        },
+        
+        /**
+         * Indica si hay controles táctiles en pantalla
+         * @returns {boolean} True si existen
+         */
+        hasVirtualControls() {
+            return virtualControls !== null;
+        },
+        
+        /**
+         * Abre el modo edición de los controles táctiles (mover, redimensionar, opacidad)
+         */
+        editVirtualControls() {
+            if (virtualControls) {
+                virtualControls.startEditing();
+            }
+        },
+        
+        /**
+         * Cambia el dispositivo activo y avisa a la UI
+         * @param {string} device - keyboard, gamepad o touch
+         * @param {string|null} controllerType - Tipo de mando (xbox, playstation, nintendo, generic)
+         */
+        setActiveDevice(device, controllerType = null) {
+            if (this.activeDevice === device && this.controllerType === controllerType) return;
+            
+            const previous = this.activeDevice;
+            this.activeDevice = device;
+            this.controllerType = controllerType;
+            
+            eventBus.emit('input:active-device-changed', {
+                previous,
+                current: device,
+                controllerType
+            });
+        },
+        
+        /**
+         * Obtiene el dispositivo activo
+         * @returns {Object} Dispositivo y tipo de mando
+         */
+        getActiveDevice() {
+            return {
+                device: this.activeDevice,
+                controllerType: this.controllerType
+            };
+        },
+        
+        /**
+         * Activa o desactiva las acciones de juego (la pausa sigue disponible)
+         * @param {boolean} enabled - Si las acciones se emiten
+         */
+        setGameplayEnabled(enabled) {
+            this.gameplayEnabled = enabled;
+            if (!enabled) {
+                inputQueue.clear();
+            }
         },
         
         getDebugInfo() {
             return {
                 isInitialized: this.isInitialized,
+                gameplayEnabled: this.gameplayEnabled,
+                activeDevice: this.activeDevice,
+                queue: inputQueue.getDebugInfo(),
+                gamepad: gamepadHandler ? gamepadHandler.getDebugInfo() : null,
+                touch: touchHandler ? touchHandler.getDebugInfo() : null,
+                virtualControls: virtualControls ? virtualControls.getDebugInfo() : null,
                 type: 'simplified'
             };
         },
         
         reset() {
             console.log('🔄 Reseteando sistema de input...');
+            inputQueue.reset();
         },
         
         destroy() {
             console.log('🧹 Destruyendo sistema de input...');
+            document.removeEventListener('keydown', handleKeyDown);
+            document.removeEventListener('keyup', handleKeyUp);
+            if (gamepadHandler) {
+                gamepadHandler.destroy();
+            }
+            if (touchHandler) {
+                touchHandler.destroy();
+            }
+            if (virtualControls) {
+                virtualControls.destroy();
+            }
+            controlsScreen.destroy();
+            eventBus.off('*', this);
             this.isInitialized = false;
         }
     };
     
+    // Pantalla de controles (el DOM se crea al pedir el elemento)
+    const controlsScreen = new ControlsScreen(config.input || {}, eventBus, inputSystem);
+    
     console.log('✅ Sistema de input creado');
     return inputSystem;
 }
\ No newline at end of file
@@ -6,7 +6,8 @@
 import { PlayerPhysics } from './PlayerPhysics.js';
 import { PlayerRenderer } from './PlayerRenderer.js';
 import { PlayerAbilities } from './PlayerAbilities.js';
-import { getPhysicsConfig } from '../../config/index.js';
+import { PlayerPowerUps } from './PlayerPowerUps.js';
+import { PHYSICS_CONFIG } from '../../config/PhysicsConfig.js';
 
 export class Player {
     /**
@@ -18,6 +19,7 @@ export class Player {
         this.config = config;
         this.eventBus = eventBus;
         this.isInitialized = false;
+        this.isActive = false;
         
         // Estado del jugador
         this.state = {
@@ -30,7 +32,8 @@ export class Player {
             isAlive: true,
             isVisible: true,
             invulnerable: false,
-            invulnerabilityTime: 0
+            invulnerabilityTime: 0,
+            shieldHits: 0 // Golpes que puede absorber un escudo
         };
         
         // Estado de física
@@ -55,6 +58,7 @@ export class Player {
         this.playerPhysics = null;
         this.playerRenderer = null;
         this.playerAbilities = null;
+        this.playerPowerUps = null;
         
         // Efectos visuales
         this.effects = {
@@ -76,7 +80,6 @@ export class Player {
         };
         
         console.log('👤 Player creado');
-        this.init();
     }
     
     /**
@@ -85,7 +88,7 @@ export class Player {
     async init() {
         try {
             // Cargar configuración de física
-            const physicsConfig = await getPhysicsConfig();
+            const physicsConfig = this.resolvePhysicsConfig();
             
             // Configurar posición inicial
             const startPos = this.config.player?.startPosition || { x: 100, y: 300 };
@@ -108,6 +111,7 @@ export class Player {
             this.playerPhysics = new PlayerPhysics(this, physicsConfig, this.eventBus);
             this.playerRenderer = new PlayerRenderer(this, this.config, this.eventBus);
             this.playerAbilities = new PlayerAbilities(this, physicsConfig, this.eventBus);
+            this.playerPowerUps = new PlayerPowerUps(this, this.config.player?.powerups, this.eventBus);
             
             // Configurar event listeners
             this.setupEventListeners();
@@ -127,33 +131,53 @@ export class Player {
         }
     }
     
+    /**
+     * Combina la configuración de física por defecto con la del juego
+     * @returns {Object} Configuración de física
+     */
+    resolvePhysicsConfig() {
+        const overrides = this.config.physics || {};
+        const physicsConfig = { ...PHYSICS_CONFIG };
+        
+        for (const [section, values] of Object.entries(overrides)) {
+            physicsConfig[section] = { ...PHYSICS_CONFIG[section], ...values };
+        }
+        
+        return physicsConfig;
+    }
+    
     /**
      * Configura los event listeners
      */
     setupEventListeners() {
         // Input events
-        this.eventBus.on('input:jump', this.handleJumpInput.bind(this));
-        this.eventBus.on('input:dash', this.handleDashInput.bind(this));
-        this.eventBus.on('input:gravity-toggle', this.handleGravityToggleInput.bind(this));
-        this.eventBus.on('input:move-left', this.handleMoveLeftInput.bind(this));
-        this.eventBus.on('input:move-right', this.handleMoveRightInput.bind(this));
+        this.eventBus.on('input:jump', this.handleJumpInput.bind(this), this);
+        this.eventBus.on('input:dash', this.handleDashInput.bind(this), this);
+        this.eventBus.on('input:gravity-toggle', this.handleGravityToggleInput.bind(this), this);
+        this.eventBus.on('input:move-left', this.handleMoveLeftInput.bind(this), this);
+        this.eventBus.on('input:move-right', this.handleMoveRightInput.bind(this), this);
         
         // Game events
-        this.eventBus.on('game:reset', this.reset.bind(this));
-        this.eventBus.on('collision:player-obstacle', this.handleObstacleCollision.bind(this));
-        this.eventBus.on('collision:player-ground', this.handleGroundCollision.bind(this));
-        this.eventBus.on('collision:player-ceiling', this.handleCeilingCollision.bind(this));
-        this.eventBus.on('collision:player-wall', this.handleWallCollision.bind(this));
+        this.eventBus.on('game:reset', this.reset.bind(this), this);
+        this.eventBus.on('collision:player-obstacle', this.handleObstacleCollision.bind(this), this);
+        this.eventBus.on('collision:player-ground', this.handleGroundCollision.bind(this), this);
+        this.eventBus.on('collision:player-ceiling', this.handleCeilingCollision.bind(this), this);
+        this.eventBus.on('collision:player-wall', this.handleWallCollision.bind(this), this);
+        
+        // Power-ups recogidos en el mundo
+        this.eventBus.on('player:powerup-collected', (data) => this.playerPowerUps.activate(data.type, data), this);
+        this.eventBus.on('player:speed-boost', (data) => this.playerPowerUps.activate('speed_boost', data), this);
+        this.eventBus.on('player:shield-activated', (data) => this.playerPowerUps.activate('shield', data), this);
         
         // State events
-        this.eventBus.on('state:changed', this.handleStateChange.bind(this));
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
         
         console.log('👂 Player event listeners configurados');
     }
     
     /**
      * Actualización con timestep fijo para física
-     * @param {number} fixedDelta - Delta time fijo
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
      */
     fixedUpdate(fixedDelta) {
         if (!this.isInitialized || !this.state.isAlive) return;
@@ -164,23 +188,35 @@ export class Player {
         // Actualizar habilidades
         this.playerAbilities.fixedUpdate(fixedDelta);
         
+        // Actualizar power-ups
+        this.playerPowerUps.fixedUpdate(fixedDelta);
+        
         // Actualizar efectos
         this.updateEffects(fixedDelta);
         
+        // Actualizar invulnerabilidad
+        this.updateInvulnerability(fixedDelta);
+        
         // Verificar límites del mundo
         this.checkWorldBounds();
         
-        // Emitir evento de actualización
+        // Emitir evento de actualización (el mundo resuelve las colisiones aquí)
         this.eventBus.emit('player:updated', {
             position: this.state.position,
             velocity: this.state.velocity,
             physics: this.physics
         });
+        
+        // Guardar la posición ya corregida para la interpolación
+        this.playerPhysics.commitPosition();
+        
+        // Limpiar input flags (por tick, para que el resultado no dependa de los FPS)
+        this.clearInputFlags();
     }
     
     /**
      * Actualización con timestep variable para interpolación
-     * @param {number} deltaTime - Delta time variable
+     * @param {number} deltaTime - Delta time variable en segundos
      * @param {number} interpolation - Factor de interpolación
      */
     update(deltaTime, interpolation) {
@@ -190,12 +226,6 @@ export class Player {
         this.playerPhysics.update(deltaTime, interpolation);
         this.playerRenderer.update(deltaTime, interpolation);
         this.playerAbilities.update(deltaTime, interpolation);
-        
-        // Actualizar invulnerabilidad
-        this.updateInvulnerability(deltaTime);
-        
-        // Limpiar input flags
-        this.clearInputFlags();
     }
     
     /**
@@ -249,9 +279,12 @@ export class Player {
      * @param {number} deltaTime - Delta time
      */
     updateParticles(deltaTime) {
+        // Las velocidades de las partículas están expresadas por frame
+        const frames = this.playerPhysics.toFrames(deltaTime);
+        
         this.effects.particles = this.effects.particles.filter(particle => {
-            particle.x += particle.vx * deltaTime;
-            particle.y += particle.vy * deltaTime;
+            particle.x += particle.vx * frames;
+            particle.y += particle.vy * frames;
             particle.life -= deltaTime;
             particle.alpha = Math.max(0, particle.life / particle.maxLife);
             return particle.life > 0;
@@ -343,13 +376,17 @@ export class Player {
     
     /**
      * Maneja input de salto
+     * Los inputs con restore solo recuperan la acción mantenida tras una pausa, sin volver a dispararla.
+     * La edad (ms entre la pulsación y el final del tick) ajusta el jump buffer y el coyote time.
      * @param {Object} data - Datos del input
      */
     handleJumpInput(data) {
+        if (!this.isActive) return;
+        
         this.input.jump = data.pressed;
-        if (data.pressed && !this.input.jumpPressed) {
+        if (data.pressed && !data.restore && !this.input.jumpPressed) {
             this.input.jumpPressed = true;
-            this.playerAbilities.jump();
+            this.playerAbilities.jump(data.age || 0);
         }
     }
     
@@ -358,8 +395,10 @@ export class Player {
      * @param {Object} data - Datos del input
      */
     handleDashInput(data) {
+        if (!this.isActive) return;
+        
         this.input.dash = data.pressed;
-        if (data.pressed && !this.input.dashPressed) {
+        if (data.pressed && !data.restore && !this.input.dashPressed) {
             this.input.dashPressed = true;
             this.playerAbilities.dash();
         }
@@ -370,8 +409,10 @@ export class Player {
      * @param {Object} data - Datos del input
      */
     handleGravityToggleInput(data) {
+        if (!this.isActive) return;
+        
         this.input.gravityToggle = data.pressed;
-        if (data.pressed && !this.input.gravityPressed) {
+        if (data.pressed && !data.restore && !this.input.gravityPressed) {
             this.input.gravityPressed = true;
             this.playerAbilities.toggleGravity();
         }
@@ -382,6 +423,8 @@ export class Player {
      * @param {Object} data - Datos del input
      */
     handleMoveLeftInput(data) {
+        if (!this.isActive) return;
+        
         this.input.moveLeft = data.pressed;
     }
     
@@ -390,6 +433,8 @@ export class Player {
      * @param {Object} data - Datos del input
      */
     handleMoveRightInput(data) {
+        if (!this.isActive) return;
+        
         this.input.moveRight = data.pressed;
     }
     
@@ -400,10 +445,38 @@ export class Player {
      * @param {Object} data - Datos de la colisión
      */
     handleObstacleCollision(data) {
-        if (this.state.invulnerable) return;
+        if (!this.state.isAlive || this.state.invulnerable) return;
+        
+        const cause = data.cause || 'obstacle-collision';
         
-        console.log('💥 Player colisionó con obstáculo');
-        this.die('obstacle-collision');
+        if (this.state.shieldHits > 0) {
+            this.absorbHit(cause, data.normal);
+            return;
+        }
+        
+        console.log(`💥 Player colisionó con obstáculo (${cause})`);
+        this.die(cause, data.normal);
+    }
+    
+    /**
+     * Gasta un golpe del escudo en lugar de morir
+     * @param {string} cause - Causa del golpe
+     * @param {Object} normal - Normal de la colisión
+     */
+    absorbHit(cause, normal) {
+        this.state.shieldHits--;
+        this.playerPowerUps.handleShieldHit();
+        
+        // Margen para salir del obstáculo antes de que vuelva a contar
+        this.makeInvulnerable(this.config.player?.hitInvulnerability ?? 1000);
+        
+        console.log(`🛡️ Escudo absorbe golpe (${cause})`);
+        this.eventBus.emit('player:hit-absorbed', {
+            cause,
+            normal,
+            shieldHits: this.state.shieldHits,
+            position: this.state.position
+        });
     }
     
     /**
@@ -411,16 +484,14 @@ export class Player {
      * @param {Object} data - Datos de la colisión
      */
     handleGroundCollision(data) {
-        this.physics.onGround = true;
-        this.physics.lastGroundTime = Date.now();
-        this.physics.groundNormal = data.normal || { x: 0, y: -1 };
-        
-        // Resetear saltos disponibles
-        this.playerAbilities.resetJumps();
+        // Con gravedad invertida el suelo actúa como techo
+        if (!this.physics.gravityInverted) {
+            this.land(data.normal || { x: 0, y: -1 });
+        }
         
-        // Crear partículas de aterrizaje si la velocidad es alta
-        if (Math.abs(this.state.velocity.y) > 5) {
-            this.createLandingParticles();
+        // Detener velocidad vertical hacia el suelo
+        if (this.state.velocity.y > 0) {
+            this.state.velocity.y = 0;
         }
         
         // Ajustar posición para evitar hundimiento
@@ -436,6 +507,11 @@ export class Player {
     handleCeilingCollision(data) {
         this.physics.onCeiling = true;
         
+        // Con gravedad invertida el techo actúa como suelo
+        if (this.physics.gravityInverted) {
+            this.land(data.normal || { x: 0, y: 1 });
+        }
+        
         // Detener velocidad vertical hacia arriba
         if (this.state.velocity.y < 0) {
             this.state.velocity.y = 0;
@@ -447,13 +523,31 @@ export class Player {
         }
     }
     
+    /**
+     * Apoya al jugador sobre la superficie hacia la que tira la gravedad
+     * @param {Object} normal - Normal de la superficie
+     */
+    land(normal) {
+        this.physics.onGround = true;
+        this.physics.lastGroundTime = this.playerPhysics.getTime();
+        this.physics.groundNormal = normal;
+        
+        // Resetear saltos disponibles
+        this.playerAbilities.resetJumps();
+        
+        // Crear partículas de aterrizaje si la velocidad es alta
+        if (Math.abs(this.state.velocity.y) > 5) {
+            this.createLandingParticles();
+        }
+    }
+    
     /**
      * Maneja colisión con pared
      * @param {Object} data - Datos de la colisión
      */
     handleWallCollision(data) {
         this.physics.onWall = true;
-        this.physics.lastWallTime = Date.now();
+        this.physics.lastWallTime = this.playerPhysics.getTime();
         this.physics.wallNormal = data.normal || { x: 1, y: 0 };
         
         // Detener velocidad horizontal hacia la pared
@@ -473,22 +567,16 @@ export class Player {
      * @param {Object} data - Datos del cambio de estado
      */
     handleStateChange(data) {
-        const { to, from } = data;
-        
-        switch (to) {
-            case 'playing':
-                if (from === 'menu' || from === 'gameOver') {
-                    this.reset();
-                }
-                break;
-                
-            case 'paused':
-                // El jugador se pausa automáticamente con el game loop
-                break;
-                
-            case 'gameOver':
-                this.state.isAlive = false;
-                break;
+        // El reset al empezar una partida lo hace el GameEngine
+        this.isActive = data.state === 'playing';
+        
+        if (!this.isActive) {
+            // Soltar acciones mantenidas para no arrastrarlas al reanudar
+            this.input.jump = false;
+            this.input.dash = false;
+            this.input.gravityToggle = false;
+            this.input.moveLeft = false;
+            this.input.moveRight = false;
         }
     }
     
@@ -497,8 +585,9 @@ export class Player {
     /**
      * Mata al jugador
      * @param {string} cause - Causa de la muerte
+     * @param {Object|null} normal - Normal de la colisión que lo mató
      */
-    die(cause = 'unknown') {
+    die(cause = 'unknown', normal = null) {
         if (!this.state.isAlive) return;
         
         this.state.isAlive = false;
@@ -508,15 +597,13 @@ export class Player {
         // Crear efecto de muerte
         this.createDeathEffect();
         
-        // Emitir evento de muerte
+        // Emitir evento de muerte (el GameEngine gestiona el game over)
         this.eventBus.emit('player:died', {
             cause,
+            normal,
             position: this.state.position,
             velocity: this.state.velocity
         });
-        
-        // Cambiar estado del juego
-        this.eventBus.emit('ui:change-state', { state: 'gameOver' });
     }
     
     /**
@@ -525,29 +612,8 @@ export class Player {
     reset() {
         console.log('🔄 Reseteando Player');
         
-        // Resetear posición
-        const startPos = this.config.player?.startPosition || { x: 100, y: 300 };
-        this.state.position = { ...startPos };
-        
-        // Resetear física
-        this.state.velocity = { x: 0, y: 0 };
-        this.state.acceleration = { x: 0, y: 0 };
-        this.state.rotation = 0;
-        this.state.scale = { x: 1, y: 1 };
-        
-        // Resetear estado
-        this.state.isAlive = true;
-        this.state.isVisible = true;
-        this.state.invulnerable = false;
-        this.state.invulnerabilityTime = 0;
-        
-        // Resetear física
-        this.physics.onGround = false;
-        this.physics.onCeiling = false;
-        this.physics.onWall = false;
-        this.physics.gravityInverted = false;
-        this.physics.lastGroundTime = 0;
-        this.physics.lastWallTime = 0;
+        // Resetear posición, física y estado
+        this.resetBody(this.config.player?.startPosition || { x: 100, y: 300 });
         
         // Resetear efectos
         this.effects.trail = [];
@@ -569,6 +635,7 @@ export class Player {
         // Resetear sistemas
         if (this.playerPhysics) this.playerPhysics.reset();
         if (this.playerRenderer) this.playerRenderer.reset();
+        if (this.playerPowerUps) this.playerPowerUps.reset();
         if (this.playerAbilities) this.playerAbilities.reset();
         
         // Emitir evento de reset
@@ -577,6 +644,63 @@ export class Player {
         });
     }
     
+    /**
+     * Revive al jugador en un checkpoint tras perder una vida.
+     * El input mantenido se conserva para que las repeticiones sigan cuadrando.
+     * @param {Object|null} position - Punto de reaparición (sin y se usa la altura inicial)
+     * @param {number} invulnerability - Duración de la invulnerabilidad en ms
+     */
+    respawn(position = null, invulnerability = 2000) {
+        const startPos = this.config.player?.startPosition || { x: 100, y: 300 };
+        this.resetBody({ ...startPos, ...position });
+        
+        this.effects.trail = [];
+        
+        if (this.playerPhysics) this.playerPhysics.reset();
+        if (this.playerRenderer) this.playerRenderer.reset();
+        if (this.playerPowerUps) this.playerPowerUps.reset();
+        if (this.playerAbilities) this.playerAbilities.reset();
+        
+        this.makeInvulnerable(invulnerability);
+        
+        console.log(`🚩 Player reaparece en x=${Math.round(this.state.position.x)}`);
+        
+        // El mundo reactiva la simulación y recoloca la cámara
+        this.eventBus.emit('player:respawned', {
+            position: this.state.position
+        });
+    }
+    
+    /**
+     * Coloca al jugador vivo y en reposo en una posición
+     * @param {Object} position - Posición inicial
+     */
+    resetBody(position) {
+        // Resetear posición
+        this.state.position = { x: position.x, y: position.y };
+        
+        // Resetear física
+        this.state.velocity = { x: 0, y: 0 };
+        this.state.acceleration = { x: 0, y: 0 };
+        this.state.rotation = 0;
+        this.state.scale = { x: 1, y: 1 };
+        
+        // Resetear estado
+        this.state.isAlive = true;
+        this.state.isVisible = true;
+        this.state.invulnerable = false;
+        this.state.invulnerabilityTime = 0;
+        this.state.shieldHits = 0;
+        
+        // Resetear física
+        this.physics.onGround = false;
+        this.physics.onCeiling = false;
+        this.physics.onWall = false;
+        this.physics.gravityInverted = false;
+        this.physics.lastGroundTime = 0;
+        this.physics.lastWallTime = 0;
+    }
+    
     /**
      * Hace al jugador invulnerable temporalmente
      * @param {number} duration - Duración en ms
@@ -646,10 +770,10 @@ export class Player {
             });
         }
         
-        // Emitir evento de screen shake
+        // Emitir evento de screen shake (la cámara trabaja en segundos)
         this.eventBus.emit('camera:shake', {
             intensity: this.effects.screenShake.intensity,
-            duration: this.effects.screenShake.duration
+            duration: this.effects.screenShake.duration / 1000
         });
     }
     
@@ -668,6 +792,36 @@ export class Player {
         };
     }
     
+    /**
+     * Obtiene la hitbox al inicio del tick actual (para el barrido de colisiones)
+     * @returns {Object} Hitbox {x, y, width, height}
+     */
+    getPreviousHitbox() {
+        const previous = this.playerPhysics
+            ? this.playerPhysics.interpolation.previousPosition
+            : this.state.position;
+        
+        return {
+            x: previous.x + this.hitbox.offset.x,
+            y: previous.y + this.hitbox.offset.y,
+            width: this.hitbox.size.width,
+            height: this.hitbox.size.height
+        };
+    }
+    
+    /**
+     * Obtiene la posición visible del jugador, interpolada entre ticks
+     * (la cámara la usa para seguirlo sin tirones)
+     * @returns {Object} Posición
+     */
+    getPosition() {
+        if (this.playerPhysics) {
+            return this.playerPhysics.getRenderPosition();
+        }
+        
+        return { ...this.state.position };
+    }
+
     /**
      * Obtiene el centro del jugador
      * @returns {Object} Posición del centro
@@ -695,7 +849,8 @@ export class Player {
                 particleCount: this.effects.particles.length,
                 screenShake: this.effects.screenShake.intensity > 0
             },
-            abilities: this.playerAbilities ? this.playerAbilities.getDebugInfo() : null
+            abilities: this.playerAbilities ? this.playerAbilities.getDebugInfo() : null,
+            powerups: this.playerPowerUps ? this.playerPowerUps.getDebugInfo() : null
         };
     }
     
@@ -709,10 +864,45 @@ export class Player {
             velocity: { ...this.state.velocity },
             isAlive: this.state.isAlive,
             physics: { ...this.physics },
-            abilities: this.playerAbilities ? this.playerAbilities.getState() : null
+            abilities: this.playerAbilities ? this.playerAbilities.getState() : null,
+            powerups: this.playerPowerUps ? this.playerPowerUps.getActive() : []
         };
     }
     
+    /**
+     * Obtiene el estado completo del jugador para una partida guardada
+     * @returns {Object} Estado serializable
+     */
+    getSaveState() {
+        return JSON.parse(JSON.stringify({
+            state: this.state,
+            physics: this.physics,
+            body: this.playerPhysics ? this.playerPhysics.getSaveState() : null,
+            abilities: this.playerAbilities ? this.playerAbilities.getSaveState() : null,
+            powerups: this.playerPowerUps ? this.playerPowerUps.getSaveState() : []
+        }));
+    }
+    
+    /**
+     * Restaura el estado de una partida guardada (sin efectos ni input pendiente)
+     * @param {Object} saveState - Estado de getSaveState
+     */
+    restoreSaveState(saveState) {
+        const copy = JSON.parse(JSON.stringify(saveState));
+        
+        this.reset();
+        
+        Object.assign(this.state, copy.state);
+        Object.assign(this.physics, copy.physics);
+        
+        // Los power-ups ajustan saltos y velocidad: se aplican antes que el resto
+        if (this.playerPowerUps) this.playerPowerUps.restoreSaveState(copy.powerups);
+        if (this.playerPhysics && copy.body) this.playerPhysics.restoreSaveState(copy.body);
+        if (this.playerAbilities && copy.abilities) this.playerAbilities.restoreSaveState(copy.abilities);
+        
+        console.log(`📥 Player restaurado en x=${Math.round(this.state.position.x)}`);
+    }
+    
     /**
      * Limpia recursos del jugador
      */
@@ -738,6 +928,11 @@ export class Player {
             this.playerAbilities = null;
         }
         
+        if (this.playerPowerUps) {
+            this.playerPowerUps.reset();
+            this.playerPowerUps = null;
+        }
+        
         // Limpiar efectos
         this.effects.trail = [];
         this.effects.particles = [];
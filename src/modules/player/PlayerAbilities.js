@@ -16,21 +16,23 @@ export class PlayerAbilities {
         this.eventBus = eventBus;
         
         // Configuración de salto
-        this.jump = {
+        this.jumpState = {
             force: config.jump?.force || -10,
             doubleJumpForce: config.jump?.doubleJumpForce || -8,
             variableHeight: config.jump?.variableHeight || true,
             minJumpTime: config.jump?.minJumpTime || 100,
             maxJumpTime: config.jump?.maxJumpTime || 300,
+            baseMaxJumps: config.abilities?.maxJumps || 2,
             maxJumps: config.abilities?.maxJumps || 2,
             jumpsLeft: config.abilities?.maxJumps || 2,
             isJumping: false,
             jumpTime: 0,
-            jumpStartTime: 0
+            jumpStartTime: 0,
+            bufferedJump: false
         };
         
         // Configuración de dash
-        this.dash = {
+        this.dashState = {
             force: config.dash?.force || 8,
             duration: config.dash?.duration || 200,
             cooldown: config.dash?.cooldown || 1000,
@@ -67,6 +69,14 @@ export class PlayerAbilities {
      * @param {number} fixedDelta - Delta time fijo
      */
     fixedUpdate(fixedDelta) {
+        // Ejecutar el salto guardado en el buffer al aterrizar
+        if (this.jumpState.bufferedJump) {
+            this.jumpState.bufferedJump = false;
+            if (this.player.playerPhysics.hasJumpBuffer()) {
+                this.jump();
+            }
+        }
+        
         // Actualizar salto
         this.updateJump(fixedDelta);
         
@@ -93,18 +103,19 @@ export class PlayerAbilities {
      */
     updateJump(deltaTime) {
         // Actualizar salto variable
-        if (this.jump.isJumping) {
-            this.jump.jumpTime += deltaTime;
+        if (this.jumpState.isJumping) {
+            this.jumpState.jumpTime += deltaTime;
             
             // Si se suelta el botón de salto o se alcanza el tiempo máximo
-            if (!this.player.input.jump || this.jump.jumpTime >= this.jump.maxJumpTime) {
+            if (!this.player.input.jump || this.jumpState.jumpTime >= this.jumpState.maxJumpTime) {
                 this.endJump();
             }
             // Si no se ha alcanzado el tiempo mínimo, continuar aplicando fuerza
-            else if (this.jump.jumpTime < this.jump.minJumpTime) {
+            else if (this.jumpState.jumpTime < this.jumpState.minJumpTime) {
                 // Aplicar fuerza de salto continua para salto variable
-                const jumpForce = this.jump.force * 0.3; // Fuerza reducida para continuidad
-                this.player.playerPhysics.addForce(0, jumpForce);
+                // Fuerza reducida: compensa la gravedad sin superar la altura del nivel
+                const jumpForce = this.jumpState.force * 0.05;
+                this.player.playerPhysics.addForce(0, jumpForce * this.getGravityDirection());
             }
         }
     }
@@ -114,23 +125,23 @@ export class PlayerAbilities {
      * @param {number} deltaTime - Delta time
      */
     updateDash(deltaTime) {
-        if (this.dash.isDashing) {
-            this.dash.dashTime += deltaTime;
+        if (this.dashState.isDashing) {
+            this.dashState.dashTime += deltaTime;
             
             // Aplicar fuerza de dash
-            const dashForce = this.dash.force;
+            const dashForce = this.dashState.force;
             this.player.playerPhysics.addForce(
-                dashForce * this.dash.direction.x,
-                dashForce * this.dash.direction.y
+                dashForce * this.dashState.direction.x,
+                dashForce * this.dashState.direction.y
             );
             
             // Aplicar resistencia del aire durante el dash
             const velocity = this.player.state.velocity;
-            velocity.x *= this.dash.airResistance;
-            velocity.y *= this.dash.airResistance;
+            velocity.x *= this.dashState.airResistance;
+            velocity.y *= this.dashState.airResistance;
             
             // Terminar dash si se acabó el tiempo
-            if (this.dash.dashTime >= this.dash.duration) {
+            if (this.dashState.dashTime >= this.dashState.duration) {
                 this.endDash();
             }
         }
@@ -142,10 +153,10 @@ export class PlayerAbilities {
      */
     updateCooldowns(deltaTime) {
         // Cooldown de dash
-        if (this.dash.cooldownTime > 0) {
-            this.dash.cooldownTime -= deltaTime;
-            if (this.dash.cooldownTime <= 0) {
-                this.dash.available = true;
+        if (this.dashState.cooldownTime > 0) {
+            this.dashState.cooldownTime -= deltaTime;
+            if (this.dashState.cooldownTime <= 0) {
+                this.dashState.available = true;
                 this.eventBus.emit('player:dash-ready');
             }
         }
@@ -172,13 +183,21 @@ export class PlayerAbilities {
     
     /**
      * Ejecuta salto
+     * @param {number} age - Milisegundos desde que se pulsó el salto (0 = ahora)
      * @returns {boolean} True si el salto fue exitoso
      */
-    jump() {
+    jump(age = 0) {
+        // En el aire y pasado el coyote time el salto desde el suelo ya se ha perdido
+        if (!this.player.physics.onGround &&
+            this.jumpState.jumpsLeft === this.jumpState.maxJumps &&
+            !this.player.playerPhysics.canUseCoyoteTime(age)) {
+            this.jumpState.jumpsLeft--;
+        }
+        
         // Verificar si puede saltar
         if (!this.canJump()) {
-            // Activar jump buffer si no puede saltar ahora
-            this.player.playerPhysics.setJumpBuffer();
+            // Activar jump buffer si no puede saltar ahora (cuenta desde la pulsación)
+            this.player.playerPhysics.setJumpBuffer(age);
             return false;
         }
         
@@ -188,31 +207,31 @@ export class PlayerAbilities {
         }
         
         // Determinar fuerza de salto
-        let jumpForce = this.jump.force;
-        if (this.jump.jumpsLeft < this.jump.maxJumps) {
-            jumpForce = this.jump.doubleJumpForce;
+        let jumpForce = this.jumpState.force;
+        if (this.jumpState.jumpsLeft < this.jumpState.maxJumps) {
+            jumpForce = this.jumpState.doubleJumpForce;
         }
         
-        // Aplicar fuerza de salto
-        this.player.playerPhysics.setVelocity(undefined, jumpForce);
+        // Aplicar fuerza de salto (en contra de la gravedad actual)
+        this.player.playerPhysics.setVelocity(undefined, jumpForce * this.getGravityDirection());
         
         // Actualizar estado de salto
-        this.jump.jumpsLeft--;
-        this.jump.isJumping = this.jump.variableHeight;
-        this.jump.jumpTime = 0;
-        this.jump.jumpStartTime = Date.now();
+        this.jumpState.jumpsLeft--;
+        this.jumpState.isJumping = this.jumpState.variableHeight;
+        this.jumpState.jumpTime = 0;
+        this.jumpState.jumpStartTime = this.player.playerPhysics.getTime();
         
         // Crear efectos
         this.createJumpEffects();
         
-        console.log(`🦘 Player saltó (saltos restantes: ${this.jump.jumpsLeft})`);
+        console.log(`🦘 Player saltó (saltos restantes: ${this.jumpState.jumpsLeft})`);
         
         // Emitir evento
         this.eventBus.emit('player:jumped', {
             position: this.player.state.position,
             force: jumpForce,
-            jumpsLeft: this.jump.jumpsLeft,
-            isDoubleJump: this.jump.jumpsLeft < this.jump.maxJumps - 1
+            jumpsLeft: this.jumpState.jumpsLeft,
+            isDoubleJump: this.jumpState.jumpsLeft < this.jumpState.maxJumps - 1
         });
         
         return true;
@@ -222,11 +241,11 @@ export class PlayerAbilities {
      * Termina el salto variable
      */
     endJump() {
-        this.jump.isJumping = false;
-        this.jump.jumpTime = 0;
+        this.jumpState.isJumping = false;
+        this.jumpState.jumpTime = 0;
         
-        // Reducir velocidad vertical si está subiendo
-        if (this.player.state.velocity.y < 0) {
+        // Reducir velocidad vertical si se aleja de la superficie
+        if (this.player.state.velocity.y * this.getGravityDirection() < 0) {
             this.player.state.velocity.y *= 0.5;
         }
     }
@@ -244,31 +263,31 @@ export class PlayerAbilities {
         this.calculateDashDirection();
         
         // Iniciar dash
-        this.dash.isDashing = true;
-        this.dash.dashTime = 0;
-        this.dash.available = false;
-        this.dash.cooldownTime = this.dash.cooldown;
+        this.dashState.isDashing = true;
+        this.dashState.dashTime = 0;
+        this.dashState.available = false;
+        this.dashState.cooldownTime = this.dashState.cooldown;
         
         // Hacer invulnerable temporalmente
-        this.player.makeInvulnerable(this.dash.invulnerabilityTime);
+        this.player.makeInvulnerable(this.dashState.invulnerabilityTime);
         
         // Aplicar velocidad inicial de dash
-        const dashVelocity = this.dash.force * 1.5;
+        const dashVelocity = this.dashState.force * 1.5;
         this.player.playerPhysics.setVelocity(
-            dashVelocity * this.dash.direction.x,
-            dashVelocity * this.dash.direction.y
+            dashVelocity * this.dashState.direction.x,
+            dashVelocity * this.dashState.direction.y
         );
         
         // Crear efectos
         this.createDashEffects();
         
-        console.log(`💨 Player hizo dash en dirección (${this.dash.direction.x}, ${this.dash.direction.y})`);
+        console.log(`💨 Player hizo dash en dirección (${this.dashState.direction.x}, ${this.dashState.direction.y})`);
         
         // Emitir evento
         this.eventBus.emit('player:dashed', {
             position: this.player.state.position,
-            direction: this.dash.direction,
-            force: this.dash.force
+            direction: this.dashState.direction,
+            force: this.dashState.force
         });
         
         return true;
@@ -278,13 +297,13 @@ export class PlayerAbilities {
      * Termina el dash
      */
     endDash() {
-        this.dash.isDashing = false;
-        this.dash.dashTime = 0;
+        this.dashState.isDashing = false;
+        this.dashState.dashTime = 0;
         
         // Aplicar fricción final
         const velocity = this.player.state.velocity;
-        velocity.x *= this.dash.friction;
-        velocity.y *= this.dash.friction;
+        velocity.x *= this.dashState.friction;
+        velocity.y *= this.dashState.friction;
         
         console.log('💨 Dash terminado');
         
@@ -332,13 +351,18 @@ export class PlayerAbilities {
      * @returns {boolean} True si puede saltar
      */
     canJump() {
+        // Sin saltos restantes no hay salto, ni siquiera con coyote time
+        if (this.jumpState.jumpsLeft <= 0) {
+            return false;
+        }
+        
         // Puede saltar si está en el suelo o tiene saltos restantes
         if (this.player.physics.onGround || this.player.playerPhysics.canUseCoyoteTime()) {
             return true;
         }
         
         // O si tiene saltos dobles disponibles
-        return this.jump.jumpsLeft > 0;
+        return this.jumpState.jumpsLeft > 0;
     }
     
     /**
@@ -346,7 +370,18 @@ export class PlayerAbilities {
      * @returns {boolean} True si puede hacer dash
      */
     canDash() {
-        return this.dash.available && !this.dash.isDashing;
+        return this.dashState.available && !this.dashState.isDashing;
+    }
+    
+    /**
+     * Fracción del cooldown de dash que falta (1 = recién usado o en curso, 0 = listo)
+     * @returns {number} Fracción entre 0 y 1
+     */
+    getDashCooldownProgress() {
+        if (this.dashState.isDashing) return 1;
+        if (this.dashState.cooldownTime <= 0) return 0;
+        
+        return Math.min(1, this.dashState.cooldownTime / this.dashState.cooldown);
     }
     
     /**
@@ -359,6 +394,14 @@ export class PlayerAbilities {
     
     // ===== UTILIDADES =====
     
+    /**
+     * Obtiene la dirección vertical de la gravedad actual
+     * @returns {number} 1 con gravedad normal, -1 con gravedad invertida
+     */
+    getGravityDirection() {
+        return this.player.physics.gravityInverted ? -1 : 1;
+    }
+    
     /**
      * Calcula la dirección del dash basada en input
      */
@@ -386,11 +429,11 @@ export class PlayerAbilities {
         // Normalizar dirección
         const magnitude = Math.sqrt(x * x + y * y);
         if (magnitude > 0) {
-            this.dash.direction.x = x / magnitude;
-            this.dash.direction.y = y / magnitude;
+            this.dashState.direction.x = x / magnitude;
+            this.dashState.direction.y = y / magnitude;
         } else {
-            this.dash.direction.x = 1;
-            this.dash.direction.y = 0;
+            this.dashState.direction.x = 1;
+            this.dashState.direction.y = 0;
         }
     }
     
@@ -398,18 +441,23 @@ export class PlayerAbilities {
      * Resetea los saltos disponibles
      */
     resetJumps() {
-        this.jump.jumpsLeft = this.jump.maxJumps;
+        this.jumpState.jumpsLeft = this.jumpState.maxJumps;
         
-        // Procesar jump buffer si está activo
+        // Procesar jump buffer en el próximo tick si está activo
         if (this.player.playerPhysics.hasJumpBuffer()) {
-            setTimeout(() => {
-                if (this.player.playerPhysics.hasJumpBuffer()) {
-                    this.jump();
-                }
-            }, 16); // Próximo frame
+            this.jumpState.bufferedJump = true;
         }
     }
     
+    /**
+     * Cambia los saltos extra concedidos por power-ups
+     * @param {number} extraJumps - Saltos por encima del máximo base
+     */
+    setExtraJumps(extraJumps) {
+        this.jumpState.maxJumps = this.jumpState.baseMaxJumps + extraJumps;
+        this.jumpState.jumpsLeft = Math.min(this.jumpState.jumpsLeft, this.jumpState.maxJumps);
+    }
+    
     // ===== EFECTOS =====
     
     /**
@@ -445,7 +493,7 @@ export class PlayerAbilities {
         
         for (let i = 0; i < particleCount; i++) {
             // Partículas en dirección opuesta al dash
-            const angle = Math.atan2(-this.dash.direction.y, -this.dash.direction.x) + 
+            const angle = Math.atan2(-this.dashState.direction.y, -this.dashState.direction.x) + 
                          (Math.random() - 0.5) * Math.PI / 3;
             const speed = 2 + Math.random() * 3;
             
@@ -465,8 +513,8 @@ export class PlayerAbilities {
         // Añadir trail más largo durante el dash
         for (let i = 0; i < this.effects.trailLength; i++) {
             this.player.effects.trail.push({
-                x: baseX - this.dash.direction.x * i * 5,
-                y: baseY - this.dash.direction.y * i * 5,
+                x: baseX - this.dashState.direction.x * i * 5,
+                y: baseY - this.dashState.direction.y * i * 5,
                 alpha: 1.0 - (i / this.effects.trailLength),
                 time: 0
             });
@@ -504,17 +552,18 @@ export class PlayerAbilities {
      */
     reset() {
         // Reset salto
-        this.jump.jumpsLeft = this.jump.maxJumps;
-        this.jump.isJumping = false;
-        this.jump.jumpTime = 0;
-        this.jump.jumpStartTime = 0;
+        this.jumpState.jumpsLeft = this.jumpState.maxJumps;
+        this.jumpState.isJumping = false;
+        this.jumpState.jumpTime = 0;
+        this.jumpState.jumpStartTime = 0;
+        this.jumpState.bufferedJump = false;
         
         // Reset dash
-        this.dash.available = true;
-        this.dash.isDashing = false;
-        this.dash.dashTime = 0;
-        this.dash.cooldownTime = 0;
-        this.dash.direction = { x: 1, y: 0 };
+        this.dashState.available = true;
+        this.dashState.isDashing = false;
+        this.dashState.dashTime = 0;
+        this.dashState.cooldownTime = 0;
+        this.dashState.direction = { x: 1, y: 0 };
         
         // Reset gravedad
         this.gravity.canToggle = true;
@@ -530,15 +579,15 @@ export class PlayerAbilities {
     getState() {
         return {
             jump: {
-                jumpsLeft: this.jump.jumpsLeft,
-                maxJumps: this.jump.maxJumps,
-                isJumping: this.jump.isJumping,
+                jumpsLeft: this.jumpState.jumpsLeft,
+                maxJumps: this.jumpState.maxJumps,
+                isJumping: this.jumpState.isJumping,
                 canJump: this.canJump()
             },
             dash: {
-                available: this.dash.available,
-                isDashing: this.dash.isDashing,
-                cooldownTime: this.dash.cooldownTime,
+                available: this.dashState.available,
+                isDashing: this.dashState.isDashing,
+                cooldownTime: this.dashState.cooldownTime,
                 canDash: this.canDash()
             },
             gravity: {
@@ -549,6 +598,28 @@ export class PlayerAbilities {
         };
     }
     
+    /**
+     * Obtiene el estado de las habilidades para una partida guardada
+     * @returns {Object} Estado serializable
+     */
+    getSaveState() {
+        return JSON.parse(JSON.stringify({
+            jump: this.jumpState,
+            dash: this.dashState,
+            gravity: this.gravity
+        }));
+    }
+    
+    /**
+     * Restaura el estado de las habilidades
+     * @param {Object} saveState - Estado de getSaveState
+     */
+    restoreSaveState(saveState) {
+        Object.assign(this.jumpState, saveState.jump);
+        Object.assign(this.dashState, saveState.dash);
+        Object.assign(this.gravity, saveState.gravity);
+    }
+    
     /**
      * Obtiene información de debug
      * @returns {Object} Información de debug
@@ -556,11 +627,11 @@ export class PlayerAbilities {
     getDebugInfo() {
         return {
             jump: {
-                ...this.jump,
+                ...this.jumpState,
                 canJump: this.canJump()
             },
             dash: {
-                ...this.dash,
+                ...this.dashState,
                 canDash: this.canDash()
             },
             gravity: {
@@ -29,9 +29,15 @@ export class PlayerPhysics {
             maxSpeed: config.movement?.maxSpeed || 8,
             airControl: config.movement?.airControl || 0.6,
             groundFriction: config.movement?.groundFriction || 0.85,
-            airFriction: config.movement?.airFriction || 0.98
+            airFriction: config.movement?.airFriction || 0.98,
+            runSpeed: config.movement?.runSpeed ?? 4,
+            speedMultiplier: 1 // Power-ups de velocidad
         };
         
+        // Los valores de configuración están expresados por frame a TIME_STEP;
+        // fixedDelta llega en milisegundos
+        this.frameTime = (config.constants?.TIME_STEP || 1 / 60) * 1000;
+        
         this.surface = {
             groundFriction: config.surface?.groundFriction || 0.85,
             wallFriction: config.surface?.wallFriction || 0.7,
@@ -52,6 +58,9 @@ export class PlayerPhysics {
         this.lastGroundTime = 0;
         this.jumpBufferTime = 0;
         
+        // Reloj de simulación en ms (avanza solo con los ticks para que sea reproducible)
+        this.simulationTime = 0;
+        
         // Interpolación para renderizado suave
         this.interpolation = {
             previousPosition: { x: 0, y: 0 },
@@ -64,7 +73,7 @@ export class PlayerPhysics {
     
     /**
      * Actualización con timestep fijo para física consistente
-     * @param {number} fixedDelta - Delta time fijo
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
      */
     fixedUpdate(fixedDelta) {
         // Guardar posición anterior para interpolación
@@ -97,7 +106,17 @@ export class PlayerPhysics {
         // Actualizar estado de física
         this.updatePhysicsState(fixedDelta);
         
-        // Guardar posición actual para interpolación
+        // Actualizar timers
+        this.updateTimers(fixedDelta);
+        
+        this.simulationTime += fixedDelta;
+    }
+    
+    /**
+     * Guarda la posición resuelta del paso actual para interpolación.
+     * Se llama después de resolver las colisiones del paso.
+     */
+    commitPosition() {
         this.interpolation.currentPosition = { ...this.player.state.position };
     }
     
@@ -109,9 +128,6 @@ export class PlayerPhysics {
     update(deltaTime, interpolation) {
         // Interpolar posición para renderizado suave
         this.interpolatePosition(interpolation);
-        
-        // Actualizar timers
-        this.updateTimers(deltaTime);
     }
     
     /**
@@ -193,9 +209,10 @@ export class PlayerPhysics {
             frictionCoeff = this.surface.wallFriction;
         }
         
-        // Aplicar fricción solo si no hay input de movimiento
+        // Sin input de movimiento la fricción lleva al jugador a su velocidad de carrera
         if (!this.player.input.moveLeft && !this.player.input.moveRight) {
-            this.forces.friction.x = -velocity.x * (1 - frictionCoeff);
+            const runSpeed = this.movement.runSpeed * this.movement.speedMultiplier;
+            this.forces.friction.x = -(velocity.x - runSpeed) * (1 - frictionCoeff);
         }
         
         // Fricción vertical en paredes (wall sliding)
@@ -235,11 +252,11 @@ export class PlayerPhysics {
     
     /**
      * Integra velocidad y posición usando Verlet integration
-     * @param {number} deltaTime - Delta time
+     * @param {number} deltaTime - Delta time en milisegundos
      */
     integrateMotion(deltaTime) {
         const state = this.player.state;
-        const dt = deltaTime / 1000; // Convertir a segundos
+        const dt = this.toFrames(deltaTime);
         
         // Integrar velocidad
         state.velocity.x += state.acceleration.x * dt;
@@ -257,8 +274,9 @@ export class PlayerPhysics {
         const velocity = this.player.state.velocity;
         
         // Límite de velocidad horizontal
-        if (Math.abs(velocity.x) > this.movement.maxSpeed) {
-            velocity.x = Math.sign(velocity.x) * this.movement.maxSpeed;
+        const maxSpeed = this.movement.maxSpeed * this.movement.speedMultiplier;
+        if (Math.abs(velocity.x) > maxSpeed) {
+            velocity.x = Math.sign(velocity.x) * maxSpeed;
         }
         
         // Límites de velocidad vertical ya aplicados en applyGravity
@@ -269,7 +287,7 @@ export class PlayerPhysics {
      * @param {number} deltaTime - Delta time
      */
     updatePhysicsState(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.simulationTime;
         
         // Actualizar coyote time
         if (this.player.physics.onGround) {
@@ -311,6 +329,23 @@ export class PlayerPhysics {
         }
     }
     
+    /**
+     * Obtiene el tiempo de simulación transcurrido
+     * @returns {number} Tiempo en milisegundos
+     */
+    getTime() {
+        return this.simulationTime;
+    }
+    
+    /**
+     * Convierte un delta time en frames de referencia
+     * @param {number} deltaTime - Delta time en milisegundos
+     * @returns {number} Número de frames de referencia
+     */
+    toFrames(deltaTime) {
+        return deltaTime / this.frameTime;
+    }
+    
     /**
      * Añade una fuerza externa
      * @param {number} x - Fuerza X
@@ -341,21 +376,31 @@ export class PlayerPhysics {
         this.player.state.velocity.y += y;
     }
     
+    /**
+     * Escala la velocidad de carrera y la velocidad máxima (power-ups de velocidad)
+     * @param {number} multiplier - Multiplicador (1 = normal)
+     */
+    setSpeedMultiplier(multiplier) {
+        this.movement.speedMultiplier = multiplier;
+    }
+
     /**
      * Verifica si puede usar coyote time para saltar
+     * @param {number} age - Milisegundos desde la pulsación (se mide desde ese momento)
      * @returns {boolean} True si puede usar coyote time
      */
-    canUseCoyoteTime() {
-        const currentTime = Date.now();
+    canUseCoyoteTime(age = 0) {
+        const pressTime = this.simulationTime - age;
         return !this.player.physics.onGround && 
-               (currentTime - this.lastGroundTime) <= this.coyoteTime;
+               (pressTime - this.lastGroundTime) <= this.coyoteTime;
     }
     
     /**
      * Establece jump buffer
+     * @param {number} age - Milisegundos desde la pulsación (ya consumidos del buffer)
      */
-    setJumpBuffer() {
-        this.jumpBufferTime = this.jumpBuffering;
+    setJumpBuffer(age = 0) {
+        this.jumpBufferTime = Math.max(0, this.jumpBuffering - age);
     }
     
     /**
@@ -406,9 +451,13 @@ export class PlayerPhysics {
         // Reset gravedad
         this.gravity.current = this.gravity.normal;
         
+        // Reset velocidad
+        this.movement.speedMultiplier = 1;
+        
         // Reset timers
         this.lastGroundTime = 0;
         this.jumpBufferTime = 0;
+        this.simulationTime = 0;
         
         // Reset interpolación
         this.interpolation.previousPosition = { ...this.player.state.position };
@@ -418,6 +467,39 @@ export class PlayerPhysics {
         console.log('🔄 PlayerPhysics reseteado');
     }
     
+    /**
+     * Obtiene el estado de la simulación para una partida guardada
+     * @returns {Object} Estado serializable
+     */
+    getSaveState() {
+        return {
+            gravity: this.gravity.current,
+            speedMultiplier: this.movement.speedMultiplier,
+            lastGroundTime: this.lastGroundTime,
+            jumpBufferTime: this.jumpBufferTime,
+            simulationTime: this.simulationTime
+        };
+    }
+    
+    /**
+     * Restaura el estado de la simulación tras colocar al jugador
+     * @param {Object} saveState - Estado de getSaveState
+     */
+    restoreSaveState(saveState) {
+        this.clearForces();
+        
+        this.gravity.current = saveState.gravity;
+        this.movement.speedMultiplier = saveState.speedMultiplier;
+        this.lastGroundTime = saveState.lastGroundTime;
+        this.jumpBufferTime = saveState.jumpBufferTime;
+        this.simulationTime = saveState.simulationTime;
+        
+        // Sin interpolación pendiente: el jugador aparece donde se guardó
+        this.interpolation.previousPosition = { ...this.player.state.position };
+        this.interpolation.currentPosition = { ...this.player.state.position };
+        this.interpolation.renderPosition = { ...this.player.state.position };
+    }
+    
     /**
      * Obtiene información de debug
      * @returns {Object} Información de debug
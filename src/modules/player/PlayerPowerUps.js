@@ -0,0 +1,281 @@
+/**
+ * Sistema de power-ups temporales del jugador para Spikepulse
+ * @module PlayerPowerUps
+ */
+
+/**
+ * Power-ups por defecto. Reglas de acumulación:
+ * - refresh: volver a recogerlo reinicia el tiempo
+ * - extend: suma su duración hasta maxDuration
+ * - stack: suma una carga hasta maxStacks y reinicia el tiempo
+ */
+const DEFAULT_POWERUPS = {
+    shield: { duration: 8000, stacking: 'stack', maxStacks: 2 },
+    speed_boost: { duration: 5000, stacking: 'refresh', multiplier: 1.5 },
+    jump_boost: { duration: 8000, stacking: 'extend', maxDuration: 16000, extraJumps: 1 },
+    magnet: { duration: 7000, stacking: 'refresh', radius: 180, pullSpeed: 420 }
+};
+
+/**
+ * Valores numéricos que un evento puede sobrescribir al activar un power-up
+ */
+const OVERRIDABLE_FIELDS = ['duration', 'multiplier', 'extraJumps', 'radius', 'pullSpeed'];
+
+export class PlayerPowerUps {
+    /**
+     * Crea una nueva instancia del sistema de power-ups
+     * @param {Player} player - Referencia al jugador
+     * @param {Object} config - Configuración de power-ups (player.powerups)
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(player, config, eventBus) {
+        this.player = player;
+        this.eventBus = eventBus;
+
+        // Definiciones combinadas con la configuración
+        this.definitions = {};
+        for (const [type, definition] of Object.entries(DEFAULT_POWERUPS)) {
+            this.definitions[type] = { ...definition, ...config?.[type] };
+        }
+
+        // Efectos activos: tipo -> {type, remaining, duration, stacks, ...valores}
+        this.active = new Map();
+
+        this.stats = {
+            activated: 0,
+            refreshed: 0,
+            expired: 0
+        };
+
+        console.log('⚡ PlayerPowerUps creado');
+    }
+
+    /**
+     * Actualización con timestep fijo: descuenta el tiempo de los efectos
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
+     */
+    fixedUpdate(fixedDelta) {
+        for (const effect of [...this.active.values()]) {
+            effect.remaining -= fixedDelta;
+
+            if (effect.remaining <= 0) {
+                this.stats.expired++;
+                this.end(effect.type, 'expired');
+            }
+        }
+    }
+
+    /**
+     * Activa un power-up o aplica su regla de acumulación si ya está activo
+     * @param {string} type - Tipo de power-up
+     * @param {Object} overrides - Valores del evento (duration, multiplier...)
+     * @returns {boolean} True si se activó
+     */
+    activate(type, overrides = {}) {
+        const base = this.definitions[type];
+        if (!base) {
+            console.warn(`⚠️ Power-up desconocido: ${type}`);
+            return false;
+        }
+
+        const definition = { ...base };
+        for (const field of OVERRIDABLE_FIELDS) {
+            if (typeof overrides?.[field] === 'number') {
+                definition[field] = overrides[field];
+            }
+        }
+
+        const effect = this.active.get(type);
+
+        if (!effect) {
+            const newEffect = {
+                ...definition,
+                type,
+                remaining: definition.duration,
+                stacks: 1
+            };
+
+            this.active.set(type, newEffect);
+            this.applyEffect(newEffect);
+            this.stats.activated++;
+
+            console.log(`⚡ Power-up activado: ${type} (${definition.duration}ms)`);
+            this.eventBus.emit('player:powerup-started', this.describe(newEffect));
+            return true;
+        }
+
+        switch (definition.stacking) {
+            case 'extend':
+                effect.remaining = Math.min(
+                    effect.remaining + definition.duration,
+                    definition.maxDuration ?? Infinity
+                );
+                break;
+
+            case 'stack':
+                effect.stacks = Math.min(effect.stacks + 1, definition.maxStacks ?? Infinity);
+                effect.remaining = definition.duration;
+                break;
+
+            default:
+                effect.remaining = definition.duration;
+                break;
+        }
+
+        effect.duration = Math.max(effect.remaining, definition.duration);
+        this.applyEffect(effect);
+        this.stats.refreshed++;
+
+        this.eventBus.emit('player:powerup-refreshed', this.describe(effect));
+        return true;
+    }
+
+    /**
+     * Termina un power-up y deshace su efecto
+     * @param {string} type - Tipo de power-up
+     * @param {string} reason - Motivo (expired, depleted)
+     */
+    end(type, reason) {
+        const effect = this.active.get(type);
+        if (!effect) return;
+
+        this.active.delete(type);
+        this.removeEffect(effect);
+
+        console.log(`⌛ Power-up terminado: ${type} (${reason})`);
+        this.eventBus.emit('player:powerup-ended', { type, reason });
+    }
+
+    /**
+     * Aplica el efecto de un power-up al jugador
+     * @param {Object} effect - Efecto activo
+     */
+    applyEffect(effect) {
+        switch (effect.type) {
+            case 'shield':
+                this.player.state.shieldHits = effect.stacks;
+                break;
+
+            case 'speed_boost':
+                this.player.playerPhysics.setSpeedMultiplier(effect.multiplier);
+                break;
+
+            case 'jump_boost':
+                // El salto extra se puede usar al momento, también en el aire
+                this.player.playerAbilities.setExtraJumps(effect.extraJumps);
+                this.player.playerAbilities.resetJumps();
+                break;
+
+            // El imán lo aplica el mundo sobre las monedas
+        }
+    }
+
+    /**
+     * Deshace el efecto de un power-up
+     * @param {Object} effect - Efecto que termina
+     */
+    removeEffect(effect) {
+        switch (effect.type) {
+            case 'shield':
+                this.player.state.shieldHits = 0;
+                break;
+
+            case 'speed_boost':
+                this.player.playerPhysics.setSpeedMultiplier(1);
+                break;
+
+            case 'jump_boost':
+                this.player.playerAbilities.setExtraJumps(0);
+                break;
+        }
+    }
+
+    /**
+     * Sincroniza el escudo tras absorber un golpe; sin cargas el escudo se acaba
+     */
+    handleShieldHit() {
+        const shield = this.active.get('shield');
+        if (!shield) return;
+
+        shield.stacks = this.player.state.shieldHits;
+        if (shield.stacks <= 0) {
+            this.end('shield', 'depleted');
+        }
+    }
+
+    /**
+     * Obtiene un power-up activo
+     * @param {string} type - Tipo de power-up
+     * @returns {Object|null} Efecto activo o null
+     */
+    get(type) {
+        return this.active.get(type) || null;
+    }
+
+    /**
+     * Obtiene los power-ups activos para el HUD
+     * @returns {Array} Lista de {type, remaining, duration, stacks}
+     */
+    getActive() {
+        return [...this.active.values()].map(effect => this.describe(effect));
+    }
+
+    /**
+     * Resume un efecto activo
+     * @param {Object} effect - Efecto activo
+     * @returns {Object} Resumen {type, remaining, duration, stacks}
+     */
+    describe(effect) {
+        return {
+            type: effect.type,
+            remaining: Math.max(0, effect.remaining),
+            duration: effect.duration,
+            stacks: effect.stacks
+        };
+    }
+
+    /**
+     * Obtiene los efectos activos para una partida guardada
+     * @returns {Array} Efectos con su tiempo restante y cargas
+     */
+    getSaveState() {
+        return [...this.active.values()].map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Sustituye los efectos activos por los de una partida guardada, sin emitir eventos
+     * @param {Array} effects - Efectos de getSaveState
+     */
+    restoreSaveState(effects) {
+        this.reset();
+
+        for (const saved of effects) {
+            if (!this.definitions[saved.type]) continue;
+
+            const effect = { ...this.definitions[saved.type], ...saved };
+            this.active.set(effect.type, effect);
+            this.applyEffect(effect);
+        }
+    }
+
+    /**
+     * Quita todos los power-ups (al morir o reiniciar) sin emitir eventos
+     */
+    reset() {
+        for (const effect of this.active.values()) {
+            this.removeEffect(effect);
+        }
+        this.active.clear();
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            active: this.getActive(),
+            ...this.stats
+        };
+    }
+}
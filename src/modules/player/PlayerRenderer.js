@@ -120,7 +120,7 @@ export class PlayerRenderer {
         const scale = this.animations.scale;
         
         // Escala base según estado
-        if (this.player.playerAbilities?.dash.isDashing) {
+        if (this.player.playerAbilities?.dashState.isDashing) {
             scale.target.x = 1.2;
             scale.target.y = 0.8;
         } else if (this.player.physics.onGround) {
@@ -149,7 +149,7 @@ export class PlayerRenderer {
             Math.floor(Date.now() / 100) % 2 === 0;
         
         // Efecto de dash
-        this.effects.dashGlow = this.player.playerAbilities?.dash.isDashing || false;
+        this.effects.dashGlow = this.player.playerAbilities?.dashState.isDashing || false;
         
         // Efecto de aura de gravedad
         this.effects.gravityAura = this.player.physics.gravityInverted;
@@ -195,6 +195,9 @@ export class PlayerRenderer {
     render(ctx) {
         if (!this.player.state.isVisible) return;
         
+        // Trail y partículas están en coordenadas del mundo
+        this.renderTrail(ctx);
+        
         ctx.save();
         
         // Aplicar transformaciones
@@ -203,19 +206,16 @@ export class PlayerRenderer {
         // Renderizar efectos de fondo
         this.renderBackgroundEffects(ctx);
         
-        // Renderizar trail
-        this.renderTrail(ctx);
-        
         // Renderizar cuerpo principal
         this.renderBody(ctx);
         
         // Renderizar efectos de primer plano
         this.renderForegroundEffects(ctx);
         
+        ctx.restore();
+        
         // Renderizar partículas
         this.renderParticles(ctx);
-        
-        ctx.restore();
     }
     
     /**
@@ -288,9 +288,6 @@ export class PlayerRenderer {
         
         ctx.save();
         
-        // Resetear transformaciones para el trail
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-        
         ctx.strokeStyle = this.visual.color;
         ctx.lineWidth = 3;
         ctx.lineCap = 'round';
@@ -424,9 +421,6 @@ export class PlayerRenderer {
         
         ctx.save();
         
-        // Resetear transformaciones para las partículas
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-        
         for (const particle of particles) {
             ctx.save();
             
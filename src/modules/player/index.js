@@ -0,0 +1,141 @@
+/**
+ * Módulo del jugador de Spikepulse
+ * @module Player
+ */
+
+import { Player } from './Player.js';
+
+/**
+ * Crea una instancia del sistema del jugador
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema del jugador
+ */
+export function createPlayerSystem(config, eventBus) {
+    console.log('👤 Creando sistema del jugador...');
+    
+    const player = new Player(config, eventBus);
+    
+    const playerSystem = {
+        player,
+        
+        /**
+         * Inicializa el sistema del jugador
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema del jugador...');
+            
+            try {
+                await player.init();
+                console.log('✅ Sistema del jugador inicializado');
+                
+            } catch (error) {
+                console.error('❌ Error inicializando sistema del jugador:', error);
+                throw error;
+            }
+        },
+        
+        /**
+         * Actualización con timestep fijo
+         * @param {number} fixedDelta - Delta time fijo en milisegundos
+         */
+        fixedUpdate(fixedDelta) {
+            player.fixedUpdate(fixedDelta);
+        },
+        
+        /**
+         * Actualización con timestep variable
+         * @param {number} deltaTime - Delta time en segundos
+         * @param {number} interpolation - Factor de interpolación
+         */
+        update(deltaTime, interpolation) {
+            player.update(deltaTime, interpolation);
+        },
+        
+        /**
+         * Obtiene objetos de renderizado para el sistema de capas
+         * @returns {Array} Objetos de renderizado
+         */
+        getRenderObjects() {
+            return player.getRenderObjects();
+        },
+        
+        /**
+         * Obtiene un resumen del estado del jugador para el HUD
+         * @returns {Object} Resumen del jugador
+         */
+        getSnapshot() {
+            const state = player.getState();
+            const abilities = player.playerAbilities;
+            
+            return {
+                position: state.position,
+                velocity: state.velocity,
+                isAlive: state.isAlive,
+                onGround: state.physics.onGround,
+                gravityInverted: state.physics.gravityInverted,
+                jumpsLeft: abilities ? abilities.jumpState.jumpsLeft : 0,
+                maxJumps: abilities ? abilities.jumpState.maxJumps : 0,
+                dashAvailable: abilities ? abilities.canDash() : false,
+                dashCooldown: abilities ? abilities.getDashCooldownProgress() : 0,
+                powerups: player.playerPowerUps ? player.playerPowerUps.getActive() : []
+            };
+        },
+        
+        /**
+         * Obtiene el estado completo del jugador para una partida guardada
+         * @returns {Object} Estado serializable
+         */
+        getSaveState() {
+            return player.getSaveState();
+        },
+        
+        /**
+         * Restaura el estado de una partida guardada
+         * @param {Object} saveState - Estado de getSaveState
+         */
+        restoreSaveState(saveState) {
+            player.restoreSaveState(saveState);
+        },
+        
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return {
+                player: player.getDebugInfo()
+            };
+        },
+        
+        /**
+         * Resetea el sistema del jugador
+         */
+        reset() {
+            player.reset();
+        },
+        
+        /**
+         * Revive al jugador en un checkpoint
+         * @param {Object|null} position - Punto de reaparición
+         * @param {number} invulnerability - Invulnerabilidad en ms
+         */
+        respawn(position, invulnerability) {
+            player.respawn(position, invulnerability);
+        },
+        
+        /**
+         * Destruye el sistema del jugador
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema del jugador...');
+            player.destroy();
+            console.log('✅ Sistema del jugador destruido');
+        }
+    };
+    
+    console.log('✅ Sistema del jugador creado');
+    return playerSystem;
+}
+
+console.log('📦 Módulo del jugador cargado');
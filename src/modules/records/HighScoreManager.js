@@ -0,0 +1,501 @@
+/**
+ * Tabla local de récords de Spikepulse
+ * @module HighScoreManager
+ */
+
+import { PERSISTENCE_CONFIG } from '../../config/PersistenceConfig.js';
+
+/**
+ * Versión del formato guardado y exportado
+ */
+const RECORDS_VERSION = 1;
+
+/**
+ * Nombre por defecto de las entradas
+ */
+const DEFAULT_NAME = 'Jugador';
+
+/**
+ * Campos por los que se puede ordenar una tabla (true = mayor primero)
+ */
+const SORT_FIELDS = {
+    distance: true,
+    coins: true,
+    time: true,
+    date: true,
+    name: false
+};
+
+export class HighScoreManager {
+    /**
+     * Crea una nueva instancia del gestor de récords
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+
+        // Entradas por tabla que se guardan
+        this.maxEntries = config.records?.maxEntries ?? 10;
+        this.maxNameLength = config.records?.maxNameLength ?? 16;
+
+        // Tablas: clave -> {mode, seed, level, levelName, entries}
+        this.boards = {};
+
+        // Último nombre usado, para rellenar la entrada de nombre
+        this.lastName = DEFAULT_NAME;
+
+        // Partida en curso (null si no cuenta: repetición o prueba del editor)
+        this.currentRun = null;
+        this.pendingSeed = null;
+
+        // Última entrada añadida, pendiente de que el jugador ponga su nombre
+        this.lastEntry = null;
+
+        // GameState del que se lee la distancia en metros
+        this.gameState = null;
+
+        // Almacenamiento compartido con GameState (ver setStorage)
+        this.storage = null;
+        this.storageKey = PERSISTENCE_CONFIG.keys.highScores;
+
+        console.log('🏅 HighScoreManager creado');
+    }
+
+    /**
+     * Inicializa el gestor de récords
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando HighScoreManager...');
+
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ HighScoreManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando HighScoreManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establece el GameState del que se leen las estadísticas
+     * @param {GameState} gameState - Estado centralizado
+     */
+    setGameState(gameState) {
+        this.gameState = gameState;
+    }
+
+    /**
+     * Establece el almacenamiento y carga las tablas guardadas en él
+     * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+     */
+    async setStorage(storage) {
+        this.storage = storage;
+        await this.load();
+
+        console.log(`🏅 Récords cargados (${Object.keys(this.boards).length} tablas)`);
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        // La semilla se elige antes de game:started
+        this.eventBus.on('game:seed-selected', (data) => { this.pendingSeed = data; }, this);
+        this.eventBus.on('game:started', this.handleRunStarted.bind(this), this);
+        this.eventBus.on('game:over', this.handleGameOver.bind(this), this);
+        this.eventBus.on('game:level-completed', this.handleLevelCompleted.bind(this), this);
+    }
+
+    // ===== CICLO DE LA PARTIDA =====
+
+    /**
+     * Prepara la tabla de la partida que empieza
+     * @param {Object} data - Datos del inicio de la partida
+     */
+    handleRunStarted(data) {
+        this.lastEntry = null;
+
+        if (data?.isReplay || data?.isPlaytest || !this.pendingSeed) {
+            this.currentRun = null;
+            return;
+        }
+
+        const { seed, mode, level } = this.pendingSeed;
+        this.currentRun = {
+            key: this.getBoardKey(mode, seed, level),
+            mode: level ? 'level' : mode,
+            seed: level || mode === 'random' ? null : seed,
+            level: level || null
+        };
+    }
+
+    /**
+     * Registra el resultado de la partida terminada
+     * @param {Object} data - Datos finales de la partida (gameData, time en segundos)
+     */
+    handleGameOver(data) {
+        this.recordRun(data, {
+            time: Math.round((data?.time ?? 0) * 1000),
+            cause: data?.deathCause || null,
+            completed: false
+        }, data?.levelName);
+    }
+
+    /**
+     * Registra la llegada a la meta de un nivel en su tabla
+     * @param {Object} data - Datos del nivel completado (gameData, name, time en ms)
+     */
+    handleLevelCompleted(data) {
+        this.recordRun(data, {
+            time: Math.round(data?.time ?? 0),
+            cause: null,
+            completed: true
+        }, data?.name);
+    }
+
+    /**
+     * Añade la entrada de la partida en curso a su tabla
+     * @param {Object} data - Datos finales de la partida
+     * @param {Object} result - {time (ms), cause, completed}
+     * @param {string} [levelName] - Nombre del nivel, para mostrarlo
+     */
+    recordRun(data, result, levelName = null) {
+        const run = this.currentRun;
+        if (!run) return;
+
+        // Un único registro por partida
+        this.currentRun = null;
+
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: this.lastName,
+            date: Date.now(),
+            distance: this.gameState?.get('stats.distanceMeters') ?? 0,
+            coins: data?.coins ?? 0,
+            ...result
+        };
+
+        const position = this.addEntry(run, entry, levelName);
+        if (position === -1) return;
+
+        this.lastEntry = { key: run.key, id: entry.id };
+
+        console.log(`🏅 Nuevo récord en ${run.key}: puesto ${position}`);
+
+        this.eventBus.emit('records:added', {
+            board: run.key,
+            position,
+            entry: { ...entry }
+        });
+    }
+
+    // ===== TABLAS =====
+
+    /**
+     * Obtiene la clave de la tabla de una partida
+     * @param {string} mode - Modo de semilla (random, daily, custom, url)
+     * @param {string} seed - Semilla
+     * @param {string|null} level - Id del nivel
+     * @returns {string} Clave de la tabla
+     */
+    getBoardKey(mode, seed, level = null) {
+        if (level) return `level:${level}`;
+        if (mode === 'random') return 'random';
+        return `${mode}:${seed}`;
+    }
+
+    /**
+     * Compara dos entradas por su puesto en la tabla
+     * Manda la distancia; a igual distancia va antes quien llegó a la meta y, entre ellos, el más rápido
+     * @param {Object} a - Entrada
+     * @param {Object} b - Entrada
+     * @returns {number} Negativo si a va antes que b
+     */
+    compareEntries(a, b) {
+        return b.distance - a.distance ||
+            Number(Boolean(b.completed)) - Number(Boolean(a.completed)) ||
+            (a.completed && b.completed ? a.time - b.time : 0);
+    }
+
+    /**
+     * Inserta una entrada ordenada por distancia en su tabla
+     * @param {Object} run - Datos de la tabla {key, mode, seed, level}
+     * @param {Object} entry - Entrada
+     * @param {string} [levelName] - Nombre del nivel, para mostrarlo
+     * @returns {number} Puesto (1-based) o -1 si no entra en la tabla
+     */
+    addEntry(run, entry, levelName = null) {
+        const board = this.boards[run.key] || {
+            mode: run.mode,
+            seed: run.seed,
+            level: run.level,
+            levelName,
+            entries: []
+        };
+
+        const entries = board.entries;
+        let index = entries.findIndex(other => this.compareEntries(entry, other) < 0);
+        if (index === -1) index = entries.length;
+
+        if (index >= this.maxEntries) return -1;
+
+        entries.splice(index, 0, entry);
+        entries.length = Math.min(entries.length, this.maxEntries);
+
+        this.boards[run.key] = board;
+        this.save();
+
+        return index + 1;
+    }
+
+    /**
+     * Pone nombre a la última entrada añadida
+     * @param {string} name - Nombre del jugador
+     * @returns {boolean} True si se renombró
+     */
+    setLastEntryName(name) {
+        const cleanName = String(name ?? '').trim().slice(0, this.maxNameLength) || DEFAULT_NAME;
+        this.lastName = cleanName;
+
+        const entry = this.lastEntry &&
+            this.boards[this.lastEntry.key]?.entries.find(other => other.id === this.lastEntry.id);
+
+        if (entry) {
+            entry.name = cleanName;
+        }
+
+        this.save();
+        return Boolean(entry);
+    }
+
+    /**
+     * Obtiene la última entrada añadida
+     * @returns {Object|null} Entrada y su tabla, o null
+     */
+    getLastEntry() {
+        if (!this.lastEntry) return null;
+
+        const entries = this.boards[this.lastEntry.key]?.entries || [];
+        const index = entries.findIndex(entry => entry.id === this.lastEntry.id);
+        if (index === -1) return null;
+
+        return { board: this.lastEntry.key, position: index + 1, entry: { ...entries[index] } };
+    }
+
+    /**
+     * Obtiene las tablas existentes, la de partidas aleatorias primero
+     * @returns {Array} Tablas {key, mode, seed, level, levelName, count}
+     */
+    getBoards() {
+        return Object.entries(this.boards)
+            .map(([key, board]) => ({
+                key,
+                mode: board.mode,
+                seed: board.seed,
+                level: board.level,
+                levelName: board.levelName,
+                count: board.entries.length
+            }))
+            .sort((a, b) => (a.key === 'random' ? -1 : b.key === 'random' ? 1 : a.key.localeCompare(b.key)));
+    }
+
+    /**
+     * Obtiene las entradas de una tabla con su puesto por distancia
+     * @param {string} key - Clave de la tabla
+     * @param {string} [sortBy='distance'] - Campo de ordenación
+     * @param {boolean} [descending] - Orden (por defecto el natural del campo)
+     * @returns {Array} Entradas {rank, id, name, date, distance, coins, time, cause, completed}
+     */
+    getEntries(key, sortBy = 'distance', descending = SORT_FIELDS[sortBy]) {
+        const entries = (this.boards[key]?.entries || [])
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        if (!(sortBy in SORT_FIELDS)) return entries;
+
+        const direction = descending ? -1 : 1;
+        return entries.sort((a, b) => {
+            const result = sortBy === 'name'
+                ? a.name.localeCompare(b.name, 'es')
+                : a[sortBy] - b[sortBy];
+
+            return result * direction || a.rank - b.rank;
+        });
+    }
+
+    // ===== EXPORTAR / IMPORTAR =====
+
+    /**
+     * Exporta todas las tablas a JSON
+     * @returns {string} JSON de los récords
+     */
+    exportRecords() {
+        return JSON.stringify({
+            v: RECORDS_VERSION,
+            exportedAt: Date.now(),
+            boards: this.boards
+        }, null, 2);
+    }
+
+    /**
+     * Importa récords desde JSON y los combina con los existentes
+     * @param {string|Object} json - JSON exportado
+     * @returns {number} Entradas nuevas añadidas
+     * @throws {Error} Si el formato no es válido
+     */
+    importRecords(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const boards = this.validateBoards(data);
+
+        let added = 0;
+        for (const [key, board] of Object.entries(boards)) {
+            const existing = this.boards[key];
+            const ids = new Set(existing?.entries.map(entry => entry.id));
+            const merged = [...(existing?.entries || []), ...board.entries.filter(entry => !ids.has(entry.id))]
+                .sort((a, b) => this.compareEntries(a, b) || a.date - b.date)
+                .slice(0, this.maxEntries);
+
+            added += merged.filter(entry => !ids.has(entry.id)).length;
+
+            this.boards[key] = {
+                mode: existing?.mode ?? board.mode,
+                seed: existing?.seed ?? board.seed,
+                level: existing?.level ?? board.level,
+                levelName: existing?.levelName ?? board.levelName,
+                entries: merged
+            };
+        }
+
+        this.save();
+        console.log(`🏅 Récords importados: ${added} entradas nuevas`);
+
+        return added;
+    }
+
+    /**
+     * Valida las tablas de un JSON de récords
+     * @param {Object} data - Datos leídos
+     * @returns {Object} Tablas válidas
+     * @throws {Error} Si el formato no es válido
+     */
+    validateBoards(data) {
+        if (!data || data.v !== RECORDS_VERSION) {
+            throw new Error(`Versión de récords no soportada: ${data?.v}`);
+        }
+        if (!data.boards || typeof data.boards !== 'object') {
+            throw new Error('Los récords no tienen tablas');
+        }
+
+        const boards = {};
+        for (const [key, board] of Object.entries(data.boards)) {
+            if (!board || !Array.isArray(board.entries)) {
+                throw new Error(`Tabla de récords inválida: ${key}`);
+            }
+
+            for (const entry of board.entries) {
+                const valid = entry &&
+                    typeof entry.id === 'string' &&
+                    typeof entry.name === 'string' &&
+                    Number.isFinite(entry.date) &&
+                    Number.isFinite(entry.distance) && entry.distance >= 0 &&
+                    Number.isFinite(entry.coins) && entry.coins >= 0 &&
+                    Number.isFinite(entry.time) && entry.time >= 0 &&
+                    (entry.cause === null || typeof entry.cause === 'string') &&
+                    (entry.completed === undefined || typeof entry.completed === 'boolean');
+
+                if (!valid) {
+                    throw new Error(`Entrada de récords inválida: ${JSON.stringify(entry)}`);
+                }
+            }
+
+            boards[key] = {
+                mode: board.mode ?? null,
+                seed: board.seed ?? null,
+                level: board.level ?? null,
+                levelName: board.levelName ?? null,
+                entries: board.entries.map(entry => ({
+                    ...entry,
+                    name: entry.name.slice(0, this.maxNameLength) || DEFAULT_NAME
+                }))
+            };
+        }
+
+        return boards;
+    }
+
+    // ===== PERSISTENCIA =====
+
+    /**
+     * Guarda las tablas
+     */
+    async save() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setItem(this.storageKey, JSON.stringify({
+                v: RECORDS_VERSION,
+                lastName: this.lastName,
+                boards: this.boards
+            }));
+        } catch (error) {
+            console.warn('⚠️ No se pudieron guardar los récords:', error);
+        }
+    }
+
+    /**
+     * Carga las tablas
+     */
+    async load() {
+        try {
+            const json = await this.storage.getItem(this.storageKey);
+            if (!json) return;
+
+            const data = JSON.parse(json);
+            this.boards = this.validateBoards(data);
+            this.lastName = typeof data.lastName === 'string' ? data.lastName : DEFAULT_NAME;
+        } catch (error) {
+            console.warn('⚠️ Récords guardados inválidos, se descartan:', error);
+            this.boards = {};
+        }
+    }
+
+    /**
+     * Resetea el gestor de récords (las tablas se conservan)
+     */
+    reset() {
+        this.currentRun = null;
+        this.lastEntry = null;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            boards: Object.keys(this.boards).length,
+            entries: Object.values(this.boards).reduce((sum, board) => sum + board.entries.length, 0),
+            currentBoard: this.currentRun?.key || null
+        };
+    }
+
+    /**
+     * Limpia recursos del gestor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo HighScoreManager...');
+
+        this.eventBus.off('*', this);
+        this.gameState = null;
+        this.storage = null;
+        this.isInitialized = false;
+
+        console.log('✅ HighScoreManager destruido');
+    }
+}
@@ -0,0 +1,447 @@
+/**
+ * Pantalla de récords y entrada de nombre al terminar la partida
+ * @module RecordsScreen
+ */
+
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+/**
+ * Columnas de la tabla (las que tienen campo se pueden ordenar)
+ */
+const COLUMNS = [
+    { field: null, label: '#' },
+    { field: 'name', label: SPANISH_TEXT.RECORDS_NAME },
+    { field: 'distance', label: SPANISH_TEXT.DISTANCE },
+    { field: 'coins', label: SPANISH_TEXT.RECORDS_COINS },
+    { field: 'time', label: SPANISH_TEXT.RECORDS_TIME },
+    { field: null, label: SPANISH_TEXT.RECORDS_CAUSE },
+    { field: 'date', label: SPANISH_TEXT.RECORDS_DATE }
+];
+
+export class RecordsScreen {
+    /**
+     * Crea la pantalla de récords
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {HighScoreManager} highScoreManager - Tablas de récords
+     */
+    constructor(config, eventBus, highScoreManager) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.highScoreManager = highScoreManager;
+
+        // Tabla, orden y sentido elegidos
+        this.view = { board: 'random', sortBy: 'distance', descending: true };
+
+        // DOM (se crea la primera vez que se pide cada elemento)
+        this.element = null;
+        this.boardSelect = null;
+        this.body = null;
+        this.headers = [];
+        this.entryForm = null;
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    init() {
+        // La partida entra en la tabla al terminar
+        this.eventBus.on('records:added', this.showEntryForm.bind(this), this);
+    }
+
+    // ===== PANTALLA DE RÉCORDS =====
+
+    /**
+     * Obtiene el elemento de la pantalla, creándolo si hace falta
+     * @returns {HTMLElement} Pantalla de récords
+     */
+    getElement() {
+        if (!this.element) {
+            this.element = this.createScreen();
+        }
+
+        return this.element;
+    }
+
+    /**
+     * Crea la pantalla de récords
+     * @returns {HTMLElement} Pantalla de récords
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'records-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+
+        const buttonStyle = `
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #CCCCCC;
+            border: 2px solid #666666;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = SPANISH_TEXT.RECORDS;
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 0.25rem;';
+
+        // Tabla a mostrar (modo y semilla)
+        const boardSelect = document.createElement('select');
+        boardSelect.setAttribute('aria-label', SPANISH_TEXT.RECORDS);
+        boardSelect.style.cssText = `
+            padding: 0.5rem;
+            font-size: 1rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(0, 0, 0, 0.6);
+            color: white;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+        `;
+        boardSelect.addEventListener('change', () => {
+            this.view.board = boardSelect.value;
+            this.render();
+        });
+
+        const table = document.createElement('table');
+        table.style.cssText = `
+            min-width: 640px;
+            border-collapse: collapse;
+            font-family: 'Rajdhani', sans-serif;
+            font-size: 1.1rem;
+        `;
+
+        // Cabeceras: las ordenables cambian el orden al pulsarlas
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        this.headers = [];
+        for (const { field, label } of COLUMNS) {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            cell.style.cssText = `padding: 0.4rem 0.75rem; color: #FFD700; text-align: left; border-bottom: 2px solid #444444;${field ? ' cursor: pointer;' : ''}`;
+            if (field) {
+                cell.addEventListener('click', () => {
+                    const view = this.view;
+                    view.descending = view.sortBy === field ? !view.descending : field !== 'name';
+                    view.sortBy = field;
+                    this.render();
+                });
+                this.headers.push({ cell, field, label });
+            }
+            headRow.appendChild(cell);
+        }
+        head.appendChild(headRow);
+
+        const body = document.createElement('tbody');
+        table.appendChild(head);
+        table.appendChild(body);
+
+        const tableContainer = document.createElement('div');
+        tableContainer.style.cssText = 'max-height: 55vh; overflow-y: auto;';
+        tableContainer.appendChild(table);
+
+        // Exportar / importar a JSON
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.importRecordsFile(file);
+            }
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = SPANISH_TEXT.RECORDS_EXPORT;
+        exportButton.style.cssText = buttonStyle;
+        exportButton.addEventListener('click', () => this.downloadRecords());
+
+        const importButton = document.createElement('button');
+        importButton.textContent = SPANISH_TEXT.RECORDS_IMPORT;
+        importButton.style.cssText = buttonStyle;
+        importButton.addEventListener('click', () => fileInput.click());
+
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = buttonStyle;
+        backButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:back-to-menu', { screen: 'records' });
+        });
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 1rem; margin-top: 1rem;';
+        actions.appendChild(exportButton);
+        actions.appendChild(importButton);
+        actions.appendChild(backButton);
+
+        screen.appendChild(title);
+        screen.appendChild(boardSelect);
+        screen.appendChild(tableContainer);
+        screen.appendChild(fileInput);
+        screen.appendChild(actions);
+
+        this.boardSelect = boardSelect;
+        this.body = body;
+
+        return screen;
+    }
+
+    /**
+     * Rellena la pantalla con la tabla y el orden elegidos
+     */
+    render() {
+        this.getElement();
+
+        const view = this.view;
+        const boards = this.highScoreManager.getBoards();
+
+        if (!boards.some(board => board.key === view.board)) {
+            view.board = boards[0]?.key || 'random';
+        }
+
+        // Selector de tablas
+        this.boardSelect.replaceChildren();
+        for (const board of boards) {
+            const option = document.createElement('option');
+            option.value = board.key;
+            option.textContent = this.getBoardLabel(board);
+            this.boardSelect.appendChild(option);
+        }
+        this.boardSelect.value = view.board;
+        this.boardSelect.style.display = boards.length > 0 ? '' : 'none';
+
+        // Indicador de orden en las cabeceras
+        for (const { cell, field, label } of this.headers) {
+            cell.textContent = field === view.sortBy ? `${label} ${view.descending ? '▼' : '▲'}` : label;
+        }
+
+        // Filas
+        const entries = this.highScoreManager.getEntries(view.board, view.sortBy, view.descending);
+        this.body.replaceChildren();
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = COLUMNS.length;
+            cell.textContent = SPANISH_TEXT.RECORDS_EMPTY;
+            cell.style.cssText = 'padding: 1rem; text-align: center; color: #CCCCCC;';
+            row.appendChild(cell);
+            this.body.appendChild(row);
+            return;
+        }
+
+        const lastEntry = this.highScoreManager.getLastEntry();
+
+        for (const entry of entries) {
+            const row = document.createElement('tr');
+            const isLast = lastEntry?.board === view.board && lastEntry.entry.id === entry.id;
+            row.style.cssText = `color: ${isLast ? '#FFD700' : 'white'};`;
+
+            const values = [
+                entry.rank,
+                entry.name,
+                SpanishFormatter.formatDistance(entry.distance),
+                SpanishFormatter.formatNumber(entry.coins),
+                SpanishFormatter.formatTime(entry.time / 1000),
+                entry.completed ? SPANISH_TEXT.RECORDS_COMPLETED : SpanishFormatter.formatDeathCause(entry.cause),
+                SpanishFormatter.formatDate(entry.date)
+            ];
+
+            for (const value of values) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                cell.style.cssText = 'padding: 0.35rem 0.75rem; border-bottom: 1px solid #333333;';
+                row.appendChild(cell);
+            }
+
+            this.body.appendChild(row);
+        }
+    }
+
+    /**
+     * Obtiene el nombre visible de una tabla de récords
+     * @param {Object} board - Tabla {mode, seed, levelName, level}
+     * @returns {string} Nombre de la tabla
+     */
+    getBoardLabel(board) {
+        switch (board.mode) {
+            case 'random':
+                return SPANISH_TEXT.RECORDS_MODE_RANDOM;
+            case 'daily':
+                return `${SPANISH_TEXT.RECORDS_MODE_DAILY} (${String(board.seed).replace(/^diario-/, '')})`;
+            case 'url':
+                return `${SPANISH_TEXT.RECORDS_MODE_URL}: ${board.seed}`;
+            case 'level':
+                return `${SPANISH_TEXT.RECORDS_MODE_LEVEL}: ${board.levelName || board.level}`;
+            default:
+                return `${SPANISH_TEXT.RECORDS_MODE_CUSTOM}: ${board.seed}`;
+        }
+    }
+
+    /**
+     * Descarga todos los récords como archivo JSON
+     */
+    downloadRecords() {
+        const blob = new Blob([this.highScoreManager.exportRecords()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spikepulse-records-${Date.now()}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Importa récords desde un archivo JSON
+     * @param {File} file - Archivo de récords
+     */
+    async importRecordsFile(file) {
+        try {
+            const added = this.highScoreManager.importRecords(await file.text());
+            this.render();
+            this.eventBus.emit('ui:show-notification', {
+                type: 'success',
+                message: `Récords importados: ${added} nuevos`,
+                duration: 3000
+            });
+        } catch (error) {
+            console.error('❌ Error importando récords:', error);
+            this.eventBus.emit('ui:show-notification', {
+                type: 'error',
+                message: 'El archivo no contiene récords válidos',
+                duration: 3000
+            });
+        }
+    }
+
+    // ===== ENTRADA DE NOMBRE =====
+
+    /**
+     * Obtiene el formulario de nombre para la pantalla de game over, creándolo si hace falta
+     * @returns {HTMLElement} Formulario (oculto hasta que la partida entra en la tabla)
+     */
+    getEntryForm() {
+        if (!this.entryForm) {
+            this.entryForm = this.createEntryForm();
+        }
+
+        return this.entryForm.form;
+    }
+
+    /**
+     * Crea el formulario de nombre de la entrada de récords
+     * @returns {Object} Elementos {form, label, input}
+     */
+    createEntryForm() {
+        const form = document.createElement('form');
+        form.style.cssText = `
+            width: 100%;
+            display: none;
+            justify-content: center;
+            align-items: center;
+            gap: 0.75rem;
+            color: #FFD700;
+        `;
+
+        const label = document.createElement('span');
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = this.highScoreManager.maxNameLength;
+        input.setAttribute('aria-label', SPANISH_TEXT.RECORDS_NAME);
+        input.style.cssText = `
+            padding: 0.5rem 0.75rem;
+            font-size: 1rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(0, 0, 0, 0.6);
+            color: white;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+        `;
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = SPANISH_TEXT.RECORDS_SAVE_NAME;
+        saveButton.style.cssText = `
+            padding: 0.75rem 1.5rem;
+            font-size: 1.1rem;
+            font-family: 'Orbitron', sans-serif;
+            font-weight: bold;
+            border-radius: 8px;
+            cursor: pointer;
+            background: transparent;
+            color: #FFD700;
+            border: 2px solid #FFD700;
+        `;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.highScoreManager.setLastEntryName(input.value);
+            form.style.display = 'none';
+        });
+
+        form.appendChild(label);
+        form.appendChild(input);
+        form.appendChild(saveButton);
+
+        return { form, label, input };
+    }
+
+    /**
+     * Muestra la entrada de nombre cuando la partida entra en la tabla de récords
+     * @param {Object} data - Datos del récord (position)
+     */
+    showEntryForm(data) {
+        if (!this.entryForm) return;
+
+        const { form, label, input } = this.entryForm;
+        label.textContent = data.position === 1
+            ? SPANISH_TEXT.NEW_RECORD
+            : `${SPANISH_TEXT.RECORDS}: puesto ${data.position}`;
+        input.value = this.highScoreManager.lastName;
+        form.style.display = 'flex';
+    }
+
+    /**
+     * Oculta la entrada de nombre
+     */
+    hideEntryForm() {
+        if (this.entryForm) {
+            this.entryForm.form.style.display = 'none';
+        }
+    }
+
+    /**
+     * Destruye la pantalla y el formulario
+     */
+    destroy() {
+        this.eventBus.off('*', this);
+        this.element?.remove();
+        this.entryForm?.form.remove();
+        this.element = null;
+        this.boardSelect = null;
+        this.body = null;
+        this.headers = [];
+        this.entryForm = null;
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Módulo de récords de Spikepulse
+ * @module Records
+ */
+
+import { HighScoreManager } from './HighScoreManager.js';
+import { RecordsScreen } from './RecordsScreen.js';
+
+/**
+ * Crea una instancia del sistema de récords
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de récords
+ */
+export function createRecordsSystem(config, eventBus) {
+    console.log('🏅 Creando sistema de récords...');
+
+    const highScoreManager = new HighScoreManager(config, eventBus);
+    const recordsScreen = new RecordsScreen(config, eventBus, highScoreManager);
+
+    const recordsSystem = {
+        highScoreManager,
+
+        /**
+         * Inicializa el sistema de récords
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de récords...');
+
+            try {
+                await highScoreManager.init();
+                recordsScreen.init();
+                console.log('✅ Sistema de récords inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de récords:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Establece el GameState del que se leen las estadísticas
+         * @param {GameState} gameState - Estado centralizado
+         */
+        setGameState(gameState) {
+            highScoreManager.setGameState(gameState);
+        },
+
+        /**
+         * Establece el almacenamiento de las tablas y las carga
+         * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+         */
+        async setStorage(storage) {
+            await highScoreManager.setStorage(storage);
+        },
+
+        /**
+         * Obtiene las tablas existentes
+         * @returns {Array} Tablas
+         */
+        getBoards() {
+            return highScoreManager.getBoards();
+        },
+
+        /**
+         * Obtiene las entradas de una tabla
+         * @param {string} key - Clave de la tabla
+         * @param {string} [sortBy] - Campo de ordenación
+         * @param {boolean} [descending] - Orden
+         * @returns {Array} Entradas
+         */
+        getEntries(key, sortBy, descending) {
+            return highScoreManager.getEntries(key, sortBy, descending);
+        },
+
+        /**
+         * Obtiene la última entrada añadida
+         * @returns {Object|null} Entrada o null
+         */
+        getLastEntry() {
+            return highScoreManager.getLastEntry();
+        },
+
+        /**
+         * Pone nombre a la última entrada añadida
+         * @param {string} name - Nombre del jugador
+         * @returns {boolean} True si se renombró
+         */
+        setLastEntryName(name) {
+            return highScoreManager.setLastEntryName(name);
+        },
+
+        /**
+         * Obtiene el último nombre usado
+         * @returns {string} Nombre
+         */
+        getLastName() {
+            return highScoreManager.lastName;
+        },
+
+        /**
+         * Exporta los récords a JSON
+         * @returns {string} JSON
+         */
+        exportRecords() {
+            return highScoreManager.exportRecords();
+        },
+
+        /**
+         * Importa récords desde JSON
+         * @param {string|Object} json - JSON exportado
+         * @returns {number} Entradas nuevas
+         */
+        importRecords(json) {
+            return highScoreManager.importRecords(json);
+        },
+
+        /**
+         * Obtiene la pantalla de récords para registrarla en el ScreenManager
+         * @returns {HTMLElement} Elemento de la pantalla
+         */
+        getElement() {
+            return recordsScreen.getElement();
+        },
+
+        /**
+         * Rellena la pantalla de récords con la tabla elegida
+         */
+        refreshScreen() {
+            recordsScreen.render();
+        },
+
+        /**
+         * Obtiene el formulario de nombre que se muestra en la pantalla de game over
+         * @returns {HTMLElement} Formulario
+         */
+        getEntryForm() {
+            return recordsScreen.getEntryForm();
+        },
+
+        /**
+         * Oculta el formulario de nombre (records:added lo vuelve a mostrar)
+         */
+        hideEntryForm() {
+            recordsScreen.hideEntryForm();
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return highScoreManager.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema de récords
+         */
+        reset() {
+            highScoreManager.reset();
+        },
+
+        /**
+         * Destruye el sistema de récords
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de récords...');
+            highScoreManager.destroy();
+            recordsScreen.destroy();
+        }
+    };
+
+    console.log('✅ Sistema de récords creado');
+    return recordsSystem;
+}
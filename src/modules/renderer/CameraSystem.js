@@ -62,9 +62,10 @@ export class CameraSystem {
         };
         
         // Sistema de shake
-        this.shake = {
+        this.shakeEffect = {
             intensity: 0,
             duration: 0,
+            totalDuration: 0,
             time: 0,
             frequency: 30,
             offset: { x: 0, y: 0 }
@@ -118,12 +119,12 @@ export class CameraSystem {
      */
     setupEventListeners() {
         // Eventos de cámara
-        this.eventBus.on('camera:set-target', this.setTarget.bind(this));
-        this.eventBus.on('camera:set-position', this.handleSetPosition.bind(this));
-        this.eventBus.on('camera:set-zoom', this.handleSetZoom.bind(this));
-        this.eventBus.on('camera:shake', this.handleShake.bind(this));
-        this.eventBus.on('camera:follow', this.handleFollow.bind(this));
-        this.eventBus.on('camera:stop-follow', this.stopFollow.bind(this));
+        this.eventBus.on('camera:set-target', this.setTarget.bind(this), this);
+        this.eventBus.on('camera:set-position', this.handleSetPosition.bind(this), this);
+        this.eventBus.on('camera:set-zoom', this.handleSetZoom.bind(this), this);
+        this.eventBus.on('camera:shake', this.handleShake.bind(this), this);
+        this.eventBus.on('camera:follow', this.handleFollow.bind(this), this);
+        this.eventBus.on('camera:stop-follow', this.stopFollow.bind(this), this);
         
         console.log('👂 Event listeners de cámara configurados');
     }
@@ -202,22 +203,22 @@ export class CameraSystem {
      * @param {number} deltaTime - Delta time
      */
     updateShake(deltaTime) {
-        if (this.shake.duration <= 0) {
-            this.shake.intensity = 0;
-            this.shake.offset.x = 0;
-            this.shake.offset.y = 0;
+        if (this.shakeEffect.duration <= 0) {
+            this.shakeEffect.intensity = 0;
+            this.shakeEffect.offset.x = 0;
+            this.shakeEffect.offset.y = 0;
             return;
         }
         
-        this.shake.time += deltaTime;
-        this.shake.duration -= deltaTime;
+        this.shakeEffect.time += deltaTime;
+        this.shakeEffect.duration -= deltaTime;
         
         // Calcular offset de shake
-        const frequency = this.shake.frequency;
-        const intensity = this.shake.intensity * (this.shake.duration / this.shake.time);
+        const frequency = this.shakeEffect.frequency;
+        const intensity = this.shakeEffect.intensity * (this.shakeEffect.duration / this.shakeEffect.totalDuration);
         
-        this.shake.offset.x = Math.sin(this.shake.time * frequency) * intensity;
-        this.shake.offset.y = Math.cos(this.shake.time * frequency * 0.7) * intensity;
+        this.shakeEffect.offset.x = Math.sin(this.shakeEffect.time * frequency) * intensity;
+        this.shakeEffect.offset.y = Math.cos(this.shakeEffect.time * frequency * 0.7) * intensity;
     }
     
     /**
@@ -256,8 +257,8 @@ export class CameraSystem {
      */
     updateTransform() {
         // Calcular posición final con shake
-        const finalX = this.position.x + this.shake.offset.x;
-        const finalY = this.position.y + this.shake.offset.y;
+        const finalX = this.position.x + this.shakeEffect.offset.x;
+        const finalY = this.position.y + this.shakeEffect.offset.y;
         
         // Convertir a coordenadas de pantalla (centrar en viewport)
         this.transform.x = this.viewport.centerX - (finalX * this.zoom.current);
@@ -395,9 +396,10 @@ export class CameraSystem {
      * @param {number} duration - Duración en segundos
      */
     shake(intensity, duration) {
-        this.shake.intensity = intensity;
-        this.shake.duration = duration;
-        this.shake.time = 0;
+        this.shakeEffect.intensity = intensity;
+        this.shakeEffect.duration = duration;
+        this.shakeEffect.totalDuration = duration;
+        this.shakeEffect.time = 0;
         
         console.log(`📳 Shake de cámara: intensidad ${intensity}, duración ${duration}s`);
     }
@@ -561,10 +563,10 @@ export class CameraSystem {
                 smoothing: this.follow.smoothing
             },
             shake: {
-                active: this.shake.duration > 0,
-                intensity: this.shake.intensity,
-                duration: this.shake.duration,
-                offset: { ...this.shake.offset }
+                active: this.shakeEffect.duration > 0,
+                intensity: this.shakeEffect.intensity,
+                duration: this.shakeEffect.duration,
+                offset: { ...this.shakeEffect.offset }
             },
             bounds: {
                 enabled: this.bounds.enabled,
@@ -591,11 +593,11 @@ export class CameraSystem {
         this.zoom.target = 1;
         
         // Resetear shake
-        this.shake.intensity = 0;
-        this.shake.duration = 0;
-        this.shake.time = 0;
-        this.shake.offset.x = 0;
-        this.shake.offset.y = 0;
+        this.shakeEffect.intensity = 0;
+        this.shakeEffect.duration = 0;
+        this.shakeEffect.time = 0;
+        this.shakeEffect.offset.x = 0;
+        this.shakeEffect.offset.y = 0;
         
         // Resetear seguimiento
         this.follow.target = null;
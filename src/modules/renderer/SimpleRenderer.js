@@ -3,6 +3,28 @@
  * @module SimpleRenderer
  */
 
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+/**
+ * Texto de cada causa de muerte en la pantalla de game over
+ */
+const DEATH_CAUSE_LABELS = {
+    'spike': 'Pinchos',
+    'wall': 'Muro',
+    'moving-obstacle': 'Bloque móvil',
+    'rotating-blade': 'Cuchillas giratorias'
+};
+
+/**
+ * Etiqueta y color de la cuenta atrás de cada power-up en el HUD
+ */
+const POWERUP_HUD = {
+    'shield': { label: SPANISH_TEXT.POWERUP_SHIELD, color: '#3B82F6' },
+    'speed_boost': { label: SPANISH_TEXT.POWERUP_SPEED_BOOST, color: '#10B981' },
+    'jump_boost': { label: SPANISH_TEXT.POWERUP_JUMP_BOOST, color: '#9F7AEA' },
+    'magnet': { label: SPANISH_TEXT.POWERUP_MAGNET, color: '#F59E0B' }
+};
+
 export class SimpleRenderer {
     constructor(config, eventBus) {
         this.config = config;
@@ -17,16 +39,24 @@ export class SimpleRenderer {
         this.gameData = {
             distance: 0,
             score: 0,
-            time: 0
+            time: 0,
+            lives: 0
         };
         this.player = {
-            position: { x: 150, y: 300 },
+            position: { x: 100, y: 300 },
             velocity: { x: 0, y: 0 },
             onGround: true,
+            jumpsLeft: 2,
+            maxJumps: 2,
+            dashAvailable: true,
             gravityInverted: false,
-            size: 30
+            powerups: []
         };
         
+        // Cámara del mundo y fuentes de objetos renderizables
+        this.camera = null;
+        this.renderSources = [];
+        
         console.log('🎨 SimpleRenderer creado');
     }
     
@@ -74,6 +104,29 @@ export class SimpleRenderer {
         });
     }
     
+    /**
+     * Establece la cámara usada para dibujar el mundo
+     * @param {CameraSystem} camera - Cámara del mundo
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        
+        if (this.canvas) {
+            this.camera.updateViewport({
+                width: this.canvas.width,
+                height: this.canvas.height
+            });
+        }
+    }
+    
+    /**
+     * Registra una fuente de objetos renderizables (debe exponer getRenderObjects)
+     * @param {Object} source - Fuente de objetos renderizables
+     */
+    addRenderSource(source) {
+        this.renderSources.push(source);
+    }
+    
     update(deltaTime) {
         // Renderer es principalmente para renderizado
     }
@@ -98,6 +151,10 @@ export class SimpleRenderer {
                 this.renderGameplay();
                 this.renderGameOverOverlay();
                 break;
+            case 'level-complete':
+                // La pantalla DOM de nivel completado va por encima
+                this.renderGameplay();
+                break;
             case 'menu':
             default:
                 // En el menú, el canvas debe estar vacío para que se vea el menú HTML
@@ -109,13 +166,41 @@ export class SimpleRenderer {
         // Renderizar fondo del juego
         this.renderBackground();
         
-        // Renderizar jugador (cubo simple)
-        this.renderPlayer();
+        // Renderizar mundo y jugador en coordenadas de cámara
+        this.renderWorld();
         
         // Renderizar HUD
         this.renderHUD();
     }
     
+    /**
+     * Renderiza los objetos de las fuentes registradas ordenados por capa
+     */
+    renderWorld() {
+        if (!this.camera) return;
+        
+        const layers = this.config.renderer?.layers || {};
+        const renderObjects = this.renderSources
+            .flatMap(source => source.getRenderObjects())
+            .filter(object => layers[object.layer]?.visible !== false)
+            .sort((a, b) => {
+                const layerDiff = (layers[a.layer]?.zIndex ?? 0) - (layers[b.layer]?.zIndex ?? 0);
+                return layerDiff !== 0 ? layerDiff : (a.zIndex || 0) - (b.zIndex || 0);
+            });
+        
+        const transform = this.camera.getTransform();
+        
+        this.ctx.save();
+        this.ctx.translate(transform.x, transform.y);
+        this.ctx.scale(transform.scale, transform.scale);
+        
+        for (const object of renderObjects) {
+            object.render(this.ctx);
+        }
+        
+        this.ctx.restore();
+    }
+    
     renderBackground() {
         // Fondo con gradiente
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
@@ -126,92 +211,18 @@ export class SimpleRenderer {
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Líneas de fondo para simular movimiento
+        // Líneas de fondo con parallax respecto a la cámara
         this.ctx.strokeStyle = 'rgba(255, 215, 0, 0.1)';
         this.ctx.lineWidth = 1;
         
-        const offset = (this.gameData.distance * 0.5) % 100;
+        const cameraX = this.camera ? this.camera.getPosition().x : 0;
+        const offset = ((cameraX * 0.5) % 100 + 100) % 100;
         for (let i = -offset; i < this.canvas.width + 100; i += 100) {
             this.ctx.beginPath();
             this.ctx.moveTo(i, 0);
             this.ctx.lineTo(i, this.canvas.height);
             this.ctx.stroke();
         }
-        
-        // Renderizar suelo
-        this.ctx.fillStyle = '#333333';
-        this.ctx.fillRect(0, 450, this.canvas.width, this.canvas.height - 450);
-        
-        // Borde del suelo
-        this.ctx.fillStyle = '#FFD700';
-        this.ctx.fillRect(0, 450, this.canvas.width, 3);
-        
-        // Renderizar techo
-        this.ctx.fillStyle = '#333333';
-        this.ctx.fillRect(0, 0, this.canvas.width, 150);
-        
-        // Borde del techo
-        this.ctx.fillStyle = '#FFD700';
-        this.ctx.fillRect(0, 147, this.canvas.width, 3);
-        
-        // Patrón en el suelo
-        this.ctx.fillStyle = 'rgba(255, 215, 0, 0.2)';
-        const floorOffset = (this.gameData.distance * 2) % 40;
-        for (let i = -floorOffset; i < this.canvas.width + 40; i += 40) {
-            this.ctx.fillRect(i, 450, 20, this.canvas.height - 450);
-        }
-        
-        // Patrón en el techo
-        for (let i = -floorOffset; i < this.canvas.width + 40; i += 40) {
-            this.ctx.fillRect(i, 0, 20, 150);
-        }
-    }
-    
-    renderPlayer() {
-        // Usar posición real del jugador
-        const playerX = this.player.position.x;
-        const playerY = this.player.position.y;
-        const playerSize = this.player.size;
-        
-        // Color del cubo según el estado
-        let playerColor = '#FFD700'; // Dorado por defecto
-        
-        if (this.player.gravityInverted) {
-            playerColor = '#9F7AEA'; // Púrpura cuando la gravedad está invertida
-        }
-        
-        if (!this.player.dashAvailable) {
-            playerColor = '#FF6B6B'; // Rojo cuando el dash no está disponible
-        }
-        
-        // Cubo del jugador
-        this.ctx.fillStyle = playerColor;
-        this.ctx.fillRect(playerX - playerSize/2, playerY - playerSize/2, playerSize, playerSize);
-        
-        // Efecto de brillo
-        this.ctx.shadowColor = playerColor;
-        this.ctx.shadowBlur = 15;
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillRect(playerX - playerSize/2 + 4, playerY - playerSize/2 + 4, playerSize - 8, playerSize - 8);
-        this.ctx.shadowBlur = 0;
-        
-        // Indicador de velocidad (trail)
-        if (Math.abs(this.player.velocity.x) > 1 || Math.abs(this.player.velocity.y) > 1) {
-            this.ctx.fillStyle = `rgba(255, 215, 0, 0.3)`;
-            for (let i = 1; i <= 3; i++) {
-                const trailX = playerX - (this.player.velocity.x * i * 2);
-                const trailY = playerY - (this.player.velocity.y * i * 2);
-                const trailSize = playerSize * (1 - i * 0.2);
-                
-                this.ctx.fillRect(trailX - trailSize/2, trailY - trailSize/2, trailSize, trailSize);
-            }
-        }
-        
-        // Indicador de saltos restantes
-        this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.font = '12px Rajdhani';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(`${this.player.jumpsLeft}`, playerX, playerY - playerSize/2 - 10);
     }
     
     renderHUD() {
@@ -252,6 +263,41 @@ export class SimpleRenderer {
         this.ctx.font = '12px Rajdhani';
         this.ctx.fillText(`Vel: X:${this.player.velocity.x.toFixed(1)} Y:${this.player.velocity.y.toFixed(1)}`, 20, 185);
         
+        // Semilla de la partida (para compartir o reproducir)
+        if (this.gameData.seed) {
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.font = '14px Rajdhani';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`Semilla: ${this.gameData.seed}`, this.canvas.width - 20, 30);
+        }
+        
+        // Nivel creado a mano en juego
+        if (this.gameData.levelName) {
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.font = 'bold 16px Orbitron';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`Nivel: ${this.gameData.levelName}`, this.canvas.width - 20, 80);
+        }
+        
+        // Vidas restantes
+        if (this.gameData.lives > 0) {
+            this.ctx.fillStyle = '#EF4444';
+            this.ctx.font = 'bold 18px Orbitron';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`Vidas: ${'♥'.repeat(this.gameData.lives)}`, this.canvas.width - 20, 105);
+        }
+        
+        // Cuenta atrás de los power-ups activos
+        this.renderPowerUpTimers(this.canvas.width - 20, 135);
+        
+        // Aviso de repetición
+        if (this.gameData.isReplay) {
+            this.ctx.fillStyle = '#FF6B6B';
+            this.ctx.font = 'bold 18px Orbitron';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText('REPETICIÓN', this.canvas.width - 20, 55);
+        }
+        
         // Instrucciones
         this.ctx.fillStyle = '#CCCCCC';
         this.ctx.font = '14px Rajdhani';
@@ -259,6 +305,32 @@ export class SimpleRenderer {
         this.ctx.fillText('ESPACIO: Saltar | SHIFT: Dash | CTRL: Gravedad | ESC: Pausa', this.canvas.width - 20, this.canvas.height - 20);
     }
     
+    /**
+     * Dibuja una barra con la cuenta atrás de cada power-up activo
+     * @param {number} right - Borde derecho de las barras
+     * @param {number} top - Y de la primera barra
+     */
+    renderPowerUpTimers(right, top) {
+        const barWidth = 120;
+        
+        this.player.powerups.forEach((powerup, index) => {
+            const hud = POWERUP_HUD[powerup.type] || { label: powerup.type, color: '#FFFFFF' };
+            const y = top + index * 28;
+            const stacks = powerup.stacks > 1 ? ` x${powerup.stacks}` : '';
+            const ratio = powerup.duration > 0 ? powerup.remaining / powerup.duration : 0;
+            
+            this.ctx.fillStyle = hud.color;
+            this.ctx.font = '14px Rajdhani';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${hud.label}${stacks} ${(powerup.remaining / 1000).toFixed(1)}s`, right, y);
+            
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            this.ctx.fillRect(right - barWidth, y + 5, barWidth, 4);
+            this.ctx.fillStyle = hud.color;
+            this.ctx.fillRect(right - barWidth, y + 5, barWidth * ratio, 4);
+        });
+    }
+    
     renderPauseOverlay() {
         // Overlay semi-transparente
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -286,12 +358,26 @@ export class SimpleRenderer {
         this.ctx.textAlign = 'center';
         this.ctx.fillText('GAME OVER', this.canvas.width / 2, this.canvas.height / 2 - 50);
         
+        // Causa de la muerte
+        if (this.gameData.deathCause) {
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.font = '20px Rajdhani';
+            const label = DEATH_CAUSE_LABELS[this.gameData.deathCause] || this.gameData.deathCause;
+            this.ctx.fillText(`Causa: ${label}`, this.canvas.width / 2, this.canvas.height / 2 - 12);
+        }
+        
         // Estadísticas finales
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.font = '24px Rajdhani';
         this.ctx.fillText(`Distancia Final: ${Math.floor(this.gameData.distance)}m`, this.canvas.width / 2, this.canvas.height / 2 + 20);
         this.ctx.fillText(`Puntuación Final: ${this.gameData.score}`, this.canvas.width / 2, this.canvas.height / 2 + 50);
         
+        if (this.gameData.seed) {
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.font = '18px Rajdhani';
+            this.ctx.fillText(`Semilla: ${this.gameData.seed}`, this.canvas.width / 2, this.canvas.height / 2 + 75);
+        }
+        
         this.ctx.fillStyle = '#CCCCCC';
         this.ctx.font = '18px Rajdhani';
         this.ctx.fillText('Presiona R para reiniciar o ESC para volver al menú', this.canvas.width / 2, this.canvas.height / 2 + 100);
@@ -311,6 +397,13 @@ export class SimpleRenderer {
     
     reset() {
         console.log('🔄 Reseteando SimpleRenderer...');
+        
+        if (this.camera && this.canvas) {
+            this.camera.updateViewport({
+                width: this.canvas.width,
+                height: this.canvas.height
+            });
+        }
     }
     
     destroy() {
@@ -321,6 +414,8 @@ export class SimpleRenderer {
         this.eventBus.off('game:data-updated', this);
         this.eventBus.off('player:state-updated', this);
         
+        this.camera = null;
+        this.renderSources = [];
         this.canvas = null;
         this.ctx = null;
         this.isInitialized = false;
@@ -45,6 +45,22 @@ export function createRenderingSystem(config, eventBus) {
             }
         },
         
+        /**
+         * Establece la cámara usada para dibujar el mundo
+         * @param {CameraSystem} camera - Cámara del mundo
+         */
+        setCamera(camera) {
+            simpleRenderer.setCamera(camera);
+        },
+
+        /**
+         * Registra una fuente de objetos renderizables
+         * @param {Object} source - Sistema con getRenderObjects()
+         */
+        addRenderSource(source) {
+            simpleRenderer.addRenderSource(source);
+        },
+
         /**
          * Actualiza el sistema de renderizado
          * @param {number} deltaTime - Delta time
@@ -0,0 +1,461 @@
+/**
+ * Grabación y reproducción determinista de partidas para Spikepulse
+ * @module ReplayManager
+ */
+
+import { PHYSICS_CONFIG } from '../../config/PhysicsConfig.js';
+import { PERSISTENCE_CONFIG } from '../../config/PersistenceConfig.js';
+import { configLoader } from '../../config/ConfigLoader.js';
+import { SeededRandom } from '../../utils/SeededRandom.js';
+
+/**
+ * Versión del formato de repetición
+ */
+const REPLAY_VERSION = 1;
+
+/**
+ * Eventos de input grabados y su código compacto
+ */
+const INPUT_CODES = {
+    'input:jump': 'j',
+    'input:dash': 'd',
+    'input:gravity-toggle': 'g',
+    'input:move-left': 'l',
+    'input:move-right': 'r'
+};
+
+/**
+ * Código compacto -> evento de input
+ */
+const CODE_EVENTS = Object.fromEntries(
+    Object.entries(INPUT_CODES).map(([eventName, code]) => [code, eventName])
+);
+
+export class ReplayManager {
+    /**
+     * Crea una nueva instancia del gestor de repeticiones
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+
+        // Modo actual: idle, recording o playback
+        this.mode = 'idle';
+
+        // Tick de simulación de la partida en curso
+        this.tick = 0;
+
+        // Estado del juego según StateManager
+        this.gameState = 'menu';
+
+        // Grabación en curso
+        this.recording = null;
+
+        // Reproducción en curso
+        this.playback = {
+            replay: null,
+            cursor: 0,
+            pending: null
+        };
+
+        // Acciones mantenidas (código -> pulsado) para pausas
+        this.held = {};
+
+        // Última repetición terminada
+        this.lastReplay = null;
+
+        // Almacenamiento compartido con GameState (ver setStorage)
+        this.storage = null;
+        this.storageKey = PERSISTENCE_CONFIG.keys.replay;
+
+        console.log('🎬 ReplayManager creado');
+    }
+
+    /**
+     * Inicializa el gestor de repeticiones
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando ReplayManager...');
+
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ ReplayManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando ReplayManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establece el almacenamiento y carga la última repetición guardada en él
+     * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+     */
+    async setStorage(storage) {
+        this.storage = storage;
+        this.lastReplay = await this.loadLastReplay();
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        for (const eventName of Object.keys(INPUT_CODES)) {
+            this.eventBus.on(eventName, (data) => this.handleInput(eventName, data), this);
+        }
+
+        this.eventBus.on('game:seed-selected', this.handleSeedSelected.bind(this), this);
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
+        this.eventBus.on('game:over', this.handleRunEnded.bind(this), this);
+        this.eventBus.on('game:level-completed', this.handleRunEnded.bind(this), this);
+        this.eventBus.on('game:run-restored', this.handleRunRestored.bind(this), this);
+    }
+
+    // ===== CICLO DE LA PARTIDA =====
+
+    /**
+     * Prepara la grabación o la reproducción al elegir la semilla de la partida
+     * @param {Object} data - Semilla y modo
+     */
+    handleSeedSelected(data) {
+        this.tick = 0;
+        this.held = {};
+
+        if (this.playback.pending) {
+            this.mode = 'playback';
+            this.playback.replay = this.playback.pending;
+            this.playback.pending = null;
+            this.playback.cursor = 0;
+            this.recording = null;
+
+            console.log(`▶️ Reproduciendo repetición (semilla ${this.playback.replay.seed})`);
+            this.eventBus.emit('replay:playback-started', {
+                seed: this.playback.replay.seed,
+                ticks: this.playback.replay.ticks
+            });
+            return;
+        }
+
+        this.mode = 'recording';
+        this.playback.replay = null;
+        this.recording = {
+            v: REPLAY_VERSION,
+            seed: data.seed,
+            seedMode: data.mode,
+            level: data.level || null,
+            configHash: this.getConfigHash(),
+            tickRate: this.getTickRate(),
+            createdAt: Date.now(),
+            ticks: 0,
+            result: null,
+            events: []
+        };
+    }
+
+    /**
+     * Maneja cambios de estado del juego
+     * @param {Object} data - Datos del cambio de estado
+     */
+    handleStateChange(data) {
+        const wasPlaying = this.gameState === 'playing';
+        this.gameState = data.state;
+
+        if (wasPlaying && data.state === 'paused') {
+            // El jugador suelta todo al pausar: la grabación debe reflejarlo
+            if (this.mode === 'recording') {
+                for (const code of Object.keys(this.held)) {
+                    if (this.held[code]) {
+                        this.recordEvent(code, false);
+                    }
+                }
+                this.held = {};
+            }
+        } else if (data.previousState === 'paused' && data.state === 'playing') {
+            // Restaurar las acciones que la repetición mantenía pulsadas
+            if (this.mode === 'playback') {
+                for (const [code, pressed] of Object.entries(this.held)) {
+                    if (pressed) {
+                        this.eventBus.emit(CODE_EVENTS[code], { source: 'replay', pressed: true, restore: true });
+                    }
+                }
+            }
+        } else if (data.state === 'menu') {
+            this.stop();
+        }
+    }
+
+    /**
+     * Una partida cargada a medias no se puede reproducir desde el tick 0: no se graba
+     */
+    handleRunRestored() {
+        if (this.mode === 'recording') {
+            console.log('🎬 Partida cargada a medias: no se graba repetición');
+        }
+        this.stop();
+    }
+
+    /**
+     * Cierra la grabación o la reproducción al terminar la partida (game over o meta del nivel)
+     * @param {Object} data - Datos finales de la partida
+     */
+    handleRunEnded(data) {
+        if (this.mode === 'recording' && this.recording) {
+            this.recording.ticks = this.tick;
+            this.recording.result = {
+                distance: Math.floor(data?.distance || 0),
+                score: data?.score || 0,
+                time: data?.time ?? null
+            };
+
+            this.lastReplay = this.recording;
+            this.recording = null;
+            this.saveLastReplay(this.lastReplay);
+
+            console.log(`🎬 Repetición grabada: ${this.lastReplay.events.length} eventos en ${this.lastReplay.ticks} ticks`);
+            this.eventBus.emit('replay:recorded', {
+                replay: this.lastReplay
+            });
+        } else if (this.mode === 'playback') {
+            console.log('⏹️ Repetición terminada');
+            this.eventBus.emit('replay:playback-ended', {
+                seed: this.playback.replay?.seed,
+                ticks: this.tick
+            });
+        }
+
+        this.mode = 'idle';
+    }
+
+    /**
+     * Detiene la grabación o la reproducción sin guardar nada
+     */
+    stop() {
+        this.mode = 'idle';
+        this.recording = null;
+        this.playback.replay = null;
+        this.playback.pending = null;
+        this.playback.cursor = 0;
+        this.held = {};
+    }
+
+    // ===== GRABACIÓN =====
+
+    /**
+     * Graba un evento de input en el tick actual
+     * @param {string} eventName - Evento de input
+     * @param {Object} data - Datos del input
+     */
+    handleInput(eventName, data) {
+        if (this.mode !== 'recording' || this.gameState !== 'playing') return;
+        if (data?.source === 'replay') return;
+
+        this.recordEvent(INPUT_CODES[eventName], data?.pressed !== false, data?.age);
+    }
+
+    /**
+     * Añade un evento a la grabación
+     * @param {string} code - Código compacto de la acción
+     * @param {boolean} pressed - Si se pulsó o se soltó
+     * @param {number} age - Milisegundos entre la pulsación y el final del tick (jump buffer y coyote time)
+     */
+    recordEvent(code, pressed, age = 0) {
+        this.held[code] = pressed;
+
+        const event = [this.tick, code, pressed ? 1 : 0];
+        if (pressed && age > 0) {
+            event.push(age);
+        }
+        this.recording.events.push(event);
+    }
+
+    // ===== REPRODUCCIÓN =====
+
+    /**
+     * Programa una repetición para la próxima partida
+     * @param {Object} replay - Repetición validada
+     */
+    queuePlayback(replay) {
+        this.playback.pending = replay;
+    }
+
+    /**
+     * Actualización con timestep fijo: emite los inputs del tick antes de que el jugador simule
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
+     */
+    fixedUpdate(fixedDelta) {
+        if (!this.isInitialized) return;
+
+        if (this.mode === 'playback') {
+            const events = this.playback.replay.events;
+
+            while (this.playback.cursor < events.length && events[this.playback.cursor][0] <= this.tick) {
+                const [, code, pressed, age = 0] = events[this.playback.cursor++];
+                this.held[code] = pressed === 1;
+                this.eventBus.emit(CODE_EVENTS[code], { source: 'replay', pressed: pressed === 1, age });
+            }
+        }
+
+        this.tick++;
+    }
+
+    /**
+     * Indica si se está reproduciendo una repetición
+     * @returns {boolean} True si hay reproducción activa o pendiente
+     */
+    isPlaying() {
+        return this.mode === 'playback' || this.playback.pending !== null;
+    }
+
+    // ===== FORMATO Y PERSISTENCIA =====
+
+    /**
+     * Calcula el hash de la configuración que afecta a la simulación
+     * @returns {string} Hash en hexadecimal
+     */
+    getConfigHash() {
+        const relevant = {
+            physics: PHYSICS_CONFIG,
+            physicsOverrides: this.config.physics || {},
+            world: this.config.world || {},
+            player: this.config.player || {},
+            patterns: configLoader.getLoadedConfig('patterns'),
+            tickRate: this.getTickRate()
+        };
+
+        return SeededRandom.hashSeed(JSON.stringify(relevant)).toString(16);
+    }
+
+    /**
+     * Obtiene la frecuencia de simulación configurada
+     * @returns {number} Ticks por segundo
+     */
+    getTickRate() {
+        return this.config.engine?.tickRate || 60;
+    }
+
+    /**
+     * Serializa una repetición a JSON compacto
+     * @param {Object} replay - Repetición
+     * @returns {string} JSON
+     */
+    serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Lee y valida una repetición en JSON
+     * @param {string} json - JSON de la repetición
+     * @returns {Object} Repetición validada
+     * @throws {Error} Si el formato no es válido
+     */
+    deserialize(json) {
+        const replay = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!replay || replay.v !== REPLAY_VERSION) {
+            throw new Error(`Versión de repetición no soportada: ${replay?.v}`);
+        }
+        if (typeof replay.seed !== 'string' || replay.seed === '') {
+            throw new Error('La repetición no tiene semilla');
+        }
+        if (replay.level != null && typeof replay.level !== 'string') {
+            throw new Error('El nivel de la repetición no es válido');
+        }
+        if (!Array.isArray(replay.events)) {
+            throw new Error('La repetición no tiene eventos');
+        }
+
+        let lastTick = 0;
+        for (const event of replay.events) {
+            const valid = Array.isArray(event) &&
+                Number.isInteger(event[0]) && event[0] >= lastTick &&
+                CODE_EVENTS[event[1]] !== undefined &&
+                (event[2] === 0 || event[2] === 1) &&
+                (event[3] === undefined || (Number.isInteger(event[3]) && event[3] >= 0));
+
+            if (!valid) {
+                throw new Error(`Evento de repetición inválido: ${JSON.stringify(event)}`);
+            }
+            lastTick = event[0];
+        }
+
+        return replay;
+    }
+
+    /**
+     * Guarda la última repetición
+     * @param {Object} replay - Repetición
+     */
+    async saveLastReplay(replay) {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setItem(this.storageKey, this.serialize(replay));
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar la repetición:', error);
+        }
+    }
+
+    /**
+     * Carga la última repetición guardada
+     * @returns {Object|null} Repetición o null
+     */
+    async loadLastReplay() {
+        try {
+            const json = await this.storage.getItem(this.storageKey);
+            return json ? this.deserialize(json) : null;
+        } catch (error) {
+            console.warn('⚠️ Repetición guardada inválida, se descarta:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la última repetición terminada
+     * @returns {Object|null} Repetición o null
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+
+    /**
+     * Resetea el gestor de repeticiones
+     */
+    reset() {
+        this.tick = 0;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            mode: this.mode,
+            tick: this.tick,
+            recordedEvents: this.recording?.events.length || 0,
+            playbackCursor: this.playback.cursor,
+            playbackEvents: this.playback.replay?.events.length || 0,
+            hasLastReplay: this.lastReplay !== null
+        };
+    }
+
+    /**
+     * Limpia recursos del gestor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo ReplayManager...');
+
+        this.eventBus.off('*', this);
+        this.stop();
+        this.storage = null;
+        this.isInitialized = false;
+
+        console.log('✅ ReplayManager destruido');
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Módulo de repeticiones de Spikepulse
+ * @module Replay
+ */
+
+import { ReplayManager } from './ReplayManager.js';
+
+/**
+ * Crea una instancia del sistema de repeticiones
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de repeticiones
+ */
+export function createReplaySystem(config, eventBus) {
+    console.log('🎬 Creando sistema de repeticiones...');
+    
+    const replayManager = new ReplayManager(config, eventBus);
+    
+    const replaySystem = {
+        replayManager,
+        
+        /**
+         * Inicializa el sistema de repeticiones
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de repeticiones...');
+            
+            try {
+                await replayManager.init();
+                console.log('✅ Sistema de repeticiones inicializado');
+                
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de repeticiones:', error);
+                throw error;
+            }
+        },
+        
+        /**
+         * Establece el almacenamiento de la última repetición y la carga
+         * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+         */
+        async setStorage(storage) {
+            await replayManager.setStorage(storage);
+        },
+        
+        /**
+         * Actualización con timestep fijo (debe ejecutarse antes que el jugador)
+         * @param {number} fixedDelta - Delta time fijo en milisegundos
+         */
+        fixedUpdate(fixedDelta) {
+            replayManager.fixedUpdate(fixedDelta);
+        },
+        
+        /**
+         * Programa una repetición para la próxima partida
+         * @param {Object} replay - Repetición validada
+         */
+        queuePlayback(replay) {
+            replayManager.queuePlayback(replay);
+        },
+        
+        /**
+         * Indica si se está reproduciendo una repetición
+         * @returns {boolean} True si hay reproducción activa o pendiente
+         */
+        isPlaying() {
+            return replayManager.isPlaying();
+        },
+        
+        /**
+         * Obtiene la última repetición terminada
+         * @returns {Object|null} Repetición o null
+         */
+        getLastReplay() {
+            return replayManager.getLastReplay();
+        },
+        
+        /**
+         * Obtiene el hash de la configuración actual
+         * @returns {string} Hash en hexadecimal
+         */
+        getConfigHash() {
+            return replayManager.getConfigHash();
+        },
+        
+        /**
+         * Serializa una repetición a JSON compacto
+         * @param {Object} replay - Repetición
+         * @returns {string} JSON
+         */
+        serialize(replay) {
+            return replayManager.serialize(replay);
+        },
+        
+        /**
+         * Lee y valida una repetición en JSON
+         * @param {string} json - JSON de la repetición
+         * @returns {Object} Repetición validada
+         */
+        deserialize(json) {
+            return replayManager.deserialize(json);
+        },
+        
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return replayManager.getDebugInfo();
+        },
+        
+        /**
+         * Resetea el sistema de repeticiones
+         */
+        reset() {
+            replayManager.reset();
+        },
+        
+        /**
+         * Destruye el sistema de repeticiones
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de repeticiones...');
+            replayManager.destroy();
+        }
+    };
+    
+    console.log('✅ Sistema de repeticiones creado');
+    return replaySystem;
+}
@@ -0,0 +1,461 @@
+/**
+ * Partidas guardadas en ranuras de Spikepulse
+ * @module SaveSlotManager
+ *
+ * Hay ranuras numeradas (1..N) y ranuras con nombre. Cada partida guarda el
+ * estado de GameState en su formato habitual (checksum, migraciones y
+ * compresión) y, si se guarda a mitad de partida, el mundo, los obstáculos y el
+ * jugador para continuar exactamente desde ese punto.
+ */
+
+import { PERSISTENCE_CONFIG } from '../../config/PersistenceConfig.js';
+
+/**
+ * Versión del formato de las partidas y del índice
+ */
+const SAVES_VERSION = 1;
+
+export class SaveSlotManager {
+    /**
+     * Crea una nueva instancia del gestor de partidas
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+
+        this.numberedSlots = config.saves?.numberedSlots ?? 5;
+        this.maxNamedSlots = config.saves?.maxNamedSlots ?? 20;
+        this.maxNameLength = config.saves?.maxNameLength ?? 24;
+        this.thumbnailConfig = {
+            width: 160,
+            height: 90,
+            quality: 0.7,
+            ...config.saves?.thumbnail
+        };
+
+        // Índice de ranuras: id -> metadatos (sin el estado, para listar rápido)
+        this.slots = new Map();
+        this.indexLoaded = null;
+
+        // Las partidas van al almacenamiento de GameState (mismo backend y misma cascada)
+        this.gameState = null;
+        this.engine = null;
+        this.canvas = null;
+
+        this.indexKey = PERSISTENCE_CONFIG.keys.saveSlots;
+        this.slotKeyPrefix = PERSISTENCE_CONFIG.keys.saveSlotPrefix;
+
+        console.log('💾 SaveSlotManager creado');
+    }
+
+    /**
+     * Inicializa el gestor de partidas
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando SaveSlotManager...');
+
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ SaveSlotManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando SaveSlotManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establece el GameState cuyo estado y almacenamiento se usan
+     * @param {GameState} gameState - Estado centralizado
+     */
+    setGameState(gameState) {
+        this.gameState = gameState;
+        this.indexLoaded = null;
+    }
+
+    /**
+     * Establece el motor (partida en curso) y el canvas (miniaturas)
+     * @param {GameEngine} engine - Motor del juego
+     * @param {HTMLCanvasElement} canvas - Canvas del juego
+     */
+    setGameReferences(engine, canvas) {
+        this.engine = engine;
+        this.canvas = canvas;
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        // Comandos save/load de la consola
+        this.eventBus.on('game:save', (data) => this.handleCommand('save', data), this);
+        this.eventBus.on('game:load', (data) => this.handleCommand('load', data), this);
+    }
+
+    /**
+     * Ejecuta un comando recibido por evento y avisa del error si falla
+     * @param {string} action - save o load
+     * @param {Object} data - Datos del evento {name}
+     */
+    async handleCommand(action, data) {
+        try {
+            if (action === 'save') {
+                await this.save(data?.name);
+            } else {
+                await this.load(data?.name);
+            }
+        } catch (error) {
+            console.error(`❌ Error en ${action} de partida:`, error);
+            this.eventBus.emit('saves:error', {
+                action,
+                name: data?.name ?? null,
+                error: error.message
+            });
+        }
+    }
+
+    // ===== ÍNDICE =====
+
+    /**
+     * Carga el índice de ranuras (una sola vez por almacenamiento)
+     */
+    async ensureIndex() {
+        if (!this.gameState) {
+            throw new Error('El estado del juego no está disponible');
+        }
+
+        this.indexLoaded = this.indexLoaded || this.loadIndex();
+        await this.indexLoaded;
+    }
+
+    /**
+     * Lee el índice de ranuras del almacenamiento
+     */
+    async loadIndex() {
+        this.slots.clear();
+
+        try {
+            const json = await this.gameState.storage.getItem(this.indexKey);
+            if (!json) return;
+
+            const data = JSON.parse(json);
+            if (data?.v !== SAVES_VERSION || !Array.isArray(data.slots)) {
+                throw new Error('formato desconocido');
+            }
+
+            for (const slot of data.slots) {
+                if (slot && typeof slot.id === 'string' && typeof slot.name === 'string') {
+                    this.slots.set(slot.id, slot);
+                }
+            }
+
+        } catch (error) {
+            console.warn('⚠️ Índice de partidas guardadas inválido, se descarta:', error);
+            this.slots.clear();
+        }
+    }
+
+    /**
+     * Escribe el índice de ranuras
+     */
+    async saveIndex() {
+        await this.gameState.storage.setItem(this.indexKey, JSON.stringify({
+            v: SAVES_VERSION,
+            slots: [...this.slots.values()]
+        }));
+    }
+
+    /**
+     * Clave de almacenamiento de una ranura
+     * @param {string} id - Id de la ranura
+     * @returns {string} Clave
+     */
+    getSlotKey(id) {
+        return `${this.slotKeyPrefix}-${id}`;
+    }
+
+    // ===== RANURAS =====
+
+    /**
+     * Interpreta una ranura escrita por el jugador: un número es una ranura numerada
+     * @param {string|number} target - Número o nombre de la ranura
+     * @returns {Object} {number} o {name}
+     * @throws {Error} Si el nombre está vacío o el número no existe
+     */
+    parseTarget(target) {
+        const text = String(target ?? '').trim();
+
+        if (/^\d+$/.test(text)) {
+            const number = parseInt(text, 10);
+            if (number < 1 || number > this.numberedSlots) {
+                throw new Error(`La ranura ${number} no existe (1-${this.numberedSlots})`);
+            }
+            return { number };
+        }
+
+        const name = text.slice(0, this.maxNameLength);
+        if (!name) {
+            throw new Error('Falta el nombre o el número de la ranura');
+        }
+
+        return { name };
+    }
+
+    /**
+     * Busca una ranura guardada
+     * @param {string|number} target - Número o nombre de la ranura
+     * @returns {Object|null} Metadatos de la ranura o null
+     */
+    findSlot(target) {
+        const { number, name } = this.parseTarget(target);
+
+        if (number) {
+            return this.slots.get(`slot-${number}`) || null;
+        }
+
+        const key = name.toLowerCase();
+        return [...this.slots.values()].find(slot => slot.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Busca una ranura guardada o falla
+     * @param {string|number} target - Número o nombre de la ranura
+     * @returns {Object} Metadatos de la ranura
+     * @throws {Error} Si no existe
+     */
+    getExistingSlot(target) {
+        const slot = this.findSlot(target);
+        if (!slot) {
+            throw new Error(`No hay ninguna partida guardada en "${target}"`);
+        }
+        return slot;
+    }
+
+    /**
+     * Lista las partidas guardadas: primero las numeradas y luego las de nombre, de la más reciente
+     * @returns {Array} Metadatos de las ranuras
+     */
+    async list() {
+        await this.ensureIndex();
+
+        return [...this.slots.values()]
+            .map(slot => ({ ...slot }))
+            .sort((a, b) => {
+                if (a.number && b.number) return a.number - b.number;
+                if (a.number || b.number) return a.number ? -1 : 1;
+                return b.savedAt - a.savedAt;
+            });
+    }
+
+    /**
+     * Número de ranuras numeradas
+     * @returns {number} Ranuras numeradas
+     */
+    getNumberedSlotCount() {
+        return this.numberedSlots;
+    }
+
+    /**
+     * Guarda la partida actual en una ranura (sobrescribe la que tenga el mismo número o nombre)
+     * @param {string|number} target - Número o nombre de la ranura
+     * @returns {Object} Metadatos de la partida guardada
+     */
+    async save(target) {
+        await this.ensureIndex();
+
+        const { number, name } = this.parseTarget(target);
+        const existing = this.findSlot(target);
+
+        if (!existing && !number && this.countNamedSlots() >= this.maxNamedSlots) {
+            throw new Error(`Se ha alcanzado el máximo de ${this.maxNamedSlots} partidas con nombre`);
+        }
+
+        // A mitad de partida se guarda también el mundo y el jugador
+        const run = this.engine?.captureRunSnapshot() ?? null;
+        const savedAt = Date.now();
+
+        const payload = JSON.stringify({
+            v: SAVES_VERSION,
+            savedAt,
+            state: this.gameState.exportSave(),
+            run
+        });
+
+        const slot = {
+            id: existing?.id ?? (number ? `slot-${number}` : this.createId()),
+            number: number ?? null,
+            name: existing?.name ?? name ?? `Ranura ${number}`,
+            savedAt,
+            midRun: run !== null,
+            distance: run ? this.gameState.get('stats.distanceMeters') ?? 0 : null,
+            score: run?.gameData.score ?? null,
+            seed: run?.seed.value ?? null,
+            seedMode: run?.seed.mode ?? null,
+            level: run?.level ?? null,
+            levelName: run?.gameData.levelName ?? null,
+            thumbnail: this.createThumbnail(),
+            size: payload.length
+        };
+
+        await this.gameState.storage.setItem(this.getSlotKey(slot.id), payload);
+        this.slots.set(slot.id, slot);
+        await this.saveIndex();
+
+        console.log(`💾 Partida guardada en "${slot.name}"${slot.midRun ? ' (a mitad de partida)' : ''}`);
+        this.eventBus.emit('saves:saved', { slot: { ...slot } });
+
+        return { ...slot };
+    }
+
+    /**
+     * Carga una partida guardada; si se guardó a mitad de partida continúa desde ese punto
+     * @param {string|number} target - Número o nombre de la ranura
+     * @returns {Object} Metadatos de la partida cargada
+     */
+    async load(target) {
+        await this.ensureIndex();
+
+        if (!this.engine) {
+            throw new Error('El motor del juego no está disponible');
+        }
+
+        const slot = this.getExistingSlot(target);
+        const json = await this.gameState.storage.getItem(this.getSlotKey(slot.id));
+        if (!json) {
+            throw new Error(`Los datos de la partida "${slot.name}" no están en el almacenamiento`);
+        }
+
+        const payload = JSON.parse(json);
+        if (payload?.v !== SAVES_VERSION || typeof payload.state !== 'string') {
+            throw new Error(`La partida "${slot.name}" tiene un formato desconocido`);
+        }
+
+        // Primero el estado guardado: si no se puede importar, la partida en curso sigue intacta
+        await this.gameState.importSave(payload.state);
+        await this.engine.restoreRunSnapshot(payload.run ?? null);
+
+        console.log(`📂 Partida "${slot.name}" cargada`);
+        this.eventBus.emit('saves:loaded', { slot: { ...slot } });
+
+        return { ...slot };
+    }
+
+    /**
+     * Borra una partida guardada
+     * @param {string|number} target - Número o nombre de la ranura
+     */
+    async delete(target) {
+        await this.ensureIndex();
+
+        const slot = this.getExistingSlot(target);
+
+        await this.gameState.storage.removeItem(this.getSlotKey(slot.id));
+        this.slots.delete(slot.id);
+        await this.saveIndex();
+
+        console.log(`🗑️ Partida "${slot.name}" borrada`);
+        this.eventBus.emit('saves:deleted', { slot: { ...slot } });
+    }
+
+    /**
+     * Cambia el nombre de una partida guardada (las numeradas conservan su número)
+     * @param {string|number} target - Número o nombre de la ranura
+     * @param {string} newName - Nombre nuevo
+     * @returns {Object} Metadatos de la partida renombrada
+     */
+    async rename(target, newName) {
+        await this.ensureIndex();
+
+        const slot = this.getExistingSlot(target);
+        const { name } = this.parseTarget(newName);
+
+        if (!name) {
+            throw new Error('Un número no puede ser el nombre de una partida');
+        }
+
+        const other = this.findSlot(name);
+        if (other && other.id !== slot.id) {
+            throw new Error(`Ya hay una partida llamada "${other.name}"`);
+        }
+
+        const oldName = slot.name;
+        slot.name = name;
+        await this.saveIndex();
+
+        console.log(`✏️ Partida "${oldName}" renombrada a "${name}"`);
+        this.eventBus.emit('saves:renamed', { slot: { ...slot }, oldName });
+
+        return { ...slot };
+    }
+
+    /**
+     * Cuenta las ranuras con nombre ocupadas
+     * @returns {number} Ranuras con nombre
+     */
+    countNamedSlots() {
+        return [...this.slots.values()].filter(slot => !slot.number).length;
+    }
+
+    /**
+     * Genera el id de una ranura con nombre
+     * @returns {string} Id único
+     */
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Crea la miniatura de la partida a partir del canvas del juego
+     * @returns {string|null} Imagen en data URL o null si no se puede capturar
+     */
+    createThumbnail() {
+        if (!this.canvas || typeof document === 'undefined') return null;
+
+        try {
+            const { width, height, quality } = this.thumbnailConfig;
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = width;
+            thumbnail.height = height;
+            thumbnail.getContext('2d').drawImage(this.canvas, 0, 0, width, height);
+
+            return thumbnail.toDataURL('image/jpeg', quality);
+
+        } catch (error) {
+            console.warn('⚠️ No se pudo crear la miniatura de la partida:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Las partidas guardadas no se tocan al reiniciar
+     */
+    reset() {
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            slots: this.slots.size,
+            numberedSlots: this.numberedSlots,
+            namedSlots: this.countNamedSlots(),
+            backend: this.gameState?.storage.getBackendName() ?? null
+        };
+    }
+
+    /**
+     * Limpia recursos
+     */
+    destroy() {
+        this.eventBus.off('*', this);
+        this.slots.clear();
+        console.log('🧹 SaveSlotManager destruido');
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * Pantalla de partidas guardadas: ranuras numeradas, partidas con nombre y sus acciones
+ * @module SavesScreen
+ */
+
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+const BUTTON_STYLE = `
+    padding: 0.6rem 1.2rem;
+    font-size: 1rem;
+    font-family: 'Orbitron', sans-serif;
+    background: transparent;
+    color: #CCCCCC;
+    border: 2px solid #666666;
+    border-radius: 8px;
+    cursor: pointer;
+`;
+
+export class SavesScreen {
+    /**
+     * Crea la pantalla de partidas guardadas
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {SaveSlotManager} saveSlotManager - Ranuras de guardado
+     */
+    constructor(config, eventBus, saveSlotManager) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.saveSlotManager = saveSlotManager;
+
+        // Estado del juego (al cargar en el menú la lista se actualiza; si empieza la partida, no)
+        this.gameStateName = 'menu';
+
+        // DOM (se crea la primera vez que se pide el elemento)
+        this.element = null;
+        this.list = null;
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    init() {
+        this.eventBus.on('game:state-changed', (data) => { this.gameStateName = data.state; }, this);
+    }
+
+    /**
+     * Obtiene el elemento de la pantalla, creándolo si hace falta
+     * @returns {HTMLElement} Pantalla de partidas guardadas
+     */
+    getElement() {
+        if (!this.element) {
+            this.element = this.createScreen();
+        }
+
+        return this.element;
+    }
+
+    /**
+     * Crea la pantalla de partidas guardadas
+     * @returns {HTMLElement} Pantalla de partidas guardadas
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'saves-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = SPANISH_TEXT.SAVES;
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 0.25rem;';
+
+        const list = document.createElement('div');
+        list.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            min-width: 720px;
+            max-height: 60vh;
+            overflow-y: auto;
+        `;
+
+        // Guardar con nombre
+        const saveForm = document.createElement('form');
+        saveForm.style.cssText = 'display: flex; gap: 0.5rem;';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = this.saveSlotManager.maxNameLength;
+        nameInput.placeholder = SPANISH_TEXT.SAVES_NAME;
+        nameInput.setAttribute('aria-label', SPANISH_TEXT.SAVES_NAME);
+        nameInput.style.cssText = `
+            padding: 0.6rem;
+            font-size: 1rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid #666666;
+            border-radius: 8px;
+        `;
+
+        const saveNamedButton = document.createElement('button');
+        saveNamedButton.type = 'submit';
+        saveNamedButton.textContent = SPANISH_TEXT.SAVES_SAVE_NAMED;
+        saveNamedButton.style.cssText = BUTTON_STYLE;
+
+        saveForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const name = nameInput.value.trim();
+            if (name) {
+                nameInput.value = '';
+                this.runAction('save', () => this.saveSlotManager.save(name));
+            }
+        });
+
+        saveForm.appendChild(nameInput);
+        saveForm.appendChild(saveNamedButton);
+
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = BUTTON_STYLE;
+        backButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:back-to-menu', { screen: 'saves' });
+        });
+
+        screen.appendChild(title);
+        screen.appendChild(list);
+        screen.appendChild(saveForm);
+        screen.appendChild(backButton);
+
+        this.list = list;
+
+        return screen;
+    }
+
+    /**
+     * Rellena la lista de partidas: las ranuras numeradas (también vacías) y las de nombre
+     */
+    async render() {
+        this.getElement();
+
+        let slots = [];
+        try {
+            slots = await this.saveSlotManager.list();
+        } catch (error) {
+            console.error('❌ Error listando partidas guardadas:', error);
+        }
+
+        const rows = [];
+        for (let number = 1; number <= this.saveSlotManager.getNumberedSlotCount(); number++) {
+            rows.push(slots.find(slot => slot.number === number) || { number, empty: true });
+        }
+        rows.push(...slots.filter(slot => !slot.number));
+
+        this.list.replaceChildren();
+
+        for (const slot of rows) {
+            this.list.appendChild(this.createSlotRow(slot));
+        }
+    }
+
+    /**
+     * Crea la fila de una ranura con su miniatura, detalles y acciones
+     * @param {Object} slot - Metadatos de la partida ({number, empty} si la ranura está libre)
+     * @returns {HTMLElement} Fila
+     */
+    createSlotRow(slot) {
+        const target = slot.number ?? slot.name;
+
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            padding: 0.5rem;
+            border: 1px solid #333333;
+            border-radius: 8px;
+            font-family: 'Rajdhani', sans-serif;
+        `;
+
+        // Miniatura de la partida
+        const thumbnail = document.createElement(slot.thumbnail ? 'img' : 'div');
+        if (slot.thumbnail) {
+            thumbnail.src = slot.thumbnail;
+            thumbnail.alt = slot.name;
+        }
+        thumbnail.style.cssText = 'width: 128px; height: 72px; background: #111111; border-radius: 4px; object-fit: cover;';
+
+        const info = document.createElement('div');
+        info.style.cssText = 'flex: 1; display: flex; flex-direction: column; gap: 0.2rem;';
+
+        const name = document.createElement('div');
+        name.textContent = slot.empty ? `${SPANISH_TEXT.SAVES_SLOT} ${slot.number}` : slot.name;
+        name.style.cssText = "font-family: 'Orbitron', sans-serif; color: #FFD700;";
+
+        const details = document.createElement('div');
+        details.style.cssText = 'color: #CCCCCC; font-size: 0.95rem;';
+        details.textContent = slot.empty ? SPANISH_TEXT.SAVES_EMPTY : this.getSlotDetails(slot);
+
+        info.appendChild(name);
+        info.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 0.5rem;';
+
+        const addAction = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = BUTTON_STYLE;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+
+        const saves = this.saveSlotManager;
+        addAction(SPANISH_TEXT.SAVES_SAVE, () => this.runAction('save', () => saves.save(target)));
+
+        if (!slot.empty) {
+            addAction(SPANISH_TEXT.SAVES_LOAD, () => this.runAction('load', () => saves.load(target)));
+            addAction(SPANISH_TEXT.SAVES_RENAME, () => this.showRename(slot, name));
+            addAction(SPANISH_TEXT.SAVES_DELETE, () => this.runAction('delete', () => saves.delete(target)));
+        }
+
+        row.appendChild(thumbnail);
+        row.appendChild(info);
+        row.appendChild(actions);
+
+        return row;
+    }
+
+    /**
+     * Resume una partida guardada para la lista
+     * @param {Object} slot - Metadatos de la partida
+     * @returns {string} Fecha, distancia y semilla
+     */
+    getSlotDetails(slot) {
+        const parts = [SpanishFormatter.formatDate(slot.savedAt)];
+
+        if (slot.midRun) {
+            parts.push(SpanishFormatter.formatDistance(slot.distance ?? 0));
+            parts.push(slot.levelName
+                ? `${SPANISH_TEXT.RECORDS_MODE_LEVEL}: ${slot.levelName}`
+                : `${SPANISH_TEXT.RECORDS_MODE_CUSTOM}: ${slot.seed}`);
+        } else {
+            parts.push(SPANISH_TEXT.SAVES_PROGRESS_ONLY);
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Sustituye el nombre de una partida por un campo para renombrarla
+     * @param {Object} slot - Metadatos de la partida
+     * @param {HTMLElement} nameElement - Elemento con el nombre
+     */
+    showRename(slot, nameElement) {
+        const form = document.createElement('form');
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = slot.name;
+        input.maxLength = this.saveSlotManager.maxNameLength;
+        input.setAttribute('aria-label', SPANISH_TEXT.SAVES_NAME);
+        input.style.cssText = `
+            padding: 0.3rem 0.5rem;
+            font-size: 1rem;
+            font-family: 'Rajdhani', sans-serif;
+            background: rgba(0, 0, 0, 0.6);
+            color: white;
+            border: 2px solid #FFD700;
+            border-radius: 8px;
+        `;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.runAction('rename', () => this.saveSlotManager.rename(slot.number ?? slot.name, input.value));
+        });
+
+        form.appendChild(input);
+        nameElement.replaceWith(form);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Ejecuta una acción sobre las partidas guardadas y actualiza la lista
+     * @param {string} action - save, load, delete o rename
+     * @param {Function} run - Acción asíncrona
+     */
+    async runAction(action, run) {
+        try {
+            await run();
+        } catch (error) {
+            console.error(`❌ Error en ${action} de partida:`, error);
+            this.eventBus.emit('saves:error', { action, error: error.message });
+        }
+
+        // Al cargar la pantalla se cierra (se sigue jugando o se vuelve al menú)
+        if (action !== 'load' || this.gameStateName === 'menu') {
+            await this.render();
+        }
+    }
+
+    /**
+     * Destruye la pantalla
+     */
+    destroy() {
+        this.eventBus.off('*', this);
+        this.element?.remove();
+        this.element = null;
+        this.list = null;
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Módulo de partidas guardadas de Spikepulse
+ * @module Saves
+ */
+
+import { SaveSlotManager } from './SaveSlotManager.js';
+import { SavesScreen } from './SavesScreen.js';
+
+/**
+ * Crea una instancia del sistema de partidas guardadas
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de partidas guardadas
+ */
+export function createSaveSystem(config, eventBus) {
+    console.log('💾 Creando sistema de partidas guardadas...');
+
+    const saveSlotManager = new SaveSlotManager(config, eventBus);
+    const savesScreen = new SavesScreen(config, eventBus, saveSlotManager);
+
+    const saveSystem = {
+        saveSlotManager,
+
+        /**
+         * Inicializa el sistema de partidas guardadas
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de partidas guardadas...');
+
+            try {
+                await saveSlotManager.init();
+                savesScreen.init();
+                console.log('✅ Sistema de partidas guardadas inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de partidas guardadas:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Establece el GameState cuyo estado y almacenamiento se usan
+         * @param {GameState} gameState - Estado centralizado
+         */
+        setGameState(gameState) {
+            saveSlotManager.setGameState(gameState);
+        },
+
+        /**
+         * Establece el motor (partida en curso) y el canvas (miniaturas)
+         * @param {GameEngine} engine - Motor del juego
+         * @param {HTMLCanvasElement} canvas - Canvas del juego
+         */
+        setGameReferences(engine, canvas) {
+            saveSlotManager.setGameReferences(engine, canvas);
+        },
+
+        /**
+         * Lista las partidas guardadas
+         * @returns {Promise<Array>} Metadatos de las ranuras
+         */
+        list() {
+            return saveSlotManager.list();
+        },
+
+        /**
+         * Número de ranuras numeradas
+         * @returns {number} Ranuras numeradas
+         */
+        getNumberedSlotCount() {
+            return saveSlotManager.getNumberedSlotCount();
+        },
+
+        /**
+         * Guarda la partida actual en una ranura
+         * @param {string|number} target - Número o nombre de la ranura
+         * @returns {Promise<Object>} Metadatos de la partida guardada
+         */
+        save(target) {
+            return saveSlotManager.save(target);
+        },
+
+        /**
+         * Carga una partida guardada
+         * @param {string|number} target - Número o nombre de la ranura
+         * @returns {Promise<Object>} Metadatos de la partida cargada
+         */
+        load(target) {
+            return saveSlotManager.load(target);
+        },
+
+        /**
+         * Borra una partida guardada
+         * @param {string|number} target - Número o nombre de la ranura
+         * @returns {Promise<void>}
+         */
+        delete(target) {
+            return saveSlotManager.delete(target);
+        },
+
+        /**
+         * Cambia el nombre de una partida guardada
+         * @param {string|number} target - Número o nombre de la ranura
+         * @param {string} newName - Nombre nuevo
+         * @returns {Promise<Object>} Metadatos de la partida renombrada
+         */
+        rename(target, newName) {
+            return saveSlotManager.rename(target, newName);
+        },
+
+        /**
+         * Obtiene la pantalla de partidas guardadas para registrarla en el ScreenManager
+         * @returns {HTMLElement} Elemento de la pantalla
+         */
+        getElement() {
+            return savesScreen.getElement();
+        },
+
+        /**
+         * Rellena la pantalla de partidas guardadas con las ranuras actuales
+         * @returns {Promise<void>}
+         */
+        refreshScreen() {
+            return savesScreen.render();
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return saveSlotManager.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema de partidas guardadas
+         */
+        reset() {
+            saveSlotManager.reset();
+        },
+
+        /**
+         * Destruye el sistema de partidas guardadas
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de partidas guardadas...');
+            saveSlotManager.destroy();
+            savesScreen.destroy();
+        }
+    };
+
+    console.log('✅ Sistema de partidas guardadas creado');
+    return saveSystem;
+}
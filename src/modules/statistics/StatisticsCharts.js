@@ -0,0 +1,181 @@
+/**
+ * Gráficas en canvas del panel de estadísticas
+ * @module StatisticsCharts
+ */
+
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+
+/**
+ * Colores de las gráficas (paleta noir del juego)
+ */
+const CHART_COLORS = {
+    background: 'rgba(255, 255, 255, 0.03)',
+    axis: '#444444',
+    text: '#CCCCCC',
+    bar: '#FFD700',
+    completed: '#4CAF50',
+    average: '#FF6B6B',
+    causes: ['#FFD700', '#FF6B6B', '#4ECDC4', '#FFA500', '#9B59B6', '#CCCCCC']
+};
+
+const FONT = "14px 'Rajdhani', sans-serif";
+
+export class StatisticsCharts {
+    /**
+     * Dibuja la distancia de cada partida del historial como barras, con la media
+     * @param {HTMLCanvasElement} canvas - Canvas de destino
+     * @param {Array} history - Partidas, la más antigua primero
+     */
+    static drawDistanceChart(canvas, history) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = { top: 20, right: 15, bottom: 25, left: 55 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        this.clear(ctx, width, height);
+
+        if (history.length === 0) {
+            this.drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const maxDistance = Math.max(1, ...history.map(entry => entry.distance));
+        const average = history.reduce((sum, entry) => sum + entry.distance, 0) / history.length;
+        const toY = (value) => padding.top + chartHeight - (value / maxDistance) * chartHeight;
+
+        // Ejes y escala
+        ctx.strokeStyle = CHART_COLORS.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, padding.top + chartHeight);
+        ctx.lineTo(padding.left + chartWidth, padding.top + chartHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.font = FONT;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(SpanishFormatter.formatDistance(maxDistance), padding.left - 6, toY(maxDistance));
+        ctx.fillText('0m', padding.left - 6, toY(0));
+
+        // Una barra por partida (verde si se completó el nivel)
+        const slot = chartWidth / history.length;
+        const barWidth = Math.max(2, slot * 0.7);
+
+        history.forEach((entry, index) => {
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            const y = toY(entry.distance);
+
+            ctx.fillStyle = entry.completed ? CHART_COLORS.completed : CHART_COLORS.bar;
+            ctx.fillRect(x, y, barWidth, padding.top + chartHeight - y);
+        });
+
+        // Línea de la media
+        const averageY = toY(average);
+        ctx.strokeStyle = CHART_COLORS.average;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, averageY);
+        ctx.lineTo(padding.left + chartWidth, averageY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = CHART_COLORS.average;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`Media ${SpanishFormatter.formatDistance(average)}`, padding.left + 4, averageY - 2);
+
+        // Eje X: partidas
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Últimas ${history.length} partidas`, padding.left + chartWidth / 2, padding.top + chartHeight + 6);
+    }
+
+    /**
+     * Dibuja las muertes por causa como barras horizontales
+     * @param {HTMLCanvasElement} canvas - Canvas de destino
+     * @param {Object} causes - Muertes por causa {causa: cantidad}
+     * @param {Function} getLabel - Traduce una causa a su texto
+     */
+    static drawDeathCauseChart(canvas, causes, getLabel) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        this.clear(ctx, width, height);
+
+        const entries = Object.entries(causes)
+            .filter(([, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1]);
+
+        if (entries.length === 0) {
+            this.drawEmpty(ctx, width, height);
+            return;
+        }
+
+        // Las causas que no caben se agrupan en "Otras"
+        const maxRows = CHART_COLORS.causes.length;
+        if (entries.length > maxRows) {
+            const others = entries.splice(maxRows - 1).reduce((sum, [, count]) => sum + count, 0);
+            entries.push([null, others]);
+        }
+
+        const total = entries.reduce((sum, [, count]) => sum + count, 0);
+        const labelWidth = 130;
+        const valueWidth = 70;
+        const rowHeight = Math.min(32, (height - 20) / entries.length);
+        const barMaxWidth = width - labelWidth - valueWidth - 20;
+        const maxCount = entries[0][1];
+
+        ctx.font = FONT;
+        ctx.textBaseline = 'middle';
+
+        entries.forEach(([cause, count], index) => {
+            const y = 10 + index * rowHeight;
+            const barWidth = Math.max(2, (count / maxCount) * barMaxWidth);
+
+            ctx.fillStyle = CHART_COLORS.text;
+            ctx.textAlign = 'right';
+            ctx.fillText(cause === null ? 'Otras' : getLabel(cause), labelWidth - 8, y + rowHeight / 2);
+
+            ctx.fillStyle = CHART_COLORS.causes[index % CHART_COLORS.causes.length];
+            ctx.fillRect(labelWidth, y + rowHeight * 0.2, barWidth, rowHeight * 0.6);
+
+            ctx.fillStyle = CHART_COLORS.text;
+            ctx.textAlign = 'left';
+            ctx.fillText(
+                `${count} (${Math.round((count / total) * 100)}%)`,
+                labelWidth + barWidth + 8,
+                y + rowHeight / 2
+            );
+        });
+    }
+
+    /**
+     * Limpia el canvas con el fondo de las gráficas
+     * @param {CanvasRenderingContext2D} ctx - Contexto
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     */
+    static clear(ctx, width, height) {
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = CHART_COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Dibuja el aviso de que aún no hay datos
+     * @param {CanvasRenderingContext2D} ctx - Contexto
+     * @param {number} width - Ancho
+     * @param {number} height - Alto
+     */
+    static drawEmpty(ctx, width, height) {
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.font = FONT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Aún no hay partidas registradas', width / 2, height / 2);
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * Estadísticas acumuladas e historial de partidas de Spikepulse
+ * @module StatisticsManager
+ */
+
+import { PERSISTENCE_CONFIG } from '../../config/PersistenceConfig.js';
+
+/**
+ * Versión del formato guardado
+ */
+const STATISTICS_VERSION = 1;
+
+/**
+ * Eventos que cuentan como uso de habilidades
+ */
+const ABILITY_EVENTS = {
+    jumps: 'player:jumped',
+    dashes: 'player:dashed',
+    gravityFlips: 'player:gravity-toggled',
+    powerups: 'player:powerup-started'
+};
+
+/**
+ * Milisegundos de un día
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class StatisticsManager {
+    /**
+     * Crea una nueva instancia del gestor de estadísticas
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.isInitialized = false;
+
+        // Partidas que se guardan en el historial
+        this.historySize = config.statistics?.historySize ?? 50;
+
+        // Historial de las últimas partidas (la más reciente al final)
+        this.history = [];
+
+        // Totales de toda la vida del jugador
+        this.lifetime = this.createLifetime();
+
+        // Días seguidos jugando
+        this.streaks = {
+            currentDays: 0,
+            bestDays: 0,
+            lastDay: null
+        };
+
+        // Partida en curso (null si no cuenta: repetición o prueba del editor)
+        this.currentRun = null;
+        this.pendingSeed = null;
+
+        // GameState del que se leen distancia y puntuación
+        this.gameState = null;
+
+        // Almacenamiento compartido con GameState (ver setStorage)
+        this.storage = null;
+        this.storageKey = PERSISTENCE_CONFIG.keys.statistics;
+
+        console.log('📊 StatisticsManager creado');
+    }
+
+    /**
+     * Crea los totales vacíos
+     * @returns {Object} Totales
+     */
+    createLifetime() {
+        return {
+            runs: 0,
+            levelsCompleted: 0,
+            distance: 0,
+            playTime: 0,
+            bestDistance: 0,
+            bestScore: 0,
+            abilities: Object.fromEntries(Object.keys(ABILITY_EVENTS).map(name => [name, 0])),
+            deathCauses: {}
+        };
+    }
+
+    /**
+     * Inicializa el gestor de estadísticas
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando StatisticsManager...');
+
+            this.setupEventListeners();
+
+            this.isInitialized = true;
+            console.log('✅ StatisticsManager inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando StatisticsManager:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establece el GameState del que se leen las estadísticas
+     * @param {GameState} gameState - Estado centralizado
+     */
+    setGameState(gameState) {
+        this.gameState = gameState;
+    }
+
+    /**
+     * Establece el almacenamiento y carga el historial guardado en él
+     * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+     */
+    async setStorage(storage) {
+        this.storage = storage;
+        await this.load();
+
+        console.log(`📊 Estadísticas cargadas (${this.history.length} partidas en el historial)`);
+    }
+
+    /**
+     * Configura los event listeners
+     */
+    setupEventListeners() {
+        // La semilla se elige antes de game:started
+        this.eventBus.on('game:seed-selected', (data) => { this.pendingSeed = data; }, this);
+        this.eventBus.on('game:started', this.handleRunStarted.bind(this), this);
+        this.eventBus.on('game:over', (data) => this.finishRun(data, false), this);
+        this.eventBus.on('game:level-completed', (data) => this.finishRun(data, true), this);
+
+        for (const [name, event] of Object.entries(ABILITY_EVENTS)) {
+            this.eventBus.on(event, () => {
+                if (this.currentRun) {
+                    this.currentRun.abilities[name]++;
+                }
+            }, this);
+        }
+    }
+
+    // ===== CICLO DE LA PARTIDA =====
+
+    /**
+     * Empieza a registrar una partida nueva
+     * @param {Object} data - Datos del inicio de la partida
+     */
+    handleRunStarted(data) {
+        if (data?.isReplay || data?.isPlaytest) {
+            this.currentRun = null;
+            return;
+        }
+
+        this.currentRun = {
+            seed: this.pendingSeed?.seed ?? null,
+            mode: this.pendingSeed?.level ? 'level' : (this.pendingSeed?.mode ?? null),
+            level: this.pendingSeed?.level ?? null,
+            abilities: Object.fromEntries(Object.keys(ABILITY_EVENTS).map(name => [name, 0]))
+        };
+    }
+
+    /**
+     * Cierra la partida en curso y la añade al historial
+     * @param {Object} data - Datos finales de la partida
+     * @param {boolean} completed - True si se completó el nivel
+     */
+    finishRun(data, completed) {
+        const run = this.currentRun;
+        if (!run) return;
+
+        // Un único registro por partida
+        this.currentRun = null;
+
+        // game:over da el tiempo de la partida en segundos y game:level-completed en milisegundos
+        const time = data?.time ?? 0;
+
+        const entry = {
+            date: Date.now(),
+            seed: run.seed,
+            mode: run.mode,
+            level: run.level,
+            distance: this.gameState?.get('stats.distanceMeters') ?? 0,
+            score: this.gameState?.get('stats.score') ?? 0,
+            duration: Math.round(completed ? time : time * 1000),
+            abilities: run.abilities,
+            cause: completed ? null : (data?.deathCause || null),
+            completed
+        };
+
+        this.history.push(entry);
+        if (this.history.length > this.historySize) {
+            this.history.splice(0, this.history.length - this.historySize);
+        }
+
+        this.addToLifetime(entry);
+        this.updateDayStreak(entry.date);
+        this.save();
+
+        this.eventBus.emit('statistics:run-recorded', { ...entry });
+    }
+
+    /**
+     * Suma una partida a los totales
+     * @param {Object} entry - Partida terminada
+     */
+    addToLifetime(entry) {
+        const lifetime = this.lifetime;
+
+        lifetime.runs++;
+        lifetime.distance += entry.distance;
+        lifetime.playTime += entry.duration;
+        lifetime.bestDistance = Math.max(lifetime.bestDistance, entry.distance);
+        lifetime.bestScore = Math.max(lifetime.bestScore, entry.score);
+
+        for (const [name, count] of Object.entries(entry.abilities)) {
+            lifetime.abilities[name] = (lifetime.abilities[name] || 0) + count;
+        }
+
+        if (entry.completed) {
+            lifetime.levelsCompleted++;
+        } else {
+            const cause = entry.cause || 'unknown';
+            lifetime.deathCauses[cause] = (lifetime.deathCauses[cause] || 0) + 1;
+        }
+    }
+
+    /**
+     * Actualiza la racha de días seguidos jugando
+     * @param {number} timestamp - Momento de la partida
+     */
+    updateDayStreak(timestamp) {
+        const day = this.getDayNumber(timestamp);
+        const streaks = this.streaks;
+
+        if (streaks.lastDay === day) return;
+
+        streaks.currentDays = streaks.lastDay === day - 1 ? streaks.currentDays + 1 : 1;
+        streaks.bestDays = Math.max(streaks.bestDays, streaks.currentDays);
+        streaks.lastDay = day;
+    }
+
+    /**
+     * Número de día local de una fecha (para comparar días seguidos)
+     * @param {number} timestamp - Marca de tiempo
+     * @returns {number} Días desde la época en hora local
+     */
+    getDayNumber(timestamp) {
+        const date = new Date(timestamp);
+        return Math.floor((timestamp - date.getTimezoneOffset() * 60000) / DAY_MS);
+    }
+
+    // ===== CONSULTA =====
+
+    /**
+     * Obtiene el historial de partidas
+     * @returns {Array} Partidas, la más reciente al final
+     */
+    getHistory() {
+        return this.history.map(entry => ({ ...entry, abilities: { ...entry.abilities } }));
+    }
+
+    /**
+     * Obtiene el resumen para el panel de estadísticas
+     * @returns {Object} Totales, medias del historial, rachas y muertes por causa
+     */
+    getSummary() {
+        const history = this.history;
+        const count = history.length;
+        const average = (field) => (count > 0 ? history.reduce((sum, entry) => sum + entry[field], 0) / count : 0);
+
+        // Partidas seguidas superando la media del historial, contando desde la última
+        const averageDistance = average('distance');
+        let aboveAverage = 0;
+        for (let i = count - 1; i >= 0 && history[i].distance > averageDistance; i--) {
+            aboveAverage++;
+        }
+
+        // La racha de días se rompe si hoy ni ayer se ha jugado
+        const today = this.getDayNumber(Date.now());
+        const currentDays = this.streaks.lastDay !== null && today - this.streaks.lastDay <= 1
+            ? this.streaks.currentDays
+            : 0;
+
+        return {
+            lifetime: {
+                ...this.lifetime,
+                abilities: { ...this.lifetime.abilities },
+                deathCauses: { ...this.lifetime.deathCauses }
+            },
+            averages: {
+                runs: count,
+                distance: averageDistance,
+                score: average('score'),
+                duration: average('duration')
+            },
+            streaks: {
+                currentDays,
+                bestDays: this.streaks.bestDays,
+                aboveAverage
+            }
+        };
+    }
+
+    // ===== PERSISTENCIA =====
+
+    /**
+     * Guarda historial, totales y rachas
+     */
+    async save() {
+        if (!this.storage) return;
+
+        try {
+            await this.storage.setItem(this.storageKey, JSON.stringify({
+                v: STATISTICS_VERSION,
+                history: this.history,
+                lifetime: this.lifetime,
+                streaks: this.streaks
+            }));
+        } catch (error) {
+            console.warn('⚠️ No se pudieron guardar las estadísticas:', error);
+        }
+    }
+
+    /**
+     * Carga historial, totales y rachas
+     */
+    async load() {
+        try {
+            const json = await this.storage.getItem(this.storageKey);
+            if (!json) return;
+
+            const data = JSON.parse(json);
+            if (data?.v !== STATISTICS_VERSION) {
+                throw new Error(`Versión de estadísticas no soportada: ${data?.v}`);
+            }
+            if (!Array.isArray(data.history)) {
+                throw new Error('Las estadísticas no tienen historial');
+            }
+
+            const empty = this.createLifetime();
+            this.history = data.history.slice(-this.historySize);
+            this.lifetime = {
+                ...empty,
+                ...data.lifetime,
+                abilities: { ...empty.abilities, ...data.lifetime?.abilities },
+                deathCauses: { ...data.lifetime?.deathCauses }
+            };
+            this.streaks = { ...this.streaks, ...data.streaks };
+        } catch (error) {
+            console.warn('⚠️ Estadísticas guardadas inválidas, se descartan:', error);
+            this.history = [];
+            this.lifetime = this.createLifetime();
+        }
+    }
+
+    /**
+     * Resetea el gestor de estadísticas (el historial se conserva)
+     */
+    reset() {
+        this.currentRun = null;
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            history: this.history.length,
+            runs: this.lifetime.runs,
+            recording: this.currentRun !== null
+        };
+    }
+
+    /**
+     * Limpia recursos del gestor
+     */
+    destroy() {
+        console.log('🧹 Destruyendo StatisticsManager...');
+
+        this.eventBus.off('*', this);
+        this.gameState = null;
+        this.storage = null;
+        this.isInitialized = false;
+
+        console.log('✅ StatisticsManager destruido');
+    }
+}
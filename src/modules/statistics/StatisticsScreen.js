@@ -0,0 +1,194 @@
+/**
+ * Pantalla de estadísticas: totales, medias, rachas y gráficas del historial
+ * @module StatisticsScreen
+ */
+
+import { StatisticsCharts } from './StatisticsCharts.js';
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+import { SPANISH_TEXT } from '../../config/SpanishText.js';
+
+export class StatisticsScreen {
+    /**
+     * Crea la pantalla de estadísticas
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {StatisticsManager} statisticsManager - Estadísticas e historial
+     */
+    constructor(config, eventBus, statisticsManager) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.statisticsManager = statisticsManager;
+
+        // DOM (se crea la primera vez que se pide el elemento)
+        this.element = null;
+        this.summary = null;
+        this.distanceCanvas = null;
+        this.causesCanvas = null;
+    }
+
+    /**
+     * Obtiene el elemento de la pantalla, creándolo si hace falta
+     * @returns {HTMLElement} Pantalla de estadísticas
+     */
+    getElement() {
+        if (!this.element) {
+            this.element = this.createScreen();
+        }
+
+        return this.element;
+    }
+
+    /**
+     * Crea la pantalla de estadísticas
+     * @returns {HTMLElement} Pantalla de estadísticas
+     */
+    createScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'statistics-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+            overflow-y: auto;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = SPANISH_TEXT.STATISTICS;
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 0.25rem;';
+
+        // Totales, medias y rachas (se rellenan al mostrar la pantalla)
+        const summary = document.createElement('div');
+        summary.style.cssText = `
+            display: grid;
+            grid-template-columns: repeat(4, minmax(150px, 1fr));
+            gap: 0.5rem 1.5rem;
+            font-family: 'Rajdhani', sans-serif;
+        `;
+
+        // Gráficas
+        const charts = document.createElement('div');
+        charts.style.cssText = 'display: flex; gap: 1.5rem; flex-wrap: wrap; justify-content: center;';
+
+        const createChart = (label) => {
+            const container = document.createElement('div');
+            const heading = document.createElement('h3');
+            heading.textContent = label;
+            heading.style.cssText = 'font-size: 1rem; color: #CCCCCC; margin-bottom: 0.5rem;';
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 420;
+            canvas.height = 200;
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', label);
+            canvas.style.cssText = 'border: 1px solid #333333; border-radius: 8px;';
+
+            container.appendChild(heading);
+            container.appendChild(canvas);
+            charts.appendChild(container);
+
+            return canvas;
+        };
+
+        this.distanceCanvas = createChart(SPANISH_TEXT.STATS_DISTANCE_CHART);
+        this.causesCanvas = createChart(SPANISH_TEXT.STATS_DEATHS_CHART);
+
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = `
+            margin-top: 1rem;
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #CCCCCC;
+            border: 2px solid #666666;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        backButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:back-to-menu', { screen: 'statistics' });
+        });
+
+        screen.appendChild(title);
+        screen.appendChild(summary);
+        screen.appendChild(charts);
+        screen.appendChild(backButton);
+
+        this.summary = summary;
+
+        return screen;
+    }
+
+    /**
+     * Rellena la pantalla con los datos actuales y dibuja las gráficas
+     */
+    render() {
+        this.getElement();
+
+        const { lifetime, averages, streaks } = this.statisticsManager.getSummary();
+
+        const items = [
+            [SPANISH_TEXT.STATS_RUNS, SpanishFormatter.formatNumber(lifetime.runs)],
+            [SPANISH_TEXT.STATS_TOTAL_DISTANCE, SpanishFormatter.formatDistance(lifetime.distance)],
+            [SPANISH_TEXT.STATS_PLAY_TIME, SpanishFormatter.formatTime(lifetime.playTime / 1000)],
+            [SPANISH_TEXT.STATS_BEST_DISTANCE, SpanishFormatter.formatDistance(lifetime.bestDistance)],
+            [SPANISH_TEXT.STATS_AVERAGE_DISTANCE, SpanishFormatter.formatDistance(averages.distance)],
+            [SPANISH_TEXT.STATS_AVERAGE_SCORE, SpanishFormatter.formatScore(Math.round(averages.score))],
+            [SPANISH_TEXT.STATS_AVERAGE_DURATION, SpanishFormatter.formatTime(averages.duration / 1000)],
+            [SPANISH_TEXT.STATS_LEVELS_COMPLETED, SpanishFormatter.formatNumber(lifetime.levelsCompleted)],
+            [SPANISH_TEXT.STATS_DAY_STREAK, SpanishFormatter.formatNumber(streaks.currentDays)],
+            [SPANISH_TEXT.STATS_BEST_DAY_STREAK, SpanishFormatter.formatNumber(streaks.bestDays)],
+            [SPANISH_TEXT.STATS_ABOVE_AVERAGE_STREAK, SpanishFormatter.formatNumber(streaks.aboveAverage)],
+            [SPANISH_TEXT.STATS_ABILITIES, [
+                lifetime.abilities.jumps,
+                lifetime.abilities.dashes,
+                lifetime.abilities.gravityFlips
+            ].map(count => SpanishFormatter.formatNumber(count)).join(' / ')]
+        ];
+
+        this.summary.replaceChildren();
+        for (const [label, value] of items) {
+            const item = document.createElement('div');
+
+            const labelElement = document.createElement('div');
+            labelElement.textContent = label;
+            labelElement.style.cssText = 'color: #CCCCCC; font-size: 0.95rem;';
+
+            const valueElement = document.createElement('div');
+            valueElement.textContent = value;
+            valueElement.style.cssText = "font-family: 'Orbitron', sans-serif; color: #FFD700; font-size: 1.2rem;";
+
+            item.appendChild(labelElement);
+            item.appendChild(valueElement);
+            this.summary.appendChild(item);
+        }
+
+        StatisticsCharts.drawDistanceChart(this.distanceCanvas, this.statisticsManager.getHistory());
+        StatisticsCharts.drawDeathCauseChart(
+            this.causesCanvas,
+            lifetime.deathCauses,
+            (cause) => SpanishFormatter.formatDeathCause(cause)
+        );
+    }
+
+    /**
+     * Destruye la pantalla
+     */
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+        this.summary = null;
+        this.distanceCanvas = null;
+        this.causesCanvas = null;
+    }
+}
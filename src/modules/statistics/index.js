@@ -0,0 +1,114 @@
+/**
+ * Módulo de estadísticas de Spikepulse
+ * @module Statistics
+ */
+
+import { StatisticsManager } from './StatisticsManager.js';
+import { StatisticsScreen } from './StatisticsScreen.js';
+
+/**
+ * Crea una instancia del sistema de estadísticas
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema de estadísticas
+ */
+export function createStatisticsSystem(config, eventBus) {
+    console.log('📊 Creando sistema de estadísticas...');
+
+    const statisticsManager = new StatisticsManager(config, eventBus);
+    const statisticsScreen = new StatisticsScreen(config, eventBus, statisticsManager);
+
+    const statisticsSystem = {
+        statisticsManager,
+
+        /**
+         * Inicializa el sistema de estadísticas
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema de estadísticas...');
+
+            try {
+                await statisticsManager.init();
+                console.log('✅ Sistema de estadísticas inicializado');
+
+            } catch (error) {
+                console.error('❌ Error inicializando sistema de estadísticas:', error);
+                throw error;
+            }
+        },
+
+        /**
+         * Establece el GameState del que se leen las estadísticas
+         * @param {GameState} gameState - Estado centralizado
+         */
+        setGameState(gameState) {
+            statisticsManager.setGameState(gameState);
+        },
+
+        /**
+         * Establece el almacenamiento de las estadísticas y las carga
+         * @param {FallbackStorage} storage - Almacenamiento (el de GameState)
+         */
+        async setStorage(storage) {
+            await statisticsManager.setStorage(storage);
+        },
+
+        /**
+         * Obtiene el historial de partidas
+         * @returns {Array} Partidas, la más reciente al final
+         */
+        getHistory() {
+            return statisticsManager.getHistory();
+        },
+
+        /**
+         * Obtiene totales, medias y rachas
+         * @returns {Object} Resumen de estadísticas
+         */
+        getSummary() {
+            return statisticsManager.getSummary();
+        },
+
+        /**
+         * Obtiene la pantalla de estadísticas para registrarla en el ScreenManager
+         * @returns {HTMLElement} Elemento de la pantalla
+         */
+        getElement() {
+            return statisticsScreen.getElement();
+        },
+
+        /**
+         * Rellena la pantalla de estadísticas y dibuja sus gráficas
+         */
+        refreshScreen() {
+            statisticsScreen.render();
+        },
+
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return statisticsManager.getDebugInfo();
+        },
+
+        /**
+         * Resetea el sistema de estadísticas
+         */
+        reset() {
+            statisticsManager.reset();
+        },
+
+        /**
+         * Destruye el sistema de estadísticas
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema de estadísticas...');
+            statisticsManager.destroy();
+            statisticsScreen.destroy();
+        }
+    };
+
+    console.log('✅ Sistema de estadísticas creado');
+    return statisticsSystem;
+}
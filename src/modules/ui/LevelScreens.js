@@ -0,0 +1,275 @@
+/**
+ * Pantallas del modo de niveles: selección de nivel y nivel completado
+ * @module LevelScreens
+ */
+
+import { SpanishFormatter } from '../../utils/SpanishFormatter.js';
+
+export class LevelScreens {
+    /**
+     * Crea las pantallas del modo de niveles
+     * @param {Object} config - Configuración de UI
+     * @param {EventBus} eventBus - Bus de eventos
+     */
+    constructor(config, eventBus) {
+        this.config = config;
+        this.eventBus = eventBus;
+        
+        // DOM (se crea con createScreens)
+        this.levelSelectElement = null;
+        this.levelCompleteElement = null;
+        this.levelList = null;
+        this.levelCompleteText = null;
+        
+        console.log('🏁 LevelScreens creado');
+    }
+    
+    /**
+     * Crea las dos pantallas
+     * @returns {Object} Elementos {levelSelect, levelComplete}
+     */
+    createScreens() {
+        if (!this.levelSelectElement) {
+            this.levelSelectElement = this.createLevelSelectScreen();
+            this.levelCompleteElement = this.createLevelCompleteScreen();
+        }
+        
+        return {
+            levelSelect: this.levelSelectElement,
+            levelComplete: this.levelCompleteElement
+        };
+    }
+    
+    /**
+     * Crea la pantalla de selección de nivel
+     * @returns {HTMLElement} Pantalla de selección de nivel
+     */
+    createLevelSelectScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'level-select-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.9);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Selecciona un Nivel';
+        title.style.cssText = 'font-size: 2.5rem; color: #FFD700; margin-bottom: 1rem;';
+        
+        // Se rellena al mostrar la pantalla con los mejores tiempos actuales
+        const list = document.createElement('div');
+        list.style.cssText = 'display: flex; flex-direction: column; gap: 0.75rem; min-width: 320px;';
+        
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Volver';
+        backButton.style.cssText = `
+            margin-top: 1rem;
+            padding: 0.6rem 1.2rem;
+            font-size: 1rem;
+            font-family: 'Orbitron', sans-serif;
+            background: transparent;
+            color: #CCCCCC;
+            border: 2px solid #666666;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        backButton.addEventListener('click', () => {
+            this.eventBus.emit('ui:back-to-menu', { screen: 'level-select' });
+        });
+        
+        screen.appendChild(title);
+        screen.appendChild(list);
+        screen.appendChild(backButton);
+        
+        this.levelList = list;
+        
+        return screen;
+    }
+    
+    /**
+     * Rellena la selección de nivel con los mejores tiempos
+     * @param {Array} levels - Niveles válidos
+     * @param {Function} getBestTime - Devuelve el mejor tiempo (ms) de un nivel o null
+     */
+    renderLevelSelect(levels, getBestTime) {
+        this.levelList.replaceChildren();
+        
+        if (levels.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No hay niveles disponibles';
+            empty.style.cssText = 'color: #CCCCCC; text-align: center;';
+            this.levelList.appendChild(empty);
+        }
+        
+        for (const level of levels) {
+            const bestTime = getBestTime(level.id);
+            
+            const button = document.createElement('button');
+            button.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                gap: 2rem;
+                padding: 0.75rem 1.5rem;
+                font-size: 1.1rem;
+                font-family: 'Orbitron', sans-serif;
+                background: rgba(255, 215, 0, 0.1);
+                color: white;
+                border: 2px solid #FFD700;
+                border-radius: 8px;
+                cursor: pointer;
+            `;
+            
+            const name = document.createElement('span');
+            name.textContent = level.name;
+            
+            const best = document.createElement('span');
+            best.textContent = bestTime !== null ? SpanishFormatter.formatTime(bestTime / 1000) : '--';
+            best.style.color = '#FFD700';
+            
+            button.appendChild(name);
+            button.appendChild(best);
+            button.title = level.description;
+            button.addEventListener('click', () => {
+                this.eventBus.emit('ui:level-selected', { level });
+            });
+            
+            this.levelList.appendChild(button);
+        }
+    }
+    
+    /**
+     * Crea la pantalla de nivel completado
+     * @returns {HTMLElement} Pantalla de nivel completado
+     */
+    createLevelCompleteScreen() {
+        const screen = document.createElement('div');
+        screen.id = 'level-complete-screen';
+        screen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 0.75rem;
+            z-index: 10000;
+            font-family: 'Orbitron', sans-serif;
+            color: white;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = '¡Nivel Completado!';
+        title.style.cssText = 'font-size: 3rem; color: #FFD700; text-shadow: 0 0 20px rgba(255, 215, 0, 0.5);';
+        
+        const levelName = document.createElement('p');
+        levelName.style.cssText = 'font-size: 1.5rem; color: #CCCCCC;';
+        
+        const time = document.createElement('p');
+        time.style.cssText = 'font-size: 2rem;';
+        
+        const best = document.createElement('p');
+        best.style.cssText = 'font-size: 1.2rem; color: #CCCCCC; margin-bottom: 1.5rem;';
+        
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 1rem; flex-wrap: wrap; justify-content: center;';
+        
+        const buttonStyle = `
+            padding: 0.75rem 1.5rem;
+            font-size: 1.1rem;
+            font-family: 'Orbitron', sans-serif;
+            font-weight: bold;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        const buttons = [
+            {
+                text: 'Reintentar',
+                style: `${buttonStyle} background: linear-gradient(135deg, #FFD700, #FFA500); color: #000; border: none;`,
+                event: 'game:restart'
+            },
+            {
+                text: 'Ver Repetición',
+                style: `${buttonStyle} background: transparent; color: #FFD700; border: 2px solid #FFD700;`,
+                event: 'replay:watch'
+            },
+            {
+                text: 'Niveles',
+                style: `${buttonStyle} background: transparent; color: #FFD700; border: 2px solid #FFD700;`,
+                event: 'ui:level-select-requested'
+            },
+            {
+                text: 'Menú Principal',
+                style: `${buttonStyle} background: transparent; color: #CCCCCC; border: 2px solid #666666;`,
+                event: 'game:stop'
+            }
+        ];
+        
+        for (const { text, style, event } of buttons) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = style;
+            button.addEventListener('click', () => this.eventBus.emit(event, {}));
+            buttonRow.appendChild(button);
+        }
+        
+        screen.appendChild(title);
+        screen.appendChild(levelName);
+        screen.appendChild(time);
+        screen.appendChild(best);
+        screen.appendChild(buttonRow);
+        
+        this.levelCompleteText = { levelName, time, best };
+        
+        return screen;
+    }
+    
+    /**
+     * Escribe el resultado en la pantalla de nivel completado
+     * @param {Object} result - Resultado {name, time, bestTime, isNewBest} con tiempos en ms
+     */
+    setLevelCompleteResult(result) {
+        if (!this.levelCompleteText) return;
+        
+        this.levelCompleteText.levelName.textContent = result.name;
+        this.levelCompleteText.time.textContent = SpanishFormatter.formatTime(result.time / 1000);
+        this.levelCompleteText.best.textContent = result.isNewBest
+            ? '🏆 ¡Nuevo mejor tiempo!'
+            : `Mejor tiempo: ${result.bestTime !== null ? SpanishFormatter.formatTime(result.bestTime / 1000) : '--'}`;
+    }
+    
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            created: this.levelSelectElement !== null
+        };
+    }
+    
+    /**
+     * Destruye las pantallas
+     */
+    destroy() {
+        this.levelSelectElement?.remove();
+        this.levelCompleteElement?.remove();
+        this.levelSelectElement = null;
+        this.levelCompleteElement = null;
+        this.levelList = null;
+        this.levelCompleteText = null;
+    }
+}
@@ -460,13 +460,18 @@ export class ScreenManager {
             'playing': null, // Ocultar todas las pantallas
             'paused': 'pause',
             'game-over': 'game-over',
+            'level-complete': 'level-complete',
+            'editor': 'level-editor',
             'loading': 'loading'
         };
         
         const targetScreen = stateScreenMap[state];
         
         if (targetScreen) {
-            this.showScreen(targetScreen);
+            // Solo las pantallas registradas; el resto las gestiona quien las creó
+            if (this.screens.has(targetScreen)) {
+                this.showScreen(targetScreen);
+            }
         } else if (targetScreen === null) {
             // Ocultar pantalla actual
             if (this.currentScreen) {
@@ -8,6 +8,9 @@
 // export { HUD } from './HUD.js';
 // export { ScreenManager } from './ScreenManager.js';
 
+import { ScreenManager } from './ScreenManager.js';
+import { LevelScreens } from './LevelScreens.js';
+
 /**
  * Crea una instancia simplificada del sistema de UI
  * @param {Object} config - Configuración de UI
@@ -17,8 +20,20 @@
 export function createUISystem(config, eventBus) {
     console.log('🎮 Creando sistema de UI simplificado...');
     
+    // Gestor de las pantallas DOM registradas (selección de nivel, nivel completado...)
+    const screenManager = new ScreenManager(config.ui?.screens || {}, eventBus);
+    
+    // Pantallas del modo de niveles (se crean con createLevelScreens)
+    const levelScreens = new LevelScreens(config.ui || {}, eventBus);
+    
+    // Contenedor de notificaciones (se crea con la primera) y temporizadores activos
+    let notificationsContainer = null;
+    const notificationTimers = new Set();
+    
     // Sistema simplificado
     const uiSystem = {
+        screenManager,
+        levelScreens,
         
         /**
          * Inicializa el sistema de UI simplificado
@@ -27,6 +42,8 @@ export function createUISystem(config, eventBus) {
             console.log('🔧 Inicializando sistema de UI simplificado...');
             
             try {
+                await screenManager.init();
+                
                 // Configurar listeners básicos para el botón de inicio
                 this.setupBasicUI();
                 
@@ -57,9 +74,116 @@ export function createUISystem(config, eventBus) {
                 // Por ahora solo loggeamos
             });
             
+            eventBus.on('ui:show-notification', (data) => this.showNotification(data), this);
+            
             console.log('🔗 UI básica configurada');
         },
         
+        /**
+         * Registra una pantalla en el ScreenManager
+         * @param {string} name - Nombre de la pantalla
+         * @param {HTMLElement} element - Elemento de la pantalla
+         * @param {Object} screenConfig - Configuración de la pantalla
+         */
+        registerScreen(name, element, screenConfig = {}) {
+            screenManager.registerScreen({ name, element, config: screenConfig });
+        },
+        
+        /**
+         * Muestra una pantalla registrada
+         * @param {string} name - Nombre de la pantalla
+         * @returns {Promise<boolean>} True si se mostró
+         */
+        showScreen(name) {
+            return screenManager.showScreen(name);
+        },
+        
+        /**
+         * Oculta una pantalla registrada
+         * @param {string} name - Nombre de la pantalla
+         * @returns {Promise<boolean>} True si se ocultó
+         */
+        hideScreen(name) {
+            return screenManager.hideScreen(name);
+        },
+        
+        /**
+         * Crea las pantallas de selección de nivel y nivel completado y las registra
+         * @param {HTMLElement} container - Contenedor de la UI
+         */
+        createLevelScreens(container) {
+            const { levelSelect, levelComplete } = levelScreens.createScreens();
+            container.appendChild(levelSelect);
+            container.appendChild(levelComplete);
+            this.registerScreen('level-select', levelSelect);
+            this.registerScreen('level-complete', levelComplete);
+        },
+        
+        /**
+         * Muestra la selección de nivel
+         * @param {Array} levels - Niveles válidos
+         * @param {Function} getBestTime - Devuelve el mejor tiempo (ms) de un nivel o null
+         * @returns {Promise<boolean>} True si se mostró
+         */
+        showLevelSelect(levels, getBestTime) {
+            levelScreens.renderLevelSelect(levels, getBestTime);
+            return screenManager.showScreen('level-select');
+        },
+        
+        /**
+         * Escribe el resultado de la pantalla de nivel completado
+         * @param {Object} result - Resultado {name, time, bestTime, isNewBest} con tiempos en ms
+         */
+        setLevelCompleteResult(result) {
+            levelScreens.setLevelCompleteResult(result);
+        },
+        
+        /**
+         * Muestra una notificación temporal
+         * @param {Object} data - Datos {type, icon, title, message, duration}
+         */
+        showNotification(data = {}) {
+            if (typeof document === 'undefined') return;
+            
+            if (!notificationsContainer) {
+                notificationsContainer = document.createElement('div');
+                notificationsContainer.className = 'notifications-container';
+                notificationsContainer.setAttribute('aria-live', 'polite');
+                (document.getElementById('spikepulse-ui') || document.body).appendChild(notificationsContainer);
+            }
+            
+            const type = data.type || NOTIFICATION_TYPES.INFO;
+            const notification = document.createElement('div');
+            notification.className = `notification notification-${type}`;
+            notification.setAttribute('role', 'status');
+            
+            if (data.icon) {
+                const icon = document.createElement('span');
+                icon.className = 'notification-icon';
+                icon.textContent = data.icon;
+                notification.appendChild(icon);
+            }
+            
+            const message = document.createElement('div');
+            message.className = 'notification-message';
+            if (data.title) {
+                const title = document.createElement('strong');
+                title.textContent = data.title;
+                message.appendChild(title);
+                message.appendChild(document.createElement('br'));
+            }
+            message.appendChild(document.createTextNode(data.message || ''));
+            notification.appendChild(message);
+            
+            notificationsContainer.appendChild(notification);
+            
+            const timer = setTimeout(() => {
+                notificationTimers.delete(timer);
+                notification.remove();
+            }, data.duration || 3000);
+            notificationTimers.add(timer);
+        },
+        
         /**
          * Actualiza el sistema de UI
          * @param {number} deltaTime - Delta time
@@ -75,7 +199,9 @@ export function createUISystem(config, eventBus) {
         getDebugInfo() {
             return {
                 type: 'simplified',
-                isInitialized: true
+                isInitialized: true,
+                screens: screenManager.getDebugInfo(),
+                levelScreens: levelScreens.getDebugInfo()
             };
         },
         
@@ -92,6 +218,13 @@ export function createUISystem(config, eventBus) {
          */
         destroy() {
             console.log('🧹 Destruyendo sistema de UI...');
+            eventBus.off('*', this);
+            notificationTimers.forEach(timer => clearTimeout(timer));
+            notificationTimers.clear();
+            notificationsContainer?.remove();
+            notificationsContainer = null;
+            screenManager.destroy();
+            levelScreens.destroy();
             console.log('✅ Sistema de UI destruido');
         }
     };
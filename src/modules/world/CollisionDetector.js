@@ -3,6 +3,18 @@
  * @module CollisionDetector
  */
 
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * Causa de muerte según el tipo de obstáculo
+ */
+const COLLISION_CAUSES = {
+    spike: 'spike',
+    wall: 'wall',
+    moving: 'moving-obstacle',
+    rotating: 'rotating-blade'
+};
+
 export class CollisionDetector {
     /**
      * Crea una nueva instancia del detector de colisiones
@@ -29,10 +41,11 @@ export class CollisionDetector {
         };
         
         // Spatial hashing para optimización
+        const gridSize = config.optimization?.collisionGridSize || 50;
         this.spatialHash = {
             enabled: config.optimization?.spatialHashingEnabled !== false,
-            gridSize: config.optimization?.collisionGridSize || 50,
-            grid: new Map()
+            gridSize,
+            index: new SpatialHash(gridSize)
         };
         
         // Broad phase collision detection
@@ -78,7 +91,7 @@ export class CollisionDetector {
      * Inicializa el sistema de spatial hashing
      */
     initializeSpatialHash() {
-        this.spatialHash.grid.clear();
+        this.spatialHash.index.clear();
         console.log('🗂️ Spatial hash inicializado');
     }
     
@@ -89,26 +102,10 @@ export class CollisionDetector {
     fixedUpdate(fixedDelta) {
         if (!this.isInitialized) return;
         
-        // Actualizar spatial hash si está habilitado
-        if (this.spatialHash.enabled) {
-            this.updateSpatialHash();
-        }
-        
         // Resetear estadísticas periódicamente
         this.updateStats();
     }
     
-    /**
-     * Actualiza el spatial hash
-     */
-    updateSpatialHash() {
-        // El spatial hash se actualiza dinámicamente durante las verificaciones
-        // Aquí solo limpiamos entradas antiguas si es necesario
-        if (this.spatialHash.grid.size > 1000) {
-            this.spatialHash.grid.clear();
-        }
-    }
-    
     /**
      * Actualiza estadísticas de performance
      */
@@ -192,11 +189,48 @@ export class CollisionDetector {
         
         // Expandir ligeramente los límites para el broad phase
         const margin = this.collisionConfig.obstacleMargin;
+        const shape = this.getObstacleShape(obstacle);
         
-        return playerHitbox.x < obstacle.x + obstacle.width + margin &&
-               playerHitbox.x + playerHitbox.width > obstacle.x - margin &&
-               playerHitbox.y < obstacle.y + obstacle.height + margin &&
-               playerHitbox.y + playerHitbox.height > obstacle.y - margin;
+        return playerHitbox.x < shape.x + shape.width + margin &&
+               playerHitbox.x + playerHitbox.width > shape.x - margin &&
+               playerHitbox.y < shape.y + shape.height + margin &&
+               playerHitbox.y + playerHitbox.height > shape.y - margin;
+    }
+    
+    /**
+     * Obtiene la caja que ocupa ahora un obstáculo (los móviles usan su Y actual
+     * y los rotatorios el círculo que barren sus cuchillas)
+     * @param {Object} obstacle - Obstáculo
+     * @returns {Object} Rectángulo {x, y, width, height}
+     */
+    getObstacleShape(obstacle) {
+        switch (obstacle.type) {
+            case 'moving':
+                return {
+                    x: obstacle.x,
+                    y: obstacle.currentY ?? obstacle.y,
+                    width: obstacle.width,
+                    height: obstacle.height
+                };
+                
+            case 'rotating': {
+                const radius = obstacle.width / 2;
+                return {
+                    x: obstacle.x,
+                    y: obstacle.y + obstacle.height / 2 - radius,
+                    width: obstacle.width,
+                    height: obstacle.width
+                };
+            }
+                
+            default:
+                return {
+                    x: obstacle.x,
+                    y: obstacle.y,
+                    width: obstacle.width,
+                    height: obstacle.height
+                };
+        }
     }
     
     /**
@@ -212,12 +246,7 @@ export class CollisionDetector {
         }
         
         // Verificación más precisa para la forma triangular
-        const spikeCenterX = spike.x + spike.width / 2;
-        const spikeCenterY = spike.y + spike.height / 2;
-        const spikeTop = spike.y;
-        const spikeBottom = spike.y + spike.height;
-        const spikeLeft = spike.x;
-        const spikeRight = spike.x + spike.width;
+        const [tip, baseLeft, baseRight] = this.getSpikeTriangle(spike);
         
         // Verificar si algún punto del jugador está dentro del triángulo
         const playerPoints = [
@@ -228,15 +257,94 @@ export class CollisionDetector {
         ];
         
         for (const point of playerPoints) {
-            if (this.pointInTriangle(point, 
-                { x: spikeCenterX, y: spikeTop },
-                { x: spikeLeft, y: spikeBottom },
-                { x: spikeRight, y: spikeBottom })) {
+            if (this.pointInTriangle(point, tip, baseLeft, baseRight)) {
                 return true;
             }
         }
         
-        return false;
+        // La punta puede clavarse en el jugador sin que ninguna esquina toque el triángulo
+        if (this.pointInRectangle(tip, playerHitbox)) {
+            return true;
+        }
+        
+        // Queda el caso en que un lado inclinado cruza el hitbox de lado a lado
+        return this.segmentIntersectsRectangle(tip, baseLeft, playerHitbox) ||
+               this.segmentIntersectsRectangle(tip, baseRight, playerHitbox);
+    }
+    
+    /**
+     * Obtiene los vértices de un spike: la punta mira hacia fuera de su superficie
+     * @param {Object} spike - Obstáculo spike
+     * @returns {Array} [punta, base izquierda, base derecha]
+     */
+    getSpikeTriangle(spike) {
+        const centerX = spike.x + spike.width / 2;
+        const top = spike.y;
+        const bottom = spike.y + spike.height;
+        
+        if (spike.anchor === 'ceiling') {
+            return [
+                { x: centerX, y: bottom },
+                { x: spike.x, y: top },
+                { x: spike.x + spike.width, y: top }
+            ];
+        }
+        
+        return [
+            { x: centerX, y: top },
+            { x: spike.x, y: bottom },
+            { x: spike.x + spike.width, y: bottom }
+        ];
+    }
+    
+    /**
+     * Verifica si un punto está dentro de un rectángulo
+     * @param {Object} point - Punto a verificar
+     * @param {Object} rect - Rectángulo {x, y, width, height}
+     * @returns {boolean} True si el punto está dentro
+     */
+    pointInRectangle(point, rect) {
+        return point.x >= rect.x && point.x <= rect.x + rect.width &&
+               point.y >= rect.y && point.y <= rect.y + rect.height;
+    }
+    
+    /**
+     * Verifica si un segmento corta un rectángulo (recorte de Liang-Barsky)
+     * @param {Object} a - Inicio del segmento
+     * @param {Object} b - Fin del segmento
+     * @param {Object} rect - Rectángulo {x, y, width, height}
+     * @returns {boolean} True si el segmento toca el rectángulo
+     */
+    segmentIntersectsRectangle(a, b, rect) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const edges = [
+            [-dx, a.x - rect.x],
+            [dx, rect.x + rect.width - a.x],
+            [-dy, a.y - rect.y],
+            [dy, rect.y + rect.height - a.y]
+        ];
+        
+        let tMin = 0;
+        let tMax = 1;
+        
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q < 0) return false;
+                continue;
+            }
+            
+            const t = q / p;
+            if (p < 0) {
+                tMin = Math.max(tMin, t);
+            } else {
+                tMax = Math.min(tMax, t);
+            }
+            
+            if (tMin > tMax) return false;
+        }
+        
+        return true;
     }
     
     /**
@@ -275,14 +383,7 @@ export class CollisionDetector {
      */
     checkMovingObstacleCollision(playerHitbox, movingObstacle) {
         // Usar la posición actual del obstáculo móvil
-        const currentObstacle = {
-            x: movingObstacle.x,
-            y: movingObstacle.currentY || movingObstacle.y,
-            width: movingObstacle.width,
-            height: movingObstacle.height
-        };
-        
-        return this.checkRectangleCollision(playerHitbox, currentObstacle);
+        return this.checkRectangleCollision(playerHitbox, this.getObstacleShape(movingObstacle));
     }
     
     /**
@@ -292,25 +393,34 @@ export class CollisionDetector {
      * @returns {boolean} True si hay colisión
      */
     checkRotatingObstacleCollision(playerHitbox, rotatingObstacle) {
-        const centerX = rotatingObstacle.x + rotatingObstacle.width / 2;
-        const centerY = rotatingObstacle.y + rotatingObstacle.height / 2;
+        const center = {
+            x: rotatingObstacle.x + rotatingObstacle.width / 2,
+            y: rotatingObstacle.y + rotatingObstacle.height / 2
+        };
         const radius = rotatingObstacle.width / 2;
         
-        // Verificar si algún punto del jugador está dentro del círculo rotatorio
-        const playerPoints = [
-            { x: playerHitbox.x, y: playerHitbox.y },
-            { x: playerHitbox.x + playerHitbox.width, y: playerHitbox.y },
-            { x: playerHitbox.x, y: playerHitbox.y + playerHitbox.height },
-            { x: playerHitbox.x + playerHitbox.width, y: playerHitbox.y + playerHitbox.height },
-            { x: playerHitbox.x + playerHitbox.width / 2, y: playerHitbox.y + playerHitbox.height / 2 }
-        ];
+        // Núcleo central (30% del radio, como lo dibuja el ObstacleManager)
+        if (this.circleIntersectsRectangle(center, radius * 0.3, playerHitbox)) {
+            return true;
+        }
         
-        for (const point of playerPoints) {
-            const distance = Math.sqrt(
-                Math.pow(point.x - centerX, 2) + Math.pow(point.y - centerY, 2)
-            );
+        // Las cuatro cuchillas giran con el obstáculo; se les da el grosor con el que se dibujan
+        const bladeRadius = 3;
+        const expandedHitbox = {
+            x: playerHitbox.x - bladeRadius,
+            y: playerHitbox.y - bladeRadius,
+            width: playerHitbox.width + bladeRadius * 2,
+            height: playerHitbox.height + bladeRadius * 2
+        };
+        
+        for (let i = 0; i < 4; i++) {
+            const angle = (rotatingObstacle.rotation || 0) + (Math.PI / 2) * i;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const bladeStart = { x: center.x + cos * radius * 0.3, y: center.y + sin * radius * 0.3 };
+            const bladeEnd = { x: center.x + cos * radius, y: center.y + sin * radius };
             
-            if (distance <= radius) {
+            if (this.segmentIntersectsRectangle(bladeStart, bladeEnd, expandedHitbox)) {
                 return true;
             }
         }
@@ -318,16 +428,31 @@ export class CollisionDetector {
         return false;
     }
     
+    /**
+     * Verifica si un círculo toca un rectángulo
+     * @param {Object} center - Centro del círculo
+     * @param {number} radius - Radio del círculo
+     * @param {Object} rect - Rectángulo {x, y, width, height}
+     * @returns {boolean} True si se tocan
+     */
+    circleIntersectsRectangle(center, radius, rect) {
+        const closestX = Math.max(rect.x, Math.min(center.x, rect.x + rect.width));
+        const closestY = Math.max(rect.y, Math.min(center.y, rect.y + rect.height));
+        const dx = center.x - closestX;
+        const dy = center.y - closestY;
+        
+        return dx * dx + dy * dy <= radius * radius;
+    }
+    
     /**
      * Verifica colisión con múltiples pasos para objetos de alta velocidad
      * @param {Object} startHitbox - Hitbox inicial
      * @param {Object} endHitbox - Hitbox final
      * @param {Object} obstacle - Obstáculo
-     * @returns {boolean} True si hay colisión en algún paso
+     * @param {number} [steps] - Pasos del barrido (por defecto precisionSteps)
+     * @returns {Object|null} Hitbox en el primer paso con colisión o null
      */
-    checkContinuousCollision(startHitbox, endHitbox, obstacle) {
-        const steps = this.collisionConfig.precisionSteps;
-        
+    checkContinuousCollision(startHitbox, endHitbox, obstacle, steps = this.collisionConfig.precisionSteps) {
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
             const interpolatedHitbox = {
@@ -338,11 +463,98 @@ export class CollisionDetector {
             };
             
             if (this.checkObstacleCollision(interpolatedHitbox, obstacle)) {
-                return true;
+                return interpolatedHitbox;
             }
         }
         
-        return false;
+        return null;
+    }
+    
+    /**
+     * Busca la colisión del jugador con los obstáculos cercanos en este tick.
+     * Si el jugador se ha movido más de medio hitbox se barre el recorrido para no atravesar obstáculos finos.
+     * @param {Object} playerHitbox - Hitbox al final del tick
+     * @param {Object} previousHitbox - Hitbox al inicio del tick
+     * @param {Array} obstacles - Obstáculos activos (solo se recorren sin spatial hash)
+     * @returns {Object|null} Contacto {obstacle, cause, normal, correction, position} o null
+     */
+    findPlayerObstacleContact(playerHitbox, previousHitbox, obstacles) {
+        const from = previousHitbox || playerHitbox;
+        const dx = playerHitbox.x - from.x;
+        const dy = playerHitbox.y - from.y;
+        
+        const sweepSteps = Math.ceil(Math.max(
+            Math.abs(dx) / (playerHitbox.width / 2),
+            Math.abs(dy) / (playerHitbox.height / 2)
+        ));
+        
+        const area = {
+            x: Math.min(from.x, playerHitbox.x),
+            y: Math.min(from.y, playerHitbox.y),
+            width: playerHitbox.width + Math.abs(dx),
+            height: playerHitbox.height + Math.abs(dy)
+        };
+        const candidates = this.queryArea(area) || obstacles;
+        
+        let contact = null;
+        let contactStep = Infinity;
+        
+        for (const obstacle of candidates) {
+            if (!obstacle.active) continue;
+            
+            if (sweepSteps > 1) {
+                const steps = Math.max(sweepSteps, this.collisionConfig.precisionSteps);
+                const hitbox = this.checkContinuousCollision(from, playerHitbox, obstacle, steps);
+                
+                // Quedarse con el obstáculo que se toca antes en el recorrido
+                if (hitbox) {
+                    const step = Math.abs(dx) >= Math.abs(dy)
+                        ? Math.abs(hitbox.x - from.x)
+                        : Math.abs(hitbox.y - from.y);
+                    
+                    if (step < contactStep) {
+                        contactStep = step;
+                        contact = this.createContact(hitbox, obstacle);
+                    }
+                }
+            } else if (this.checkObstacleCollision(playerHitbox, obstacle)) {
+                return this.createContact(playerHitbox, obstacle);
+            }
+        }
+        
+        return contact;
+    }
+    
+    /**
+     * Describe el contacto entre el jugador y un obstáculo
+     * @param {Object} playerHitbox - Hitbox en el momento del contacto
+     * @param {Object} obstacle - Obstáculo
+     * @returns {Object} Contacto {obstacle, cause, normal, correction, position}
+     */
+    createContact(playerHitbox, obstacle) {
+        const shape = this.getObstacleShape(obstacle);
+        const correction = this.calculateCollisionCorrection(playerHitbox, shape);
+        
+        // Paredes y bloques móviles empujan por la cara tocada; spikes y cuchillas desde su centro
+        let normal;
+        if (obstacle.type === 'wall' || obstacle.type === 'moving') {
+            normal = correction.x !== 0
+                ? { x: Math.sign(correction.x), y: 0 }
+                : { x: 0, y: Math.sign(correction.y) || -1 };
+        } else {
+            normal = this.getCollisionNormal(playerHitbox, shape);
+        }
+        
+        return {
+            obstacle,
+            cause: COLLISION_CAUSES[obstacle.type] || 'obstacle-collision',
+            normal,
+            correction,
+            position: {
+                x: playerHitbox.x + playerHitbox.width / 2 - normal.x * playerHitbox.width / 2,
+                y: playerHitbox.y + playerHitbox.height / 2 - normal.y * playerHitbox.height / 2
+            }
+        };
     }
     
     /**
@@ -398,59 +610,51 @@ export class CollisionDetector {
     }
     
     /**
-     * Añade un objeto al spatial hash
-     * @param {Object} object - Objeto a añadir
-     * @param {string} id - ID único del objeto
+     * Añade un obstáculo al spatial hash
+     * @param {Object} obstacle - Obstáculo a añadir
      */
-    addToSpatialHash(object, id) {
+    insertObstacle(obstacle) {
         if (!this.spatialHash.enabled) return;
         
-        const gridX = Math.floor(object.x / this.spatialHash.gridSize);
-        const gridY = Math.floor(object.y / this.spatialHash.gridSize);
-        const key = `${gridX},${gridY}`;
-        
-        if (!this.spatialHash.grid.has(key)) {
-            this.spatialHash.grid.set(key, []);
-        }
-        
-        this.spatialHash.grid.get(key).push({ object, id });
+        this.spatialHash.index.insert(obstacle, this.getObstacleShape(obstacle));
     }
     
     /**
-     * Obtiene objetos cercanos usando spatial hash
-     * @param {Object} queryObject - Objeto de consulta
-     * @returns {Array} Objetos cercanos
+     * Actualiza la caja de un obstáculo que se ha movido o girado
+     * @param {Object} obstacle - Obstáculo indexado
      */
-    getNearbyObjects(queryObject) {
-        if (!this.spatialHash.enabled) return [];
+    updateObstacle(obstacle) {
+        if (!this.spatialHash.enabled) return;
         
-        const nearby = [];
-        const gridSize = this.spatialHash.gridSize;
+        this.spatialHash.index.update(obstacle, this.getObstacleShape(obstacle));
+    }
+    
+    /**
+     * Quita un obstáculo del spatial hash (antes de devolverlo al pool)
+     * @param {Object} obstacle - Obstáculo indexado
+     */
+    removeObstacle(obstacle) {
+        if (!this.spatialHash.enabled) return;
         
-        // Verificar celdas adyacentes
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                const gridX = Math.floor(queryObject.x / gridSize) + dx;
-                const gridY = Math.floor(queryObject.y / gridSize) + dy;
-                const key = `${gridX},${gridY}`;
-                
-                const cell = this.spatialHash.grid.get(key);
-                if (cell) {
-                    nearby.push(...cell);
-                }
-            }
-        }
+        this.spatialHash.index.remove(obstacle);
+    }
+    
+    /**
+     * Obtiene los obstáculos cuyas celdas toca un rectángulo (colisiones y culling de cámara)
+     * @param {Object} area - Rectángulo {x, y, width, height}
+     * @returns {Array|null} Obstáculos candidatos o null si el spatial hash está desactivado
+     */
+    queryArea(area) {
+        if (!this.spatialHash.enabled) return null;
         
-        return nearby;
+        return this.spatialHash.index.query(area);
     }
     
     /**
      * Limpia el spatial hash
      */
     clearSpatialHash() {
-        if (this.spatialHash.enabled) {
-            this.spatialHash.grid.clear();
-        }
+        this.spatialHash.index.clear();
     }
     
     /**
@@ -485,7 +689,8 @@ export class CollisionDetector {
             checksPerSecond: Math.round(checksPerSecond),
             broadPhaseEfficiency: this.stats.totalChecks > 0 ? 
                 (this.stats.broadPhaseFiltered / this.stats.totalChecks) * 100 : 0,
-            spatialHashSize: this.spatialHash.grid.size
+            spatialHashSize: this.spatialHash.index.cells.size,
+            spatialHash: this.spatialHash.index.getStats()
         };
     }
     
@@ -500,7 +705,8 @@ export class CollisionDetector {
             spatialHash: {
                 enabled: this.spatialHash.enabled,
                 gridSize: this.spatialHash.gridSize,
-                cellCount: this.spatialHash.grid.size
+                cellCount: this.spatialHash.index.cells.size,
+                objectCount: this.spatialHash.index.entries.size
             },
             broadPhase: { ...this.broadPhase },
             performance: this.getPerformanceStats()
@@ -3,19 +3,29 @@
  * @module ObstacleManager
  */
 
+import { PHYSICS_CONFIG } from '../../config/PhysicsConfig.js';
+
 export class ObstacleManager {
     /**
      * Crea una nueva instancia del gestor de obstáculos
      * @param {Object} config - Configuración de obstáculos
      * @param {EventBus} eventBus - Bus de eventos
      * @param {Object} worldBounds - Límites del mundo
+     * @param {Object} surface - Superficie del mundo (suelo y techo)
+     * @param {SeededRandom} rng - Generador aleatorio con semilla del mundo
      */
-    constructor(config, eventBus, worldBounds) {
+    constructor(config, eventBus, worldBounds, surface = {}, rng) {
         this.config = config;
         this.eventBus = eventBus;
         this.worldBounds = worldBounds;
+        this.surface = surface;
+        this.rng = rng;
         this.isInitialized = false;
         
+        // Las velocidades de movimiento y rotación están expresadas por frame a TIME_STEP
+        // (como las del jugador); fixedDelta llega en milisegundos
+        this.frameTime = PHYSICS_CONFIG.constants.TIME_STEP * 1000;
+        
         // Configuración de obstáculos
         this.obstacleConfig = {
             spacing: config.spacing || { min: 150, max: 300 },
@@ -37,13 +47,15 @@ export class ObstacleManager {
         // Lista de obstáculos activos
         this.obstacles = [];
         
+        // Índice espacial que se mantiene al crear, mover y reciclar obstáculos (opcional)
+        this.spatialIndex = null;
+        
         // Configuración de generación
         this.generation = {
-            patterns: this.createObstaclePatterns(),
+            patterns: [],
             lastPattern: null,
             patternStreak: 0,
-            maxStreak: 3,
-            seed: Date.now()
+            maxStreak: 3
         };
         
         // Estado de dificultad
@@ -102,97 +114,77 @@ export class ObstacleManager {
      */
     setupEventListeners() {
         // Escuchar eventos de colisión para efectos
-        this.eventBus.on('collision:player-obstacle', this.handleObstacleCollision.bind(this));
+        this.eventBus.on('collision:player-obstacle', this.handleObstacleCollision.bind(this), this);
         
         console.log('👂 Event listeners de ObstacleManager configurados');
     }
     
     /**
-     * Crea patrones de obstáculos
-     * @returns {Array} Array de patrones
+     * Establece el índice espacial de los obstáculos
+     * @param {CollisionDetector|null} spatialIndex - Con insertObstacle, updateObstacle, removeObstacle y queryArea
      */
-    createObstaclePatterns() {
-        return [
-            // Patrón simple - spikes individuales
-            {
-                name: 'single_spike',
-                difficulty: 1,
-                length: 100,
-                generate: (startX, groundY) => [
-                    { type: 'spike', x: startX + 50, y: groundY - 30, width: 30, height: 30 }
-                ]
-            },
-            
-            // Patrón de spikes dobles
-            {
-                name: 'double_spike',
-                difficulty: 1.5,
-                length: 150,
-                generate: (startX, groundY) => [
-                    { type: 'spike', x: startX + 30, y: groundY - 30, width: 30, height: 30 },
-                    { type: 'spike', x: startX + 90, y: groundY - 30, width: 30, height: 30 }
-                ]
-            },
-            
-            // Patrón de pared
-            {
-                name: 'wall',
-                difficulty: 2,
-                length: 80,
-                generate: (startX, groundY) => [
-                    { type: 'wall', x: startX + 40, y: groundY - 100, width: 20, height: 100 }
-                ]
-            },
-            
-            // Patrón de obstáculo móvil
-            {
-                name: 'moving_spike',
-                difficulty: 2.5,
-                length: 200,
-                generate: (startX, groundY) => [
-                    { 
-                        type: 'moving', 
-                        x: startX + 100, 
-                        y: groundY - 50, 
-                        width: 30, 
-                        height: 30,
-                        moveRange: 80,
-                        moveSpeed: 0.02,
-                        moveOffset: 0
-                    }
-                ]
-            },
+    setSpatialIndex(spatialIndex) {
+        this.spatialIndex = spatialIndex;
+        
+        if (spatialIndex) {
+            for (const obstacle of this.obstacles) {
+                spatialIndex.insertObstacle(obstacle);
+            }
+        }
+    }
+    
+    /**
+     * Establece los patrones de obstáculos disponibles (packs JSON validados)
+     * @param {Array} patterns - Patrones declarativos
+     */
+    setPatterns(patterns) {
+        this.generation.patterns = [...patterns];
+        this.generation.lastPattern = null;
+        this.generation.patternStreak = 0;
+        
+        console.log(`🧩 ${patterns.length} patrones de obstáculos disponibles`);
+    }
+    
+    /**
+     * Convierte un patrón declarativo en obstáculos colocados en el mundo
+     * @param {Object} pattern - Patrón validado
+     * @param {number} startX - Posición X donde empieza el patrón
+     * @returns {Array} Datos de los obstáculos
+     */
+    buildPatternObstacles(pattern, startX) {
+        const groundY = this.surface.groundY ?? 370;
+        const ceilingBottom = (this.surface.ceilingY ?? 30) + (this.surface.thickness ?? 30);
+        
+        return pattern.obstacles.map(definition => {
+            // y es la separación entre la superficie de anclaje y el obstáculo
+            const y = definition.anchor === 'ceiling'
+                ? ceilingBottom + definition.y
+                : groundY - definition.y - definition.height;
             
-            // Patrón de obstáculo rotatorio
-            {
-                name: 'rotating_blade',
-                difficulty: 3,
-                length: 120,
-                generate: (startX, groundY) => [
-                    { 
-                        type: 'rotating', 
-                        x: startX + 60, 
-                        y: groundY - 60, 
-                        width: 40, 
-                        height: 40,
-                        rotationSpeed: 0.05,
-                        rotation: 0
-                    }
-                ]
-            },
+            const data = {
+                type: definition.type,
+                x: startX + definition.x,
+                y,
+                width: definition.width,
+                height: definition.height,
+                anchor: definition.anchor
+            };
             
-            // Patrón complejo - combinación
-            {
-                name: 'spike_wall_combo',
-                difficulty: 2.8,
-                length: 250,
-                generate: (startX, groundY) => [
-                    { type: 'spike', x: startX + 50, y: groundY - 30, width: 30, height: 30 },
-                    { type: 'wall', x: startX + 150, y: groundY - 80, width: 20, height: 80 },
-                    { type: 'spike', x: startX + 200, y: groundY - 30, width: 30, height: 30 }
-                ]
+            switch (definition.type) {
+                case 'moving':
+                    data.moveRange = definition.motion.range;
+                    data.moveSpeed = definition.motion.speed;
+                    data.moveOffset = definition.motion.offset;
+                    break;
+                    
+                case 'rotating':
+                    data.rotationSpeed = definition.motion.speed;
+                    data.rotation = 0;
+                    break;
             }
-        ];
+            
+            return data;
+        });
     }
     
     /**
@@ -220,6 +212,13 @@ export class ObstacleManager {
                 case 'rotating':
                     this.updateRotatingObstacle(obstacle, deltaTime);
                     break;
+                    
+                default:
+                    continue;
+            }
+            
+            if (this.spatialIndex) {
+                this.spatialIndex.updateObstacle(obstacle);
             }
         }
     }
@@ -230,7 +229,7 @@ export class ObstacleManager {
      * @param {number} deltaTime - Delta time
      */
     updateMovingObstacle(obstacle, deltaTime) {
-        obstacle.moveOffset += obstacle.moveSpeed;
+        obstacle.moveOffset += obstacle.moveSpeed * this.toFrames(deltaTime);
         
         // Calcular nueva posición
         const moveAmount = Math.sin(obstacle.moveOffset) * obstacle.moveRange;
@@ -249,7 +248,7 @@ export class ObstacleManager {
      * @param {number} deltaTime - Delta time
      */
     updateRotatingObstacle(obstacle, deltaTime) {
-        obstacle.rotation += obstacle.rotationSpeed;
+        obstacle.rotation += obstacle.rotationSpeed * this.toFrames(deltaTime);
         
         // Normalizar rotación
         if (obstacle.rotation > Math.PI * 2) {
@@ -257,34 +256,65 @@ export class ObstacleManager {
         }
     }
     
+    /**
+     * Convierte un delta en milisegundos a frames de referencia
+     * @param {number} deltaTime - Delta time en milisegundos
+     * @returns {number} Número de frames de referencia
+     */
+    toFrames(deltaTime) {
+        return deltaTime / this.frameTime;
+    }
+    
     /**
      * Genera obstáculos en un rango
      * @param {number} startX - Posición X inicial
      * @param {number} endX - Posición X final
+     * @param {Function} [onPattern] - Se llama con (x, patrón) antes de colocar cada patrón
+     * @returns {number} Posición X donde termina el último patrón generado
      */
-    generateObstacles(startX, endX) {
-        const groundY = 370; // Debería venir de la configuración del mundo
+    generateObstacles(startX, endX, onPattern = null) {
+        if (this.generation.patterns.length === 0) {
+            console.warn('⚠️ No hay patrones de obstáculos cargados');
+            return endX;
+        }
+        
         let currentX = startX;
         
         while (currentX < endX) {
             // Seleccionar patrón basado en dificultad
             const pattern = this.selectPattern();
             
-            // Generar obstáculos del patrón
-            const patternObstacles = pattern.generate(currentX, groundY);
-            
-            // Añadir obstáculos al mundo
-            for (const obstacleData of patternObstacles) {
-                const obstacle = this.createObstacle(obstacleData);
-                this.obstacles.push(obstacle);
+            if (onPattern) {
+                onPattern(currentX, pattern);
             }
             
+            // Generar obstáculos del patrón
+            this.placeObstacles(pattern.obstacles, currentX);
+            
             // Avanzar posición
             currentX += pattern.length + this.getSpacing();
             
             // Actualizar streak del patrón
             this.updatePatternStreak(pattern);
         }
+        
+        return currentX;
+    }
+    
+    /**
+     * Añade al mundo obstáculos en formato declarativo
+     * @param {Array} definitions - Obstáculos validados (x relativa a offsetX)
+     * @param {number} offsetX - Posición X de referencia
+     */
+    placeObstacles(definitions, offsetX = 0) {
+        for (const obstacleData of this.buildPatternObstacles({ obstacles: definitions }, offsetX)) {
+            const obstacle = this.createObstacle(obstacleData);
+            this.obstacles.push(obstacle);
+            
+            if (this.spatialIndex) {
+                this.spatialIndex.insertObstacle(obstacle);
+            }
+        }
     }
     
     /**
@@ -306,9 +336,20 @@ export class ObstacleManager {
         }
         
         // Seleccionar patrón aleatorio
-        const selectedPattern = validPatterns[Math.floor(Math.random() * validPatterns.length)];
+        const selectedPattern = this.rng.pick(validPatterns);
         
-        return selectedPattern || availablePatterns[0];
+        // Sin patrones de esta dificultad, usar el más fácil
+        return selectedPattern || availablePatterns[0] || this.getEasiestPattern();
+    }
+    
+    /**
+     * Obtiene el patrón de menor dificultad
+     * @returns {Object} Patrón más fácil
+     */
+    getEasiestPattern() {
+        return this.generation.patterns.reduce((easiest, pattern) =>
+            pattern.difficulty < easiest.difficulty ? pattern : easiest
+        );
     }
     
     /**
@@ -316,8 +357,7 @@ export class ObstacleManager {
      * @returns {number} Espaciado en píxeles
      */
     getSpacing() {
-        const baseSpacing = this.obstacleConfig.spacing.min + 
-            Math.random() * (this.obstacleConfig.spacing.max - this.obstacleConfig.spacing.min);
+        const baseSpacing = this.rng.range(this.obstacleConfig.spacing.min, this.obstacleConfig.spacing.max);
         
         // Reducir espaciado con la dificultad
         const difficultyMultiplier = Math.max(0.5, 1 - (this.currentDifficulty - 1) * 0.2);
@@ -425,6 +465,12 @@ export class ObstacleManager {
         const index = this.obstacles.indexOf(obstacle);
         if (index > -1) {
             this.obstacles.splice(index, 1);
+            
+            // Sacarlo del índice antes de reciclarlo: el pool lo reutilizará en otra posición
+            if (this.spatialIndex) {
+                this.spatialIndex.removeObstacle(obstacle);
+            }
+            
             this.returnToPool(obstacle);
         }
     }
@@ -453,10 +499,13 @@ export class ObstacleManager {
     
     /**
      * Obtiene objetos de renderizado
+     * @param {Object} [visibleArea] - Zona visible del mundo; con índice espacial solo se dibuja lo que cae dentro
      * @returns {Array} Objetos de renderizado
      */
-    getRenderObjects() {
-        return this.obstacles
+    getRenderObjects(visibleArea = null) {
+        const candidates = (visibleArea && this.spatialIndex?.queryArea(visibleArea)) || this.obstacles;
+        
+        return candidates
             .filter(obstacle => obstacle.active)
             .map(obstacle => ({
                 layer: 'obstacles',
@@ -483,6 +532,11 @@ export class ObstacleManager {
             ctx.rotate(obstacle.rotation);
         }
         
+        // Los obstáculos anclados al techo apuntan hacia abajo
+        if (obstacle.anchor === 'ceiling') {
+            ctx.scale(1, -1);
+        }
+        
         // Renderizar según tipo
         switch (obstacle.type) {
             case 'spike':
@@ -671,6 +725,9 @@ export class ObstacleManager {
     reset() {
         // Devolver todos los obstáculos al pool
         for (const obstacle of this.obstacles) {
+            if (this.spatialIndex) {
+                this.spatialIndex.removeObstacle(obstacle);
+            }
             this.returnToPool(obstacle);
         }
         
@@ -682,6 +739,51 @@ export class ObstacleManager {
         console.log('🔄 ObstacleManager reseteado');
     }
     
+    /**
+     * Obtiene una instantánea de los obstáculos activos y de la generación
+     * @returns {Object} Instantánea serializable
+     */
+    getSaveState() {
+        return {
+            obstacles: this.obstacles.map(obstacle => {
+                const { color, active, ...data } = obstacle;
+                return JSON.parse(JSON.stringify(data));
+            }),
+            lastPattern: this.generation.lastPattern?.name ?? null,
+            patternStreak: this.generation.patternStreak,
+            difficulty: this.currentDifficulty
+        };
+    }
+
+    /**
+     * Sustituye los obstáculos por los de una instantánea, sacándolos del pool
+     * @param {Object} snapshot - Estado de getSaveState
+     */
+    restoreSaveState(snapshot) {
+        this.reset();
+
+        for (const data of snapshot.obstacles) {
+            const obstacle = this.createObstacle(data);
+
+            // createObstacle coloca los móviles en su Y base; se conserva la del momento guardado
+            if (typeof data.currentY === 'number') {
+                obstacle.currentY = data.currentY;
+            }
+
+            this.obstacles.push(obstacle);
+
+            if (this.spatialIndex) {
+                this.spatialIndex.insertObstacle(obstacle);
+            }
+        }
+
+        this.generation.lastPattern = this.generation.patterns.find(
+            pattern => pattern.name === snapshot.lastPattern
+        ) || null;
+        this.generation.patternStreak = snapshot.patternStreak || 0;
+        this.currentDifficulty = snapshot.difficulty ?? 1.0;
+    }
+
     /**
      * Obtiene información de debug
      * @returns {Object} Información de debug
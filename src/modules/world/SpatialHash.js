@@ -0,0 +1,218 @@
+/**
+ * Índice espacial por celdas para consultas de rango sobre cajas AABB
+ * @module SpatialHash
+ */
+
+export class SpatialHash {
+    /**
+     * Crea un nuevo índice espacial
+     * @param {number} cellSize - Tamaño de cada celda en píxeles
+     */
+    constructor(cellSize = 50) {
+        this.cellSize = cellSize;
+
+        // Clave "x,y" -> objetos de la celda
+        this.cells = new Map();
+
+        // Objeto -> rango de celdas que ocupa {minX, maxX, minY, maxY}
+        this.entries = new Map();
+
+        // Contadores acumulados desde el último clear
+        this.stats = {
+            inserts: 0,
+            removes: 0,
+            updates: 0,
+            rebuckets: 0,
+            queries: 0,
+            queryResults: 0
+        };
+    }
+
+    /**
+     * Añade un objeto en todas las celdas que cubre su caja
+     * (si ya estaba indexado se trata como un movimiento)
+     * @param {Object} object - Objeto a indexar
+     * @param {Object} bounds - Caja {x, y, width, height}
+     */
+    insert(object, bounds) {
+        if (this.entries.has(object)) {
+            this.update(object, bounds);
+            return;
+        }
+
+        const range = this.getCellRange(bounds);
+        this.entries.set(object, range);
+        this.addToCells(object, range);
+        this.stats.inserts++;
+    }
+
+    /**
+     * Actualiza la caja de un objeto; solo cambia de celdas si su rango de celdas cambia
+     * @param {Object} object - Objeto indexado
+     * @param {Object} bounds - Nueva caja {x, y, width, height}
+     */
+    update(object, bounds) {
+        const previous = this.entries.get(object);
+        if (!previous) {
+            this.insert(object, bounds);
+            return;
+        }
+
+        this.stats.updates++;
+
+        const range = this.getCellRange(bounds);
+        if (range.minX === previous.minX && range.maxX === previous.maxX &&
+            range.minY === previous.minY && range.maxY === previous.maxY) {
+            return;
+        }
+
+        this.removeFromCells(object, previous);
+        this.entries.set(object, range);
+        this.addToCells(object, range);
+        this.stats.rebuckets++;
+    }
+
+    /**
+     * Quita un objeto del índice
+     * @param {Object} object - Objeto indexado
+     * @returns {boolean} True si estaba indexado
+     */
+    remove(object) {
+        const range = this.entries.get(object);
+        if (!range) return false;
+
+        this.removeFromCells(object, range);
+        this.entries.delete(object);
+        this.stats.removes++;
+
+        return true;
+    }
+
+    /**
+     * Indica si un objeto está indexado
+     * @param {Object} object - Objeto
+     * @returns {boolean} True si está indexado
+     */
+    has(object) {
+        return this.entries.has(object);
+    }
+
+    /**
+     * Obtiene los objetos cuyas celdas toca un área (sin repetir)
+     * @param {Object} area - Caja {x, y, width, height}
+     * @returns {Array} Objetos candidatos
+     */
+    query(area) {
+        const range = this.getCellRange(area);
+        const found = new Set();
+
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const cell = this.cells.get(`${cellX},${cellY}`);
+                if (cell) {
+                    for (const object of cell) {
+                        found.add(object);
+                    }
+                }
+            }
+        }
+
+        this.stats.queries++;
+        this.stats.queryResults += found.size;
+
+        return [...found];
+    }
+
+    /**
+     * Vacía el índice y sus contadores
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+
+        for (const key of Object.keys(this.stats)) {
+            this.stats[key] = 0;
+        }
+    }
+
+    /**
+     * Calcula el rango de celdas que cubre una caja
+     * @param {Object} bounds - Caja {x, y, width, height}
+     * @returns {Object} Rango {minX, maxX, minY, maxY}
+     */
+    getCellRange(bounds) {
+        const size = this.cellSize;
+
+        return {
+            minX: Math.floor(bounds.x / size),
+            maxX: Math.floor((bounds.x + (bounds.width || 0)) / size),
+            minY: Math.floor(bounds.y / size),
+            maxY: Math.floor((bounds.y + (bounds.height || 0)) / size)
+        };
+    }
+
+    /**
+     * Añade un objeto a las celdas de un rango
+     * @param {Object} object - Objeto
+     * @param {Object} range - Rango de celdas
+     */
+    addToCells(object, range) {
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const key = `${cellX},${cellY}`;
+                let cell = this.cells.get(key);
+
+                if (!cell) {
+                    cell = new Set();
+                    this.cells.set(key, cell);
+                }
+
+                cell.add(object);
+            }
+        }
+    }
+
+    /**
+     * Quita un objeto de las celdas de un rango, borrando las que quedan vacías
+     * @param {Object} object - Objeto
+     * @param {Object} range - Rango de celdas
+     */
+    removeFromCells(object, range) {
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const key = `${cellX},${cellY}`;
+                const cell = this.cells.get(key);
+
+                if (cell) {
+                    cell.delete(object);
+                    if (cell.size === 0) {
+                        this.cells.delete(key);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Obtiene estadísticas del índice
+     * @returns {Object} Estadísticas
+     */
+    getStats() {
+        let maxPerCell = 0;
+        let references = 0;
+
+        for (const cell of this.cells.values()) {
+            references += cell.size;
+            maxPerCell = Math.max(maxPerCell, cell.size);
+        }
+
+        return {
+            objects: this.entries.size,
+            cells: this.cells.size,
+            averagePerCell: this.cells.size > 0 ? references / this.cells.size : 0,
+            maxPerCell,
+            ...this.stats,
+            averageQueryResults: this.stats.queries > 0 ? this.stats.queryResults / this.stats.queries : 0
+        };
+    }
+}
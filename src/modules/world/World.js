@@ -5,8 +5,10 @@
 
 import { ObstacleManager } from './ObstacleManager.js';
 import { CollisionDetector } from './CollisionDetector.js';
-import { Camera } from './Camera.js';
 import { WorldRenderer } from './WorldRenderer.js';
+import { CameraSystem } from '../renderer/CameraSystem.js';
+import { SeededRandom } from '../../utils/SeededRandom.js';
+import { configLoader } from '../../config/ConfigLoader.js';
 
 export class World {
     /**
@@ -25,7 +27,7 @@ export class World {
         // Límites del mundo
         this.bounds = {
             left: this.worldConfig.bounds?.left || 0,
-            right: this.worldConfig.bounds?.right || 5000,
+            right: this.worldConfig.bounds?.right ?? Infinity,
             top: this.worldConfig.bounds?.top || -500,
             bottom: this.worldConfig.bounds?.bottom || 900
         };
@@ -53,8 +55,7 @@ export class World {
         this.camera = null;
         this.worldRenderer = null;
         
-        // Elementos del mundo
-        this.obstacles = [];
+        // Elementos del mundo (los obstáculos viven en el ObstacleManager)
         this.coins = [];
         this.collectibles = [];
         
@@ -62,15 +63,39 @@ export class World {
         this.generation = {
             lookAhead: this.worldConfig.generation?.lookAhead || 2000,
             cleanupDistance: this.worldConfig.generation?.cleanupDistance || 500,
+            safeZone: this.worldConfig.generation?.safeZone ?? 600,
+            checkpointInterval: this.worldConfig.generation?.checkpointInterval ?? 1500,
+            extraLifeEvery: this.worldConfig.generation?.extraLifeEvery ?? 4,
+            powerups: {
+                chance: 0.15,
+                chancePerDifficulty: 0.05,
+                maxChance: 0.4,
+                weights: {},
+                ...this.worldConfig.generation?.powerups
+            },
             lastGeneratedX: 0,
-            seed: Date.now()
+            lastPatternEnd: 0,
+            nextCheckpointX: 0,
+            seed: this.worldConfig.generation?.seed ?? SeededRandom.createRandomSeed()
         };
         
+        // Generador aleatorio de la partida: todo el contenido sale de aquí
+        this.rng = new SeededRandom(this.generation.seed);
+        
+        // Nivel creado a mano (null = modo infinito)
+        this.level = null;
+        this.levelState = {
+            completed: false
+        };
+        
+        // Checkpoints de la partida (del nivel o colocados por el generador)
+        this.checkpoints = [];
+        this.checkpointIndex = -1;
+        
         // Referencia al jugador
         this.player = null;
         
         console.log('🌍 World creado');
-        this.init();
     }
     
     /**
@@ -109,18 +134,28 @@ export class World {
      * Inicializa los sistemas del mundo
      */
     async initializeSystems() {
-        // Inicializar cámara
-        this.camera = new Camera(this.worldConfig.camera || {}, this.eventBus);
+        // Inicializar cámara (adelantada respecto al jugador para ver lo que viene)
+        this.camera = new CameraSystem({ offsetX: 300, ...this.worldConfig.camera }, this.eventBus);
         await this.camera.init();
         
+        // Bloquear el eje vertical en el centro del corredor
+        const corridorCenterY = (this.surface.ceilingY + this.surface.thickness + this.surface.groundY) / 2;
+        this.camera.setBounds(-Infinity, Infinity, corridorCenterY, corridorCenterY);
+        
         // Inicializar gestor de obstáculos
         this.obstacleManager = new ObstacleManager(
             this.config.obstacles || {}, 
             this.eventBus,
-            this.bounds
+            this.bounds,
+            this.surface,
+            this.rng
         );
         await this.obstacleManager.init();
         
+        // Patrones de obstáculos desde los packs JSON
+        const patterns = await configLoader.loadPatternPacks(this.config.obstacles?.patternPacks);
+        this.obstacleManager.setPatterns(patterns);
+        
         // Inicializar detector de colisiones
         this.collisionDetector = new CollisionDetector(
             this.config.physics || {},
@@ -129,11 +164,15 @@ export class World {
         );
         await this.collisionDetector.init();
         
+        // El ObstacleManager mantiene el spatial hash del detector al crear, mover y reciclar obstáculos
+        this.obstacleManager.setSpatialIndex(this.collisionDetector);
+        
         // Inicializar renderizador del mundo
         this.worldRenderer = new WorldRenderer(
             this.config,
             this.eventBus,
-            this.surface
+            this.surface,
+            this.camera
         );
         await this.worldRenderer.init();
         
@@ -145,19 +184,16 @@ export class World {
      */
     setupEventListeners() {
         // Escuchar eventos del jugador
-        this.eventBus.on('player:initialized', this.handlePlayerInitialized.bind(this));
-        this.eventBus.on('player:updated', this.handlePlayerUpdated.bind(this));
-        this.eventBus.on('player:died', this.handlePlayerDied.bind(this));
-        this.eventBus.on('player:reset', this.handlePlayerReset.bind(this));
+        this.eventBus.on('player:updated', this.handlePlayerUpdated.bind(this), this);
+        this.eventBus.on('player:died', this.handlePlayerDied.bind(this), this);
+        this.eventBus.on('player:reset', this.handlePlayerReset.bind(this), this);
+        this.eventBus.on('player:respawned', this.handlePlayerRespawned.bind(this), this);
         
         // Escuchar eventos de estado del juego
-        this.eventBus.on('state:changed', this.handleStateChange.bind(this));
-        
-        // Escuchar eventos de cámara
-        this.eventBus.on('camera:shake', this.handleCameraShake.bind(this));
+        this.eventBus.on('game:state-changed', this.handleStateChange.bind(this), this);
         
         // Escuchar eventos de colisiones
-        this.eventBus.on('collision:detected', this.handleCollisionDetected.bind(this));
+        this.eventBus.on('collision:detected', this.handleCollisionDetected.bind(this), this);
         
         console.log('👂 Event listeners del World configurados');
     }
@@ -166,18 +202,157 @@ export class World {
      * Genera contenido inicial del mundo
      */
     generateInitialContent() {
-        // Generar obstáculos iniciales
-        this.obstacleManager.generateObstacles(0, this.generation.lookAhead);
+        // Los niveles traen todo su contenido colocado a mano
+        if (this.level) {
+            this.populateLevel();
+            return;
+        }
+        
+        // Dejar una zona libre de obstáculos al inicio de la partida
+        const startX = this.generation.safeZone;
+        
+        // El primer checkpoint llega tras un intervalo completo
+        this.generation.lastPatternEnd = 0;
+        this.generation.nextCheckpointX = this.generation.checkpointInterval;
+        
+        // Generar obstáculos iniciales (los patrones pueden pasarse del límite)
+        const generatedUntil = this.generateObstacles(startX, this.generation.lookAhead);
         
         // Generar monedas iniciales
-        this.generateCoins(0, this.generation.lookAhead);
+        this.generateCoins(startX, generatedUntil);
         
         // Actualizar posición de última generación
-        this.generation.lastGeneratedX = this.generation.lookAhead;
+        this.generation.lastGeneratedX = generatedUntil;
         
         console.log('🏗️ Contenido inicial del mundo generado');
     }
     
+    /**
+     * Coloca el contenido del nivel actual
+     */
+    populateLevel() {
+        const level = this.level;
+        
+        this.obstacleManager.placeObstacles(level.obstacles);
+        
+        for (const coin of level.coins) {
+            this.coins.push({
+                x: coin.x,
+                y: this.resolveAnchorY(coin.y, coin.anchor),
+                collected: false,
+                value: coin.value,
+                type: 'coin',
+                animation: {
+                    rotation: 0,
+                    bobOffset: (coin.x * 0.01) % (Math.PI * 2),
+                    scale: 1
+                }
+            });
+        }
+        
+        for (const item of level.collectibles) {
+            this.addCollectible({
+                x: item.x,
+                y: this.resolveAnchorY(item.y, item.anchor),
+                type: item.type,
+                size: item.size
+            });
+        }
+        
+        this.checkpoints = level.checkpoints.map(checkpoint => ({ x: checkpoint.x }));
+        
+        // Todo el nivel está generado
+        this.generation.lastGeneratedX = level.finish.x;
+        
+        console.log(`🗺️ Nivel ${level.id} colocado`);
+    }
+    
+    /**
+     * Genera obstáculos procedurales y coloca checkpoints en los huecos entre patrones
+     * @param {number} startX - Posición X inicial
+     * @param {number} endX - Posición X final
+     * @returns {number} Posición X donde termina el último patrón generado
+     */
+    generateObstacles(startX, endX) {
+        return this.obstacleManager.generateObstacles(startX, endX, (patternX, pattern) => {
+            const gapCenter = Math.round((this.generation.lastPatternEnd + patternX) / 2);
+            
+            if (patternX >= this.generation.nextCheckpointX) {
+                this.addGeneratedCheckpoint(gapCenter);
+            } else if (this.generation.lastPatternEnd > 0) {
+                this.addGeneratedPowerUp(gapCenter);
+            }
+            this.generation.lastPatternEnd = patternX + pattern.length;
+        });
+    }
+    
+    /**
+     * Añade un checkpoint del modo infinito; cada pocos checkpoints deja una vida extra
+     * @param {number} x - Posición X del checkpoint
+     */
+    addGeneratedCheckpoint(x) {
+        this.checkpoints.push({ x });
+        this.generation.nextCheckpointX = x + this.generation.checkpointInterval;
+        
+        const every = this.generation.extraLifeEvery;
+        if (every > 0 && this.checkpoints.length % every === 0) {
+            this.addCollectible({
+                x,
+                y: this.resolveAnchorY(30, 'ground'),
+                type: 'extra_life'
+            });
+        }
+    }
+    
+    /**
+     * Puede dejar un power-up en un hueco entre patrones; la probabilidad y el tipo dependen de la dificultad
+     * @param {number} x - Posición X del hueco
+     */
+    addGeneratedPowerUp(x) {
+        const spawn = this.generation.powerups;
+        const level = this.state.difficulty - 1;
+        const chance = Math.min(spawn.maxChance, spawn.chance + spawn.chancePerDifficulty * level);
+        
+        if (!this.rng.chance(chance)) return;
+        
+        // Peso de cada tipo = base + perDifficulty × (dificultad - 1)
+        const weighted = Object.entries(spawn.weights)
+            .map(([type, weight]) => [type, Math.max(0, weight.base + (weight.perDifficulty || 0) * level)])
+            .filter(([, weight]) => weight > 0);
+        const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) return;
+        
+        let roll = this.rng.range(0, total);
+        let type = weighted[weighted.length - 1][0];
+        for (const [candidate, weight] of weighted) {
+            if (roll < weight) {
+                type = candidate;
+                break;
+            }
+            roll -= weight;
+        }
+        
+        // Junto al suelo o al techo para premiar el cambio de gravedad
+        const anchor = this.rng.chance(0.5) ? 'ground' : 'ceiling';
+        this.addCollectible({
+            x,
+            y: this.resolveAnchorY(40, anchor),
+            type
+        });
+    }
+    
+    /**
+     * Convierte una separación respecto a una superficie en una Y del mundo
+     * @param {number} offset - Separación desde la superficie
+     * @param {string} anchor - Superficie de referencia (ground o ceiling)
+     * @returns {number} Y en coordenadas del mundo
+     */
+    resolveAnchorY(offset, anchor) {
+        return anchor === 'ceiling'
+            ? this.surface.ceilingY + this.surface.thickness + offset
+            : this.surface.groundY - offset;
+    }
+    
     /**
      * Actualización con timestep fijo
      * @param {number} fixedDelta - Delta time fijo
@@ -192,6 +367,16 @@ export class World {
         this.obstacleManager.fixedUpdate(fixedDelta);
         this.collisionDetector.fixedUpdate(fixedDelta);
         
+        // Imán de monedas y recogida (en el tick para que sea reproducible)
+        this.updateCoinMagnet(fixedDelta);
+        this.checkPickups();
+        
+        // Checkpoints y meta del nivel
+        this.checkCheckpoints();
+        if (this.level) {
+            this.checkLevelFinish();
+        }
+        
         // Generar contenido dinámicamente
         this.updateContentGeneration();
         
@@ -244,7 +429,8 @@ export class World {
      * Actualiza la generación de contenido
      */
     updateContentGeneration() {
-        if (!this.player) return;
+        // Los niveles no generan contenido nuevo
+        if (!this.player || this.level) return;
         
         const playerX = this.player.state.position.x;
         const generateUntil = playerX + this.generation.lookAhead;
@@ -252,10 +438,9 @@ export class World {
         // Generar más contenido si es necesario
         if (generateUntil > this.generation.lastGeneratedX) {
             const startX = this.generation.lastGeneratedX;
-            const endX = generateUntil;
             
-            // Generar obstáculos
-            this.obstacleManager.generateObstacles(startX, endX);
+            // Generar obstáculos hasta completar el último patrón
+            const endX = this.generateObstacles(startX, generateUntil);
             
             // Generar monedas
             this.generateCoins(startX, endX);
@@ -264,23 +449,63 @@ export class World {
         }
     }
     
+    /**
+     * Comprueba los checkpoints que ha cruzado el jugador
+     */
+    checkCheckpoints() {
+        if (!this.player || this.levelState.completed) return;
+        
+        const playerX = this.player.state.position.x;
+        
+        while (this.checkpointIndex + 1 < this.checkpoints.length &&
+               playerX >= this.checkpoints[this.checkpointIndex + 1].x) {
+            this.checkpointIndex++;
+            
+            console.log(`🚩 Checkpoint ${this.checkpointIndex + 1} alcanzado`);
+            this.eventBus.emit('world:checkpoint-reached', {
+                levelId: this.level?.id || null,
+                index: this.checkpointIndex,
+                x: this.checkpoints[this.checkpointIndex].x,
+                time: this.state.timeElapsed
+            });
+        }
+    }
+    
+    /**
+     * Comprueba si el jugador ha llegado a la meta del nivel
+     */
+    checkLevelFinish() {
+        if (!this.player || this.levelState.completed) return;
+        
+        if (this.player.state.position.x >= this.level.finish.x) {
+            this.levelState.completed = true;
+            this.state.isActive = false;
+            
+            console.log(`🏁 Nivel ${this.level.id} completado en ${this.state.timeElapsed.toFixed(0)}ms`);
+            this.eventBus.emit('world:level-completed', {
+                levelId: this.level.id,
+                name: this.level.name,
+                time: this.state.timeElapsed
+            });
+        }
+    }
+    
     /**
      * Limpia contenido distante
      */
     cleanupDistantContent() {
         if (!this.player) return;
         
+        // Conservar el contenido desde el último checkpoint para poder reaparecer en él
         const playerX = this.player.state.position.x;
-        const cleanupThreshold = playerX - this.generation.cleanupDistance;
+        const respawnX = this.getRespawnPoint()?.x ?? playerX;
+        const cleanupThreshold = Math.min(playerX, respawnX) - this.generation.cleanupDistance;
         
         // Limpiar obstáculos
-        this.obstacles = this.obstacles.filter(obstacle => {
-            if (obstacle.x < cleanupThreshold) {
-                this.obstacleManager.removeObstacle(obstacle);
-                return false;
-            }
-            return true;
-        });
+        const distantObstacles = this.obstacleManager.getObstaclesInRange(-Infinity, cleanupThreshold);
+        for (const obstacle of distantObstacles) {
+            this.obstacleManager.removeObstacle(obstacle);
+        }
         
         // Limpiar monedas
         this.coins = this.coins.filter(coin => coin.x >= cleanupThreshold);
@@ -315,16 +540,16 @@ export class World {
         
         for (let x = startX; x < endX; x += coinSpacing) {
             // Probabilidad de generar moneda
-            if (Math.random() < 0.3) {
+            if (this.rng.chance(0.3)) {
                 this.coins.push({
-                    x: x + Math.random() * 100,
-                    y: coinHeight + (Math.random() - 0.5) * 100,
+                    x: x + this.rng.range(0, 100),
+                    y: coinHeight + this.rng.range(-50, 50),
                     collected: false,
                     value: 10,
                     type: 'coin',
                     animation: {
                         rotation: 0,
-                        bobOffset: Math.random() * Math.PI * 2,
+                        bobOffset: this.rng.range(0, Math.PI * 2),
                         scale: 1
                     }
                 });
@@ -343,14 +568,8 @@ export class World {
             // Animación de rotación
             coin.animation.rotation += 0.05;
             
-            // Animación de flotación
+            // Animación de flotación (solo visual, no mueve la hitbox)
             coin.animation.bobOffset += 0.03;
-            coin.y += Math.sin(coin.animation.bobOffset) * 0.5;
-            
-            // Verificar colisión con jugador
-            if (this.player && this.checkCoinCollection(coin)) {
-                this.collectCoin(coin);
-            }
         }
     }
     
@@ -364,9 +583,49 @@ export class World {
             
             // Actualizar animación específica del tipo
             this.updateCollectibleAnimation(item, deltaTime);
+        }
+    }
+    
+    /**
+     * Atrae hacia el jugador las monedas cercanas mientras tiene el imán
+     * @param {number} fixedDelta - Delta time fijo en milisegundos
+     */
+    updateCoinMagnet(fixedDelta) {
+        const magnet = this.player?.playerPowerUps?.get('magnet');
+        if (!magnet) return;
+        
+        const center = this.player.getCenter();
+        const step = magnet.pullSpeed * fixedDelta / 1000;
+        
+        for (const coin of this.coins) {
+            if (coin.collected) continue;
+            
+            const dx = center.x - coin.x;
+            const dy = center.y - coin.y;
+            const distance = Math.hypot(dx, dy);
             
-            // Verificar colisión con jugador
-            if (this.player && this.checkCollectibleCollection(item)) {
+            if (distance === 0 || distance > magnet.radius) continue;
+            
+            const move = Math.min(distance, step);
+            coin.x += dx / distance * move;
+            coin.y += dy / distance * move;
+        }
+    }
+    
+    /**
+     * Recoge las monedas y coleccionables que toca el jugador
+     */
+    checkPickups() {
+        if (!this.player) return;
+        
+        for (const coin of this.coins) {
+            if (!coin.collected && this.checkCoinCollection(coin)) {
+                this.collectCoin(coin);
+            }
+        }
+        
+        for (const item of this.collectibles) {
+            if (!item.collected && this.checkCollectibleCollection(item)) {
                 this.collectItem(item);
             }
         }
@@ -470,6 +729,15 @@ export class World {
             case 'shield':
                 item.animation.glow += 0.05;
                 break;
+                
+            case 'extra_life':
+                item.animation.pulse += 0.08;
+                item.animation.scale = 1 + Math.sin(item.animation.pulse) * 0.15;
+                break;
+                
+            case 'magnet':
+                item.animation.rotation = Math.sin(item.animation.pulse += 0.06) * 0.4;
+                break;
         }
     }
     
@@ -483,12 +751,21 @@ export class World {
                 this.eventBus.emit('player:powerup-collected', { type: 'jump_boost' });
                 break;
                 
+            case 'magnet':
+                this.eventBus.emit('player:powerup-collected', { type: 'magnet' });
+                break;
+                
+            // Duraciones y multiplicadores en config.player.powerups
             case 'speed_boost':
-                this.eventBus.emit('player:speed-boost', { duration: 5000, multiplier: 1.5 });
+                this.eventBus.emit('player:speed-boost', {});
                 break;
                 
             case 'shield':
-                this.eventBus.emit('player:shield-activated', { duration: 3000 });
+                this.eventBus.emit('player:shield-activated', {});
+                break;
+                
+            case 'extra_life':
+                this.eventBus.emit('player:extra-life', { position: { x: item.x, y: item.y } });
                 break;
         }
     }
@@ -537,8 +814,15 @@ export class World {
         // Objetos del mundo
         renderObjects.push(...this.worldRenderer.getRenderObjects());
         
-        // Obstáculos
-        renderObjects.push(...this.obstacleManager.getRenderObjects());
+        // Obstáculos (solo los que caen en la zona visible de la cámara)
+        const visible = this.camera.getVisibleWorldBounds();
+        const margin = this.worldConfig.cullingMargin ?? 100;
+        renderObjects.push(...this.obstacleManager.getRenderObjects({
+            x: visible.x - margin,
+            y: visible.y - margin,
+            width: visible.width + margin * 2,
+            height: visible.height + margin * 2
+        }));
         
         // Monedas
         renderObjects.push(...this.getCoinsRenderObjects());
@@ -546,9 +830,60 @@ export class World {
         // Coleccionables
         renderObjects.push(...this.getCollectiblesRenderObjects());
         
+        // Checkpoints y meta del nivel
+        renderObjects.push({
+            layer: 'world',
+            zIndex: 3,
+            render: (ctx) => this.renderLevelMarkers(ctx)
+        });
+        
         return renderObjects;
     }
     
+    /**
+     * Renderiza los checkpoints y, en los niveles, la línea de meta
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    renderLevelMarkers(ctx) {
+        const top = this.surface.ceilingY + this.surface.thickness;
+        const bottom = this.surface.groundY;
+        
+        ctx.save();
+        
+        // Checkpoints: mástil con bandera (verde si ya se alcanzó)
+        this.checkpoints.forEach((checkpoint, index) => {
+            const reached = index <= this.checkpointIndex;
+            
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillRect(checkpoint.x - 2, bottom - 80, 4, 80);
+            
+            ctx.fillStyle = reached ? '#10B981' : '#666666';
+            ctx.beginPath();
+            ctx.moveTo(checkpoint.x + 2, bottom - 80);
+            ctx.lineTo(checkpoint.x + 32, bottom - 70);
+            ctx.lineTo(checkpoint.x + 2, bottom - 60);
+            ctx.closePath();
+            ctx.fill();
+        });
+        
+        if (!this.level) {
+            ctx.restore();
+            return;
+        }
+        
+        // Meta: franja a cuadros de techo a suelo
+        const finishX = this.level.finish.x;
+        const cell = 10;
+        for (let y = top, row = 0; y < bottom; y += cell, row++) {
+            for (let column = 0; column < 2; column++) {
+                ctx.fillStyle = (row + column) % 2 === 0 ? '#FFFFFF' : '#000000';
+                ctx.fillRect(finishX + column * cell, y, cell, Math.min(cell, bottom - y));
+            }
+        }
+        
+        ctx.restore();
+    }
+    
     /**
      * Obtiene objetos de renderizado de monedas
      * @returns {Array} Objetos de renderizado de monedas
@@ -585,11 +920,7 @@ export class World {
     renderCoin(ctx, coin) {
         ctx.save();
         
-        const cameraPos = this.camera.getPosition();
-        const screenX = coin.x - cameraPos.x;
-        const screenY = coin.y - cameraPos.y;
-        
-        ctx.translate(screenX, screenY);
+        ctx.translate(coin.x, coin.y + Math.sin(coin.animation.bobOffset) * 8);
         ctx.rotate(coin.animation.rotation);
         ctx.scale(coin.animation.scale, coin.animation.scale);
         
@@ -621,11 +952,7 @@ export class World {
     renderCollectible(ctx, item) {
         ctx.save();
         
-        const cameraPos = this.camera.getPosition();
-        const screenX = item.x - cameraPos.x;
-        const screenY = item.y - cameraPos.y;
-        
-        ctx.translate(screenX, screenY);
+        ctx.translate(item.x, item.y);
         ctx.rotate(item.animation.rotation || 0);
         ctx.scale(item.animation.scale || 1, item.animation.scale || 1);
         
@@ -640,6 +967,12 @@ export class World {
             case 'shield':
                 this.renderShield(ctx, item);
                 break;
+            case 'extra_life':
+                this.renderExtraLife(ctx, item);
+                break;
+            case 'magnet':
+                this.renderMagnet(ctx, item);
+                break;
         }
         
         ctx.restore();
@@ -712,24 +1045,55 @@ export class World {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText('🛡', 0, 0);
-    }    
-
-    // ===== MANEJO DE EVENTOS =====
+    }
     
     /**
-     * Maneja la inicialización del jugador
-     * @param {Object} data - Datos del jugador
+     * Renderiza una vida extra
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} item - Vida extra
      */
-    handlePlayerInitialized(data) {
-        // Obtener referencia al jugador desde el GameEngine
-        setTimeout(() => {
-            const gameEngine = window.gameEngine;
-            if (gameEngine) {
-                this.player = gameEngine.getModule('player');
-                console.log('👤 Referencia al jugador establecida en World');
-            }
-        }, 100);
+    renderExtraLife(ctx, item) {
+        ctx.fillStyle = '#EF4444';
+        ctx.strokeStyle = '#B91C1C';
+        ctx.lineWidth = 2;
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, item.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Símbolo de vida
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('♥', 0, 0);
+    }
+    
+    /**
+     * Renderiza un imán
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {Object} item - Imán
+     */
+    renderMagnet(ctx, item) {
+        ctx.fillStyle = '#F59E0B';
+        ctx.strokeStyle = '#B45309';
+        ctx.lineWidth = 2;
+        
+        ctx.beginPath();
+        ctx.arc(0, 0, item.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Símbolo de imán
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🧲', 0, 0);
     }
+
+    // ===== MANEJO DE EVENTOS =====
     
     /**
      * Maneja actualizaciones del jugador
@@ -738,9 +1102,6 @@ export class World {
     handlePlayerUpdated(data) {
         if (!this.player) return;
         
-        // Actualizar cámara para seguir al jugador
-        this.camera.setTarget(data.position);
-        
         // Verificar colisiones
         this.checkCollisions();
     }
@@ -763,34 +1124,35 @@ export class World {
         console.log('🔄 World reseteado con el jugador');
     }
     
+    /**
+     * Reanuda el mundo cuando el jugador reaparece en un checkpoint
+     * @param {Object} data - Datos de la reaparición
+     */
+    handlePlayerRespawned(data) {
+        this.state.isActive = true;
+        this.followPlayer();
+        console.log('🚩 Jugador reaparecido - World reanudado');
+    }
+    
     /**
      * Maneja cambios de estado del juego
      * @param {Object} data - Datos del cambio de estado
      */
     handleStateChange(data) {
-        const { to, from } = data;
-        
-        switch (to) {
+        switch (data.state) {
             case 'playing':
                 this.state.isActive = true;
                 break;
                 
             case 'paused':
             case 'menu':
-            case 'gameOver':
+            case 'game-over':
+            case 'level-complete':
                 this.state.isActive = false;
                 break;
         }
     }
     
-    /**
-     * Maneja eventos de shake de cámara
-     * @param {Object} data - Datos del shake
-     */
-    handleCameraShake(data) {
-        this.camera.shake(data.intensity, data.duration);
-    }
-    
     /**
      * Maneja colisiones detectadas
      * @param {Object} data - Datos de la colisión
@@ -843,22 +1205,24 @@ export class World {
      * @param {Object} playerHitbox - Hitbox del jugador
      */
     checkObstacleCollisions(playerHitbox) {
-        const obstacles = this.obstacleManager.getObstacles();
-        
-        for (const obstacle of obstacles) {
-            if (this.collisionDetector.checkObstacleCollision(playerHitbox, obstacle)) {
-                this.eventBus.emit('collision:detected', {
-                    type: 'player-obstacle',
-                    objectA: 'player',
-                    objectB: obstacle,
-                    position: {
-                        x: (playerHitbox.x + obstacle.x) / 2,
-                        y: (playerHitbox.y + obstacle.y) / 2
-                    }
-                });
-                break; // Solo procesar una colisión por frame
-            }
-        }
+        // Solo se procesa una colisión por tick: la primera en el recorrido del jugador
+        const contact = this.collisionDetector.findPlayerObstacleContact(
+            playerHitbox,
+            this.player.getPreviousHitbox(),
+            this.obstacleManager.obstacles
+        );
+        
+        if (!contact) return;
+        
+        this.eventBus.emit('collision:detected', {
+            type: 'player-obstacle',
+            objectA: 'player',
+            objectB: contact.obstacle,
+            cause: contact.cause,
+            normal: contact.normal,
+            correction: contact.correction,
+            position: contact.position
+        });
     }
     
     /**
@@ -959,6 +1323,104 @@ export class World {
     
     // ===== MÉTODOS DE UTILIDAD =====
     
+    /**
+     * Establece el jugador con el que interactúa el mundo
+     * @param {Player} player - Instancia del jugador
+     */
+    setPlayer(player) {
+        this.player = player;
+        this.followPlayer();
+        
+        console.log('👤 Referencia al jugador establecida en World');
+    }
+    
+    /**
+     * Hace que la cámara siga al jugador, colocándola directamente sobre él
+     */
+    followPlayer() {
+        if (!this.player || !this.camera) return;
+        
+        const position = this.player.getPosition();
+        this.camera.setTarget(this.player);
+        this.camera.setPosition(position.x + this.camera.follow.offset.x, position.y);
+        this.camera.applyBounds();
+        this.camera.updateTransform();
+    }
+    
+    /**
+     * Establece la semilla de generación; se aplica en el siguiente reset
+     * @param {number|string} seed - Semilla
+     */
+    setSeed(seed) {
+        this.generation.seed = seed;
+        this.rng.setSeed(seed);
+        
+        console.log(`🎲 Semilla del mundo: ${seed}`);
+    }
+    
+    /**
+     * Obtiene la semilla de generación actual
+     * @returns {number|string} Semilla
+     */
+    getSeed() {
+        return this.generation.seed;
+    }
+    
+    /**
+     * Establece el nivel a jugar; se aplica en el siguiente reset
+     * @param {Object|null} level - Nivel validado o null para el modo infinito
+     */
+    setLevel(level) {
+        this.level = level;
+        
+        console.log(level ? `🗺️ Nivel seleccionado: ${level.name}` : '♾️ Modo infinito');
+    }
+    
+    /**
+     * Obtiene el nivel actual
+     * @returns {Object|null} Nivel o null en modo infinito
+     */
+    getLevel() {
+        return this.level;
+    }
+    
+    /**
+     * Obtiene el progreso en el nivel actual
+     * @returns {Object|null} Progreso o null en modo infinito
+     */
+    getLevelProgress() {
+        if (!this.level) return null;
+        
+        const playerX = this.player ? this.player.state.position.x : 0;
+        
+        return {
+            levelId: this.level.id,
+            name: this.level.name,
+            checkpointIndex: this.checkpointIndex,
+            checkpointCount: this.checkpoints.length,
+            completed: this.levelState.completed,
+            progress: Math.min(1, Math.max(0, playerX / this.level.finish.x)),
+            time: this.state.timeElapsed
+        };
+    }
+    
+    /**
+     * Obtiene el punto de reaparición: el último checkpoint alcanzado
+     * @returns {Object|null} Posición { x } o null si no se ha alcanzado ninguno
+     */
+    getRespawnPoint() {
+        const checkpoint = this.checkpoints[this.checkpointIndex];
+        return checkpoint ? { x: checkpoint.x } : null;
+    }
+    
+    /**
+     * Obtiene la cámara del mundo
+     * @returns {CameraSystem} Cámara
+     */
+    getCamera() {
+        return this.camera;
+    }
+    
     /**
      * Resetea el mundo al estado inicial
      */
@@ -971,18 +1433,26 @@ export class World {
         this.state.isActive = true;
         
         // Limpiar elementos
-        this.obstacles = [];
         this.coins = [];
         this.collectibles = [];
         
-        // Resetear generación
+        // Resetear progreso del nivel y checkpoints
+        this.levelState.completed = false;
+        this.checkpoints = [];
+        this.checkpointIndex = -1;
+        
+        // Resetear generación (misma semilla, misma secuencia)
         this.generation.lastGeneratedX = 0;
+        this.rng.setSeed(this.generation.seed);
         
         // Resetear sistemas
         if (this.obstacleManager) this.obstacleManager.reset();
         if (this.camera) this.camera.reset();
         if (this.collisionDetector) this.collisionDetector.reset();
         
+        // El reset de la cámara suelta el objetivo: volver a enfocar al jugador
+        this.followPlayer();
+        
         // Generar contenido inicial
         this.generateInitialContent();
         
@@ -1026,15 +1496,71 @@ export class World {
     getState() {
         return { ...this.state };
     }
-    
+
+    /**
+     * Obtiene una instantánea de la partida en curso (contenido, generación y obstáculos)
+     * @returns {Object} Instantánea serializable
+     */
+    getSaveState() {
+        return JSON.parse(JSON.stringify({
+            level: this.level?.id ?? null,
+            state: this.state,
+            coins: this.coins,
+            collectibles: this.collectibles,
+            checkpoints: this.checkpoints,
+            checkpointIndex: this.checkpointIndex,
+            levelState: this.levelState,
+            generation: {
+                seed: this.generation.seed,
+                lastGeneratedX: this.generation.lastGeneratedX,
+                lastPatternEnd: this.generation.lastPatternEnd,
+                nextCheckpointX: this.generation.nextCheckpointX
+            },
+            rngState: this.rng.getState(),
+            obstacles: this.obstacleManager.getSaveState()
+        }));
+    }
+
+    /**
+     * Restaura una instantánea sobre el mundo ya reseteado con su semilla y nivel
+     * @param {Object} snapshot - Estado de getSaveState
+     * @throws {Error} Si la instantánea es de otro nivel
+     */
+    restoreSaveState(snapshot) {
+        if ((snapshot.level ?? null) !== (this.level?.id ?? null)) {
+            throw new Error(`La partida guardada es del nivel ${snapshot.level ?? 'infinito'}`);
+        }
+
+        const copy = JSON.parse(JSON.stringify(snapshot));
+
+        Object.assign(this.state, copy.state);
+        this.coins = copy.coins;
+        this.collectibles = copy.collectibles;
+        this.checkpoints = copy.checkpoints;
+        this.checkpointIndex = copy.checkpointIndex;
+        this.levelState = copy.levelState;
+
+        // Misma semilla y misma posición en la secuencia: el contenido siguiente será el mismo
+        Object.assign(this.generation, copy.generation);
+        this.rng.setSeed(this.generation.seed);
+        this.rng.setState(copy.rngState);
+
+        this.obstacleManager.restoreSaveState(copy.obstacles);
+
+        this.followPlayer();
+
+        console.log(`📥 Mundo restaurado en x=${Math.round(this.generation.lastGeneratedX)}`);
+    }
+
     /**
      * Obtiene estadísticas del mundo
      * @returns {Object} Estadísticas
      */
     getStats() {
         return {
-            obstacleCount: this.obstacles.length,
+            obstacleCount: this.obstacleManager ? this.obstacleManager.getObstacles().length : 0,
             coinCount: this.coins.filter(c => !c.collected).length,
+            checkpointCount: this.checkpoints.length,
             collectibleCount: this.collectibles.filter(c => !c.collected).length,
             distanceTraveled: this.state.distanceTraveled,
             timeElapsed: this.state.timeElapsed,
@@ -1126,7 +1652,6 @@ export class World {
         }
         
         // Limpiar elementos
-        this.obstacles = [];
         this.coins = [];
         this.collectibles = [];
         
@@ -0,0 +1,157 @@
+/**
+ * Renderizador de las superficies del mundo para Spikepulse
+ * @module WorldRenderer
+ */
+
+export class WorldRenderer {
+    /**
+     * Crea una nueva instancia del renderizador del mundo
+     * @param {Object} config - Configuración del juego
+     * @param {EventBus} eventBus - Bus de eventos
+     * @param {Object} surface - Superficie del mundo (suelo y techo)
+     * @param {CameraSystem} camera - Cámara del mundo
+     */
+    constructor(config, eventBus, surface, camera) {
+        this.config = config;
+        this.eventBus = eventBus;
+        this.surface = surface;
+        this.camera = camera;
+        this.isInitialized = false;
+
+        // Configuración visual
+        this.visual = {
+            surfaceColor: surface.color || '#333333',
+            edgeColor: '#FFD700',
+            edgeWidth: 3,
+            patternColor: 'rgba(255, 215, 0, 0.2)',
+            patternSpacing: 40,
+            patternWidth: 20
+        };
+
+        // Estado de animación
+        this.animation = {
+            edgePulse: 0
+        };
+
+        console.log('🏔️ WorldRenderer creado');
+    }
+
+    /**
+     * Inicializa el renderizador del mundo
+     */
+    async init() {
+        try {
+            console.log('🔧 Inicializando WorldRenderer...');
+
+            this.isInitialized = true;
+            console.log('✅ WorldRenderer inicializado');
+
+        } catch (error) {
+            console.error('❌ Error inicializando WorldRenderer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualización con timestep variable
+     * @param {number} deltaTime - Delta time en segundos
+     * @param {number} interpolation - Factor de interpolación
+     */
+    update(deltaTime, interpolation) {
+        if (!this.isInitialized) return;
+
+        this.animation.edgePulse = (this.animation.edgePulse + deltaTime * 2) % (Math.PI * 2);
+    }
+
+    /**
+     * Renderiza suelo y techo en coordenadas del mundo
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     */
+    render(ctx) {
+        if (!this.isInitialized) return;
+
+        const visible = this.camera.getVisibleWorldBounds();
+        const ceilingBottom = this.surface.ceilingY + this.surface.thickness;
+        const viewBottom = visible.y + visible.height;
+
+        ctx.save();
+
+        // Suelo (se extiende hasta el borde inferior de la vista)
+        this.renderSurface(ctx, visible.x, this.surface.groundY, visible.width, Math.max(0, viewBottom - this.surface.groundY));
+
+        // Techo (se extiende hasta el borde superior de la vista)
+        this.renderSurface(ctx, visible.x, visible.y, visible.width, Math.max(0, ceilingBottom - visible.y));
+
+        // Bordes brillantes
+        ctx.globalAlpha = 0.85 + Math.sin(this.animation.edgePulse) * 0.15;
+        ctx.fillStyle = this.visual.edgeColor;
+        ctx.fillRect(visible.x, this.surface.groundY, visible.width, this.visual.edgeWidth);
+        ctx.fillRect(visible.x, ceilingBottom - this.visual.edgeWidth, visible.width, this.visual.edgeWidth);
+
+        ctx.restore();
+    }
+
+    /**
+     * Renderiza un tramo de superficie con su patrón
+     * @param {CanvasRenderingContext2D} ctx - Contexto del canvas
+     * @param {number} x - Posición X en el mundo
+     * @param {number} y - Posición Y en el mundo
+     * @param {number} width - Ancho del tramo
+     * @param {number} height - Alto del tramo
+     */
+    renderSurface(ctx, x, y, width, height) {
+        if (height <= 0) return;
+
+        ctx.fillStyle = this.visual.surfaceColor;
+        ctx.fillRect(x, y, width, height);
+
+        // Patrón anclado al mundo para que se desplace con la cámara
+        const spacing = this.visual.patternSpacing;
+        const startX = Math.floor(x / spacing) * spacing;
+
+        ctx.fillStyle = this.visual.patternColor;
+        for (let stripeX = startX; stripeX < x + width; stripeX += spacing) {
+            ctx.fillRect(stripeX, y, this.visual.patternWidth, height);
+        }
+    }
+
+    /**
+     * Obtiene objetos de renderizado para el sistema de capas
+     * @returns {Array} Objetos de renderizado
+     */
+    getRenderObjects() {
+        if (!this.isInitialized) return [];
+
+        return [
+            {
+                layer: 'world',
+                zIndex: 0,
+                render: (ctx) => this.render(ctx)
+            }
+        ];
+    }
+
+    /**
+     * Obtiene información de debug
+     * @returns {Object} Información de debug
+     */
+    getDebugInfo() {
+        return {
+            isInitialized: this.isInitialized,
+            surface: { ...this.surface },
+            visual: { ...this.visual }
+        };
+    }
+
+    /**
+     * Limpia recursos del renderizador
+     */
+    destroy() {
+        console.log('🧹 Destruyendo WorldRenderer...');
+
+        this.camera = null;
+        this.isInitialized = false;
+
+        console.log('✅ WorldRenderer destruido');
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Módulo del mundo de Spikepulse
+ * @module World
+ */
+
+import { World } from './World.js';
+
+/**
+ * Crea una instancia del sistema del mundo
+ * @param {Object} config - Configuración del juego
+ * @param {EventBus} eventBus - Bus de eventos
+ * @returns {Object} Sistema del mundo
+ */
+export function createWorldSystem(config, eventBus) {
+    console.log('🌍 Creando sistema del mundo...');
+    
+    const world = new World(config, eventBus);
+    
+    const worldSystem = {
+        world,
+        
+        /**
+         * Inicializa el sistema del mundo
+         */
+        async init() {
+            console.log('🔧 Inicializando sistema del mundo...');
+            
+            try {
+                await world.init();
+                console.log('✅ Sistema del mundo inicializado');
+                
+            } catch (error) {
+                console.error('❌ Error inicializando sistema del mundo:', error);
+                throw error;
+            }
+        },
+        
+        /**
+         * Establece el jugador con el que interactúa el mundo
+         * @param {Player} player - Instancia del jugador
+         */
+        setPlayer(player) {
+            world.setPlayer(player);
+        },
+        
+        /**
+         * Establece la semilla de generación del mundo
+         * @param {number|string} seed - Semilla
+         */
+        setSeed(seed) {
+            world.setSeed(seed);
+        },
+        
+        /**
+         * Obtiene la semilla de generación del mundo
+         * @returns {number|string} Semilla
+         */
+        getSeed() {
+            return world.getSeed();
+        },
+        
+        /**
+         * Establece el nivel a jugar (null para el modo infinito)
+         * @param {Object|null} level - Nivel validado
+         */
+        setLevel(level) {
+            world.setLevel(level);
+        },
+        
+        /**
+         * Obtiene el nivel actual
+         * @returns {Object|null} Nivel o null en modo infinito
+         */
+        getLevel() {
+            return world.getLevel();
+        },
+        
+        /**
+         * Obtiene el progreso en el nivel actual
+         * @returns {Object|null} Progreso o null en modo infinito
+         */
+        getLevelProgress() {
+            return world.getLevelProgress();
+        },
+        
+        /**
+         * Obtiene el punto de reaparición (último checkpoint alcanzado)
+         * @returns {Object|null} Posición { x } o null
+         */
+        getRespawnPoint() {
+            return world.getRespawnPoint();
+        },
+        
+        /**
+         * Actualización con timestep fijo
+         * @param {number} fixedDelta - Delta time fijo en milisegundos
+         */
+        fixedUpdate(fixedDelta) {
+            world.fixedUpdate(fixedDelta);
+        },
+        
+        /**
+         * Actualización con timestep variable
+         * @param {number} deltaTime - Delta time en segundos
+         * @param {number} interpolation - Factor de interpolación
+         */
+        update(deltaTime, interpolation) {
+            world.update(deltaTime, interpolation);
+        },
+        
+        /**
+         * Obtiene objetos de renderizado para el sistema de capas
+         * @returns {Array} Objetos de renderizado
+         */
+        getRenderObjects() {
+            return world.getRenderObjects();
+        },
+        
+        /**
+         * Obtiene la cámara del mundo
+         * @returns {CameraSystem} Cámara
+         */
+        getCamera() {
+            return world.getCamera();
+        },
+        
+        /**
+         * Obtiene la superficie del mundo (suelo y techo)
+         * @returns {Object} Superficie
+         */
+        getSurface() {
+            return world.getSurface();
+        },
+        
+        /**
+         * Obtiene el estado actual del mundo
+         * @returns {Object} Estado del mundo
+         */
+        getState() {
+            return world.getState();
+        },
+        
+        /**
+         * Obtiene el estado de la partida en curso para una partida guardada
+         * @returns {Object} Estado serializable
+         */
+        getSaveState() {
+            return world.getSaveState();
+        },
+        
+        /**
+         * Restaura el estado de una partida guardada
+         * @param {Object} saveState - Estado de getSaveState
+         */
+        restoreSaveState(saveState) {
+            world.restoreSaveState(saveState);
+        },
+        
+        /**
+         * Obtiene información de debug del sistema
+         * @returns {Object} Información de debug
+         */
+        getDebugInfo() {
+            return {
+                world: world.getDebugInfo()
+            };
+        },
+        
+        /**
+         * Resetea el sistema del mundo
+         */
+        reset() {
+            world.resetWorld();
+        },
+        
+        /**
+         * Destruye el sistema del mundo
+         */
+        destroy() {
+            console.log('🧹 Destruyendo sistema del mundo...');
+            world.destroy();
+            console.log('✅ Sistema del mundo destruido');
+        }
+    };
+    
+    console.log('✅ Sistema del mundo creado');
+    return worldSystem;
+}
+
+console.log('📦 Módulo del mundo cargado');
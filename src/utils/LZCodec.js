@@ -0,0 +1,250 @@
+/**
+ * Compresión LZ de textos a cadenas UTF-16 seguras para localStorage
+ * @module LZCodec
+ *
+ * Variante LZW con diccionario creciente: cada carácter de salida lleva 15 bits
+ * útiles desplazados +32, así nunca se generan caracteres de control ni surrogates.
+ */
+
+/**
+ * Bits útiles por carácter de salida
+ */
+const BITS_PER_CHAR = 15;
+
+/**
+ * Desplazamiento de los caracteres de salida (evita los de control)
+ */
+const CHAR_OFFSET = 32;
+
+/**
+ * Códigos reservados del flujo: literal de 8 bits, literal de 16 bits y fin
+ */
+const CODE_CHAR8 = 0;
+const CODE_CHAR16 = 1;
+const CODE_END = 2;
+
+export class LZCodec {
+    /**
+     * Comprime un texto
+     * @param {string} input - Texto a comprimir
+     * @returns {string} Texto comprimido (UTF-16 seguro)
+     */
+    static compress(input) {
+        if (input === null || input === undefined) return '';
+
+        return LZCodec.compressBits(String(input), BITS_PER_CHAR, (value) => String.fromCharCode(value + CHAR_OFFSET)) + ' ';
+    }
+
+    /**
+     * Descomprime un texto generado por compress
+     * @param {string} compressed - Texto comprimido
+     * @returns {string} Texto original
+     * @throws {Error} Si el texto comprimido está dañado
+     */
+    static decompress(compressed) {
+        if (!compressed) return '';
+
+        const result = LZCodec.decompressBits(
+            compressed.length,
+            1 << (BITS_PER_CHAR - 1),
+            (index) => compressed.charCodeAt(index) - CHAR_OFFSET
+        );
+
+        if (result === null) {
+            throw new Error('Datos comprimidos dañados');
+        }
+
+        return result;
+    }
+
+    /**
+     * Codifica el texto como flujo de bits de códigos LZW
+     * @param {string} input - Texto
+     * @param {number} bitsPerChar - Bits por carácter de salida
+     * @param {Function} toChar - Convierte un valor de bitsPerChar bits en carácter
+     * @returns {string} Flujo codificado
+     */
+    static compressBits(input, bitsPerChar, toChar) {
+        const dictionary = new Map();
+        const pendingLiterals = new Set();
+        const output = [];
+
+        let dictSize = 3;
+        let numBits = 2;
+        let enlargeIn = 2;
+        let word = '';
+
+        let value = 0;
+        let position = 0;
+
+        // Escribe los bits de un código empezando por el menos significativo
+        const writeBits = (count, code) => {
+            for (let i = 0; i < count; i++) {
+                value = (value << 1) | (code & 1);
+                if (position === bitsPerChar - 1) {
+                    output.push(toChar(value));
+                    position = 0;
+                    value = 0;
+                } else {
+                    position++;
+                }
+                code >>= 1;
+            }
+        };
+
+        const growCodeWidth = () => {
+            enlargeIn--;
+            if (enlargeIn === 0) {
+                enlargeIn = 2 ** numBits;
+                numBits++;
+            }
+        };
+
+        // Emite una palabra: la primera vez que aparece un carácter va como literal
+        const emitWord = () => {
+            if (pendingLiterals.has(word)) {
+                const charCode = word.charCodeAt(0);
+                if (charCode < 256) {
+                    writeBits(numBits, CODE_CHAR8);
+                    writeBits(8, charCode);
+                } else {
+                    writeBits(numBits, CODE_CHAR16);
+                    writeBits(16, charCode);
+                }
+                growCodeWidth();
+                pendingLiterals.delete(word);
+            } else {
+                writeBits(numBits, dictionary.get(word));
+            }
+            growCodeWidth();
+        };
+
+        for (const char of input.split('')) {
+            if (!dictionary.has(char)) {
+                dictionary.set(char, dictSize++);
+                pendingLiterals.add(char);
+            }
+
+            const extended = word + char;
+            if (dictionary.has(extended)) {
+                word = extended;
+            } else {
+                emitWord();
+                dictionary.set(extended, dictSize++);
+                word = char;
+            }
+        }
+
+        if (word !== '') {
+            emitWord();
+        }
+
+        writeBits(numBits, CODE_END);
+
+        // Completar el último carácter de salida
+        for (;;) {
+            value <<= 1;
+            if (position === bitsPerChar - 1) {
+                output.push(toChar(value));
+                break;
+            }
+            position++;
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * Decodifica un flujo de bits de códigos LZW
+     * @param {number} length - Caracteres del flujo
+     * @param {number} resetValue - Máscara del bit más alto de cada carácter
+     * @param {Function} getNextValue - Devuelve el valor del carácter en un índice
+     * @returns {string|null} Texto, o null si el flujo está dañado
+     */
+    static decompressBits(length, resetValue, getNextValue) {
+        const dictionary = ['', '', ''];
+        const result = [];
+
+        let dictSize = 4;
+        let numBits = 3;
+        let enlargeIn = 4;
+
+        let value = getNextValue(0);
+        let position = resetValue;
+        let index = 1;
+
+        const readBits = (count) => {
+            let bits = 0;
+            let power = 1;
+            for (let i = 0; i < count; i++) {
+                const bit = value & position;
+                position >>= 1;
+                if (position === 0) {
+                    position = resetValue;
+                    value = getNextValue(index++);
+                }
+                bits |= (bit > 0 ? 1 : 0) * power;
+                power <<= 1;
+            }
+            return bits;
+        };
+
+        let word;
+        switch (readBits(2)) {
+            case CODE_CHAR8:
+                word = String.fromCharCode(readBits(8));
+                break;
+            case CODE_CHAR16:
+                word = String.fromCharCode(readBits(16));
+                break;
+            case CODE_END:
+                return '';
+            default:
+                return null;
+        }
+
+        dictionary[3] = word;
+        result.push(word);
+
+        for (;;) {
+            if (index > length) return null;
+
+            let code = readBits(numBits);
+
+            switch (code) {
+                case CODE_CHAR8:
+                case CODE_CHAR16:
+                    dictionary[dictSize++] = String.fromCharCode(readBits(code === CODE_CHAR8 ? 8 : 16));
+                    code = dictSize - 1;
+                    enlargeIn--;
+                    break;
+                case CODE_END:
+                    return result.join('');
+            }
+
+            if (enlargeIn === 0) {
+                enlargeIn = 2 ** numBits;
+                numBits++;
+            }
+
+            let entry;
+            if (dictionary[code] !== undefined) {
+                entry = dictionary[code];
+            } else if (code === dictSize) {
+                entry = word + word.charAt(0);
+            } else {
+                return null;
+            }
+
+            result.push(entry);
+            dictionary[dictSize++] = word + entry.charAt(0);
+            enlargeIn--;
+            word = entry;
+
+            if (enlargeIn === 0) {
+                enlargeIn = 2 ** numBits;
+                numBits++;
+            }
+        }
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Generador de números pseudoaleatorios con semilla para Spikepulse
+ * @module SeededRandom
+ */
+
+export class SeededRandom {
+    /**
+     * Crea un nuevo generador
+     * @param {number|string} seed - Semilla (número o texto)
+     */
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Establece la semilla y reinicia la secuencia
+     * @param {number|string} seed - Semilla (número o texto)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    /**
+     * Obtiene la semilla actual
+     * @returns {number|string} Semilla
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Obtiene la posición en la secuencia (para guardar una partida a medias)
+     * @returns {number} Estado interno
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continúa la secuencia desde un estado guardado con getState
+     * @param {number} state - Estado interno
+     */
+    setState(state) {
+        this.state = state | 0;
+    }
+
+    /**
+     * Genera el siguiente número en [0, 1) (algoritmo mulberry32)
+     * @returns {number} Número pseudoaleatorio
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Genera un número decimal entre min y max
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Número pseudoaleatorio
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Genera un entero entre min y max (ambos incluidos)
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Entero pseudoaleatorio
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Devuelve true con la probabilidad indicada
+     * @param {number} probability - Probabilidad (0-1)
+     * @returns {boolean} Resultado
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Elige un elemento de un array
+     * @param {Array} array - Array de opciones
+     * @returns {*} Elemento elegido o undefined si está vacío
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Convierte una semilla (número o texto) en un entero de 32 bits (FNV-1a)
+     * @param {number|string} seed - Semilla
+     * @returns {number} Entero de 32 bits
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Obtiene la semilla del desafío diario (igual para todos los jugadores en UTC)
+     * @param {Date} date - Fecha
+     * @returns {string} Semilla diaria
+     */
+    static getDailySeed(date = new Date()) {
+        return `diario-${date.toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Genera una semilla corta y fácil de compartir
+     * @returns {string} Semilla aleatoria
+     */
+    static createRandomSeed() {
+        return Math.random().toString(36).slice(2, 8).toUpperCase();
+    }
+}
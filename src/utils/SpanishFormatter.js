@@ -3,6 +3,8 @@
  * @module SpanishFormatter
  */
 
+import { SPANISH_TEXT } from '../config/SpanishText.js';
+
 export class SpanishFormatter {
     /**
      * Formatea números usando convenciones españolas
@@ -58,4 +60,29 @@ export class SpanishFormatter {
     static formatVelocity(velocity) {
         return `${this.formatNumber(velocity, 1)} m/s`;
     }
+    
+    /**
+     * Formatea una fecha
+     * @param {number} timestamp - Marca de tiempo en milisegundos
+     * @returns {string} Fecha formateada (dd/mm/aaaa)
+     */
+    static formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString('es-ES', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric'
+        });
+    }
+    
+    /**
+     * Formatea una causa de muerte
+     * @param {string|null} cause - Causa de la muerte
+     * @returns {string} Texto de la causa
+     */
+    static formatDeathCause(cause) {
+        if (!cause) return '-';
+        
+        const key = `DEATH_${cause.toUpperCase().replace(/-/g, '_')}`;
+        return SPANISH_TEXT[key] || cause;
+    }
 }
\ No newline at end of file
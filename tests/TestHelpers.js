@@ -0,0 +1,83 @@
+/**
+ * Utilidades compartidas por los tests de Spikepulse
+ * @module TestHelpers
+ */
+
+import { EventBus } from '../src/core/EventBus.js';
+import { GameState } from '../src/core/GameState.js';
+import { getPersistenceConfig } from '../src/config/PersistenceConfig.js';
+import { PROBE_KEY } from '../src/core/storage/StorageAdapter.js';
+
+/**
+ * Mock de localStorage con cuota: con full activo solo admite la clave de prueba
+ */
+export class MockLocalStorage {
+    constructor() {
+        this.store = new Map();
+        this.full = false;
+    }
+
+    getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.full && key !== PROBE_KEY) {
+            const error = new Error('Cuota superada');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        this.store.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.store.delete(key);
+    }
+
+    key(index) {
+        return Array.from(this.store.keys())[index] ?? null;
+    }
+
+    get length() {
+        return this.store.size;
+    }
+}
+
+/**
+ * Crea un gestor de módulo inicializado con GameState sin persistencia y su almacenamiento en memoria
+ * @param {Function} Manager - Clase del gestor (constructor(config, eventBus), init, setGameState y setStorage)
+ * @returns {Object} Fixture {eventBus, gameState, manager}
+ */
+export async function createManagerFixture(Manager) {
+    const eventBus = new EventBus();
+
+    const gameState = new GameState(eventBus, { persistence: getPersistenceConfig('testing') });
+    await gameState.init();
+
+    const manager = new Manager({}, eventBus);
+    await manager.init();
+    manager.setGameState(gameState);
+    await manager.setStorage(gameState.storage);
+
+    return { eventBus, gameState, manager };
+}
+
+/**
+ * Destruye el gestor de un fixture
+ * @param {Object} fixture - Fixture de createManagerFixture
+ */
+export function destroyManagerFixture(fixture) {
+    fixture.manager.destroy();
+}
+
+/**
+ * Juega una partida con semilla hasta la distancia indicada (en metros, como la mide el mundo)
+ * @param {EventBus} eventBus - Bus de eventos
+ * @param {number} distance - Distancia en metros
+ * @param {string|null} level - Nivel de la partida
+ */
+export function playRun(eventBus, distance, level = null) {
+    eventBus.emit('game:seed-selected', { seed: 'NOIR42', mode: 'custom', level });
+    eventBus.emit('game:started', { isReplay: false, isPlaytest: false });
+    eventBus.emit('game:distance-changed', { distance });
+}
@@ -0,0 +1,142 @@
+/**
+ * Ejecutor principal de tests para Spikepulse
+ * @module TestRunner
+ */
+
+import { testFramework } from './TestFramework.js';
+
+// Importar todos los archivos de test
+import './unit/core/SaveMigration.test.js';
+import './unit/core/SaveCompression.test.js';
+import './unit/core/FallbackStorage.test.js';
+import './unit/modules/AchievementManager.test.js';
+import './unit/modules/GamepadHandler.test.js';
+import './unit/modules/GestureRecognizer.test.js';
+import './unit/modules/HighScoreManager.test.js';
+import './unit/modules/ObstacleManager.test.js';
+import './unit/modules/SaveSlotManager.test.js';
+import './unit/modules/StatisticsManager.test.js';
+
+/**
+ * Ejecutar todos los tests
+ * @returns {Object} Resultados de los tests
+ */
+async function runAllTests() {
+    console.log('🎮 SPIKEPULSE - SUITE DE TESTS');
+    console.log('================================');
+    console.log('Ejecutando tests para módulos principales...\n');
+
+    try {
+        // Ejecutar todos los tests
+        const results = await testFramework.run();
+
+        // Mostrar estadísticas por suite
+        console.log('\n📊 ESTADÍSTICAS POR SUITE:');
+        console.log('-'.repeat(30));
+
+        const suiteStats = testFramework.getSuiteStats();
+        Object.entries(suiteStats).forEach(([suiteName, stats]) => {
+            const status = stats.failed === 0 ? '✅' : '❌';
+            console.log(`${status} ${suiteName}: ${stats.passed}/${stats.total} (${stats.successRate}%)`);
+        });
+
+        // Determinar resultado general
+        const overallSuccess = results.failed === 0;
+        const statusIcon = overallSuccess ? '🎉' : '💥';
+        const statusText = overallSuccess ? 'TODOS LOS TESTS PASARON' : 'ALGUNOS TESTS FALLARON';
+
+        console.log(`\n${statusIcon} ${statusText}`);
+
+        return results;
+
+    } catch (error) {
+        console.error('💥 Error ejecutando tests:', error);
+        return {
+            passed: 0,
+            failed: 1,
+            total: 1,
+            errors: [{ error: error.message }]
+        };
+    }
+}
+
+/**
+ * Ejecutar los tests de una suite
+ * @param {string} suiteName - Nombre de la suite a ejecutar
+ * @returns {Object} Resultados de la suite
+ */
+async function runSuiteTests(suiteName) {
+    console.log(`🎯 Ejecutando tests para: ${suiteName}\n`);
+
+    // Filtrar tests de la suite específica
+    const suiteTests = testFramework.tests.filter(test => test.suite === suiteName);
+
+    if (suiteTests.length === 0) {
+        console.log(`❌ No se encontraron tests para la suite: ${suiteName}`);
+        return { passed: 0, failed: 1, total: 0 };
+    }
+
+    console.log(`📋 Encontrados ${suiteTests.length} tests en la suite "${suiteName}"`);
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of suiteTests) {
+        try {
+            await test.testFunction();
+            console.log(`  ✅ ${test.description}`);
+            passed++;
+        } catch (error) {
+            console.log(`  ❌ ${test.description}`);
+            console.log(`     Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`\n📊 Resultados de "${suiteName}": ${passed}/${suiteTests.length} tests pasaron`);
+
+    return { passed, failed, total: suiteTests.length };
+}
+
+/**
+ * Mostrar ayuda
+ */
+function showHelp() {
+    console.log('🎮 SPIKEPULSE TEST RUNNER');
+    console.log('========================');
+    console.log('');
+    console.log('Uso:');
+    console.log('  node tests/runTests.js [suite]');
+    console.log('');
+    console.log('Opciones:');
+    console.log('  (sin argumentos)  - Ejecutar todos los tests');
+    console.log('  SaveMigration     - Ejecutar solo tests de migración de guardados');
+    console.log('  SaveCompression   - Ejecutar solo tests de compresión de guardados');
+    console.log('  FallbackStorage   - Ejecutar solo tests del almacenamiento en cascada');
+    console.log('  AchievementManager - Ejecutar solo tests de los logros');
+    console.log('  GamepadHandler    - Ejecutar solo tests de los mandos');
+    console.log('  GestureRecognizer - Ejecutar solo tests de los gestos táctiles');
+    console.log('  HighScoreManager  - Ejecutar solo tests de las tablas de récords');
+    console.log('  ObstacleManager   - Ejecutar solo tests del movimiento de los obstáculos');
+    console.log('  SaveSlotManager   - Ejecutar solo tests de las partidas guardadas');
+    console.log('  StatisticsManager - Ejecutar solo tests de las estadísticas');
+    console.log('  --help, -h        - Mostrar esta ayuda');
+    console.log('');
+    console.log('Ejemplos:');
+    console.log('  node tests/runTests.js');
+    console.log('  node tests/runTests.js SaveMigration');
+}
+
+// Ejecutar tests según argumentos de línea de comandos
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+} else {
+    const results = args.length === 0 ? await runAllTests() : await runSuiteTests(args[0]);
+
+    // Código de salida distinto de cero si algo falló (para npm test y CI)
+    process.exitCode = results.failed > 0 ? 1 : 0;
+}
+
+export { runAllTests, runSuiteTests, showHelp };
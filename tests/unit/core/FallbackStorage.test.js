@@ -0,0 +1,109 @@
+/**
+ * Tests del almacenamiento en cascada
+ * @module FallbackStorageTests
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { testFramework, expect } from '../../TestFramework.js';
+import { FallbackStorage } from '../../../src/core/storage/FallbackStorage.js';
+import { MockLocalStorage } from '../../TestHelpers.js';
+
+testFramework.describe('FallbackStorage', () => {
+    let mockLocalStorage;
+    let fallbacks;
+    let directory;
+
+    // Limpieza después de cada test
+    function afterEach() {
+        delete globalThis.localStorage;
+        if (directory) {
+            rmSync(directory, { recursive: true, force: true });
+            directory = null;
+        }
+    }
+
+    // Setup antes de cada test: localStorage con un guardado y una copia ya escritos
+    async function beforeEach(backends, options = {}) {
+        mockLocalStorage = new MockLocalStorage();
+        globalThis.localStorage = mockLocalStorage;
+        fallbacks = [];
+
+        const storage = new FallbackStorage({
+            backends,
+            keyPrefix: 'spikepulse-game-state',
+            ...options
+        }, (data) => fallbacks.push(data));
+
+        await storage.setItem('spikepulse-game-state', 'GUARDADO');
+        await storage.setItem('spikepulse-game-state-backup-0', 'COPIA');
+        mockLocalStorage.full = true;
+
+        return storage;
+    }
+
+    testFramework.test('no debe mover los datos a la memoria cuando se llena localStorage', async () => {
+        const storage = await beforeEach(['localStorage', 'memory']);
+
+        let saveError = null;
+        try {
+            await storage.setItem('spikepulse-game-state', 'GUARDADO-NUEVO');
+        } catch (error) {
+            saveError = error;
+        }
+
+        expect(saveError?.name).toBe('QuotaExceededError');
+        expect(storage.getBackendName()).toBe('localStorage');
+        expect(fallbacks).toHaveLength(0);
+        expect(mockLocalStorage.getItem('spikepulse-game-state')).toBe('GUARDADO');
+        expect(mockLocalStorage.getItem('spikepulse-game-state-backup-0')).toBe('COPIA');
+        afterEach();
+    });
+
+    testFramework.test('debe mover los datos a un backend persistente y liberar localStorage', async () => {
+        directory = mkdtempSync(join(tmpdir(), 'spikepulse-test-'));
+        const storage = await beforeEach(['localStorage', 'memory', 'fileSystem'], {
+            fileSystem: { directory }
+        });
+
+        await storage.setItem('spikepulse-game-state', 'GUARDADO-NUEVO');
+
+        expect(storage.getBackendName()).toBe('fileSystem');
+        expect(fallbacks).toEqual([{ from: 'localStorage', to: 'fileSystem', reason: 'Cuota superada' }]);
+        expect(await storage.getItem('spikepulse-game-state')).toBe('GUARDADO-NUEVO');
+        expect(await storage.getItem('spikepulse-game-state-backup-0')).toBe('COPIA');
+        expect(mockLocalStorage.length).toBe(0);
+        afterEach();
+    });
+
+    testFramework.test('debe conservar los datos si la copia al nuevo backend no se confirma', async () => {
+        directory = mkdtempSync(join(tmpdir(), 'spikepulse-test-'));
+        const storage = await beforeEach(['localStorage', 'fileSystem'], {
+            fileSystem: { directory }
+        });
+
+        // El backend nuevo acepta la escritura pero devuelve otra cosa al releer
+        const createUsableAdapter = storage.createUsableAdapter.bind(storage);
+        storage.createUsableAdapter = async (name) => {
+            const adapter = await createUsableAdapter(name);
+            if (adapter?.name === 'fileSystem') {
+                adapter.getItem = async () => 'DAÑADO';
+            }
+            return adapter;
+        };
+
+        let saveError = null;
+        try {
+            await storage.setItem('spikepulse-game-state', 'GUARDADO-NUEVO');
+        } catch (error) {
+            saveError = error;
+        }
+
+        expect(saveError).toBeInstanceOf(Error);
+        expect(storage.getBackendName()).toBe('localStorage');
+        expect(mockLocalStorage.getItem('spikepulse-game-state')).toBe('GUARDADO');
+        expect(mockLocalStorage.getItem('spikepulse-game-state-backup-0')).toBe('COPIA');
+        afterEach();
+    });
+});
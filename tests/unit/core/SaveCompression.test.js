@@ -0,0 +1,60 @@
+/**
+ * Tests de la compresión de guardados de GameState
+ * @module SaveCompressionTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { GameState } from '../../../src/core/GameState.js';
+import { getPersistenceConfig } from '../../../src/config/PersistenceConfig.js';
+
+testFramework.describe('SaveCompression', () => {
+    let gameState;
+
+    // Setup antes de cada test: persistencia en memoria comprimiendo cualquier guardado
+    async function beforeEach() {
+        gameState = new GameState(new EventBus(), {
+            persistence: {
+                ...getPersistenceConfig('testing'),
+                enabled: true,
+                compression: { enabled: true, threshold: 0 }
+            }
+        });
+
+        await gameState.storage.init();
+    }
+
+    testFramework.test('debe comprimir el guardado principal y contarlo en las estadísticas', async () => {
+        await beforeEach();
+
+        expect(await gameState.saveState()).toBe(true);
+
+        expect(gameState.compressionStats.compressedSaves).toBe(1);
+        expect(gameState.compressionStats.lastRatio).toBeLessThan(1);
+        expect(await gameState.storage.getItem(gameState.storageKey)).toContain('SPLZ1:');
+    });
+
+    testFramework.test('debe cargar un guardado comprimido', async () => {
+        await beforeEach();
+        gameState.set('stats.bestDistance', 321);
+        await gameState.saveState();
+
+        const reloaded = new GameState(new EventBus(), gameState.config);
+        reloaded.storage = gameState.storage;
+
+        expect(await reloaded.loadState()).toBe(true);
+        expect(reloaded.get('stats.bestDistance')).toBe(321);
+    });
+
+    testFramework.test('no debe contar exportaciones ni copias de seguridad en las estadísticas', async () => {
+        await beforeEach();
+        await gameState.saveState();
+        const stats = { ...gameState.compressionStats };
+
+        const exported = gameState.exportSave();
+        await gameState.createBackup();
+
+        expect(exported).toContain('SPLZ1:');
+        expect(gameState.compressionStats).toEqual(stats);
+    });
+});
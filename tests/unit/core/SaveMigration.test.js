@@ -0,0 +1,147 @@
+/**
+ * Tests de migración de guardados de versiones anteriores
+ * @module SaveMigrationTests
+ */
+
+import { readFileSync } from 'fs';
+import { testFramework, expect } from '../../TestFramework.js';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { GameState } from '../../../src/core/GameState.js';
+import { getPersistenceConfig } from '../../../src/config/PersistenceConfig.js';
+import { normalizeKeyBindings } from '../../../src/config/InputBindings.js';
+
+/**
+ * Lee un guardado de ejemplo tal como lo escribía una versión anterior
+ * @param {string} name - Nombre del fichero en fixtures/
+ * @returns {string} Guardado en JSON
+ */
+function readFixture(name) {
+    return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+testFramework.describe('SaveMigration', () => {
+    let eventBus;
+    let gameState;
+    let migrated;
+
+    // Setup antes de cada test: GameState con persistencia en memoria y un guardado ya escrito
+    async function beforeEach(stored) {
+        eventBus = new EventBus();
+        migrated = [];
+        eventBus.on('gamestate:migrated', (data) => migrated.push(`${data.from}->${data.to}`));
+
+        gameState = new GameState(eventBus, {
+            persistence: {
+                ...getPersistenceConfig('testing'),
+                enabled: true
+            }
+        });
+
+        await gameState.storage.init();
+        await gameState.storage.setItem(gameState.storageKey, stored);
+    }
+
+    testFramework.test('debe migrar un guardado 0.8.0 sin versión ni metadatos', async () => {
+        await beforeEach(readFixture('save-0.8.0.json'));
+
+        expect(await gameState.loadState()).toBe(true);
+        expect(migrated).toEqual(['0.0.0->0.9.0', '0.9.0->1.1.0']);
+        expect(gameState.get('meta.version')).toBe('1.1.0');
+        expect(gameState.get('meta.created')).toBeGreaterThan(0);
+    });
+
+    testFramework.test('debe conservar los datos del jugador al migrar', async () => {
+        await beforeEach(readFixture('save-0.8.0.json'));
+
+        await gameState.loadState();
+
+        expect(gameState.get('stats.bestDistance')).toBe(412);
+        expect(gameState.get('stats.gamesPlayed')).toBe(17);
+        expect(gameState.get('settings.volume.music')).toBe(0.3);
+    });
+
+    testFramework.test('debe respaldar el guardado original antes de migrar', async () => {
+        const original = readFixture('save-0.8.0.json');
+        await beforeEach(original);
+
+        await gameState.loadState();
+        const backup = await gameState.getMigrationBackup();
+
+        expect(backup.version).toBe('0.0.0');
+        expect(backup.data).toBe(original);
+    });
+
+    testFramework.test('debe descartar las teclas del esquema anterior en un guardado 1.0.0', async () => {
+        await beforeEach(readFixture('save-1.0.0.json'));
+
+        expect(await gameState.loadState()).toBe(true);
+        expect(migrated).toEqual(['1.0.0->1.1.0']);
+        expect(gameState.get('settings.controls.keyboard')).toEqual(normalizeKeyBindings());
+        expect(gameState.get('settings.controls.touch.sensitivity')).toBe(1.2);
+        expect(gameState.get('meta.created')).toBe(1700000000000);
+    });
+
+    testFramework.test('debe migrar un guardado 1.0.0 con checksum', async () => {
+        await beforeEach('');
+        await gameState.storage.setItem(gameState.storageKey,
+            gameState.serializeSave(JSON.parse(readFixture('save-1.0.0.json'))));
+
+        expect(await gameState.loadState()).toBe(true);
+        expect(migrated).toEqual(['1.0.0->1.1.0']);
+        expect(gameState.get('stats.bestDistance')).toBe(1250);
+    });
+
+    testFramework.test('debe guardar el estado migrado con la versión actual', async () => {
+        await beforeEach(readFixture('save-1.0.0.json'));
+
+        await gameState.loadState();
+        expect(await gameState.saveState()).toBe(true);
+
+        const reloaded = new GameState(new EventBus(), gameState.config);
+        reloaded.storage = gameState.storage;
+        expect(await reloaded.loadState()).toBe(true);
+        expect(reloaded.get('meta.version')).toBe('1.1.0');
+    });
+
+    testFramework.test('no debe migrar ni respaldar un guardado de la versión actual', async () => {
+        await beforeEach('');
+        await gameState.storage.setItem(gameState.storageKey, gameState.serializeSave({
+            ...JSON.parse(readFixture('save-1.0.0.json')),
+            meta: { version: '1.1.0' }
+        }));
+
+        expect(await gameState.loadState()).toBe(true);
+        expect(migrated).toHaveLength(0);
+        expect(await gameState.getMigrationBackup()).toBeNull();
+    });
+
+    testFramework.test('debe rechazar un guardado de una versión más nueva sin sobrescribirlo', async () => {
+        const newer = readFixture('save-9.0.0.json');
+        await beforeEach(newer);
+        const errors = [];
+        eventBus.on('gamestate:load-error', (data) => errors.push(data.error));
+
+        expect(await gameState.loadState()).toBe(false);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toContain('9.0.0');
+        expect(await gameState.saveState()).toBe(false);
+        expect(await gameState.storage.getItem(gameState.storageKey)).toBe(newer);
+    });
+
+    testFramework.test('debe rechazar la importación de un guardado más nuevo sin bloquear el guardado', async () => {
+        await beforeEach(readFixture('save-1.0.0.json'));
+        await gameState.loadState();
+
+        let importError = null;
+        try {
+            await gameState.importSave(readFixture('save-9.0.0.json'));
+        } catch (error) {
+            importError = error;
+        }
+
+        expect(importError).toBeInstanceOf(Error);
+        expect(gameState.saveBlocked).toBe(false);
+        expect(gameState.get('stats.bestDistance')).toBe(1250);
+        expect(await gameState.saveState()).toBe(true);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests de los logros de distancia
+ * @module AchievementManagerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { createManagerFixture, destroyManagerFixture } from '../../TestHelpers.js';
+import { AchievementManager } from '../../../src/modules/achievements/AchievementManager.js';
+
+testFramework.describe('AchievementManager', () => {
+    let fixture;
+    let eventBus;
+    let unlocked;
+
+    // Setup antes de cada test: partida empezada con GameState sin persistencia
+    async function beforeEach() {
+        fixture = await createManagerFixture(AchievementManager);
+        eventBus = fixture.eventBus;
+
+        unlocked = [];
+        eventBus.on('achievements:unlocked', (data) => unlocked.push(data.id));
+        eventBus.emit('game:started', { isReplay: false, isPlaytest: false });
+    }
+
+    testFramework.test('debe desbloquear "Primeros pasos" a los 100 m y no antes', async () => {
+        await beforeEach();
+
+        eventBus.emit('game:distance-changed', { distance: 99.9 });
+        expect(unlocked).toHaveLength(0);
+
+        eventBus.emit('game:distance-changed', { distance: 100.2 });
+        expect(unlocked).toEqual(['first-steps']);
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe desbloquear "Sin atajos" a los 1000 m sin dash', async () => {
+        await beforeEach();
+
+        eventBus.emit('game:distance-changed', { distance: 999 });
+        expect(unlocked.includes('no-dash-1000')).toBe(false);
+
+        eventBus.emit('game:distance-changed', { distance: 1000 });
+        expect(unlocked).toContain('no-dash-1000');
+        expect(unlocked.includes('marathon')).toBe(false);
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('no debe desbloquear "Sin atajos" si se hizo dash', async () => {
+        await beforeEach();
+
+        eventBus.emit('player:dashed', {});
+        eventBus.emit('game:distance-changed', { distance: 1500 });
+
+        expect(unlocked.includes('no-dash-1000')).toBe(false);
+        expect(unlocked).toContain('first-steps');
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe desbloquear "Maratón noir" a los 5000 m', async () => {
+        await beforeEach();
+
+        eventBus.emit('game:distance-changed', { distance: 4999 });
+        expect(unlocked.includes('marathon')).toBe(false);
+
+        eventBus.emit('game:distance-changed', { distance: 5000 });
+        expect(unlocked).toContain('marathon');
+        destroyManagerFixture(fixture);
+    });
+});
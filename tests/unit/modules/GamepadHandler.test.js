@@ -0,0 +1,225 @@
+/**
+ * Tests de la entrada por mando con navigator.getGamepads simulado
+ * @module GamepadHandlerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { GamepadHandler } from '../../../src/modules/input/GamepadHandler.js';
+import { createInputSystem } from '../../../src/modules/input/index.js';
+
+/**
+ * Crea un mando con el mapeo estándar, todo suelto
+ * @param {number} index - Índice del mando
+ * @param {string} id - Id que da el navegador
+ * @returns {Object} Mando falso
+ */
+function createPad(index, id = 'Xbox Wireless Controller (STANDARD GAMEPAD Vendor: 045e)') {
+    return {
+        index,
+        id,
+        connected: true,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0]
+    };
+}
+
+testFramework.describe('GamepadHandler', () => {
+    let eventBus;
+    let pads;
+    let documentListeners;
+    let actions;
+    let handler;
+
+    // Setup antes de cada test: navegador falso sin mandos conectados
+    async function beforeEach(config = {}) {
+        pads = [];
+        documentListeners = {};
+
+        globalThis.window = { addEventListener() {}, removeEventListener() {} };
+        globalThis.document = {
+            addEventListener: (name, listener) => { documentListeners[name] = listener; },
+            removeEventListener() {}
+        };
+        Object.defineProperty(globalThis, 'navigator', {
+            value: { maxTouchPoints: 0, getGamepads: () => pads },
+            configurable: true,
+            writable: true
+        });
+
+        eventBus = new EventBus();
+        actions = [];
+        eventBus.on('input:raw-gamepad', (data) => actions.push(`${data.action}${data.pressed ? '+' : '-'}`));
+
+        handler = new GamepadHandler(config, eventBus);
+        await handler.init();
+    }
+
+    // Limpieza después de cada test
+    function afterEach() {
+        handler?.destroy();
+        handler = null;
+        delete globalThis.window;
+        delete globalThis.document;
+        delete globalThis.navigator;
+    }
+
+    // Lee los mandos y devuelve las acciones emitidas en esa lectura
+    function poll() {
+        handler.update(16);
+        return actions.splice(0);
+    }
+
+    testFramework.test('debe mapear los botones del mapeo estándar a acciones', async () => {
+        await beforeEach();
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.buttons[0].pressed = true;
+        expect(poll()).toEqual(['jump+']);
+
+        pad.buttons[0].pressed = false;
+        pad.buttons[9].pressed = true;
+        expect(poll()).toEqual(['jump-', 'pause+']);
+        afterEach();
+    });
+
+    testFramework.test('debe activar los gatillos analógicos a partir del umbral', async () => {
+        await beforeEach();
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.buttons[6].value = 0.3;
+        expect(poll()).toHaveLength(0);
+
+        pad.buttons[6].value = 0.9;
+        expect(poll()).toEqual(['gravityToggle+']);
+        afterEach();
+    });
+
+    testFramework.test('debe usar los botones configurados en lugar de los por defecto', async () => {
+        await beforeEach({ buttons: { jump: [3] } });
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.buttons[0].pressed = true;
+        expect(poll()).toHaveLength(0);
+
+        pad.buttons[0].pressed = false;
+        pad.buttons[3].pressed = true;
+        expect(poll()).toContain('jump+');
+        afterEach();
+    });
+
+    testFramework.test('debe ignorar el stick dentro de la zona muerta', async () => {
+        await beforeEach();
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.axes[0] = -0.2;
+        expect(poll()).toHaveLength(0);
+
+        pad.axes[0] = -0.8;
+        expect(poll()).toEqual(['moveLeft+']);
+
+        pad.axes[0] = 0.1;
+        expect(poll()).toEqual(['moveLeft-']);
+        afterEach();
+    });
+
+    testFramework.test('debe respetar la zona muerta de cada eje configurado', async () => {
+        await beforeEach({ axes: { moveRight: [{ axis: 0, direction: 1, deadzone: 0.6 }] } });
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.axes[0] = 0.5;
+        expect(poll()).toHaveLength(0);
+
+        pad.axes[0] = 0.7;
+        expect(poll()).toEqual(['moveRight+']);
+        afterEach();
+    });
+
+    testFramework.test('debe detectar mandos conectados y desconectados en caliente', async () => {
+        await beforeEach();
+        const connected = [];
+        const disconnected = [];
+        eventBus.on('input:gamepad-connected', (data) => connected.push(`${data.index}:${data.type}`));
+        eventBus.on('input:gamepad-disconnected', (data) => disconnected.push(data.index));
+
+        pads = [createPad(0), createPad(1, 'DualSense Wireless Controller (054c)')];
+        poll();
+        expect(connected).toEqual(['0:xbox', '1:playstation']);
+        expect(handler.getConnectedCount()).toBe(2);
+
+        pads = [pads[0]];
+        poll();
+        expect(disconnected).toEqual([1]);
+        expect(handler.getConnectedCount()).toBe(1);
+        afterEach();
+    });
+
+    testFramework.test('debe soltar las acciones del mando que se desconecta', async () => {
+        await beforeEach();
+        const pad = createPad(0);
+        pads = [pad];
+
+        pad.buttons[0].pressed = true;
+        poll();
+
+        pads = [];
+        expect(poll()).toEqual(['jump-']);
+        expect(handler.isActionPressed('jump')).toBe(false);
+        afterEach();
+    });
+
+    testFramework.test('debe mantener la acción mientras algún mando la pulse', async () => {
+        await beforeEach();
+        const first = createPad(0);
+        const second = createPad(1);
+        pads = [first, second];
+
+        first.buttons[0].pressed = true;
+        second.buttons[0].pressed = true;
+        expect(poll()).toEqual(['jump+']);
+
+        first.buttons[0].pressed = false;
+        expect(poll()).toHaveLength(0);
+
+        second.buttons[0].pressed = false;
+        expect(poll()).toEqual(['jump-']);
+        afterEach();
+    });
+
+    testFramework.test('debe cambiar el dispositivo activo entre teclado y mando', async () => {
+        await beforeEach();
+        handler.destroy();
+        handler = null;
+
+        const input = createInputSystem({ input: { touch: { enabled: false } } }, eventBus);
+        await input.init();
+        const changes = [];
+        eventBus.on('input:active-device-changed', (data) => changes.push(`${data.current}/${data.controllerType}`));
+
+        const pad = createPad(0, 'DualSense Wireless Controller (054c)');
+        pads = [pad];
+        pad.buttons[0].pressed = true;
+        input.update(16);
+        expect(input.getActiveDevice()).toEqual({ device: 'gamepad', controllerType: 'playstation' });
+
+        documentListeners.keydown({ code: 'Space', repeat: false, target: {}, preventDefault() {} });
+        expect(input.getActiveDevice().device).toBe('keyboard');
+
+        input.update(16);
+        pad.buttons[0].pressed = false;
+        input.update(16);
+        pad.buttons[0].pressed = true;
+        input.update(16);
+        pads = [];
+        input.update(16);
+
+        expect(changes).toEqual(['gamepad/playstation', 'keyboard/null', 'gamepad/playstation', 'keyboard/null']);
+        input.destroy();
+        afterEach();
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests del reconocedor de gestos con toques sintéticos y horas explícitas
+ * @module GestureRecognizerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { GestureRecognizer } from '../../../src/modules/input/GestureRecognizer.js';
+
+/**
+ * Gestos de prueba (todos con acción salvo el doble tap)
+ */
+const TEST_GESTURES = {
+    tap: 'jump',
+    doubleTap: null,
+    longPress: 'gravityToggle',
+    twoFingerTap: 'dash',
+    swipeUp: 'jump',
+    swipeDown: 'gravityToggle',
+    swipeLeft: 'moveLeft',
+    swipeRight: 'moveRight'
+};
+
+testFramework.describe('GestureRecognizer', () => {
+    let recognizer;
+    let gestures;
+    let actions;
+
+    // Setup antes de cada test: reconocedor que anota gestos y acciones con su hora
+    function beforeEach(gestureBindings = TEST_GESTURES) {
+        gestures = [];
+        actions = [];
+
+        recognizer = new GestureRecognizer({ gestures: gestureBindings }, {
+            onGesture: (gesture) => gestures.push(gesture.type),
+            onAction: (action, pressed, gesture) => actions.push(`${action}${pressed ? '+' : '-'}@${gesture.time}`)
+        });
+    }
+
+    // Un dedo que toca y se levanta sin moverse
+    function tap(id, x, y, startTime, endTime) {
+        recognizer.start(id, x, y, startTime);
+        recognizer.end(id, x, y, endTime);
+    }
+
+    testFramework.test('debe reconocer un tap corto y quieto', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.end(1, 104, 102, 1120);
+
+        expect(gestures).toEqual(['tap']);
+        expect(actions).toEqual(['jump+@1120', 'jump-@1120']);
+    });
+
+    testFramework.test('no debe reconocer un tap demasiado largo', () => {
+        beforeEach();
+
+        tap(1, 100, 100, 1000, 1250);
+
+        expect(gestures).toHaveLength(0);
+        expect(actions).toHaveLength(0);
+    });
+
+    testFramework.test('debe reconocer la pulsación larga al cumplir el tiempo y mantenerla', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.update(1499);
+        expect(gestures).toHaveLength(0);
+
+        recognizer.update(1530);
+        expect(gestures).toEqual(['longPress']);
+        expect(actions).toEqual(['gravityToggle+@1500']);
+
+        recognizer.end(1, 100, 100, 1800);
+        expect(gestures).toEqual(['longPress']);
+        expect(actions).toEqual(['gravityToggle+@1500', 'gravityToggle-@1800']);
+    });
+
+    testFramework.test('no debe reconocer la pulsación larga si el dedo se desplaza', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.move(1, 130, 100, 1400);
+        recognizer.update(1600);
+
+        expect(gestures.includes('longPress')).toBe(false);
+    });
+
+    testFramework.test('debe reconocer la dirección de cada swipe', () => {
+        beforeEach();
+        const moves = [
+            { id: 1, dx: 0, dy: -80 },
+            { id: 2, dx: 0, dy: 80 },
+            { id: 3, dx: -80, dy: 10 },
+            { id: 4, dx: 80, dy: -10 }
+        ];
+
+        for (const { id, dx, dy } of moves) {
+            const startTime = id * 1000;
+            recognizer.start(id, 200, 200, startTime);
+            recognizer.move(id, 200 + dx, 200 + dy, startTime + 100);
+            recognizer.end(id, 200 + dx, 200 + dy, startTime + 150);
+        }
+
+        expect(gestures).toEqual(['swipeUp', 'swipeDown', 'swipeLeft', 'swipeRight']);
+    });
+
+    testFramework.test('debe mantener la acción del swipe hasta levantar el dedo', () => {
+        beforeEach();
+
+        recognizer.start(1, 200, 200, 1000);
+        recognizer.move(1, 120, 200, 1100);
+        expect(actions).toEqual(['moveLeft+@1100']);
+        expect(recognizer.getHeldActions()).toEqual(['moveLeft']);
+
+        recognizer.move(1, 60, 200, 1400);
+        recognizer.end(1, 60, 200, 1600);
+        expect(actions).toEqual(['moveLeft+@1100', 'moveLeft-@1600']);
+    });
+
+    testFramework.test('no debe reconocer un swipe demasiado lento', () => {
+        beforeEach();
+
+        recognizer.start(1, 200, 200, 1000);
+        recognizer.move(1, 200, 260, 1400);
+        recognizer.end(1, 200, 260, 1450);
+
+        expect(gestures).toHaveLength(0);
+    });
+
+    testFramework.test('debe reconocer el tap con dos dedos una sola vez', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.start(2, 180, 100, 1040);
+        recognizer.end(1, 100, 100, 1150);
+        recognizer.end(2, 180, 100, 1170);
+
+        expect(gestures).toEqual(['twoFingerTap']);
+        expect(actions).toEqual(['dash+@1170', 'dash-@1170']);
+    });
+
+    testFramework.test('debe tratar como taps separados dos dedos que no tocan a la vez', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.start(2, 180, 100, 1150);
+        recognizer.end(1, 100, 100, 1180);
+        recognizer.end(2, 180, 100, 1250);
+
+        expect(gestures).toEqual(['tap', 'tap']);
+    });
+
+    testFramework.test('no debe reconocer el tap con dos dedos si uno se desplaza', () => {
+        beforeEach();
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.start(2, 180, 100, 1020);
+        recognizer.move(2, 240, 100, 1080);
+        recognizer.end(1, 100, 100, 1120);
+        recognizer.end(2, 240, 100, 1140);
+
+        expect(gestures).toHaveLength(0);
+    });
+
+    testFramework.test('debe permitir tocar con otro dedo mientras se mantiene un swipe', () => {
+        beforeEach();
+
+        recognizer.start(1, 200, 200, 1000);
+        recognizer.move(1, 290, 200, 1100);
+        tap(2, 400, 300, 1300, 1380);
+        recognizer.end(1, 290, 200, 1500);
+
+        expect(gestures).toEqual(['swipeRight', 'tap']);
+        expect(actions).toEqual(['moveRight+@1100', 'jump+@1380', 'jump-@1380', 'moveRight-@1500']);
+    });
+
+    testFramework.test('debe reconocer el doble tap solo si tiene acción', () => {
+        beforeEach();
+        tap(1, 100, 100, 1000, 1080);
+        tap(2, 105, 100, 1200, 1280);
+        expect(gestures).toEqual(['tap', 'tap']);
+
+        beforeEach({ ...TEST_GESTURES, doubleTap: 'dash' });
+        tap(1, 100, 100, 1000, 1080);
+        tap(2, 105, 100, 1200, 1280);
+        expect(gestures).toEqual(['tap', 'doubleTap']);
+        expect(actions).toEqual(['jump+@1080', 'jump-@1080', 'dash+@1280', 'dash-@1280']);
+    });
+
+    testFramework.test('debe usar los umbrales configurados', () => {
+        gestures = [];
+        recognizer = new GestureRecognizer({
+            gestures: TEST_GESTURES,
+            thresholds: { longPress: { minDuration: 300 } }
+        }, {
+            onGesture: (gesture) => gestures.push(gesture.type)
+        });
+
+        recognizer.start(1, 100, 100, 1000);
+        recognizer.update(1320);
+
+        expect(gestures).toEqual(['longPress']);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests de las tablas de récords
+ * @module HighScoreManagerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { createManagerFixture, destroyManagerFixture, playRun } from '../../TestHelpers.js';
+import { HighScoreManager } from '../../../src/modules/records/HighScoreManager.js';
+
+testFramework.describe('HighScoreManager', () => {
+    let fixture;
+    let eventBus;
+    let highScoreManager;
+
+    // Setup antes de cada test: GameState sin persistencia como fuente de la distancia
+    async function beforeEach() {
+        fixture = await createManagerFixture(HighScoreManager);
+        ({ eventBus, manager: highScoreManager } = fixture);
+    }
+
+    testFramework.test('debe registrar la distancia de la partida en metros', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 61.7);
+        eventBus.emit('game:over', { coins: 3, time: 12.5, deathCause: 'spike' });
+
+        const [entry] = highScoreManager.getEntries('custom:NOIR42');
+        expect(entry.distance).toBe(61);
+        expect(entry.time).toBe(12500);
+        expect(entry.cause).toBe('spike');
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe registrar la llegada a la meta en la tabla del nivel', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 240.2, 'nivel-1');
+        eventBus.emit('game:level-completed', { coins: 5, levelId: 'nivel-1', name: 'Callejón', time: 31250 });
+
+        const [board] = highScoreManager.getBoards();
+        const [entry] = highScoreManager.getEntries('level:nivel-1');
+        expect(board.levelName).toBe('Callejón');
+        expect(entry.distance).toBe(240);
+        expect(entry.time).toBe(31250);
+        expect(entry.completed).toBe(true);
+        expect(entry.cause).toBeNull();
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe poner las llegadas a la meta por delante y las más rápidas primero', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 240, 'nivel-1');
+        eventBus.emit('game:over', { coins: 0, time: 40, deathCause: 'wall' });
+        playRun(eventBus, 240, 'nivel-1');
+        eventBus.emit('game:level-completed', { coins: 0, levelId: 'nivel-1', name: 'Callejón', time: 35000 });
+        playRun(eventBus, 240, 'nivel-1');
+        eventBus.emit('game:level-completed', { coins: 0, levelId: 'nivel-1', name: 'Callejón', time: 30000 });
+
+        const times = highScoreManager.getEntries('level:nivel-1').map(entry => entry.time);
+        expect(times).toEqual([30000, 35000, 40000]);
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('no debe registrar dos veces la misma partida', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 240, 'nivel-1');
+        eventBus.emit('game:level-completed', { coins: 0, levelId: 'nivel-1', name: 'Callejón', time: 30000 });
+        eventBus.emit('game:over', { coins: 0, time: 30, deathCause: null });
+
+        expect(highScoreManager.getEntries('level:nivel-1')).toHaveLength(1);
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe guardar las tablas en el almacenamiento de GameState', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 120.4);
+        eventBus.emit('game:over', { coins: 0, time: 5, deathCause: 'wall' });
+        await highScoreManager.save();
+
+        const reloaded = new HighScoreManager({}, eventBus);
+        await reloaded.setStorage(fixture.gameState.storage);
+
+        const [entry] = reloaded.getEntries('custom:NOIR42');
+        expect(entry.distance).toBe(120);
+        destroyManagerFixture(fixture);
+    });
+});
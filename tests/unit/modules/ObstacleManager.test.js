@@ -0,0 +1,74 @@
+/**
+ * Tests del movimiento de los obstáculos dinámicos con distintos ticks por segundo
+ * @module ObstacleManagerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { ObstacleManager } from '../../../src/modules/world/ObstacleManager.js';
+import { EventBus } from '../../../src/core/EventBus.js';
+
+/**
+ * Límites del mundo holgados (el obstáculo móvil no llega a tocarlos)
+ */
+const WORLD_BOUNDS = { top: 0, bottom: 1000 };
+
+testFramework.describe('ObstacleManager', () => {
+    let obstacleManager;
+
+    // Setup antes de cada test: gestor con un obstáculo móvil y otro rotatorio
+    async function beforeEach() {
+        obstacleManager = new ObstacleManager({}, new EventBus(), WORLD_BOUNDS, {}, null);
+        await obstacleManager.init();
+
+        obstacleManager.obstacles.push(
+            obstacleManager.createObstacle({ type: 'moving', x: 0, y: 400, width: 30, height: 30, moveRange: 100, moveSpeed: 0.02 }),
+            obstacleManager.createObstacle({ type: 'rotating', x: 100, y: 400, width: 40, height: 40, rotationSpeed: 0.03 })
+        );
+    }
+
+    // Simula un segundo a tickRate ticks por segundo y devuelve el estado de los obstáculos
+    async function simulateSecond(tickRate) {
+        await beforeEach();
+
+        for (let tick = 0; tick < tickRate; tick++) {
+            obstacleManager.fixedUpdate(1000 / tickRate);
+        }
+
+        const [moving, rotating] = obstacleManager.obstacles;
+        const state = { moveOffset: moving.moveOffset, currentY: moving.currentY, rotation: rotating.rotation };
+
+        obstacleManager.destroy();
+
+        return state;
+    }
+
+    testFramework.test('debe mover los obstáculos según el tiempo del tick', async () => {
+        await beforeEach();
+
+        obstacleManager.fixedUpdate(1000 / 60);
+
+        const [moving, rotating] = obstacleManager.obstacles;
+        expect(Math.abs(moving.moveOffset - 0.02)).toBeLessThan(1e-9);
+        expect(Math.abs(rotating.rotation - 0.03)).toBeLessThan(1e-9);
+
+        obstacleManager.fixedUpdate(1000 / 120);
+
+        expect(Math.abs(moving.moveOffset - 0.03)).toBeLessThan(1e-9);
+        expect(Math.abs(rotating.rotation - 0.045)).toBeLessThan(1e-9);
+
+        obstacleManager.destroy();
+    });
+
+    testFramework.test('debe desplazar igual los obstáculos en un segundo a 30 y a 120 ticks/s', async () => {
+        const slow = await simulateSecond(30);
+        const fast = await simulateSecond(120);
+
+        // Un segundo a la velocidad de referencia (60 frames)
+        expect(Math.abs(slow.moveOffset - 1.2)).toBeLessThan(1e-9);
+        expect(Math.abs(slow.rotation - 1.8)).toBeLessThan(1e-9);
+
+        expect(Math.abs(fast.moveOffset - slow.moveOffset)).toBeLessThan(1e-9);
+        expect(Math.abs(fast.currentY - slow.currentY)).toBeLessThan(1e-9);
+        expect(Math.abs(fast.rotation - slow.rotation)).toBeLessThan(1e-9);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests de las partidas guardadas en ranuras
+ * @module SaveSlotManagerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { GameState } from '../../../src/core/GameState.js';
+import { SaveSlotManager } from '../../../src/modules/saves/SaveSlotManager.js';
+import { getPersistenceConfig } from '../../../src/config/PersistenceConfig.js';
+
+testFramework.describe('SaveSlotManager', () => {
+    let eventBus;
+    let gameState;
+    let saveSlotManager;
+    let restored;
+
+    // Setup antes de cada test: GameState en memoria y un motor falso con una partida en curso
+    async function beforeEach() {
+        eventBus = new EventBus();
+        gameState = new GameState(eventBus, {
+            persistence: {
+                ...getPersistenceConfig('testing'),
+                enabled: true
+            }
+        });
+        await gameState.init();
+
+        restored = [];
+        const engine = {
+            captureRunSnapshot: () => ({
+                tick: 300,
+                seed: { value: 'NOIR42', mode: 'custom' },
+                level: null,
+                gameData: { score: 420, levelName: null },
+                respawnTimer: 0,
+                world: {},
+                player: {}
+            }),
+            restoreRunSnapshot: async (snapshot) => {
+                restored.push({ snapshot, bestDistance: gameState.get('stats.bestDistance') });
+            }
+        };
+
+        saveSlotManager = new SaveSlotManager({}, eventBus);
+        await saveSlotManager.init();
+        saveSlotManager.setGameState(gameState);
+        saveSlotManager.setGameReferences(engine, null);
+    }
+
+    testFramework.test('debe guardar la distancia de la partida en metros', async () => {
+        await beforeEach();
+        eventBus.emit('game:distance-changed', { distance: 61.8 });
+
+        const slot = await saveSlotManager.save(1);
+
+        expect(slot.distance).toBe(61);
+        expect(slot.midRun).toBe(true);
+    });
+
+    testFramework.test('debe importar el estado antes de continuar la partida', async () => {
+        await beforeEach();
+        gameState.set('stats.bestDistance', 900);
+        await saveSlotManager.save(1);
+        gameState.set('stats.bestDistance', 10);
+
+        await saveSlotManager.load(1);
+
+        expect(restored).toHaveLength(1);
+        expect(restored[0].snapshot.tick).toBe(300);
+        expect(restored[0].bestDistance).toBe(900);
+    });
+
+    testFramework.test('no debe tocar la partida en curso si el estado guardado está dañado', async () => {
+        await beforeEach();
+        await saveSlotManager.save(1);
+
+        const key = saveSlotManager.getSlotKey('slot-1');
+        const payload = JSON.parse(await gameState.storage.getItem(key));
+        await gameState.storage.setItem(key, JSON.stringify({ ...payload, state: '{"dañado"' }));
+
+        let loadError = null;
+        try {
+            await saveSlotManager.load(1);
+        } catch (error) {
+            loadError = error;
+        }
+
+        expect(loadError).toBeInstanceOf(Error);
+        expect(restored).toHaveLength(0);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests del historial y los totales de estadísticas
+ * @module StatisticsManagerTests
+ */
+
+import { testFramework, expect } from '../../TestFramework.js';
+import { createManagerFixture, destroyManagerFixture, playRun } from '../../TestHelpers.js';
+import { StatisticsManager } from '../../../src/modules/statistics/StatisticsManager.js';
+
+testFramework.describe('StatisticsManager', () => {
+    let fixture;
+    let eventBus;
+    let statisticsManager;
+
+    // Setup antes de cada test: GameState sin persistencia como fuente de distancia y puntuación
+    async function beforeEach() {
+        fixture = await createManagerFixture(StatisticsManager);
+        ({ eventBus, manager: statisticsManager } = fixture);
+    }
+
+    testFramework.test('debe guardar en el historial la distancia en metros', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 61.7);
+        eventBus.emit('game:over', { time: 12.5, deathCause: 'spike' });
+
+        const [run] = statisticsManager.getHistory();
+        expect(run.distance).toBe(61);
+        expect(run.duration).toBe(12500);
+        expect(run.cause).toBe('spike');
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('debe sumar los metros de cada partida a los totales', async () => {
+        await beforeEach();
+
+        playRun(eventBus, 120.4);
+        eventBus.emit('game:over', { time: 5, deathCause: 'wall' });
+        playRun(eventBus, 240.9, 'nivel-1');
+        eventBus.emit('game:level-completed', { levelId: 'nivel-1', time: 31250 });
+
+        const { distance, bestDistance, levelsCompleted, playTime } = statisticsManager.lifetime;
+        expect(distance).toBe(360);
+        expect(bestDistance).toBe(240);
+        expect(levelsCompleted).toBe(1);
+        expect(playTime).toBe(36250);
+        destroyManagerFixture(fixture);
+    });
+
+    testFramework.test('no debe registrar las repeticiones', async () => {
+        await beforeEach();
+
+        eventBus.emit('game:started', { isReplay: true, isPlaytest: false });
+        eventBus.emit('game:distance-changed', { distance: 80 });
+        eventBus.emit('game:over', { time: 3, deathCause: 'spike' });
+
+        expect(statisticsManager.getHistory()).toHaveLength(0);
+        destroyManagerFixture(fixture);
+    });
+});